@@ -4,11 +4,27 @@
  */
 
 import { JSONParser } from './jsonParser.js';
+import { parseCSV } from './csvImport.js';
+import { validateAgainstSchema, SchemaError, ValidationLimitError } from './jsonSchema.js';
+import { inferShape, formatShape, describeShape, SCHEMA_OUTPUTS } from './schemaInference.js';
 import { QueryEngine } from './queryEngine.js';
+import { QUERY_LANGUAGES } from './queryLanguages.js';
 import { QueryBuilder } from './queryBuilder.js';
-import { ResultsExporter } from './results.js';
+import { QueryAssist } from './queryAssist.js';
+import { toJMESPath } from './treeView.js';
+import { CompareView } from './compareView.js';
+import { ProfileView } from './profileView.js';
+import { Workspace } from './workspace.js';
+import { ResultsExporter, DEFAULT_CSV_OPTIONS } from './results.js';
 import { StorageManager } from './storage.js';
-import { debounce, copyToClipboard, showNotification } from './utils.js';
+import { DOCUMENT_SOURCES, MAX_STORED_SIZE } from './documentStore.js';
+import { findQueryParameters, fillQueryParameters, parseTags, normalizeFolder, filterSavedQueries, groupByFolder, listFolders, listTags, uniqueQueryName } from './savedQueries.js';
+import { parseQueryLibrary } from './queryLibrary.js';
+import { summarizeResult, describeResult, formatDuration, compareWithEntry, filterHistory, listHistoryDatasets } from './queryHistory.js';
+import { debounce, copyToClipboard, showNotification, formatBytes } from './utils.js';
+
+// Changes listed under a replayed history entry; compare mode shows them all
+const MAX_REPLAY_CHANGES = 5;
 
 class App {
     constructor() {
@@ -20,6 +36,22 @@ class App {
         this.isDarkTheme = false;
         this.queryMode = 'code'; // 'code' or 'builder'
         this.currentResults = null; // Store current query results for export
+        this.activeSavedQuery = null; // Saved query last loaded or saved; its table layout is kept up to date
+        this.editingSavedQueryId = null; // Saved query edited in the Save Query dialog; null when saving the current query
+        this.pendingSavedQuery = null; // Saved query waiting for its {{parameter}} values
+        this.queryParameterValues = new Map(); // Saved query ID -> parameter values last entered this session
+        this.savedQueryMatches = []; // Saved queries listed after the search and filters; Export downloads them
+        this.importConflict = null; // Imported query whose name is taken, awaiting a decision: { taken, resolve }
+        this.versionsQueryId = null; // Saved query shown in the Versions dialog
+        this.historyReplays = new Map(); // History entry ID -> its last replay against the current data
+        this.csvColumns = []; // Columns in the CSV export dialog: { name, included }, in export order
+        this.csvImport = null; // CSV file awaiting confirmation in the import preview: { text, parsed, resolve }
+        this.schemaTarget = null; // What the listed schema violations refer to: 'document' or 'results'
+        this.generatedShape = null; // Shape inferred for the Generate Schema dialog
+        this.shapeRequest = 0; // Ignores inferences that finish after the source changed
+        this.profile = null; // Profile shown in the Data Profile dialog
+        this.profileRequest = 0; // Ignores profiles that finish after the document changed
+        this.joinDatasets = new Map(); // Array datasets offered by the Join dialog: name -> record fields
 
         this.init();
     }
@@ -32,13 +64,42 @@ class App {
 
         // Initialize query engine (Week 2)
         this.queryEngine = new QueryEngine(this.jsonParser);
+        this.queryEngine.onTableLayoutChange = (layout, query) => this.handleTableLayoutChange(layout, query);
+
+        // CSV/TSV files are previewed before they are converted
+        this.jsonParser.confirmCSVImport = (fileName, text, parsed) => this.openCSVImportModal(fileName, text, parsed);
 
         // Initialize query builder (Week 3)
         this.queryBuilder = new QueryBuilder(this.queryEngine, this.jsonParser);
         this.queryBuilder.init();
 
+        // Autocomplete and lint warnings in the query editor
+        this.queryAssist = new QueryAssist(this.queryEngine, this.queryBuilder);
+        this.queryAssist.init();
+
+        // Side-by-side structural diff of two documents or query results
+        this.compareView = new CompareView(this.queryEngine, this.jsonParser, this.resultsExporter, this.storageManager);
+        this.compareView.init();
+
+        // Per-field profile of the records; clicking a value filters by it
+        this.profileView = new ProfileView(document.getElementById('profileFields'), {
+            onSelect: (segments, value) => this.handleProfileValueSelect(segments, value)
+        });
+
+        // Named documents shown as tabs; queries can run against all of them
+        this.workspace = new Workspace(this.jsonParser, this.storageManager);
+        this.workspace.onShow = () => this.handleWorkspaceDocumentShown();
+        this.workspace.init();
+
+        // Document the custom query functions in the help modal
+        this.queryEngine.renderFunctionReference();
+
         // Load saved theme preference
         this.loadThemePreference();
+        this.loadQueryTimeoutPreference();
+        this.loadQueryLanguagePreference();
+        this.loadQueryScopePreference();
+        this.loadSchemaPreference();
 
         // Setup event listeners
         this.setupEventListeners();
@@ -48,10 +109,15 @@ class App {
 
         // Check for initial JSON in input
         this.handleJSONInput();
+        this.updateInputFormatOptions();
 
         // Week 4: Load query from URL if present
         this.loadQueryFromURL();
 
+        // Offline support and PWA install
+        this.registerServiceWorker();
+        this.setupInstallPrompt();
+
         console.log('✅ JSON Analyser ready!');
     }
 
@@ -67,12 +133,29 @@ class App {
             }, 500));
         }
 
+        // Input format (JSON / JSON Lines)
+        const inputFormatSelect = document.getElementById('inputFormatSelect');
+        if (inputFormatSelect) {
+            inputFormatSelect.addEventListener('change', (e) => this.handleInputFormatChange(e.target.value));
+        }
+
+        const skipBadLines = document.getElementById('skipBadLines');
+        if (skipBadLines) {
+            skipBadLines.addEventListener('change', (e) => this.handleSkipBadLinesChange(e.target.checked));
+        }
+
         // Format Button
         const formatBtn = document.getElementById('formatBtn');
         if (formatBtn) {
             formatBtn.addEventListener('click', () => this.handleFormat());
         }
 
+        // Repair Button
+        const repairBtn = document.getElementById('repairBtn');
+        if (repairBtn) {
+            repairBtn.addEventListener('click', () => this.handleRepair());
+        }
+
         // Clear Button
         const clearInputBtn = document.getElementById('clearInputBtn');
         if (clearInputBtn) {
@@ -87,6 +170,53 @@ class App {
             fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
         }
 
+        // Recent files kept in the browser's storage
+        document.getElementById('recentFilesBtn')?.addEventListener('click', () => this.openRecentFilesModal());
+        document.getElementById('recentFilesList')?.addEventListener('click', (e) => this.handleRecentFileClick(e));
+        document.getElementById('clearRecentFilesBtn')?.addEventListener('click', () => this.handleClearRecentFiles());
+
+        // Schema panel
+        document.getElementById('schemaToggleBtn')?.addEventListener('click', () => this.toggleSchemaPanel());
+        document.getElementById('validateDocumentBtn')?.addEventListener('click', () => this.handleValidateDocument());
+        document.getElementById('validateResultsBtn')?.addEventListener('click', () => this.handleValidateResults());
+        document.getElementById('schemaErrors')?.addEventListener('click', (e) => this.handleSchemaErrorClick(e));
+        document.getElementById('generateSchemaBtn')?.addEventListener('click', () => this.openGenerateSchemaModal());
+        document.getElementById('generateSchemaSource')?.addEventListener('change', () => this.refreshGeneratedSchema());
+        document.getElementById('generateSchemaOutput')?.addEventListener('change', (e) => {
+            this.storageManager.setPreference('schemaOutput', e.target.value);
+            this.renderGeneratedSchema();
+        });
+        document.getElementById('copyGeneratedSchema')?.addEventListener('click', () => this.handleCopyGeneratedSchema());
+        document.getElementById('downloadGeneratedSchema')?.addEventListener('click', () => this.handleDownloadGeneratedSchema());
+        document.getElementById('useGeneratedSchema')?.addEventListener('click', () => this.handleUseGeneratedSchema());
+        document.getElementById('profileBtn')?.addEventListener('click', () => this.openProfileModal());
+
+        // Workspace
+        document.getElementById('addDocumentBtn')?.addEventListener('click', () => this.handleAddDocument());
+        document.getElementById('joinDatasetsBtn')?.addEventListener('click', () => this.openJoinModal());
+        ['joinLeft', 'joinRight'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateJoinKeys());
+        });
+        ['joinLeftKey', 'joinRightKey'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.renderJoinQuery());
+        });
+        document.getElementById('joinAs')?.addEventListener('input', () => this.renderJoinQuery());
+        document.getElementById('insertJoinQuery')?.addEventListener('click', () => this.handleInsertJoinQuery());
+
+        const schemaInput = document.getElementById('schemaInput');
+        if (schemaInput) {
+            schemaInput.addEventListener('input', debounce(() => {
+                this.storageManager.setPreference('jsonSchema', schemaInput.value);
+            }, 500));
+        }
+
+        const schemaUploadBtn = document.getElementById('schemaUploadBtn');
+        const schemaFileInput = document.getElementById('schemaFileInput');
+        if (schemaUploadBtn && schemaFileInput) {
+            schemaUploadBtn.addEventListener('click', () => schemaFileInput.click());
+            schemaFileInput.addEventListener('change', (e) => this.handleSchemaUpload(e));
+        }
+
         // Theme Toggle
         const themeToggle = document.getElementById('themeToggle');
         if (themeToggle) {
@@ -106,11 +236,31 @@ class App {
             executeQueryBtn.addEventListener('click', () => this.handleExecuteQuery());
         }
 
+        const cancelQueryBtn = document.getElementById('cancelQueryBtn');
+        if (cancelQueryBtn) {
+            cancelQueryBtn.addEventListener('click', () => this.queryEngine.cancelQuery());
+        }
+
+        const queryTimeoutSelect = document.getElementById('queryTimeoutSelect');
+        if (queryTimeoutSelect) {
+            queryTimeoutSelect.addEventListener('change', (e) => this.handleQueryTimeoutChange(e.target.value));
+        }
+
         const clearQueryBtn = document.getElementById('clearQueryBtn');
         if (clearQueryBtn) {
             clearQueryBtn.addEventListener('click', () => this.handleClearQuery());
         }
 
+        const queryLanguageSelect = document.getElementById('queryLanguageSelect');
+        if (queryLanguageSelect) {
+            queryLanguageSelect.addEventListener('change', (e) => this.handleQueryLanguageChange(e.target.value));
+        }
+
+        const queryScopeSelect = document.getElementById('queryScopeSelect');
+        if (queryScopeSelect) {
+            queryScopeSelect.addEventListener('change', (e) => this.handleQueryScopeChange(e.target.value));
+        }
+
         const exampleQuerySelect = document.getElementById('exampleQuerySelect');
         if (exampleQuerySelect) {
             exampleQuerySelect.addEventListener('change', (e) => this.handleExampleQuery(e));
@@ -141,7 +291,52 @@ class App {
 
         const exportCSVBtn = document.getElementById('exportCSVBtn');
         if (exportCSVBtn) {
-            exportCSVBtn.addEventListener('click', () => this.handleExportCSV());
+            exportCSVBtn.addEventListener('click', () => this.openExportCSVModal());
+        }
+
+        document.getElementById('csvImportDelimiter')?.addEventListener('change', () => this.handleCSVImportDelimiterChange());
+        document.getElementById('confirmCSVImport')?.addEventListener('click', () => this.handleConfirmCSVImport());
+
+        const confirmExportCSV = document.getElementById('confirmExportCSV');
+        if (confirmExportCSV) {
+            confirmExportCSV.addEventListener('click', () => this.handleExportCSV());
+        }
+
+        // CSV export dialog: options that change the columns rebuild the list
+        ['csvFlattenObjects', 'csvArrays'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.refreshCSVColumns());
+        });
+        ['csvDelimiter', 'csvLineBreak', 'csvBom'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateCSVPreview());
+        });
+
+        const csvColumnList = document.getElementById('csvColumnList');
+        if (csvColumnList) {
+            csvColumnList.addEventListener('change', (e) => this.handleCSVColumnToggle(e));
+            csvColumnList.addEventListener('click', (e) => this.handleCSVColumnMove(e));
+        }
+
+        document.getElementById('csvSelectAllColumns')?.addEventListener('click', () => this.setAllCSVColumns(true));
+        document.getElementById('csvSelectNoColumns')?.addEventListener('click', () => this.setAllCSVColumns(false));
+
+        const exportYAMLBtn = document.getElementById('exportYAMLBtn');
+        if (exportYAMLBtn) {
+            exportYAMLBtn.addEventListener('click', () => this.handleExportYAML());
+        }
+
+        const exportXMLBtn = document.getElementById('exportXMLBtn');
+        if (exportXMLBtn) {
+            exportXMLBtn.addEventListener('click', () => this.handleExportXML());
+        }
+
+        const exportXLSXBtn = document.getElementById('exportXLSXBtn');
+        if (exportXLSXBtn) {
+            exportXLSXBtn.addEventListener('click', () => this.openExportExcelModal());
+        }
+
+        const confirmExportXLSX = document.getElementById('confirmExportXLSX');
+        if (confirmExportXLSX) {
+            confirmExportXLSX.addEventListener('click', () => this.handleExportXLSX());
         }
 
         // Week 4: Save/Load Query buttons
@@ -171,6 +366,36 @@ class App {
             confirmSaveQuery.addEventListener('click', () => this.handleSaveQuery());
         }
 
+        // Saved query search, filters and actions
+        document.getElementById('savedQuerySearch')?.addEventListener('input', () => this.renderSavedQueries());
+        document.getElementById('savedQueryFolderFilter')?.addEventListener('change', () => this.renderSavedQueries());
+        document.getElementById('savedQueryTagFilter')?.addEventListener('change', () => this.renderSavedQueries());
+        document.getElementById('savedQueryFavoritesOnly')?.addEventListener('change', () => this.renderSavedQueries());
+        document.getElementById('savedQueriesList')?.addEventListener('click', (e) => this.handleSavedQueryClick(e));
+        document.getElementById('confirmQueryParameters')?.addEventListener('click', () => this.handleConfirmQueryParameters());
+        document.getElementById('exportQueriesBtn')?.addEventListener('click', () => this.handleExportQueries());
+        document.getElementById('importQueriesBtn')?.addEventListener('click', () => document.getElementById('importQueriesInput').click());
+        document.getElementById('importQueriesInput')?.addEventListener('change', (e) => this.handleImportQueriesFile(e));
+        document.getElementById('confirmImportConflict')?.addEventListener('click', () => this.handleConfirmImportConflict());
+        document.getElementById('importConflictModal')?.addEventListener('change', (e) => {
+            if (e.target.name === 'importConflictAction') this.updateImportConflictName();
+        });
+        document.getElementById('queryVersionsList')?.addEventListener('click', (e) => this.handleQueryVersionClick(e));
+        document.getElementById('queryParameterFields')?.addEventListener('input', () => this.updateQueryParametersPreview());
+        document.getElementById('queryParameterFields')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleConfirmQueryParameters();
+            }
+        });
+
+        // Query history search, filters and actions
+        document.getElementById('historySearch')?.addEventListener('input', () => this.renderHistory());
+        document.getElementById('historyLanguageFilter')?.addEventListener('change', () => this.renderHistory());
+        document.getElementById('historyDatasetFilter')?.addEventListener('change', () => this.renderHistory());
+        document.getElementById('historyPinnedOnly')?.addEventListener('change', () => this.renderHistory());
+        document.getElementById('historyList')?.addEventListener('click', (e) => this.handleHistoryClick(e));
+
         const clearHistoryBtn = document.getElementById('clearHistoryBtn');
         if (clearHistoryBtn) {
             clearHistoryBtn.addEventListener('click', () => this.handleClearHistory());
@@ -207,17 +432,9 @@ class App {
      * Setup query features (Week 2)
      */
     setupQueryFeatures() {
-        // Populate example queries dropdown
-        const exampleQuerySelect = document.getElementById('exampleQuerySelect');
-        if (!exampleQuerySelect || !this.queryEngine) return;
-
-        const examples = this.queryEngine.getExampleQueries();
-        examples.forEach((example, index) => {
-            const option = document.createElement('option');
-            option.value = index;
-            option.textContent = example.name;
-            exampleQuerySelect.appendChild(option);
-        });
+        // Populate example queries dropdown for the current language
+        if (!this.queryEngine) return;
+        this.queryEngine.renderExampleOptions();
     }
 
     /**
@@ -226,528 +443,2663 @@ class App {
     handleJSONInput() {
         const input = document.getElementById('jsonInput').value;
         this.jsonParser.parse(input);
+        this.workspace.syncActive();
 
         // Refresh query builder when JSON changes (Week 3)
         if (this.queryBuilder) {
             this.queryBuilder.refresh();
         }
+
+        // Field warnings depend on the document
+        this.queryAssist?.refresh();
     }
 
     /**
-     * Handle format button click
+     * Handle input format change
+     * @param {string} format - 'json' or 'ndjson'
      */
-    handleFormat() {
-        const success = this.jsonParser.formatInput();
-        if (success) {
-            showNotification('JSON formatted successfully', 'success');
-        } else {
-            showNotification('Cannot format invalid JSON', 'error');
+    handleInputFormatChange(format) {
+        this.jsonParser.setInputFormat(format);
+        this.updateInputFormatOptions();
+
+        // Streamed documents keep the format they were loaded with
+        if (!this.jsonParser.isStreamed()) {
+            this.handleJSONInput();
         }
     }
 
     /**
-     * Handle clear button click
+     * Handle the "skip invalid lines" option changing
+     * @param {boolean} skip - Whether invalid JSON Lines are skipped
      */
-    handleClear() {
-        if (confirm('Clear all input and output?')) {
-            this.jsonParser.clear();
-            showNotification('Cleared', 'info');
+    async handleSkipBadLinesChange(skip) {
+        this.jsonParser.skipInvalidLines = skip;
+
+        if (!this.jsonParser.isStreamed()) {
+            this.handleJSONInput();
+            return;
         }
+
+        // The editor only holds a preview of a streamed file, so read the file again
+        const streamed = this.jsonParser.getStreamedSummary();
+        if (streamed.options.format !== 'ndjson') return;
+
+        await this.jsonParser.loadLargeFile(streamed.file);
+        this.workspace.syncActive();
+        this.queryBuilder?.refresh();
+        this.queryAssist?.refresh();
     }
 
     /**
-     * Handle file upload
+     * Show the options that apply to the current input format
      */
-    async handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-
-        const success = await this.jsonParser.loadFromFile(file);
-
-        if (success) {
-            showNotification(`Loaded ${file.name}`, 'success');
-        } else {
-            showNotification('Failed to load file', 'error');
+    updateInputFormatOptions() {
+        const skipOption = document.getElementById('skipBadLinesOption');
+        if (skipOption) {
+            skipOption.classList.toggle('hidden', this.jsonParser.inputFormat !== 'ndjson');
         }
-
-        // Reset file input
-        event.target.value = '';
     }
 
     /**
-     * Handle query input change (Week 2)
+     * Restore the schema last entered in the schema panel
      */
-    handleQueryInput() {
-        const query = document.getElementById('queryInput').value;
-        if (this.queryEngine) {
-            this.queryEngine.executeQuery(query);
+    loadSchemaPreference() {
+        const schemaInput = document.getElementById('schemaInput');
+        if (schemaInput) {
+            schemaInput.value = this.storageManager.getPreference('jsonSchema', '');
         }
     }
 
     /**
-     * Handle execute query button click (Week 2)
+     * Show or hide the schema panel
      */
-    handleExecuteQuery() {
-        const query = document.getElementById('queryInput').value;
-        if (this.queryEngine) {
-            const success = this.queryEngine.executeQuery(query);
-            if (success) {
-                // Week 4: Store results for export
-                this.currentResults = this.queryEngine.queryResults;
-                this.updateExportButtons();
-
-                // Week 4: Add to history
-                if (query.trim()) {
-                    this.storageManager.addToHistory(query);
-                }
-
-                showNotification('Query executed successfully', 'success');
-            }
+    toggleSchemaPanel() {
+        const panel = document.getElementById('schemaPanel');
+        if (!panel) return;
+
+        const open = panel.classList.toggle('hidden') === false;
+        document.getElementById('schemaToggleBtn')?.setAttribute('aria-expanded', String(open));
+        if (open) {
+            document.getElementById('schemaInput')?.focus();
         }
     }
 
     /**
-     * Handle clear query button click (Week 2)
+     * Load a schema file into the schema panel
      */
-    handleClearQuery() {
-        if (this.queryEngine) {
-            this.queryEngine.clear();
-        }
+    async handleSchemaUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
 
-        // Also clear the builder (Week 3)
-        if (this.queryBuilder) {
-            this.queryBuilder.reset();
+        try {
+            const text = await file.text();
+            const schemaInput = document.getElementById('schemaInput');
+            schemaInput.value = text;
+            this.storageManager.setPreference('jsonSchema', text);
+            showNotification(`Loaded schema ${file.name}`, 'success');
+        } catch (error) {
+            showNotification(`Failed to read ${file.name}`, 'error');
         }
 
-        showNotification('Query cleared', 'info');
+        // Reset file input
+        event.target.value = '';
     }
 
     /**
-     * Handle example query selection (Week 2)
+     * Parse the schema in the schema panel
+     * @returns {Object|boolean|undefined} Schema, or undefined when it is missing or not JSON
      */
-    handleExampleQuery(event) {
-        const index = parseInt(event.target.value);
-        if (!isNaN(index) && this.queryEngine) {
-            this.queryEngine.loadExampleQuery(index);
+    getSchema() {
+        const text = document.getElementById('schemaInput')?.value.trim();
+        if (!text) {
+            showNotification('Paste or upload a JSON Schema first', 'error');
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            this.renderSchemaResult(null, `Schema is not valid JSON: ${error.message}`);
+            return undefined;
         }
-        // Reset dropdown
-        event.target.value = '';
     }
 
     /**
-     * Handle copy results button click (Week 2)
+     * Validate the loaded document against the schema
      */
-    async handleCopyResults() {
-        if (!this.queryEngine) return;
-
-        const text = this.queryEngine.getResultsText();
-        if (!text) return;
-
-        const success = await copyToClipboard(text);
-        const copyBtn = document.getElementById('copyResultsBtn');
+    handleValidateDocument() {
+        if (this.jsonParser.isStreamed()) {
+            showNotification('Large files stay in the background worker; validate query results instead', 'info');
+            return;
+        }
 
-        if (success) {
-            showNotification('Results copied to clipboard', 'success');
-            // Visual feedback
-            if (copyBtn) {
-                const originalText = copyBtn.innerHTML;
-                copyBtn.innerHTML = '✓ Copied';
-                setTimeout(() => {
-                    copyBtn.innerHTML = originalText;
-                }, 2000);
-            }
-        } else {
-            showNotification('Failed to copy results', 'error');
+        const data = this.jsonParser.getCurrentJSON();
+        if (data === null) {
+            showNotification('Load a valid document first', 'error');
+            return;
         }
+
+        this.runSchemaValidation(data, 'document');
     }
 
     /**
-     * Switch between Code and Builder modes (Week 3)
+     * Validate the current query results against the schema
      */
-    switchMode(mode) {
-        this.queryMode = mode;
+    handleValidateResults() {
+        if (this.currentResults === null) {
+            showNotification('No results to validate', 'error');
+            return;
+        }
 
-        const codeView = document.getElementById('codeView');
-        const builderView = document.getElementById('builderView');
-        const codeModeBtn = document.getElementById('codeMode');
-        const builderModeBtn = document.getElementById('builderMode');
+        this.runSchemaValidation(this.currentResults, 'results');
+    }
 
-        if (mode === 'code') {
-            // Show code view
-            codeView?.classList.remove('hidden');
-            builderView?.classList.add('hidden');
-            codeModeBtn?.classList.add('active');
-            builderModeBtn?.classList.remove('active');
-        } else {
-            // Show builder view
-            codeView?.classList.add('hidden');
-            builderView?.classList.remove('hidden');
-            codeModeBtn?.classList.remove('active');
-            builderModeBtn?.classList.add('active');
+    /**
+     * Validate data and list the violations
+     * @param {*} data - Document or query results
+     * @param {string} target - 'document' or 'results'
+     */
+    runSchemaValidation(data, target) {
+        const schema = this.getSchema();
+        if (schema === undefined) return;
 
-            // Refresh builder when switching to it
-            if (this.queryBuilder) {
-                this.queryBuilder.refresh();
+        try {
+            const result = validateAgainstSchema(schema, data);
+            this.schemaTarget = target;
+            this.renderSchemaResult(result);
+        } catch (error) {
+            if (error instanceof ValidationLimitError) {
+                this.renderSchemaResult(null, error.message);
+                return;
             }
+            if (!(error instanceof SchemaError)) throw error;
+            this.renderSchemaResult(null, `Invalid schema: ${error.message}`);
         }
-
-        showNotification(`Switched to ${mode} mode`, 'info');
     }
 
     /**
-     * Toggle dark/light theme
+     * Show the outcome of a validation in the schema panel
+     * @param {Object|null} result - Result from validateAgainstSchema
+     * @param {string} problem - Message shown instead when the schema could not be used
      */
-    toggleTheme() {
-        this.isDarkTheme = !this.isDarkTheme;
-        document.body.classList.toggle('dark-theme', this.isDarkTheme);
+    renderSchemaResult(result, problem = '') {
+        const status = document.getElementById('schemaStatus');
+        const list = document.getElementById('schemaErrors');
+        if (!status || !list) return;
+
+        if (!result) {
+            status.textContent = problem;
+            status.className = 'schema-status schema-status-error';
+            list.innerHTML = '';
+            list.classList.add('hidden');
+            return;
+        }
 
-        const themeToggle = document.getElementById('themeToggle');
-        if (themeToggle) {
-            themeToggle.textContent = this.isDarkTheme ? '☀️' : '🌙';
+        const subject = this.schemaTarget === 'document' ? 'Document' : 'Results';
+        if (result.valid) {
+            status.textContent = `✅ ${subject} matches the schema (${result.draft})`;
+            status.className = 'schema-status schema-status-valid';
+            list.innerHTML = '';
+            list.classList.add('hidden');
+            return;
         }
 
-        // Save preference
-        localStorage.setItem('theme', this.isDarkTheme ? 'dark' : 'light');
-        showNotification(`${this.isDarkTheme ? 'Dark' : 'Light'} theme enabled`, 'info');
+        const shown = result.errors.length < result.errorCount ? `, first ${result.errors.length} shown` : '';
+        status.textContent = `❌ ${subject}: ${result.errorCount} violation${result.errorCount !== 1 ? 's' : ''}${shown} (${result.draft})`;
+        status.className = 'schema-status schema-status-error';
+
+        // Only document violations can be found in the editor
+        const linked = this.schemaTarget === 'document';
+        list.innerHTML = '';
+        result.errors.forEach(error => {
+            const item = document.createElement('li');
+            const entry = document.createElement(linked ? 'button' : 'div');
+            entry.className = linked ? 'schema-error schema-error-link' : 'schema-error';
+            entry.dataset.pointer = error.pointer;
+            entry.title = error.schemaPath;
+
+            const pointer = document.createElement('code');
+            pointer.className = 'schema-error-pointer';
+            pointer.textContent = error.pointer || '/';
+
+            const keyword = document.createElement('span');
+            keyword.className = 'query-language-badge';
+            keyword.textContent = error.keyword;
+
+            const message = document.createElement('span');
+            message.className = 'schema-error-message';
+            message.textContent = error.message;
+
+            entry.append(pointer, keyword, message);
+            item.appendChild(entry);
+            list.appendChild(item);
+        });
+        list.classList.remove('hidden');
     }
 
     /**
-     * Load theme preference from localStorage
+     * Jump to the location of a document violation in the editor
      */
-    loadThemePreference() {
-        const savedTheme = localStorage.getItem('theme');
-        if (savedTheme === 'dark') {
-            this.isDarkTheme = true;
-            document.body.classList.add('dark-theme');
-            const themeToggle = document.getElementById('themeToggle');
-            if (themeToggle) {
-                themeToggle.textContent = '☀️';
-            }
+    handleSchemaErrorClick(event) {
+        const item = event.target.closest('.schema-error-link');
+        if (!item) return;
+
+        if (!this.jsonParser.revealPointer(item.dataset.pointer)) {
+            const format = this.jsonParser.inputFormat;
+            showNotification(format === 'json' || format === 'ndjson'
+                ? 'This location is no longer in the editor; validate again'
+                : 'Locations can only be shown for JSON and JSON Lines input', 'info');
         }
     }
 
     /**
-     * Handle keyboard shortcuts
+     * Open the Generate Schema dialog for the document, or the results when no document is loaded
      */
-    handleKeyboardShortcuts(event) {
-        // Ctrl/Cmd + Enter: Format JSON (in JSON input)
-        if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
-            const activeElement = document.activeElement;
-            if (activeElement && activeElement.id === 'jsonInput') {
-                event.preventDefault();
-                this.handleFormat();
-            }
+    openGenerateSchemaModal() {
+        const hasDocument = this.jsonParser.isStreamed() || this.jsonParser.getCurrentJSON() !== null;
+        const hasResults = this.currentResults !== null;
+        if (!hasDocument && !hasResults) {
+            showNotification('Load a valid document first', 'error');
+            return;
         }
 
-        // Shift + Enter: Execute Query (in query input)
-        if (event.shiftKey && event.key === 'Enter') {
-            const activeElement = document.activeElement;
-            if (activeElement && activeElement.id === 'queryInput') {
-                event.preventDefault();
-                this.handleExecuteQuery();
-            }
-        }
+        const source = document.getElementById('generateSchemaSource');
+        source.querySelector('option[value="document"]').disabled = !hasDocument;
+        source.querySelector('option[value="results"]').disabled = !hasResults;
+        source.value = hasDocument ? 'document' : 'results';
+        document.getElementById('generateSchemaOutput').value = this.storageManager.getPreference('schemaOutput', 'jsonSchema');
 
-        // Ctrl/Cmd + K: Clear
-        if ((event.ctrlKey || event.metaKey) && event.key === 'k') {
-            event.preventDefault();
-            this.handleClear();
-        }
+        this.openModal('generateSchemaModal');
+        this.refreshGeneratedSchema();
+    }
 
-        // Ctrl/Cmd + /: Toggle theme
-        if ((event.ctrlKey || event.metaKey) && event.key === '/') {
-            event.preventDefault();
-            this.toggleTheme();
+    /**
+     * Infer the shape of the chosen source
+     * The document is walked in the worker, so large files stay responsive.
+     */
+    async refreshGeneratedSchema() {
+        const source = document.getElementById('generateSchemaSource').value;
+        const summary = document.getElementById('generateSchemaSummary');
+        const request = ++this.shapeRequest;
+
+        this.generatedShape = null;
+        this.renderGeneratedSchema();
+        summary.textContent = 'Inferring types…';
+
+        try {
+            const shape = source === 'results'
+                ? inferShape(this.currentResults)
+                : await this.jsonParser.inferDocumentShape();
+            if (request !== this.shapeRequest) return;
+
+            this.generatedShape = shape;
+            summary.textContent = `Inferred from ${describeShape(shape)} of the ${source === 'results' ? 'query results' : 'document'}. Fields missing from some records are optional.`;
+            this.renderGeneratedSchema();
+        } catch (error) {
+            if (request !== this.shapeRequest) return;
+            summary.textContent = `Could not infer a schema: ${error.message}`;
         }
     }
 
     /**
-     * Setup drag and drop for JSON files
+     * Show the inferred shape in the chosen output format
      */
-    setupDragAndDrop() {
-        const jsonInput = document.getElementById('jsonInput');
-        if (!jsonInput) return;
-
-        const container = jsonInput.closest('.panel-body');
-        if (!container) return;
+    renderGeneratedSchema() {
+        const output = document.getElementById('generateSchemaOutput').value;
+        const text = this.generatedShape ? formatShape(this.generatedShape, output) : '';
+
+        document.getElementById('generatedSchema').textContent = text;
+        ['copyGeneratedSchema', 'downloadGeneratedSchema', 'useGeneratedSchema'].forEach(id => {
+            document.getElementById(id).disabled = !text;
+        });
+        document.getElementById('useGeneratedSchema').classList.toggle('hidden', output !== 'jsonSchema');
+    }
+
+    /**
+     * Copy the generated schema
+     */
+    async handleCopyGeneratedSchema() {
+        const text = document.getElementById('generatedSchema').textContent;
+        const success = await copyToClipboard(text);
+        showNotification(success ? 'Schema copied to clipboard' : 'Failed to copy schema', success ? 'success' : 'error');
+    }
+
+    /**
+     * Download the generated schema
+     */
+    handleDownloadGeneratedSchema() {
+        const { filename, mimeType } = SCHEMA_OUTPUTS[document.getElementById('generateSchemaOutput').value];
+        this.resultsExporter.downloadFile(document.getElementById('generatedSchema').textContent, filename, mimeType);
+        showNotification(`Downloaded ${filename}`, 'success');
+    }
+
+    /**
+     * Put the generated JSON Schema in the schema panel
+     */
+    handleUseGeneratedSchema() {
+        if (!this.generatedShape) return;
+
+        const text = formatShape(this.generatedShape, 'jsonSchema');
+        document.getElementById('schemaInput').value = text;
+        this.storageManager.setPreference('jsonSchema', text);
+
+        this.closeModal('generateSchemaModal');
+        if (document.getElementById('schemaPanel').classList.contains('hidden')) {
+            this.toggleSchemaPanel();
+        }
+        showNotification('Schema ready: click Validate to check the data', 'success');
+    }
+
+    /**
+     * Open the Data Profile dialog for the loaded document
+     * The records are profiled in the worker, so large files stay responsive.
+     */
+    async openProfileModal() {
+        if (!this.jsonParser.isStreamed() && this.jsonParser.getCurrentJSON() === null) {
+            showNotification('Load a valid document first', 'error');
+            return;
+        }
+
+        const summary = document.getElementById('profileSummary');
+        const request = ++this.profileRequest;
+        this.profile = null;
+        this.profileView.clear();
+        summary.textContent = 'Profiling fields…';
+        this.openModal('profileModal');
+
+        try {
+            const profile = await this.jsonParser.profileDocument();
+            if (request !== this.profileRequest) return;
+
+            this.profile = profile;
+            const { recordsPath, recordCount, fields, truncatedFields } = profile;
+            const where = recordsPath ? ` in ${recordsPath}` : '';
+            const parts = recordsPath === null
+                ? ['The document has no array, so it is profiled as a single record.']
+                : [`${recordCount.toLocaleString()} record${recordCount !== 1 ? 's' : ''}${where}, ${fields.length} field${fields.length !== 1 ? 's' : ''}. Click a value to query the records that have it.`];
+            if (truncatedFields) {
+                parts.push(`Only the first ${fields.length} fields are profiled.`);
+            }
+            summary.textContent = parts.join(' ');
+
+            // Without a record array there is nothing to filter
+            this.profileView.render(profile, { selectable: recordsPath !== null });
+        } catch (error) {
+            if (request !== this.profileRequest) return;
+            summary.textContent = `Could not profile the document: ${error.message}`;
+        }
+    }
+
+    /**
+     * Query the records whose field has the clicked value
+     * @param {string[]} segments - Field path inside a record
+     * @param {*} value - Clicked value
+     */
+    handleProfileValueSelect(segments, value) {
+        if (!this.profile) return;
+
+        this.closeModal('profileModal');
+        if (this.queryMode !== 'code') {
+            this.switchMode('code');
+        }
+        this.queryEngine.filterByValue(this.profile.recordsPath, segments, value);
+    }
+
+    /**
+     * Refresh the editor-dependent UI after the workspace shows another document
+     */
+    handleWorkspaceDocumentShown() {
+        this.updateInputFormatOptions();
+        this.queryBuilder?.refresh();
+        this.queryAssist?.refresh();
+
+        // Results follow the document on screen
+        if (document.getElementById('queryInput')?.value.trim()) {
+            this.handleQueryInput();
+        }
+    }
+
+    /**
+     * Add an empty document to the workspace
+     */
+    async handleAddDocument() {
+        await this.workspace.addDocument();
+        document.getElementById('jsonInput')?.focus();
+    }
+
+    /**
+     * Open the Join dialog for the array documents of the workspace
+     */
+    openJoinModal() {
+        this.joinDatasets = new Map(this.workspace.getDatasets()
+            .filter(({ data }) => Array.isArray(data))
+            .map(({ name, data }) => [name, this.workspace.getRecordFields(data)]));
+
+        if (this.joinDatasets.size < 2) {
+            showNotification('Open at least two documents with arrays of records to join them', 'error');
+            return;
+        }
+
+        const names = [...this.joinDatasets.keys()];
+        const active = this.workspace.getActiveDocument().name;
+        const left = this.joinDatasets.has(active) ? active : names[0];
+        const right = names.find(name => name !== left);
+
+        ['joinLeft', 'joinRight'].forEach(id => {
+            const select = document.getElementById(id);
+            select.replaceChildren(...names.map(name => new Option(name, name)));
+        });
+        document.getElementById('joinLeft').value = left;
+        document.getElementById('joinRight').value = right;
+
+        this.updateJoinKeys();
+        this.openModal('joinModal');
+    }
+
+    /**
+     * Offer the fields of the chosen datasets and guess the keys that link them
+     * e.g. orders.customerId or orders.userId to users.id
+     */
+    updateJoinKeys() {
+        const left = document.getElementById('joinLeft').value;
+        const right = document.getElementById('joinRight').value;
+        const leftFields = this.joinDatasets.get(left) || [];
+        const rightFields = this.joinDatasets.get(right) || [];
+        const singular = name => name.replace(/s$/i, '');
+
+        // A foreign key names the other dataset, or at least not its own
+        const references = leftFields.filter(field => /id$/i.test(field) && field.toLowerCase() !== 'id');
+        const leftKey = references.find(field => field.replace(/_?id$/i, '').toLowerCase() === singular(right).toLowerCase()) ||
+            references.find(field => !field.toLowerCase().startsWith(singular(left).toLowerCase())) ||
+            references[0] || leftFields[0] || '';
+        const rightKey = rightFields.includes('id') ? 'id' : (rightFields[0] || '');
+
+        const fill = (id, fields, value) => {
+            const select = document.getElementById(id);
+            select.replaceChildren(...fields.map(field => new Option(field, field)));
+            select.value = value;
+        };
+        fill('joinLeftKey', leftFields, leftKey);
+        fill('joinRightKey', rightFields, rightKey);
+        document.getElementById('joinAs').value = singular(right);
+
+        this.renderJoinQuery();
+    }
+
+    /**
+     * Build the lookup() query of the Join dialog
+     * @returns {string} JMESPath query, or '' when a key is missing
+     */
+    buildJoinQuery() {
+        const value = id => document.getElementById(id).value;
+        if (!value('joinLeftKey') || !value('joinRightKey')) return '';
+
+        const name = value('joinAs').trim() || 'match';
+        return `lookup(${toJMESPath([value('joinLeft')])}, ${toJMESPath([value('joinRight')])}, ` +
+            `&${toJMESPath([value('joinLeftKey')])}, &${toJMESPath([value('joinRightKey')])}, '${name.replace(/'/g, "\\'")}')`;
+    }
+
+    /**
+     * Show the query the Join dialog will insert
+     */
+    renderJoinQuery() {
+        const query = this.buildJoinQuery();
+        document.getElementById('joinQueryPreview').textContent = query || 'Both datasets need record fields to join on.';
+        document.getElementById('insertJoinQuery').disabled = !query;
+    }
+
+    /**
+     * Run the join as a JMESPath query against all documents
+     */
+    handleInsertJoinQuery() {
+        const query = this.buildJoinQuery();
+        if (!query) return;
+
+        this.closeModal('joinModal');
+        if (this.queryMode !== 'code') {
+            this.switchMode('code');
+        }
+        this.applyQueryLanguage('jmespath');
+
+        // lookup() reads the datasets by name, so it needs the workspace scope
+        if (this.workspace.getScope() !== 'workspace') {
+            this.workspace.setScope('workspace');
+            document.getElementById('queryScopeSelect').value = 'workspace';
+            this.queryBuilder?.refresh();
+        }
+
+        const queryInput = document.getElementById('queryInput');
+        queryInput.value = query;
+        queryInput.focus();
+        queryInput.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Handle format button click
+     */
+    handleFormat() {
+        if (this.jsonParser.isStreamed()) {
+            showNotification('Large files are shown as a read-only preview', 'info');
+            return;
+        }
+
+        if (this.jsonParser.inputFormat === 'json5') {
+            showNotification('Use Repair to rewrite JSON5 as strict JSON', 'info');
+            return;
+        }
+
+        if (this.jsonParser.inputFormat === 'yaml' || this.jsonParser.inputFormat === 'xml') {
+            showNotification('Use Repair to convert the input to JSON', 'info');
+            return;
+        }
+
+        const success = this.jsonParser.formatInput();
+        if (success) {
+            this.workspace.syncActive();
+            showNotification('JSON formatted successfully', 'success');
+        } else {
+            showNotification('Cannot format invalid JSON', 'error');
+        }
+    }
+
+    /**
+     * Handle repair button click
+     */
+    handleRepair() {
+        if (this.jsonParser.isStreamed()) {
+            showNotification('Large files are shown as a read-only preview', 'info');
+            return;
+        }
+
+        const format = this.jsonParser.inputFormat;
+        const converting = format === 'yaml' || format === 'xml';
+        const { success, changes } = this.jsonParser.repairInput();
+        this.updateInputFormatOptions();
+
+        if (!success) {
+            showNotification(`Cannot repair: input is not valid ${converting ? format.toUpperCase() : 'JSON5'}`, 'error');
+            return;
+        }
+
+        this.workspace.syncActive();
+        this.queryBuilder?.refresh();
+        if (converting) {
+            showNotification(`Converted ${format.toUpperCase()} to JSON`, 'success');
+        } else if (changes.length === 0) {
+            showNotification('Input is already strict JSON', 'info');
+        } else {
+            showNotification(`Repaired ${changes.length} issue${changes.length !== 1 ? 's' : ''}`, 'success');
+        }
+    }
+
+    /**
+     * Handle clear button click
+     */
+    handleClear() {
+        if (confirm('Clear all input and output?')) {
+            this.jsonParser.clear();
+            this.workspace.syncActive();
+            showNotification('Cleared', 'info');
+        }
+    }
+
+    /**
+     * Handle file upload
+     */
+    async handleFileUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        await this.loadFile(file);
+
+        // Reset file input
+        event.target.value = '';
+    }
+
+    /**
+     * Load an uploaded or dropped file into the editor
+     * @param {File} file - File object
+     * @param {string} source - How the file was picked: 'upload' or 'drop'
+     */
+    async loadFile(file, source = 'upload') {
+        // Files open in a tab of their own unless the current tab is empty
+        const { document: tab, created } = await this.workspace.openFileTab();
+        const success = await this.jsonParser.loadFromFile(file);
+
+        this.updateInputFormatOptions();
+
+        // null: the CSV import preview was cancelled
+        if (success === null) {
+            if (created) await this.workspace.discard(tab.id);
+            return;
+        }
+
+        // Another tab was opened while a large file loaded; its tab kept the file
+        if (this.workspace.activeId !== tab.id) {
+            this.workspace.nameAfterFile(tab.id, file.name);
+            return;
+        }
+
+        this.workspace.syncActive();
+        if (success) {
+            this.workspace.nameAfterFile(tab.id, file.name);
+            this.queryBuilder?.refresh();
+            showNotification(`Loaded ${file.name}`, 'success');
+            await this.rememberDocument(file.name, source);
+        } else {
+            showNotification('Failed to load file', 'error');
+        }
+    }
+
+    /**
+     * Keep the document just loaded into the editor in Recent files
+     * Converted files (CSV, TSV) are kept as the JSON they were converted to;
+     * large files are kept as the file itself.
+     * @param {string} name - File name
+     * @param {string} source - 'upload' or 'drop'
+     */
+    async rememberDocument(name, source) {
+        const documentStore = this.storageManager.documentStore;
+        if (!documentStore.isAvailable()) return;
+
+        const streamed = this.jsonParser.isStreamed() ? this.jsonParser.getStreamedSummary() : null;
+        try {
+            const stored = await documentStore.saveDocument(streamed
+                ? { name, source, format: streamed.options.format, file: streamed.file }
+                : { name, source, format: this.jsonParser.inputFormat, text: this.jsonParser.jsonInput.value });
+
+            if (!stored) {
+                showNotification(`${name} is larger than ${formatBytes(MAX_STORED_SIZE)} and is not kept in Recent files`, 'info');
+            }
+        } catch (error) {
+            console.error('Error storing document:', error);
+            if (error.name === 'QuotaExceededError') {
+                showNotification(`Not enough browser storage to keep ${name} in Recent files`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Open the Recent files dialog
+     */
+    async openRecentFilesModal() {
+        this.openModal('recentFilesModal');
+        await this.renderRecentFiles();
+    }
+
+    /**
+     * Render the stored documents and how much storage they use
+     */
+    async renderRecentFiles() {
+        const container = document.getElementById('recentFilesList');
+        const usage = document.getElementById('recentFilesUsage');
+        const clearBtn = document.getElementById('clearRecentFilesBtn');
+        if (!container) return;
+
+        let documents = [];
+        try {
+            documents = await this.storageManager.documentStore.listDocuments();
+        } catch (error) {
+            console.error('Error listing stored documents:', error);
+            container.innerHTML = '<p class="info-text">Recent files are not available in this browser</p>';
+            if (usage) usage.textContent = '';
+            if (clearBtn) clearBtn.disabled = true;
+            return;
+        }
+
+        if (clearBtn) clearBtn.disabled = documents.length === 0;
+        if (documents.length === 0) {
+            container.innerHTML = '<p class="info-text">No recent files yet. Uploaded and dropped files are kept here.</p>';
+        } else {
+            const fragment = document.createDocumentFragment();
+            documents.forEach(doc => fragment.appendChild(this.createRecentFileItem(doc)));
+            container.replaceChildren(fragment);
+        }
+
+        if (usage) {
+            usage.textContent = this.describeStorageUsage(await this.storageManager.getStorageStats());
+        }
+    }
+
+    /**
+     * Create the list item of a stored document
+     * @param {Object} doc - Stored document metadata
+     * @returns {HTMLElement}
+     */
+    createRecentFileItem(doc) {
+        const item = document.createElement('div');
+        item.className = 'history-item recent-file-item';
+
+        const header = document.createElement('div');
+        header.className = 'history-header';
+        const name = document.createElement('h4');
+        name.className = 'recent-file-name';
+        name.textContent = doc.name;
+        const date = document.createElement('span');
+        date.className = 'history-date';
+        date.textContent = new Date(doc.savedAt).toLocaleString();
+        header.append(name, date);
+
+        const details = [
+            DOCUMENT_SOURCES[doc.source] || doc.source,
+            this.jsonParser.getFormatLabel(doc.format),
+            formatBytes(doc.size)
+        ];
+        if (doc.streamed) details.push('large file');
+        const meta = document.createElement('p');
+        meta.className = 'recent-file-meta';
+        meta.textContent = details.join(' · ');
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        [['open', 'btn btn-sm btn-primary', '📂 Open'], ['delete', 'btn btn-sm btn-error', '🗑️ Remove']].forEach(([action, className, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.textContent = label;
+            button.dataset.action = action;
+            button.dataset.id = doc.id;
+            actions.appendChild(button);
+        });
+
+        item.append(header, meta, actions);
+        return item;
+    }
+
+    /**
+     * Summarize what the stored documents and the app take of the browser's storage
+     * @param {Object} stats - Stats from StorageManager.getStorageStats
+     * @returns {string}
+     */
+    describeStorageUsage(stats) {
+        let text = `${stats.documentsCount} recent file${stats.documentsCount !== 1 ? 's' : ''} using ${formatBytes(stats.documentsSize)}`;
+        if (stats.usage !== null && stats.quota) {
+            const percent = Math.round((stats.usage / stats.quota) * 1000) / 10;
+            text += ` · Browser storage: ${formatBytes(stats.usage)} of ${formatBytes(stats.quota)} used (${percent}%)`;
+        }
+        return text;
+    }
+
+    /**
+     * Open or remove a stored document from its list item
+     */
+    handleRecentFileClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'open') {
+            this.openRecentFile(button.dataset.id);
+        } else if (button.dataset.action === 'delete') {
+            this.deleteRecentFile(button.dataset.id);
+        }
+    }
+
+    /**
+     * Load a stored document into a tab without picking the file again
+     * @param {string} id - Stored document ID
+     */
+    async openRecentFile(id) {
+        const documentStore = this.storageManager.documentStore;
+        let stored = null;
+        try {
+            stored = await documentStore.getDocument(id);
+        } catch (error) {
+            console.error('Error reading stored document:', error);
+        }
+
+        if (!stored) {
+            showNotification('This file is no longer stored', 'error');
+            await this.renderRecentFiles();
+            return;
+        }
+
+        this.closeModal('recentFilesModal');
+        const { document: tab } = await this.workspace.openFileTab();
+        this.jsonParser.setInputFormat(stored.format);
+
+        let success;
+        if (stored.file) {
+            success = await this.jsonParser.loadLargeFile(stored.file);
+        } else {
+            this.jsonParser.jsonInput.value = stored.text;
+            success = this.jsonParser.parse(stored.text);
+        }
+
+        // Unless another tab was opened while a large file loaded; its tab kept the file
+        if (this.workspace.activeId === tab.id) {
+            this.updateInputFormatOptions();
+            this.workspace.syncActive();
+            if (success) {
+                this.queryBuilder?.refresh();
+                showNotification(`Opened ${stored.name}`, 'success');
+            }
+        }
+        this.workspace.nameAfterFile(tab.id, stored.name);
+
+        try {
+            await documentStore.touchDocument(id);
+        } catch (error) {
+            console.error('Error updating stored document:', error);
+        }
+    }
+
+    /**
+     * Remove a stored document from Recent files
+     * @param {string} id - Stored document ID
+     */
+    async deleteRecentFile(id) {
+        try {
+            await this.storageManager.documentStore.deleteDocument(id);
+        } catch (error) {
+            console.error('Error removing stored document:', error);
+            showNotification('Failed to remove the file', 'error');
+        }
+        await this.renderRecentFiles();
+    }
+
+    /**
+     * Remove every stored document
+     */
+    async handleClearRecentFiles() {
+        if (!confirm('Remove all recent files from this browser?')) return;
+
+        try {
+            await this.storageManager.documentStore.clear();
+            showNotification('Recent files cleared', 'success');
+        } catch (error) {
+            console.error('Error clearing stored documents:', error);
+            showNotification('Failed to clear recent files', 'error');
+        }
+        await this.renderRecentFiles();
+    }
+
+    /**
+     * Show the columns and inferred types of a CSV file before it is loaded
+     * @param {string} fileName - File name
+     * @param {string} text - File contents
+     * @param {Object} parsed - Result from parseCSV
+     * @returns {Promise<Object|null>} { delimiter, types }, or null when cancelled
+     */
+    openCSVImportModal(fileName, text, parsed) {
+        // A preview that is still open is cancelled by the new file
+        this.resolveCSVImport(null);
+
+        document.getElementById('csvImportFileName').textContent = fileName;
+        document.getElementById('csvImportDelimiter').value = parsed.delimiter;
+
+        return new Promise(resolve => {
+            this.csvImport = { text, parsed, resolve };
+            this.renderCSVImportColumns();
+            this.openModal('csvImportModal');
+        });
+    }
+
+    /**
+     * Parse the pending CSV file again with the delimiter chosen in the preview
+     */
+    handleCSVImportDelimiterChange() {
+        if (!this.csvImport) return;
+
+        const delimiter = document.getElementById('csvImportDelimiter').value;
+        this.csvImport.parsed = parseCSV(this.csvImport.text, { delimiter });
+        this.renderCSVImportColumns();
+    }
+
+    /**
+     * Render the columns of the pending CSV file with a type choice for each
+     */
+    renderCSVImportColumns() {
+        const { parsed } = this.csvImport;
+        const summary = document.getElementById('csvImportSummary');
+        const body = document.getElementById('csvImportColumns');
+        const confirmBtn = document.getElementById('confirmCSVImport');
+
+        confirmBtn.disabled = !parsed.valid;
+        if (!parsed.valid) {
+            summary.textContent = parsed.error;
+            body.innerHTML = '';
+            return;
+        }
+
+        const rowCount = parsed.rows.length;
+        summary.textContent = `${rowCount} row${rowCount !== 1 ? 's' : ''} • ${parsed.columns.length} column${parsed.columns.length !== 1 ? 's' : ''}`;
+
+        const typeLabels = { number: 'Number', boolean: 'Boolean', date: 'Date (ISO 8601)', null: 'Empty (null)', string: 'Text' };
+        body.innerHTML = parsed.columns.map((column, index) => {
+            // Only the inferred type fits every cell; any column can stay text
+            const types = column.type === 'string' ? ['string'] : [column.type, 'string'];
+            return `
+                <tr>
+                    <td>${this.escapeHtml(column.name)}</td>
+                    <td>
+                        <select class="form-select" data-index="${index}">
+                            ${types.map(type => `<option value="${type}">${typeLabels[type]}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td class="csv-import-samples">${column.samples.map(sample => this.escapeHtml(sample)).join(', ')}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Load the pending CSV file with the types chosen in the preview
+     */
+    handleConfirmCSVImport() {
+        if (!this.csvImport?.parsed.valid) return;
+
+        const types = Array.from(document.querySelectorAll('#csvImportColumns select'), select => select.value);
+        this.resolveCSVImport({ delimiter: this.csvImport.parsed.delimiter, types });
+        this.closeModal('csvImportModal');
+    }
+
+    /**
+     * Settle the pending CSV import
+     * @param {Object|null} settings - Import settings, or null to cancel
+     */
+    resolveCSVImport(settings) {
+        if (!this.csvImport) return;
+
+        const { resolve } = this.csvImport;
+        this.csvImport = null;
+        resolve(settings);
+    }
+
+    /**
+     * Handle query input change (Week 2)
+     */
+    handleQueryInput() {
+        const query = document.getElementById('queryInput').value;
+        if (this.queryEngine) {
+            this.queryEngine.executeQuery(query);
+        }
+    }
+
+    /**
+     * Handle execute query button click (Week 2)
+     */
+    async handleExecuteQuery() {
+        const query = document.getElementById('queryInput').value;
+        this.queryAssist?.refresh();
+        if (this.queryEngine) {
+            const language = this.queryEngine.getLanguage();
+            const success = await this.queryEngine.executeQuery(query);
+            if (success) {
+                // Week 4: Store results for export
+                this.currentResults = this.queryEngine.queryResults;
+                this.updateExportButtons();
+
+                // Week 4: Add to history
+                if (query.trim()) {
+                    this.storageManager.addToHistory(query, language, {
+                        duration: this.queryEngine.queryDuration,
+                        dataset: this.workspace.getDatasetInfo(),
+                        ...summarizeResult(this.currentResults)
+                    });
+                }
+
+                showNotification('Query executed successfully', 'success');
+            }
+        }
+    }
+
+    /**
+     * Handle clear query button click (Week 2)
+     */
+    handleClearQuery() {
+        if (this.queryEngine) {
+            this.queryEngine.clear();
+        }
+        this.queryAssist?.refresh();
+
+        // Also clear the builder (Week 3)
+        if (this.queryBuilder) {
+            this.queryBuilder.reset();
+        }
+
+        showNotification('Query cleared', 'info');
+    }
+
+    /**
+     * Handle example query selection (Week 2)
+     */
+    handleExampleQuery(event) {
+        const index = parseInt(event.target.value);
+        if (!isNaN(index) && this.queryEngine) {
+            this.queryEngine.loadExampleQuery(index);
+            this.queryAssist?.refresh();
+        }
+        // Reset dropdown
+        event.target.value = '';
+    }
+
+    /**
+     * Handle copy results button click (Week 2)
+     */
+    async handleCopyResults() {
+        if (!this.queryEngine) return;
+
+        const text = this.queryEngine.getResultsText();
+        if (!text) return;
+
+        const success = await copyToClipboard(text);
+        const copyBtn = document.getElementById('copyResultsBtn');
+
+        if (success) {
+            showNotification('Results copied to clipboard', 'success');
+            // Visual feedback
+            if (copyBtn) {
+                const originalText = copyBtn.innerHTML;
+                copyBtn.innerHTML = '✓ Copied';
+                setTimeout(() => {
+                    copyBtn.innerHTML = originalText;
+                }, 2000);
+            }
+        } else {
+            showNotification('Failed to copy results', 'error');
+        }
+    }
+
+    /**
+     * Switch between Code and Builder modes (Week 3)
+     */
+    switchMode(mode) {
+        this.queryMode = mode;
+
+        const codeView = document.getElementById('codeView');
+        const builderView = document.getElementById('builderView');
+        const codeModeBtn = document.getElementById('codeMode');
+        const builderModeBtn = document.getElementById('builderMode');
+
+        if (mode === 'code') {
+            // Show code view
+            codeView?.classList.remove('hidden');
+            builderView?.classList.add('hidden');
+            codeModeBtn?.classList.add('active');
+            builderModeBtn?.classList.remove('active');
+
+            // The builder may have replaced the query
+            this.queryAssist?.refresh();
+        } else {
+            // Show builder view
+            codeView?.classList.add('hidden');
+            builderView?.classList.remove('hidden');
+            codeModeBtn?.classList.remove('active');
+            builderModeBtn?.classList.add('active');
+
+            // Refresh builder when switching to it
+            if (this.queryBuilder) {
+                this.queryBuilder.refresh();
+            }
+        }
+
+        showNotification(`Switched to ${mode} mode`, 'info');
+    }
+
+    /**
+     * Toggle dark/light theme
+     */
+    toggleTheme() {
+        this.isDarkTheme = !this.isDarkTheme;
+        document.body.classList.toggle('dark-theme', this.isDarkTheme);
+
+        const themeToggle = document.getElementById('themeToggle');
+        if (themeToggle) {
+            themeToggle.textContent = this.isDarkTheme ? '☀️' : '🌙';
+        }
+
+        // Save preference
+        localStorage.setItem('theme', this.isDarkTheme ? 'dark' : 'light');
+        showNotification(`${this.isDarkTheme ? 'Dark' : 'Light'} theme enabled`, 'info');
+    }
+
+    /**
+     * Load theme preference from localStorage
+     */
+    loadThemePreference() {
+        const savedTheme = localStorage.getItem('theme');
+        if (savedTheme === 'dark') {
+            this.isDarkTheme = true;
+            document.body.classList.add('dark-theme');
+            const themeToggle = document.getElementById('themeToggle');
+            if (themeToggle) {
+                themeToggle.textContent = '☀️';
+            }
+        }
+    }
+
+    /**
+     * Load the query timeout preference
+     */
+    loadQueryTimeoutPreference() {
+        const timeout = this.storageManager.getPreference('queryTimeout', this.queryEngine.timeoutMs);
+        this.queryEngine.setTimeoutMs(timeout);
+
+        const queryTimeoutSelect = document.getElementById('queryTimeoutSelect');
+        if (queryTimeoutSelect) {
+            queryTimeoutSelect.value = String(this.queryEngine.timeoutMs);
+        }
+    }
+
+    /**
+     * Load the query language preference
+     */
+    loadQueryLanguagePreference() {
+        const language = this.storageManager.getPreference('queryLanguage', 'jmespath');
+        this.queryEngine.setLanguage(language);
+    }
+
+    /**
+     * Load the saved query scope
+     */
+    loadQueryScopePreference() {
+        const select = document.getElementById('queryScopeSelect');
+        if (select) {
+            select.value = this.workspace.getScope();
+        }
+    }
+
+    /**
+     * Handle query scope change: the active document, or every document by name
+     * @param {string} scope - 'document' or 'workspace'
+     */
+    handleQueryScopeChange(scope) {
+        this.workspace.setScope(scope);
+
+        // Field suggestions and builder fields follow what queries see
+        this.queryBuilder?.refresh();
+        this.queryAssist?.refresh();
+
+        if (scope === 'workspace' && this.jsonParser.isStreamed()) {
+            showNotification('Large files are queried on their own; switch to another document to query all of them', 'info');
+        }
+        if (document.getElementById('queryInput')?.value.trim()) {
+            this.handleQueryInput();
+        }
+    }
+
+    /**
+     * Switch the query language and remember it
+     * @param {string} language - 'jmespath', 'jsonpath' or 'jq'
+     * @returns {boolean} Whether the language changed
+     */
+    applyQueryLanguage(language) {
+        const changed = this.queryEngine.setLanguage(language);
+        this.storageManager.setPreference('queryLanguage', this.queryEngine.getLanguage());
+        return changed;
+    }
+
+    /**
+     * Handle query language change
+     * @param {string} language - Selected language
+     */
+    handleQueryLanguageChange(language) {
+        if (!this.applyQueryLanguage(language)) return;
+        this.queryAssist?.refresh();
+
+        // Re-run the current query so errors reflect the new language
+        if (document.getElementById('queryInput')?.value.trim()) {
+            this.handleQueryInput();
+        }
+    }
+
+    /**
+     * Handle query timeout change
+     * @param {string} value - Timeout in milliseconds, '0' for none
+     */
+    handleQueryTimeoutChange(value) {
+        const timeout = parseInt(value, 10) || 0;
+        this.queryEngine.setTimeoutMs(timeout);
+        this.storageManager.setPreference('queryTimeout', timeout);
+    }
+
+    /**
+     * Handle keyboard shortcuts
+     */
+    handleKeyboardShortcuts(event) {
+        // Ctrl/Cmd + Enter: Format JSON (in JSON input)
+        if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
+            const activeElement = document.activeElement;
+            if (activeElement && activeElement.id === 'jsonInput') {
+                event.preventDefault();
+                this.handleFormat();
+            }
+        }
+
+        // Shift + Enter: Execute Query (in query input)
+        if (event.shiftKey && event.key === 'Enter') {
+            const activeElement = document.activeElement;
+            if (activeElement && activeElement.id === 'queryInput') {
+                event.preventDefault();
+                this.handleExecuteQuery();
+            }
+        }
+
+        // Escape: Cancel a running query
+        if (event.key === 'Escape' && this.queryEngine && this.queryEngine.isRunning()) {
+            event.preventDefault();
+            this.queryEngine.cancelQuery();
+        }
+
+        // Ctrl/Cmd + K: Clear
+        if ((event.ctrlKey || event.metaKey) && event.key === 'k') {
+            event.preventDefault();
+            this.handleClear();
+        }
+
+        // Ctrl/Cmd + /: Toggle theme
+        if ((event.ctrlKey || event.metaKey) && event.key === '/') {
+            event.preventDefault();
+            this.toggleTheme();
+        }
+    }
+
+    /**
+     * Setup drag and drop for JSON files
+     */
+    setupDragAndDrop() {
+        const jsonInput = document.getElementById('jsonInput');
+        if (!jsonInput) return;
+
+        const container = jsonInput.closest('.panel-body');
+        if (!container) return;
 
         ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
             container.addEventListener(eventName, preventDefaults, false);
         });
 
-        function preventDefaults(e) {
-            e.preventDefault();
-            e.stopPropagation();
+        function preventDefaults(e) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        ['dragenter', 'dragover'].forEach(eventName => {
+            container.addEventListener(eventName, () => {
+                container.style.backgroundColor = 'var(--accent-light)';
+            }, false);
+        });
+
+        ['dragleave', 'drop'].forEach(eventName => {
+            container.addEventListener(eventName, () => {
+                container.style.backgroundColor = '';
+            }, false);
+        });
+
+        container.addEventListener('drop', async (e) => {
+            const files = e.dataTransfer.files;
+            if (files.length > 0) {
+                await this.loadFile(files[0], 'drop');
+            }
+        }, false);
+    }
+
+    // ========== Week 4: Export & Storage Features ==========
+
+    /**
+     * Handle export to JSON
+     */
+    handleExportJSON() {
+        if (!this.currentResults) {
+            showNotification('No results to export', 'error');
+            return;
+        }
+
+        try {
+            this.resultsExporter.exportToJSON(this.currentResults);
+            showNotification('Exported to JSON successfully', 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            showNotification('Failed to export JSON', 'error');
+        }
+    }
+
+    /**
+     * Handle export to YAML
+     */
+    handleExportYAML() {
+        if (!this.currentResults) {
+            showNotification('No results to export', 'error');
+            return;
+        }
+
+        try {
+            this.resultsExporter.exportToYAML(this.currentResults);
+            showNotification('Exported to YAML successfully', 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            showNotification('Failed to export YAML', 'error');
+        }
+    }
+
+    /**
+     * Handle export to XML
+     */
+    handleExportXML() {
+        if (!this.currentResults) {
+            showNotification('No results to export', 'error');
+            return;
+        }
+
+        try {
+            this.resultsExporter.exportToXML(this.currentResults);
+            showNotification('Exported to XML successfully', 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            showNotification('Failed to export XML', 'error');
+        }
+    }
+
+    /**
+     * Open the CSV export dialog with the settings used last time
+     */
+    openExportCSVModal() {
+        if (!this.currentResults) {
+            showNotification('No results to export', 'error');
+            return;
+        }
+
+        const settings = { ...DEFAULT_CSV_OPTIONS, ...this.storageManager.getPreference('csvExport', {}) };
+        document.getElementById('csvDelimiter').value = settings.delimiter;
+        document.getElementById('csvLineBreak').value = settings.lineBreak;
+        document.getElementById('csvArrays').value = settings.arrays;
+        document.getElementById('csvFlattenObjects').checked = settings.flattenObjects;
+        document.getElementById('csvBom').checked = settings.bom;
+
+        this.refreshCSVColumns(settings.columnOrder || [], settings.excludedColumns || []);
+        this.openModal('exportCSVModal');
+    }
+
+    /**
+     * Read the CSV options from the export dialog
+     * @returns {Object} Options for ResultsExporter.exportToCSV
+     */
+    getCSVOptions() {
+        return {
+            delimiter: document.getElementById('csvDelimiter').value,
+            lineBreak: document.getElementById('csvLineBreak').value,
+            arrays: document.getElementById('csvArrays').value,
+            flattenObjects: document.getElementById('csvFlattenObjects').checked,
+            bom: document.getElementById('csvBom').checked,
+            columns: this.csvColumns.filter(column => column.included).map(column => column.name)
+        };
+    }
+
+    /**
+     * Rebuild the column list of the CSV export dialog for the current options
+     * @param {string[]} order - Preferred column order; other columns follow in data order
+     * @param {string[]} excluded - Columns to leave unchecked
+     */
+    refreshCSVColumns(order = this.csvColumns.map(column => column.name), excluded = this.csvColumns.filter(column => !column.included).map(column => column.name)) {
+        const records = this.resultsExporter.toCSVRecords(this.currentResults, this.getCSVOptions());
+        const available = this.resultsExporter.getCSVColumns(records);
+
+        const names = [...order.filter(name => available.includes(name)), ...available.filter(name => !order.includes(name))];
+        this.csvColumns = names.map(name => ({ name, included: !excluded.includes(name) }));
+
+        this.renderCSVColumns();
+        this.updateCSVPreview();
+    }
+
+    /**
+     * Render the column list of the CSV export dialog
+     */
+    renderCSVColumns() {
+        const list = document.getElementById('csvColumnList');
+        if (!list) return;
+
+        list.innerHTML = this.csvColumns.map((column, index) => `
+            <li class="csv-column-item">
+                <label class="checkbox-label">
+                    <input type="checkbox" data-index="${index}" ${column.included ? 'checked' : ''}>
+                    ${this.escapeHtml(column.name)}
+                </label>
+                <span class="csv-column-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-index="${index}" data-move="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-index="${index}" data-move="1" title="Move down" ${index === this.csvColumns.length - 1 ? 'disabled' : ''}>↓</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Include or exclude a column in the CSV export
+     * @param {Event} event - Change event from the column list
+     */
+    handleCSVColumnToggle(event) {
+        const column = this.csvColumns[Number(event.target.dataset.index)];
+        if (!column) return;
+
+        column.included = event.target.checked;
+        this.updateCSVPreview();
+    }
+
+    /**
+     * Move a column up or down in the CSV export
+     * @param {Event} event - Click event from the column list
+     */
+    handleCSVColumnMove(event) {
+        const button = event.target.closest('button[data-move]');
+        if (!button) return;
+
+        const index = Number(button.dataset.index);
+        const target = index + Number(button.dataset.move);
+        if (target < 0 || target >= this.csvColumns.length) return;
+
+        [this.csvColumns[index], this.csvColumns[target]] = [this.csvColumns[target], this.csvColumns[index]];
+        this.renderCSVColumns();
+        this.updateCSVPreview();
+    }
+
+    /**
+     * Include or exclude every column in the CSV export
+     * @param {boolean} included - Whether the columns are exported
+     */
+    setAllCSVColumns(included) {
+        this.csvColumns.forEach(column => {
+            column.included = included;
+        });
+        this.renderCSVColumns();
+        this.updateCSVPreview();
+    }
+
+    /**
+     * Show the first lines of the CSV export
+     */
+    updateCSVPreview() {
+        const preview = document.getElementById('csvPreview');
+        if (!preview) return;
+
+        const sample = Array.isArray(this.currentResults) ? this.currentResults.slice(0, 10) : this.currentResults;
+        try {
+            const options = this.getCSVOptions();
+            const lines = this.resultsExporter.convertToCSV(sample, options).split(options.lineBreak);
+            preview.textContent = lines.slice(0, 6).join('\n') + (lines.length > 6 ? '\n…' : '');
+        } catch (error) {
+            preview.textContent = error.message;
+        }
+    }
+
+    /**
+     * Handle export to CSV and remember the dialog settings
+     */
+    handleExportCSV() {
+        if (!this.currentResults) {
+            showNotification('No results to export', 'error');
+            return;
+        }
+
+        const { columns, ...settings } = this.getCSVOptions();
+        this.storageManager.setPreference('csvExport', {
+            ...settings,
+            columnOrder: this.csvColumns.map(column => column.name),
+            excludedColumns: this.csvColumns.filter(column => !column.included).map(column => column.name)
+        });
+
+        try {
+            this.resultsExporter.exportToCSV(this.currentResults, 'query-results.csv', { ...settings, columns });
+            this.closeModal('exportCSVModal');
+            showNotification('Exported to CSV successfully', 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            showNotification(`Failed to export CSV: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Open the Excel export options, with the nested array choice used last time
+     */
+    openExportExcelModal() {
+        if (!this.currentResults) {
+            showNotification('No results to export', 'error');
+            return;
+        }
+
+        const nestedArrays = this.storageManager.getPreference('xlsxNestedArrays', 'sheets');
+        document.querySelectorAll('input[name="xlsxNestedArrays"]').forEach(input => {
+            input.checked = input.value === nestedArrays;
+        });
+        this.openModal('exportExcelModal');
+    }
+
+    /**
+     * Handle export to Excel
+     */
+    handleExportXLSX() {
+        if (!this.currentResults) {
+            showNotification('No results to export', 'error');
+            return;
+        }
+
+        const nestedArrays = document.querySelector('input[name="xlsxNestedArrays"]:checked')?.value || 'sheets';
+        this.storageManager.setPreference('xlsxNestedArrays', nestedArrays);
+
+        try {
+            this.resultsExporter.exportToXLSX(this.currentResults, 'query-results.xlsx', nestedArrays);
+            this.closeModal('exportExcelModal');
+            showNotification('Exported to Excel successfully', 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            showNotification(`Failed to export Excel: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Update export button states
+     */
+    updateExportButtons() {
+        const hasResults = this.currentResults !== null;
+        const exportJSONBtn = document.getElementById('exportJSONBtn');
+        const exportCSVBtn = document.getElementById('exportCSVBtn');
+        const exportXLSXBtn = document.getElementById('exportXLSXBtn');
+        const exportYAMLBtn = document.getElementById('exportYAMLBtn');
+        const exportXMLBtn = document.getElementById('exportXMLBtn');
+        const copyResultsBtn = document.getElementById('copyResultsBtn');
+        const validateResultsBtn = document.getElementById('validateResultsBtn');
+
+        if (exportJSONBtn) exportJSONBtn.disabled = !hasResults;
+        if (exportCSVBtn) exportCSVBtn.disabled = !hasResults;
+        if (exportXLSXBtn) exportXLSXBtn.disabled = !hasResults;
+        if (exportYAMLBtn) exportYAMLBtn.disabled = !hasResults;
+        if (exportXMLBtn) exportXMLBtn.disabled = !hasResults;
+        if (copyResultsBtn) copyResultsBtn.disabled = !hasResults;
+        if (validateResultsBtn) validateResultsBtn.disabled = !hasResults;
+    }
+
+    /**
+     * Open the Save Query dialog for the current query
+     * When the query is the saved query last loaded, its details are filled in.
+     */
+    openSaveQueryModal() {
+        const query = document.getElementById('queryInput').value.trim();
+        if (!query) {
+            showNotification('Enter a query to save', 'error');
+            return;
+        }
+
+        const active = this.activeSavedQuery;
+        const saved = active && active.template === query
+            ? this.storageManager.getSavedQueries().find(q => q.id === active.id)
+            : null;
+
+        this.editingSavedQueryId = null;
+        this.fillSaveQueryForm('Save Query', query, saved);
+        this.openModal('saveQueryModal');
+    }
+
+    /**
+     * Open the Save Query dialog to change the details of a saved query
+     * The saved queries list is shown again when the dialog closes.
+     * @param {string} id - Saved query ID
+     */
+    openEditSavedQueryModal(id) {
+        const saved = this.storageManager.getSavedQueries().find(q => q.id === id);
+        if (!saved) return;
+
+        this.closeModal('savedQueriesModal');
+        this.editingSavedQueryId = id;
+        this.fillSaveQueryForm('Edit Saved Query', saved.query, saved);
+        this.openModal('saveQueryModal');
+    }
+
+    /**
+     * Fill in the Save Query dialog
+     * @param {string} title - Dialog title
+     * @param {string} query - Query text
+     * @param {Object|null} saved - Saved query whose details are shown, or null for empty fields
+     */
+    fillSaveQueryForm(title, query, saved) {
+        document.getElementById('saveQueryTitle').textContent = title;
+        document.getElementById('queryToSave').textContent = query;
+        document.getElementById('queryName').value = saved?.name || '';
+        document.getElementById('queryDescription').value = saved?.description || '';
+        document.getElementById('queryFolder').value = saved?.folder || '';
+        document.getElementById('queryTags').value = (saved?.tags || []).join(', ');
+
+        const folderOptions = document.getElementById('queryFolderOptions');
+        folderOptions.replaceChildren(...listFolders(this.storageManager.getSavedQueries()).map(folder => new Option(folder)));
+    }
+
+    /**
+     * Handle save query form submission
+     */
+    handleSaveQuery() {
+        const nameInput = document.getElementById('queryName');
+        const descInput = document.getElementById('queryDescription');
+        const queryDisplay = document.getElementById('queryToSave');
+
+        if (!nameInput || !queryDisplay) return;
+
+        const name = nameInput.value.trim();
+        const description = descInput?.value.trim() || '';
+        const query = queryDisplay.textContent.trim();
+        const folder = normalizeFolder(document.getElementById('queryFolder').value);
+        const tags = parseTags(document.getElementById('queryTags').value);
+
+        if (!name) {
+            showNotification('Please enter a query name', 'error');
+            return;
+        }
+
+        if (this.editingSavedQueryId) {
+            if (!this.storageManager.updateSavedQuery(this.editingSavedQueryId, { name, description, folder, tags })) {
+                showNotification(`A query named "${name}" already exists`, 'error');
+                return;
+            }
+            showNotification(`Query "${name}" updated`, 'success');
+            this.closeModal('saveQueryModal');
+            return;
+        }
+
+        try {
+            const language = this.queryEngine.getLanguage();
+            this.storageManager.saveQuery(name, query, description, language, this.queryEngine.getTableLayout(), { folder, tags });
+            const saved = this.storageManager.getSavedQueries().find(q => q.name === name);
+            this.activeSavedQuery = saved ? { id: saved.id, query, template: query, language } : null;
+            showNotification(`Query "${name}" saved successfully`, 'success');
+            this.closeModal('saveQueryModal');
+        } catch (error) {
+            console.error('Save error:', error);
+            showNotification('Failed to save query', 'error');
+        }
+    }
+
+    /**
+     * Open saved queries modal
+     */
+    openSavedQueriesModal() {
+        this.renderSavedQueries();
+        this.openModal('savedQueriesModal');
+        document.getElementById('savedQuerySearch')?.focus();
+    }
+
+    /**
+     * Fill a filter select with its options, keeping the current choice when it still exists
+     * @param {HTMLSelectElement} select
+     * @param {Array<[string, string]>} options - [value, label] pairs
+     */
+    fillFilterSelect(select, options) {
+        const current = select.value;
+        select.replaceChildren(...options.map(([value, label]) => new Option(label, value)));
+        select.value = options.some(([value]) => value === current) ? current : options[0][0];
+    }
+
+    /**
+     * Render the saved queries that match the search and filters, grouped by folder
+     */
+    renderSavedQueries() {
+        const container = document.getElementById('savedQueriesList');
+        if (!container) return;
+
+        const savedQueries = this.storageManager.getSavedQueries();
+        const folderSelect = document.getElementById('savedQueryFolderFilter');
+        const tagSelect = document.getElementById('savedQueryTagFilter');
+        const summary = document.getElementById('savedQueriesSummary');
+
+        // Select values: '*' is every folder or tag, '/' the queries without a folder
+        this.fillFilterSelect(folderSelect, [
+            ['*', 'All folders'],
+            ...listFolders(savedQueries).map(folder => [folder, `📁 ${folder}`]),
+            ['/', 'No folder']
+        ]);
+        this.fillFilterSelect(tagSelect, [['*', 'All tags'], ...listTags(savedQueries).map(tag => [tag, `#${tag}`])]);
+
+        if (savedQueries.length === 0) {
+            this.savedQueryMatches = [];
+            container.innerHTML = '<p class="info-text">No saved queries yet</p>';
+            summary.textContent = '';
+            return;
+        }
+
+        const matches = filterSavedQueries(savedQueries, {
+            search: document.getElementById('savedQuerySearch').value,
+            folder: folderSelect.value === '*' ? null : (folderSelect.value === '/' ? '' : folderSelect.value),
+            tag: tagSelect.value === '*' ? null : tagSelect.value,
+            favoritesOnly: document.getElementById('savedQueryFavoritesOnly').checked
+        });
+        this.savedQueryMatches = matches;
+        summary.textContent = matches.length === savedQueries.length
+            ? `${savedQueries.length} saved quer${savedQueries.length !== 1 ? 'ies' : 'y'}`
+            : `${matches.length} of ${savedQueries.length} saved queries match`;
+
+        if (matches.length === 0) {
+            container.innerHTML = '<p class="info-text">No saved queries match</p>';
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        groupByFolder(matches).forEach(group => {
+            const section = document.createElement('section');
+            section.className = 'saved-query-folder';
+            const heading = document.createElement('h4');
+            heading.className = 'saved-query-folder-name';
+            heading.textContent = `${group.folder ? `📁 ${group.folder}` : 'No folder'} (${group.queries.length})`;
+            section.appendChild(heading);
+            group.queries.forEach(item => section.appendChild(this.createSavedQueryItem(item)));
+            fragment.appendChild(section);
+        });
+        container.replaceChildren(fragment);
+    }
+
+    /**
+     * Create the list item of a saved query
+     * @param {Object} item - Saved query
+     * @returns {HTMLElement}
+     */
+    createSavedQueryItem(item) {
+        const createButton = (action, className, label, title) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.textContent = label;
+            button.dataset.action = action;
+            button.dataset.id = item.id;
+            if (title) button.title = title;
+            return button;
+        };
+
+        const element = document.createElement('div');
+        element.className = 'saved-query-item';
+
+        const header = document.createElement('div');
+        header.className = 'saved-query-header';
+        const favorite = createButton('favorite', item.favorite ? 'saved-query-favorite active' : 'saved-query-favorite',
+            item.favorite ? '★' : '☆', item.favorite ? 'Remove from favorites' : 'Add to favorites');
+        favorite.setAttribute('aria-pressed', String(Boolean(item.favorite)));
+        const name = document.createElement('h4');
+        name.textContent = item.name;
+        const language = document.createElement('span');
+        language.className = 'query-language-badge';
+        language.textContent = this.queryEngine.getLanguageLabel(item.language);
+        const date = document.createElement('span');
+        date.className = 'saved-query-date';
+        date.textContent = new Date(item.updatedAt || item.createdAt).toLocaleDateString();
+        header.append(favorite, name, language, date);
+        element.appendChild(header);
+
+        if (item.description) {
+            const description = document.createElement('p');
+            description.className = 'saved-query-description';
+            description.textContent = item.description;
+            element.appendChild(description);
+        }
+
+        const code = document.createElement('code');
+        code.className = 'saved-query-code';
+        code.textContent = item.query;
+        element.appendChild(code);
+
+        const parameters = findQueryParameters(item.query);
+        if ((item.tags || []).length > 0 || parameters.length > 0) {
+            const labels = document.createElement('div');
+            labels.className = 'saved-query-labels';
+            (item.tags || []).forEach(tag => {
+                const button = createButton('tag', 'saved-query-tag', `#${tag}`, `Show queries tagged ${tag}`);
+                button.dataset.tag = tag;
+                labels.appendChild(button);
+            });
+            if (parameters.length > 0) {
+                const note = document.createElement('span');
+                note.className = 'saved-query-parameters';
+                note.textContent = `Asks for ${parameters.join(', ')}`;
+                labels.appendChild(note);
+            }
+            element.appendChild(labels);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'saved-query-actions';
+        actions.append(
+            createButton('load', 'btn btn-sm btn-primary', '📂 Load'),
+            createButton('edit', 'btn btn-sm btn-secondary', '✏️ Edit')
+        );
+        if ((item.history || []).length > 0) {
+            actions.appendChild(createButton('versions', 'btn btn-sm btn-secondary', `🕘 Versions (${item.history.length})`, 'Earlier versions of this query'));
+        }
+        actions.appendChild(createButton('delete', 'btn btn-sm btn-error', '🗑️ Delete'));
+        element.appendChild(actions);
+        return element;
+    }
+
+    /**
+     * Handle the buttons of the saved queries list
+     */
+    handleSavedQueryClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { action, id } = button.dataset;
+        if (action === 'load') {
+            this.loadSavedQuery(id);
+        } else if (action === 'edit') {
+            this.openEditSavedQueryModal(id);
+        } else if (action === 'delete') {
+            this.deleteSavedQuery(id);
+        } else if (action === 'versions') {
+            this.openQueryVersionsModal(id);
+        } else if (action === 'favorite') {
+            const saved = this.storageManager.getSavedQueries().find(q => q.id === id);
+            if (saved) {
+                this.storageManager.updateSavedQuery(id, { favorite: !saved.favorite });
+                this.renderSavedQueries();
+            }
+        } else if (action === 'tag') {
+            document.getElementById('savedQueryTagFilter').value = button.dataset.tag;
+            this.renderSavedQueries();
+        }
+    }
+
+    /**
+     * Load a saved query, asking for the values of its {{parameters}} first
+     * @param {string} id - Saved query ID
+     */
+    loadSavedQuery(id) {
+        const savedQueries = this.storageManager.getSavedQueries();
+        const query = savedQueries.find(q => q.id === id);
+        if (!query) return;
+
+        const parameters = findQueryParameters(query.query);
+        if (parameters.length > 0) {
+            this.openQueryParametersModal(query, parameters);
+            return;
         }
+        this.runSavedQuery(query, query.query);
+    }
 
-        ['dragenter', 'dragover'].forEach(eventName => {
-            container.addEventListener(eventName, () => {
-                container.style.backgroundColor = 'var(--accent-light)';
-            }, false);
-        });
+    /**
+     * Put a saved query into the query editor and run it
+     * @param {Object} savedQuery - Saved query
+     * @param {string} query - Query text with its parameters filled in
+     */
+    runSavedQuery(savedQuery, query) {
+        const queryInput = document.getElementById('queryInput');
+        if (!queryInput) return;
+
+        const language = savedQuery.language || 'jmespath';
+        this.applyQueryLanguage(language);
+        queryInput.value = query;
+        this.activeSavedQuery = { id: savedQuery.id, query, template: savedQuery.query, language };
+        this.queryEngine.setTableLayout(savedQuery.tableLayout || null, query);
+        this.handleExecuteQuery();
+        this.closeModal('savedQueriesModal');
+        showNotification(`Loaded query "${savedQuery.name}"`, 'success');
+    }
 
-        ['dragleave', 'drop'].forEach(eventName => {
-            container.addEventListener(eventName, () => {
-                container.style.backgroundColor = '';
-            }, false);
-        });
+    /**
+     * Ask for the values of a saved query's parameters
+     * @param {Object} savedQuery - Saved query
+     * @param {string[]} parameters - Parameter names
+     */
+    openQueryParametersModal(savedQuery, parameters) {
+        this.pendingSavedQuery = savedQuery;
+        const values = this.queryParameterValues.get(savedQuery.id) || {};
+
+        document.getElementById('queryParametersSummary').textContent =
+            `"${savedQuery.name}" needs ${parameters.length === 1 ? 'a value' : 'values'} for ${parameters.join(', ')}. Values are inserted into the query as typed.`;
+
+        const fields = document.getElementById('queryParameterFields');
+        fields.replaceChildren(...parameters.map(name => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = `queryParameter-${name}`;
+            label.textContent = name;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `queryParameter-${name}`;
+            input.className = 'form-input';
+            input.dataset.parameter = name;
+            input.value = values[name] ?? '';
+            input.spellcheck = false;
+            group.append(label, input);
+            return group;
+        }));
+
+        this.updateQueryParametersPreview();
+        this.openModal('queryParametersModal');
+        fields.querySelector('input')?.focus();
+    }
 
-        container.addEventListener('drop', async (e) => {
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                const file = files[0];
-                const success = await this.jsonParser.loadFromFile(file);
+    /**
+     * Get the parameter values entered in the parameters dialog
+     * @returns {Object} Parameter name -> value
+     */
+    getQueryParameterValues() {
+        const values = {};
+        document.querySelectorAll('#queryParameterFields input').forEach(input => {
+            values[input.dataset.parameter] = input.value;
+        });
+        return values;
+    }
 
-                if (success) {
-                    showNotification(`Loaded ${file.name}`, 'success');
-                } else {
-                    showNotification('Failed to load file', 'error');
-                }
-            }
-        }, false);
+    /**
+     * Show the saved query with the entered values filled in
+     */
+    updateQueryParametersPreview() {
+        if (!this.pendingSavedQuery) return;
+        document.getElementById('queryParametersPreview').textContent =
+            fillQueryParameters(this.pendingSavedQuery.query, this.getQueryParameterValues());
     }
 
-    // ========== Week 4: Export & Storage Features ==========
+    /**
+     * Run the saved query waiting for its parameters with the entered values
+     */
+    handleConfirmQueryParameters() {
+        const savedQuery = this.pendingSavedQuery;
+        if (!savedQuery) return;
+
+        const values = this.getQueryParameterValues();
+        this.queryParameterValues.set(savedQuery.id, values);
+        this.pendingSavedQuery = null;
+        this.closeModal('queryParametersModal');
+        this.runSavedQuery(savedQuery, fillQueryParameters(savedQuery.query, values));
+    }
 
     /**
-     * Handle export to JSON
+     * Download the listed saved queries as a library file
      */
-    handleExportJSON() {
-        if (!this.currentResults) {
-            showNotification('No results to export', 'error');
+    handleExportQueries() {
+        const queries = this.savedQueryMatches;
+        if (queries.length === 0) {
+            showNotification('No saved queries to export', 'error');
             return;
         }
 
+        this.resultsExporter.downloadFile(this.storageManager.exportSavedQueries(queries), 'saved-queries.json', 'application/json');
+        showNotification(`Exported ${queries.length} quer${queries.length !== 1 ? 'ies' : 'y'}`, 'success');
+    }
+
+    /**
+     * Import the saved queries of a picked file
+     */
+    async handleImportQueriesFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        event.target.value = '';
+
         try {
-            this.resultsExporter.exportToJSON(this.currentResults);
-            showNotification('Exported to JSON successfully', 'success');
+            await this.importQueries(await file.text(), file.name);
         } catch (error) {
-            console.error('Export error:', error);
-            showNotification('Failed to export JSON', 'error');
+            console.error('Import error:', error);
+            showNotification(`Error reading ${file.name}: ${error.message}`, 'error');
         }
     }
 
     /**
-     * Handle export to CSV
+     * Import a library file, asking what to do with each query whose name is taken
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, for the report
      */
-    handleExportCSV() {
-        if (!this.currentResults) {
-            showNotification('No results to export', 'error');
+    async importQueries(text, fileName) {
+        const library = parseQueryLibrary(text);
+        if (!library.valid) {
+            this.showImportReport(fileName, null, [library.error]);
             return;
         }
 
-        try {
-            this.resultsExporter.exportToCSV(this.currentResults);
-            showNotification('Exported to CSV successfully', 'success');
-        } catch (error) {
-            console.error('Export error:', error);
-            showNotification('Failed to export CSV', 'error');
+        const existingNames = new Set(this.storageManager.getSavedQueries().map(q => q.name));
+        const conflictCount = library.queries.filter(query => existingNames.has(query.name)).length;
+        // Renamed queries may not take the name of any saved or imported query
+        const taken = new Set([...existingNames, ...library.queries.map(query => query.name)]);
+
+        const imports = [];
+        let kept = 0;
+        let conflictNumber = 0;
+        let decisionForAll = null;
+
+        for (const query of library.queries) {
+            if (!existingNames.has(query.name)) {
+                imports.push({ query, action: 'add' });
+                continue;
+            }
+
+            conflictNumber++;
+            const decision = decisionForAll || await this.promptImportConflict(query, conflictNumber, conflictCount, taken);
+            if (!decision) {
+                showNotification('Import cancelled', 'info');
+                return;
+            }
+            if (decision.applyToAll) {
+                decisionForAll = { action: decision.action };
+            }
+
+            if (decision.action === 'keep') {
+                kept++;
+            } else if (decision.action === 'rename') {
+                const name = decision.name || uniqueQueryName(query.name, taken);
+                taken.add(name);
+                imports.push({ query, action: 'rename', name });
+            } else {
+                imports.push({ query, action: 'replace' });
+            }
         }
+
+        const counts = this.storageManager.importSavedQueries(imports);
+        if (!counts) {
+            showNotification('Failed to import queries', 'error');
+            return;
+        }
+
+        this.renderSavedQueries();
+        this.showImportReport(fileName, { ...counts, kept }, library.errors);
     }
 
     /**
-     * Update export button states
+     * Ask what to do with an imported query whose name is taken
+     * @param {Object} query - Imported query
+     * @param {number} number - Number of this conflict
+     * @param {number} total - Number of conflicts in the file
+     * @param {Set<string>} taken - Names a rename cannot use
+     * @returns {Promise<Object|null>} { action, name, applyToAll }, or null to cancel the import
      */
-    updateExportButtons() {
-        const hasResults = this.currentResults !== null;
-        const exportJSONBtn = document.getElementById('exportJSONBtn');
-        const exportCSVBtn = document.getElementById('exportCSVBtn');
-        const copyResultsBtn = document.getElementById('copyResultsBtn');
-
-        if (exportJSONBtn) exportJSONBtn.disabled = !hasResults;
-        if (exportCSVBtn) exportCSVBtn.disabled = !hasResults;
-        if (copyResultsBtn) copyResultsBtn.disabled = !hasResults;
+    promptImportConflict(query, number, total, taken) {
+        // A conflict that is still open is cancelled by the new one
+        this.resolveImportConflict(null);
+
+        const existing = this.storageManager.getSavedQueries().find(q => q.name === query.name);
+        const describeDate = (date) => date ? `Last changed ${new Date(date).toLocaleString()}` : '';
+
+        document.getElementById('importConflictSummary').textContent =
+            `A saved query named "${query.name}" already exists (conflict ${number} of ${total}).`;
+        document.getElementById('importConflictExisting').textContent = existing?.query || '';
+        document.getElementById('importConflictExistingDate').textContent = describeDate(existing?.updatedAt);
+        document.getElementById('importConflictIncoming').textContent = query.query;
+        document.getElementById('importConflictIncomingDate').textContent = describeDate(query.updatedAt);
+
+        document.querySelector('input[name="importConflictAction"][value="keep"]').checked = true;
+        document.getElementById('importConflictName').value = uniqueQueryName(query.name, taken);
+        this.updateImportConflictName();
+
+        const remaining = total - number;
+        document.getElementById('importConflictApplyAll').checked = false;
+        document.getElementById('importConflictApplyAllOption').classList.toggle('hidden', remaining === 0);
+        document.getElementById('importConflictRemaining').textContent =
+            remaining === 1 ? 'other conflict' : `${remaining} other conflicts`;
+
+        return new Promise(resolve => {
+            this.importConflict = { taken, resolve };
+            this.openModal('importConflictModal');
+        });
     }
 
     /**
-     * Open save query modal
+     * Enable the name field when the imported query is to be renamed
      */
-    openSaveQueryModal() {
-        const query = document.getElementById('queryInput').value.trim();
-        if (!query) {
-            showNotification('Enter a query to save', 'error');
-            return;
+    updateImportConflictName() {
+        const nameInput = document.getElementById('importConflictName');
+        nameInput.disabled = document.querySelector('input[name="importConflictAction"]:checked')?.value !== 'rename';
+        if (!nameInput.disabled) {
+            nameInput.focus();
+            nameInput.select();
         }
+    }
 
-        // Populate modal with current query
-        const queryToSave = document.getElementById('queryToSave');
-        if (queryToSave) {
-            queryToSave.textContent = query;
+    /**
+     * Settle the open conflict with the chosen action
+     */
+    handleConfirmImportConflict() {
+        if (!this.importConflict) return;
+
+        const action = document.querySelector('input[name="importConflictAction"]:checked').value;
+        const applyToAll = document.getElementById('importConflictApplyAll').checked;
+        let name = null;
+
+        if (action === 'rename') {
+            name = document.getElementById('importConflictName').value.trim();
+            if (!name) {
+                showNotification('Enter a name for the imported query', 'error');
+                return;
+            }
+            if (this.importConflict.taken.has(name)) {
+                showNotification(`A query named "${name}" already exists`, 'error');
+                return;
+            }
         }
 
-        // Clear previous input
-        const queryName = document.getElementById('queryName');
-        const queryDescription = document.getElementById('queryDescription');
-        if (queryName) queryName.value = '';
-        if (queryDescription) queryDescription.value = '';
-
-        this.openModal('saveQueryModal');
+        this.resolveImportConflict({ action, name, applyToAll });
+        this.closeModal('importConflictModal');
     }
 
     /**
-     * Handle save query form submission
+     * Settle the open import conflict
+     * @param {Object|null} decision - Chosen action, or null to cancel the import
      */
-    handleSaveQuery() {
-        const nameInput = document.getElementById('queryName');
-        const descInput = document.getElementById('queryDescription');
-        const queryDisplay = document.getElementById('queryToSave');
+    resolveImportConflict(decision) {
+        if (!this.importConflict) return;
 
-        if (!nameInput || !queryDisplay) return;
+        const { resolve } = this.importConflict;
+        this.importConflict = null;
+        resolve(decision);
+    }
 
-        const name = nameInput.value.trim();
-        const description = descInput?.value.trim() || '';
-        const query = queryDisplay.textContent.trim();
+    /**
+     * Report the outcome of an import
+     * A clean import only shows a notification; skipped queries and unreadable
+     * files are listed in a dialog.
+     * @param {string} fileName - Imported file name
+     * @param {Object|null} counts - { added, replaced, renamed, kept }, or null when nothing could be read
+     * @param {string[]} errors - Validation errors
+     */
+    showImportReport(fileName, counts, errors) {
+        const outcome = counts
+            ? `${counts.added} added, ${counts.replaced} replaced, ${counts.renamed} renamed, ${counts.kept} kept`
+            : 'nothing imported';
 
-        if (!name) {
-            showNotification('Please enter a query name', 'error');
+        if (counts && errors.length === 0) {
+            showNotification(`Imported ${fileName}: ${outcome}`, 'success');
             return;
         }
 
-        try {
-            this.storageManager.saveQuery(name, query, description);
-            showNotification(`Query "${name}" saved successfully`, 'success');
-            this.closeModal('saveQueryModal');
-        } catch (error) {
-            console.error('Save error:', error);
-            showNotification('Failed to save query', 'error');
-        }
+        const skipped = counts ? ` ${errors.length} invalid quer${errors.length !== 1 ? 'ies were' : 'y was'} skipped:` : '';
+        document.getElementById('importReportSummary').textContent = `${fileName}: ${outcome}.${skipped}`;
+        const list = document.getElementById('importReportErrors');
+        list.replaceChildren(...errors.map(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            return item;
+        }));
+        this.openModal('importReportModal');
     }
 
     /**
-     * Open saved queries modal
+     * Open the Versions dialog of a saved query
+     * @param {string} id - Saved query ID
      */
-    openSavedQueriesModal() {
-        this.renderSavedQueries();
-        this.openModal('savedQueriesModal');
+    openQueryVersionsModal(id) {
+        this.versionsQueryId = id;
+        this.renderQueryVersions();
+        this.openModal('queryVersionsModal');
     }
 
     /**
-     * Render saved queries list
+     * Render the current version of the saved query and its edit history, newest first
      */
-    renderSavedQueries() {
-        const container = document.getElementById('savedQueriesList');
-        if (!container) return;
+    renderQueryVersions() {
+        const saved = this.storageManager.getSavedQueries().find(q => q.id === this.versionsQueryId);
+        const container = document.getElementById('queryVersionsList');
+        if (!saved) {
+            this.closeModal('queryVersionsModal');
+            return;
+        }
 
-        const savedQueries = this.storageManager.getSavedQueries();
+        document.getElementById('queryVersionsName').textContent = saved.name;
+        const versions = (saved.history || []).map((version, index) => ({ version, index })).reverse();
+        container.replaceChildren(
+            this.createQueryVersionItem({ ...saved, savedAt: saved.updatedAt }, null),
+            ...versions.map(({ version, index }) => this.createQueryVersionItem(version, index))
+        );
+    }
 
-        if (savedQueries.length === 0) {
-            container.innerHTML = '<p class="info-text">No saved queries yet</p>';
-            return;
+    /**
+     * Create the list item of a saved query version
+     * @param {Object} version - { name, query, description, language, folder, tags, savedAt }
+     * @param {number|null} index - Index in the edit history, or null for the current version
+     * @returns {HTMLElement}
+     */
+    createQueryVersionItem(version, index) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+
+        const header = document.createElement('div');
+        header.className = 'history-header';
+        const name = document.createElement('h4');
+        name.className = 'query-version-name';
+        name.textContent = index === null ? `${version.name} (current)` : version.name;
+        const language = document.createElement('span');
+        language.className = 'query-language-badge';
+        language.textContent = this.queryEngine.getLanguageLabel(version.language);
+        const date = document.createElement('span');
+        date.className = 'history-date';
+        date.textContent = version.savedAt ? new Date(version.savedAt).toLocaleString() : '';
+        header.append(name, language, date);
+        item.appendChild(header);
+
+        const details = [version.folder ? `📁 ${version.folder}` : '', ...(version.tags || []).map(tag => `#${tag}`), version.description]
+            .filter(Boolean);
+        if (details.length > 0) {
+            const meta = document.createElement('p');
+            meta.className = 'saved-query-description';
+            meta.textContent = details.join(' · ');
+            item.appendChild(meta);
         }
 
-        container.innerHTML = savedQueries.map(item => `
-            <div class="saved-query-item">
-                <div class="saved-query-header">
-                    <h4>${this.escapeHtml(item.name)}</h4>
-                    <span class="saved-query-date">${new Date(item.timestamp).toLocaleDateString()}</span>
-                </div>
-                ${item.description ? `<p class="saved-query-description">${this.escapeHtml(item.description)}</p>` : ''}
-                <code class="saved-query-code">${this.escapeHtml(item.query)}</code>
-                <div class="saved-query-actions">
-                    <button class="btn btn-sm btn-primary" onclick="app.loadSavedQuery('${this.escapeHtml(item.name)}')">
-                        📂 Load
-                    </button>
-                    <button class="btn btn-sm btn-error" onclick="app.deleteSavedQuery('${this.escapeHtml(item.name)}')">
-                        🗑️ Delete
-                    </button>
-                </div>
-            </div>
-        `).join('');
+        const code = document.createElement('code');
+        code.className = 'history-query';
+        code.textContent = version.query;
+        item.appendChild(code);
+
+        if (index !== null) {
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+            const restore = document.createElement('button');
+            restore.type = 'button';
+            restore.className = 'btn btn-sm btn-primary';
+            restore.textContent = '↩️ Restore';
+            restore.dataset.index = String(index);
+            actions.appendChild(restore);
+            item.appendChild(actions);
+        }
+        return item;
     }
 
     /**
-     * Load a saved query
+     * Restore the version whose button was clicked
      */
-    loadSavedQuery(name) {
-        const savedQueries = this.storageManager.getSavedQueries();
-        const query = savedQueries.find(q => q.name === name);
+    handleQueryVersionClick(event) {
+        const button = event.target.closest('button[data-index]');
+        if (!button) return;
 
-        if (query) {
-            const queryInput = document.getElementById('queryInput');
-            if (queryInput) {
-                queryInput.value = query.query;
-                this.handleExecuteQuery();
-                this.closeModal('savedQueriesModal');
-                showNotification(`Loaded query "${name}"`, 'success');
-            }
+        const saved = this.storageManager.getSavedQueries().find(q => q.id === this.versionsQueryId);
+        const version = saved?.history?.[Number(button.dataset.index)];
+        if (!version) return;
+
+        if (!this.storageManager.restoreQueryVersion(saved.id, Number(button.dataset.index))) {
+            showNotification(`Another query is named "${version.name}"; rename it first`, 'error');
+            return;
+        }
+        showNotification(`Restored an earlier version of "${version.name}"`, 'success');
+        this.renderQueryVersions();
+        this.renderSavedQueries();
+    }
+
+    /**
+     * Persist table column changes made while a saved query's results are shown
+     * @param {Object} layout - Column layout
+     * @param {string} query - Query whose results the table shows
+     */
+    handleTableLayoutChange(layout, query) {
+        const saved = this.activeSavedQuery;
+        // Surrounding whitespace doesn't make it another query
+        if (saved && saved.query.trim() === query.trim() && saved.language === this.queryEngine.getLanguage()) {
+            this.storageManager.saveTableLayout(saved.id, layout);
         }
     }
 
     /**
      * Delete a saved query
+     * @param {string} id - Saved query ID
      */
-    deleteSavedQuery(name) {
-        if (confirm(`Delete query "${name}"?`)) {
-            this.storageManager.deleteSavedQuery(name);
-            showNotification(`Query "${name}" deleted`, 'success');
+    deleteSavedQuery(id) {
+        const saved = this.storageManager.getSavedQueries().find(q => q.id === id);
+        if (saved && confirm(`Delete query "${saved.name}"?`)) {
+            this.storageManager.deleteSavedQuery(id);
+            if (this.activeSavedQuery?.id === id) {
+                this.activeSavedQuery = null;
+            }
+            showNotification(`Query "${saved.name}" deleted`, 'success');
             this.renderSavedQueries();
         }
     }
 
     /**
      * Open history modal
+     * Replays from an earlier visit are dropped, as the data may have changed since.
      */
     openHistoryModal() {
+        this.historyReplays.clear();
         this.renderHistory();
         this.openModal('historyModal');
     }
 
     /**
-     * Render query history list
+     * Render the history entries that match the search and filters, pinned ones first
      */
     renderHistory() {
         const container = document.getElementById('historyList');
         if (!container) return;
 
         const history = this.storageManager.getQueryHistory();
+        const languageSelect = document.getElementById('historyLanguageFilter');
+        const datasetSelect = document.getElementById('historyDatasetFilter');
+        const summary = document.getElementById('historySummary');
+        const current = this.workspace.getDatasetInfo();
+
+        this.fillFilterSelect(languageSelect, [
+            ['*', 'All languages'],
+            ...Object.keys(QUERY_LANGUAGES).map(language => [language, this.queryEngine.getLanguageLabel(language)])
+        ]);
+        // Select values: '*' is every dataset, '=' the data loaded now, 'dataset:<name>' a dataset
+        this.fillFilterSelect(datasetSelect, [
+            ['*', 'All datasets'],
+            ['=', 'Current data'],
+            ...listHistoryDatasets(history).map(name => [`dataset:${name}`, `🗂 ${name}`])
+        ]);
 
         if (history.length === 0) {
             container.innerHTML = '<p class="info-text">No query history yet</p>';
+            summary.textContent = '';
             return;
         }
 
-        container.innerHTML = history.map((item, index) => `
-            <div class="history-item">
-                <div class="history-header">
-                    <span class="history-date">${new Date(item.timestamp).toLocaleString()}</span>
-                </div>
-                <code class="history-query">${this.escapeHtml(item.query)}</code>
-                <div class="history-actions">
-                    <button class="btn btn-sm btn-primary" onclick="app.loadHistoryQuery(${index})">
-                        📂 Load
-                    </button>
-                </div>
-            </div>
-        `).join('');
+        const matches = filterHistory(history, {
+            search: document.getElementById('historySearch').value,
+            language: languageSelect.value === '*' ? null : languageSelect.value,
+            dataset: datasetSelect.value.startsWith('dataset:') ? datasetSelect.value.slice('dataset:'.length) : null,
+            fingerprint: datasetSelect.value === '=' ? current.fingerprint : null,
+            pinnedOnly: document.getElementById('historyPinnedOnly').checked
+        });
+        summary.textContent = matches.length === history.length
+            ? `${history.length} quer${history.length !== 1 ? 'ies' : 'y'} in the history`
+            : `${matches.length} of ${history.length} queries in the history match`;
+
+        if (matches.length === 0) {
+            container.innerHTML = '<p class="info-text">No queries in the history match</p>';
+            return;
+        }
+
+        const pinned = matches.filter(entry => entry.pinned);
+        const fragment = document.createDocumentFragment();
+        if (pinned.length === 0) {
+            matches.forEach(entry => fragment.appendChild(this.createHistoryItem(entry, current)));
+        } else {
+            [['📌 Pinned', pinned], ['Recent', matches.filter(entry => !entry.pinned)]].forEach(([title, entries]) => {
+                if (entries.length === 0) return;
+                const section = document.createElement('section');
+                section.className = 'history-group';
+                const heading = document.createElement('h4');
+                heading.className = 'history-group-name';
+                heading.textContent = `${title} (${entries.length})`;
+                section.appendChild(heading);
+                entries.forEach(entry => section.appendChild(this.createHistoryItem(entry, current)));
+                fragment.appendChild(section);
+            });
+        }
+        container.replaceChildren(fragment);
     }
 
     /**
-     * Load a query from history
+     * Create the list item of a history entry
+     * @param {Object} entry - History entry
+     * @param {Object} current - Dataset queries run against now, from getDatasetInfo
+     * @returns {HTMLElement}
      */
-    loadHistoryQuery(index) {
-        const history = this.storageManager.getQueryHistory();
-        if (index >= 0 && index < history.length) {
-            const queryInput = document.getElementById('queryInput');
-            if (queryInput) {
-                queryInput.value = history[index].query;
-                this.handleExecuteQuery();
-                this.closeModal('historyModal');
-                showNotification('Query loaded from history', 'success');
+    createHistoryItem(entry, current) {
+        const createButton = (action, className, label, title) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.textContent = label;
+            button.dataset.action = action;
+            button.dataset.id = entry.id;
+            if (title) button.title = title;
+            return button;
+        };
+
+        const element = document.createElement('div');
+        element.className = 'history-item';
+
+        const header = document.createElement('div');
+        header.className = 'history-header';
+        const pin = createButton('pin', entry.pinned ? 'history-pin active' : 'history-pin', '📌',
+            entry.pinned ? 'Unpin' : 'Pin: keep this query when the history is full or cleared');
+        pin.setAttribute('aria-pressed', String(Boolean(entry.pinned)));
+        const date = document.createElement('span');
+        date.className = 'history-date';
+        date.textContent = new Date(entry.timestamp).toLocaleString();
+        const language = document.createElement('span');
+        language.className = 'query-language-badge';
+        language.textContent = this.queryEngine.getLanguageLabel(entry.language);
+        header.append(pin, date, language);
+        element.appendChild(header);
+
+        const code = document.createElement('code');
+        code.className = 'history-query';
+        code.textContent = entry.query;
+        element.appendChild(code);
+
+        // Entries from before runs were recorded only have the query
+        const details = [];
+        if (typeof entry.duration === 'number') details.push(`⏱ ${formatDuration(entry.duration)}`);
+        if (entry.resultType) details.push(describeResult(entry));
+        if (entry.dataset) {
+            details.push(`🗂 ${entry.dataset.name}${entry.dataset.fingerprint === current.fingerprint ? ' (current data)' : ''}`);
+        }
+        if (details.length > 0) {
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            meta.textContent = details.join(' · ');
+            if (entry.dataset) meta.title = `Dataset fingerprint ${entry.dataset.fingerprint}`;
+            element.appendChild(meta);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        actions.append(
+            createButton('load', 'btn btn-sm btn-primary', '📂 Load'),
+            createButton('replay', 'btn btn-sm btn-secondary', '🔁 Replay', 'Run the query against the current data and show how its result changed')
+        );
+        element.appendChild(actions);
+
+        const replay = this.historyReplays.get(entry.id);
+        if (replay) {
+            element.appendChild(this.createHistoryReplay(entry, replay, createButton));
+        }
+        return element;
+    }
+
+    /**
+     * Create the outcome of replaying a history entry
+     * @param {Object} entry - History entry
+     * @param {Object} replay - { running }, { error }, or { result, summary, duration, dataset }
+     *   with the fields of compareWithEntry
+     * @param {Function} createButton - Creates an action button of the entry
+     * @returns {HTMLElement}
+     */
+    createHistoryReplay(entry, replay, createButton) {
+        const panel = document.createElement('div');
+        panel.className = 'history-replay';
+
+        const headline = document.createElement('p');
+        headline.className = 'history-replay-result';
+        panel.appendChild(headline);
+
+        if (replay.running) {
+            headline.textContent = 'Replaying…';
+            return panel;
+        }
+        if (replay.error) {
+            panel.classList.add('history-replay-error');
+            headline.textContent = `Replay failed: ${replay.error}`;
+            return panel;
+        }
+
+        if (replay.changed === false) {
+            panel.classList.add('history-replay-same');
+            headline.textContent = '✓ Same result as before';
+        } else if (replay.changed) {
+            panel.classList.add('history-replay-changed');
+            const counts = replay.counts
+                ? Object.entries(replay.counts).filter(([, count]) => count > 0).map(([type, count]) => `${count.toLocaleString()} ${type}`)
+                : [];
+            headline.textContent = counts.length > 0 ? `Result changed: ${counts.join(', ')}` : 'Result changed';
+        } else {
+            headline.textContent = entry.resultType
+                ? 'The earlier result was too large to keep, so whether it changed is unknown'
+                : 'This entry was recorded before results were, so whether it changed is unknown';
+        }
+
+        const details = [];
+        if (entry.resultType) details.push(`${describeResult(entry)} → ${describeResult(replay.summary)}`);
+        details.push(`⏱ ${typeof entry.duration === 'number' ? `${formatDuration(entry.duration)} → ` : ''}${formatDuration(replay.duration)}`);
+        if (entry.dataset) {
+            if (entry.dataset.fingerprint === replay.dataset.fingerprint) {
+                details.push('same data');
+            } else {
+                details.push(entry.dataset.name === replay.dataset.name
+                    ? `${entry.dataset.name} changed since`
+                    : `ran against ${entry.dataset.name}, now ${replay.dataset.name}`);
+            }
+        }
+        const meta = document.createElement('p');
+        meta.className = 'history-meta';
+        meta.textContent = details.join(' · ');
+        panel.appendChild(meta);
+
+        if (replay.changes?.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'history-replay-changes';
+            replay.changes.slice(0, MAX_REPLAY_CHANGES).forEach(change => {
+                const item = document.createElement('li');
+                item.className = `diff-${change.type}`;
+                const type = document.createElement('span');
+                type.className = 'compare-change-type';
+                type.textContent = change.type;
+                const path = document.createElement('code');
+                path.textContent = change.path;
+                item.append(type, path);
+                list.appendChild(item);
+            });
+            if (replay.changes.length > MAX_REPLAY_CHANGES) {
+                const more = document.createElement('li');
+                more.textContent = `… and ${(replay.changes.length - MAX_REPLAY_CHANGES).toLocaleString()} more`;
+                list.appendChild(more);
+            }
+            panel.appendChild(list);
+            panel.appendChild(createButton('compare', 'btn btn-sm btn-secondary', '🔀 Compare', 'Open the earlier and the current result in compare mode'));
+        }
+        return panel;
+    }
+
+    /**
+     * Handle the buttons of the history list
+     */
+    handleHistoryClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { action, id } = button.dataset;
+        if (action === 'load') {
+            this.loadHistoryQuery(id);
+        } else if (action === 'replay') {
+            this.replayHistoryQuery(id);
+        } else if (action === 'compare') {
+            this.compareHistoryReplay(id);
+        } else if (action === 'pin') {
+            const entry = this.storageManager.getQueryHistory().find(item => item.id === id);
+            if (entry) {
+                this.storageManager.setHistoryPinned(id, !entry.pinned);
+                this.renderHistory();
             }
         }
     }
 
+    /**
+     * Load a query from history
+     * @param {string} id - History entry ID
+     */
+    loadHistoryQuery(id) {
+        const entry = this.storageManager.getQueryHistory().find(item => item.id === id);
+        const queryInput = document.getElementById('queryInput');
+        if (entry && queryInput) {
+            this.applyQueryLanguage(entry.language || 'jmespath');
+            queryInput.value = entry.query;
+            this.handleExecuteQuery();
+            this.closeModal('historyModal');
+            showNotification('Query loaded from history', 'success');
+        }
+    }
+
+    /**
+     * Run a history entry's query against the current data and show how its result changed
+     * The results panel and the history are left as they are.
+     * @param {string} id - History entry ID
+     */
+    async replayHistoryQuery(id) {
+        const entry = this.storageManager.getQueryHistory().find(item => item.id === id);
+        if (!entry) return;
+
+        if (!this.jsonParser.getQueryData() && !this.jsonParser.isStreamed()) {
+            showNotification('Load some data to replay the query against', 'error');
+            return;
+        }
+
+        this.historyReplays.set(id, { running: true });
+        this.renderHistory();
+
+        let replay;
+        try {
+            const dataset = this.workspace.getDatasetInfo();
+            const startedAt = performance.now();
+            const result = await this.queryEngine.evaluateQuery(entry.query, entry.language || 'jmespath');
+            const duration = performance.now() - startedAt;
+            const summary = summarizeResult(result);
+            replay = { result, summary, duration, dataset, ...compareWithEntry(entry, result, summary) };
+        } catch (error) {
+            replay = { error: error.message };
+        }
+
+        this.historyReplays.set(id, replay);
+        this.renderHistory();
+    }
+
+    /**
+     * Open a history entry's earlier result and that of its replay in compare mode
+     * @param {string} id - History entry ID
+     */
+    compareHistoryReplay(id) {
+        const entry = this.storageManager.getQueryHistory().find(item => item.id === id);
+        const replay = this.historyReplays.get(id);
+        if (!entry || typeof entry.resultText !== 'string' || !replay?.changes) return;
+
+        this.closeModal('historyModal');
+        this.compareView.compareValues(JSON.parse(entry.resultText), replay.result);
+    }
+
     /**
      * Handle clear history
      */
     handleClearHistory() {
-        if (confirm('Clear all query history?')) {
+        if (confirm('Clear the query history? Pinned queries are kept.')) {
             this.storageManager.clearHistory();
             showNotification('History cleared', 'success');
             this.renderHistory();
         }
     }
 
+    /**
+     * Register the service worker that caches the app for offline use
+     */
+    registerServiceWorker() {
+        // Service workers need http(s); opening index.html from disk still works online-only
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    /**
+     * Show the Install button when the browser offers to install the app
+     */
+    setupInstallPrompt() {
+        const installAppBtn = document.getElementById('installAppBtn');
+        if (!installAppBtn) return;
+
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.installPrompt = event;
+            installAppBtn.classList.remove('hidden');
+        });
+
+        installAppBtn.addEventListener('click', async () => {
+            if (!this.installPrompt) return;
+
+            this.installPrompt.prompt();
+            const { outcome } = await this.installPrompt.userChoice;
+            this.installPrompt = null;
+            installAppBtn.classList.add('hidden');
+
+            if (outcome === 'accepted') {
+                showNotification('JSON Analyser installed', 'success');
+            }
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            installAppBtn.classList.add('hidden');
+        });
+    }
+
     /**
      * Open help modal
      */
@@ -773,6 +3125,23 @@ class App {
         if (modal) {
             modal.classList.add('hidden');
         }
+
+        // Closing the CSV preview without loading cancels the import
+        if (modalId === 'csvImportModal') {
+            this.resolveCSVImport(null);
+        }
+        if (modalId === 'queryParametersModal') {
+            this.pendingSavedQuery = null;
+        }
+        // Closing a conflict without a decision cancels the import
+        if (modalId === 'importConflictModal') {
+            this.resolveImportConflict(null);
+        }
+        // Editing a saved query returns to the list it was opened from
+        if (modalId === 'saveQueryModal' && this.editingSavedQueryId) {
+            this.editingSavedQueryId = null;
+            this.openSavedQueriesModal();
+        }
     }
 
     /**
@@ -785,6 +3154,7 @@ class App {
         if (query) {
             const queryInput = document.getElementById('queryInput');
             if (queryInput) {
+                this.applyQueryLanguage(urlParams.get('lang') || 'jmespath');
                 queryInput.value = decodeURIComponent(query);
                 // Auto-execute after a short delay to ensure everything is loaded
                 setTimeout(() => {
@@ -807,6 +3177,11 @@ class App {
 
         const url = new URL(window.location.href);
         url.searchParams.set('q', encodeURIComponent(query));
+        if (this.queryEngine.getLanguage() === 'jmespath') {
+            url.searchParams.delete('lang');
+        } else {
+            url.searchParams.set('lang', this.queryEngine.getLanguage());
+        }
 
         copyToClipboard(url.toString()).then(success => {
             if (success) {
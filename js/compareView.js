@@ -0,0 +1,408 @@
+/**
+ * Compare View Module
+ * Compare mode: diffs two documents or query results side by side
+ */
+
+import { diffJSON, summarizeDiff } from './jsonDiff.js';
+import { escapePointerSegment, describeValue } from './utils.js';
+
+// Lines rendered per side; the change list still covers the whole diff
+const MAX_PANE_LINES = 5000;
+
+// Changes listed under the panes
+const MAX_LISTED_CHANGES = 1000;
+
+// Longest value shown in the change list before it is truncated
+const MAX_VALUE_LENGTH = 60;
+
+const SIDES = ['left', 'right'];
+
+/**
+ * Pretty-print a value as lines tagged with the pointer and diff status of their value
+ * @param {*} value - Value to print
+ * @param {Map} statuses - Pointer → 'added', 'removed', 'changed' or 'moved'
+ * @returns {Object} { lines: [{ text, pointer, status }], truncated }
+ */
+function printLines(value, statuses) {
+    const lines = [];
+    let truncated = false;
+
+    const visit = (node, pointer, prefix, suffix, depth, inherited) => {
+        if (lines.length >= MAX_PANE_LINES) {
+            truncated = true;
+            return;
+        }
+
+        // A changed, added or removed value marks everything inside it
+        const status = statuses.get(pointer) || inherited;
+        const indent = '  '.repeat(depth);
+
+        if (node === null || typeof node !== 'object') {
+            lines.push({ text: `${indent}${prefix}${JSON.stringify(node)}${suffix}`, pointer, status });
+            return;
+        }
+
+        const isArray = Array.isArray(node);
+        const keys = isArray ? node.map((item, index) => index) : Object.keys(node);
+        const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+        if (keys.length === 0) {
+            lines.push({ text: `${indent}${prefix}${open}${close}${suffix}`, pointer, status });
+            return;
+        }
+
+        lines.push({ text: `${indent}${prefix}${open}`, pointer, status });
+        keys.forEach((key, index) => {
+            const childPrefix = isArray ? '' : `${JSON.stringify(key)}: `;
+            const childSuffix = index < keys.length - 1 ? ',' : '';
+            visit(node[key], `${pointer}/${escapePointerSegment(key)}`, childPrefix, childSuffix, depth + 1, status);
+        });
+        lines.push({ text: `${indent}${close}${suffix}`, pointer: null, status });
+    };
+
+    visit(value, '', '', '', 0, null);
+    return { lines, truncated };
+}
+
+export class CompareView {
+    constructor(queryEngine, jsonParser, resultsExporter, storageManager) {
+        this.queryEngine = queryEngine;
+        this.jsonParser = jsonParser;
+        this.resultsExporter = resultsExporter;
+        this.storageManager = storageManager;
+
+        this.view = document.getElementById('compareView');
+        this.mainContent = document.querySelector('.main-content');
+        this.toggleBtn = document.getElementById('compareBtn');
+        this.summary = document.getElementById('compareSummary');
+
+        this.patch = null; // JSON Patch of the last comparison
+        this.runId = 0;
+    }
+
+    /**
+     * Set up the compare controls
+     */
+    init() {
+        if (!this.view) return;
+
+        this.toggleBtn?.addEventListener('click', () => this.toggle());
+        document.getElementById('runCompareBtn')?.addEventListener('click', () => this.compare());
+        document.getElementById('exportPatchBtn')?.addEventListener('click', () => this.exportPatch());
+        document.getElementById('compareChanges')?.addEventListener('click', (e) => this.handleChangeClick(e));
+
+        SIDES.forEach(side => {
+            document.getElementById(`${side}CompareSource`)?.addEventListener('change', () => this.updateSourceInputs());
+        });
+
+        const arrayKey = document.getElementById('compareArrayKey');
+        if (arrayKey) {
+            arrayKey.value = this.storageManager.getPreference('compareArrayKey', '');
+            arrayKey.addEventListener('change', () => {
+                this.storageManager.setPreference('compareArrayKey', arrayKey.value.trim());
+            });
+        }
+
+        this.updateSourceInputs();
+    }
+
+    /**
+     * Whether compare mode is shown
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !this.view.classList.contains('hidden');
+    }
+
+    /**
+     * Switch between compare mode and the query panels
+     */
+    toggle() {
+        const open = !this.isOpen();
+        this.view.classList.toggle('hidden', !open);
+        this.mainContent?.classList.toggle('hidden', open);
+
+        if (this.toggleBtn) {
+            this.toggleBtn.textContent = open ? '✕ Close Compare' : '🔀 Compare';
+            this.toggleBtn.setAttribute('aria-pressed', String(open));
+        }
+
+        if (open) {
+            // Side queries use the language picked in the query editor
+            const label = this.queryEngine.getLanguageLabel();
+            SIDES.forEach(side => {
+                const query = document.getElementById(`${side}CompareQuery`);
+                if (query) query.placeholder = `Optional ${label} query applied to this side`;
+            });
+        }
+    }
+
+    /**
+     * Show the paste area of each side that compares pasted JSON
+     */
+    updateSourceInputs() {
+        SIDES.forEach(side => {
+            const source = document.getElementById(`${side}CompareSource`)?.value;
+            document.getElementById(`${side}CompareInput`)?.classList.toggle('hidden', source !== 'text');
+        });
+    }
+
+    /**
+     * Get the value one side compares
+     * @param {string} side - 'left' or 'right'
+     * @returns {Promise<*>} Document, pasted JSON, or the result of the side's query on it
+     */
+    async readSide(side) {
+        const name = side === 'left' ? 'Left' : 'Right';
+        const source = document.getElementById(`${side}CompareSource`).value;
+        const query = document.getElementById(`${side}CompareQuery`).value.trim();
+        const language = this.queryEngine.getLanguage();
+
+        try {
+            if (source === 'document') {
+                if (!this.jsonParser.isStreamed() && this.jsonParser.getCurrentJSON() === null) {
+                    throw new Error('no document is loaded');
+                }
+                if (query) {
+                    return await this.queryEngine.evaluateQuery(query, language);
+                }
+                if (this.jsonParser.isStreamed()) {
+                    throw new Error('large files stay in the background worker; add a query to pick what to compare');
+                }
+                return this.jsonParser.getCurrentJSON();
+            }
+
+            const text = document.getElementById(`${side}CompareInput`).value;
+            if (!text.trim()) {
+                throw new Error('paste the JSON to compare');
+            }
+
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`invalid JSON (${error.message})`);
+            }
+            return query ? await this.queryEngine.evaluateQuery(query, language, data) : data;
+        } catch (error) {
+            throw new Error(`${name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open compare mode on two given values, e.g. an earlier and a current query result
+     * Both sides switch to pasted JSON holding the values.
+     * @param {*} left - Original value
+     * @param {*} right - New value
+     * @returns {Promise<void>}
+     */
+    compareValues(left, right) {
+        [left, right].forEach((value, index) => {
+            const side = SIDES[index];
+            document.getElementById(`${side}CompareSource`).value = 'text';
+            document.getElementById(`${side}CompareInput`).value = JSON.stringify(value, null, 2);
+            document.getElementById(`${side}CompareQuery`).value = '';
+        });
+        this.updateSourceInputs();
+
+        if (!this.isOpen()) this.toggle();
+        return this.compare();
+    }
+
+    /**
+     * Diff the two sides and show the result
+     */
+    async compare() {
+        const runId = ++this.runId;
+        this.setSummary('Comparing…');
+
+        try {
+            const [left, right] = await Promise.all([this.readSide('left'), this.readSide('right')]);
+            if (runId !== this.runId) return;
+
+            const arrayKey = document.getElementById('compareArrayKey')?.value.trim() || '';
+            const { changes, patch } = diffJSON(left, right, { arrayKey });
+            this.patch = patch;
+            this.render(left, right, changes);
+        } catch (error) {
+            if (runId !== this.runId) return;
+            this.patch = null;
+            this.render(null, null, null);
+            this.setSummary(error.message, true);
+        }
+    }
+
+    /**
+     * Show a status line above the diff
+     * @param {string} text - Message
+     * @param {boolean} isError - Whether the comparison failed
+     */
+    setSummary(text, isError = false) {
+        if (!this.summary) return;
+        this.summary.textContent = text;
+        this.summary.classList.toggle('compare-summary-error', isError);
+    }
+
+    /**
+     * Render both sides with their differences highlighted, and the change list
+     * @param {*} left - Left value
+     * @param {*} right - Right value
+     * @param {Array|null} changes - Changes from diffJSON, or null to clear
+     */
+    render(left, right, changes) {
+        const result = document.getElementById('compareResult');
+        document.getElementById('exportPatchBtn').disabled = !changes;
+
+        if (!changes) {
+            result.classList.add('hidden');
+            return;
+        }
+
+        const counts = summarizeDiff(changes);
+        const parts = Object.entries(counts).filter(([, count]) => count > 0).map(([type, count]) => `${count} ${type}`);
+        this.setSummary(changes.length === 0 ? '✅ No differences' : `${changes.length} difference${changes.length !== 1 ? 's' : ''}: ${parts.join(', ')}`);
+
+        const leftStatuses = new Map();
+        const rightStatuses = new Map();
+        changes.forEach(change => {
+            if (change.leftPointer !== null) leftStatuses.set(change.leftPointer, change.type);
+            if (change.rightPointer !== null) rightStatuses.set(change.rightPointer, change.type);
+        });
+
+        this.renderPane(document.getElementById('compareLeftPane'), left, leftStatuses);
+        this.renderPane(document.getElementById('compareRightPane'), right, rightStatuses);
+        this.renderChanges(changes);
+        result.classList.remove('hidden');
+    }
+
+    /**
+     * Render one side as highlighted lines
+     * @param {HTMLElement} pane - Pane element
+     * @param {*} value - Value of that side
+     * @param {Map} statuses - Pointer → change type
+     */
+    renderPane(pane, value, statuses) {
+        const { lines, truncated } = printLines(value, statuses);
+        const fragment = document.createDocumentFragment();
+
+        lines.forEach(line => {
+            const element = document.createElement('div');
+            element.className = line.status ? `diff-line diff-${line.status}` : 'diff-line';
+            element.textContent = line.text;
+            if (line.pointer !== null) element.dataset.pointer = line.pointer;
+            fragment.appendChild(element);
+        });
+
+        if (truncated) {
+            const more = document.createElement('div');
+            more.className = 'diff-line diff-truncated';
+            more.textContent = `… only the first ${MAX_PANE_LINES.toLocaleString()} lines are shown; the list below has every difference`;
+            fragment.appendChild(more);
+        }
+
+        pane.textContent = '';
+        pane.appendChild(fragment);
+        pane.scrollTop = 0;
+    }
+
+    /**
+     * List the changes by path
+     * @param {Array} changes - Changes from diffJSON
+     */
+    renderChanges(changes) {
+        const list = document.getElementById('compareChanges');
+        list.textContent = '';
+
+        changes.slice(0, MAX_LISTED_CHANGES).forEach(change => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = `compare-change diff-${change.type}`;
+            button.dataset.left = change.leftPointer ?? '';
+            button.dataset.right = change.rightPointer ?? '';
+            button.dataset.hasLeft = String(change.leftPointer !== null);
+            button.dataset.hasRight = String(change.rightPointer !== null);
+
+            const type = document.createElement('span');
+            type.className = 'compare-change-type';
+            type.textContent = change.type;
+
+            const path = document.createElement('code');
+            path.className = 'compare-change-path';
+            path.textContent = change.path;
+
+            const detail = document.createElement('span');
+            detail.className = 'compare-change-detail';
+            if (change.type === 'changed') {
+                detail.textContent = `${describeValue(change.left, MAX_VALUE_LENGTH)} → ${describeValue(change.right, MAX_VALUE_LENGTH)}`;
+            } else if (change.type === 'added') {
+                detail.textContent = describeValue(change.right, MAX_VALUE_LENGTH);
+            } else if (change.type === 'removed') {
+                detail.textContent = describeValue(change.left, MAX_VALUE_LENGTH);
+            } else {
+                detail.textContent = `position ${change.from} → ${change.to}`;
+            }
+
+            button.append(type, path, detail);
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+
+        if (changes.length > MAX_LISTED_CHANGES) {
+            const more = document.createElement('li');
+            more.className = 'compare-more';
+            more.textContent = `… and ${(changes.length - MAX_LISTED_CHANGES).toLocaleString()} more (all are in the exported patch)`;
+            list.appendChild(more);
+        }
+    }
+
+    /**
+     * Scroll both panes to the value of a clicked change
+     */
+    handleChangeClick(event) {
+        const button = event.target.closest('.compare-change');
+        if (!button) return;
+
+        const { left, right, hasLeft, hasRight } = button.dataset;
+        // A value missing from one side is shown at its parent there
+        this.revealLine(document.getElementById('compareLeftPane'), hasLeft === 'true' ? left : this.parentPointer(right));
+        this.revealLine(document.getElementById('compareRightPane'), hasRight === 'true' ? right : this.parentPointer(left));
+    }
+
+    /**
+     * Drop the last segment of a JSON Pointer
+     * @param {string} pointer
+     * @returns {string}
+     */
+    parentPointer(pointer) {
+        return pointer.slice(0, Math.max(0, pointer.lastIndexOf('/')));
+    }
+
+    /**
+     * Scroll a pane to the line of a value and flash it
+     * Falls back to the closest enclosing value that is rendered.
+     * @param {HTMLElement} pane - Pane element
+     * @param {string} pointer - JSON Pointer of the value
+     */
+    revealLine(pane, pointer) {
+        let target = pointer;
+        let line = null;
+        while (!line) {
+            line = pane.querySelector(`[data-pointer="${CSS.escape(target)}"]`);
+            if (line || target === '') break;
+            target = this.parentPointer(target);
+        }
+        if (!line) return;
+
+        pane.scrollTop = Math.max(0, line.offsetTop - pane.clientHeight / 2);
+        pane.querySelectorAll('.diff-focus').forEach(element => element.classList.remove('diff-focus'));
+        line.classList.add('diff-focus');
+    }
+
+    /**
+     * Download the differences as an RFC 6902 JSON Patch that turns left into right
+     */
+    exportPatch() {
+        if (!this.patch) return;
+        this.resultsExporter.downloadFile(JSON.stringify(this.patch, null, 2), 'diff.patch.json', 'application/json-patch+json');
+    }
+}
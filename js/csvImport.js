@@ -0,0 +1,254 @@
+/**
+ * CSV Import Module
+ * Parses CSV/TSV text into an array of records with inferred column types
+ */
+
+import { setOwnProperty } from './utils.js';
+
+// Delimiters tried by detectDelimiter, in order of preference on a tie
+export const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
+// Lines sampled when detecting the delimiter
+const DETECT_SAMPLE_ROWS = 20;
+
+// Sample values kept per column for the import preview
+const SAMPLE_VALUES = 3;
+
+// Numbers with a leading zero (IDs, postcodes) stay text
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const BOOLEAN = /^(?:true|false)$/i;
+const NULL = /^null$/i;
+
+// ISO 8601 date or date-time, optionally with a time zone
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Split delimited text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @param {number} limit - Stop after this many rows
+ * @returns {Object} { rows, error } where error names the line of an unclosed quote
+ */
+export function parseRows(text, delimiter, limit = Infinity) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let quoteLine = 0;
+    let line = 1;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    const endRow = () => {
+        row.push(field);
+        // Blank lines carry no record
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    while (i < text.length && rows.length < limit) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    if (quoted) {
+        return { rows, error: `Line ${quoteLine}: quoted field is never closed` };
+    }
+    if (rows.length < limit && (field !== '' || row.length > 0)) {
+        endRow();
+    }
+
+    return { rows, error: null };
+}
+
+/**
+ * Guess the delimiter from the first lines of the text
+ * The delimiter that splits the sample into the most rows with the same
+ * number of fields as the header wins; ties go to more fields.
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter (a comma when nothing fits better)
+ */
+export function detectDelimiter(text) {
+    let best = { delimiter: ',', consistent: 0, fields: 1 };
+
+    CSV_DELIMITERS.forEach(delimiter => {
+        const { rows } = parseRows(text, delimiter, DETECT_SAMPLE_ROWS);
+        if (rows.length === 0) return;
+
+        const fields = rows[0].length;
+        if (fields < 2) return;
+
+        const consistent = rows.filter(row => row.length === fields).length;
+        if (consistent > best.consistent || (consistent === best.consistent && fields > best.fields)) {
+            best = { delimiter, consistent, fields };
+        }
+    });
+
+    return best.delimiter;
+}
+
+/**
+ * Check a string for a real ISO 8601 date (2024-02-30 is rejected)
+ * @param {string} text - Candidate string
+ * @returns {boolean}
+ */
+function isISODate(text) {
+    const match = ISO_DATE.exec(text);
+    if (!match) return false;
+
+    const [, year, month, day] = match;
+    const date = new Date(Date.UTC(+year, +month - 1, +day));
+    return date.getUTCFullYear() === +year && date.getUTCMonth() === +month - 1 && date.getUTCDate() === +day;
+}
+
+/**
+ * Whether a cell holds no value
+ * @param {string} text - Cell text
+ * @returns {boolean}
+ */
+function isNullCell(text) {
+    return text === '' || NULL.test(text);
+}
+
+/**
+ * Infer the type of a column from its cells
+ * A column is only typed when every non-null cell fits, so one stray value keeps it text.
+ * @param {string[]} values - Cell texts
+ * @returns {string} 'number', 'boolean', 'date', 'null' (no values) or 'string'
+ */
+export function inferColumnType(values) {
+    const present = values.filter(value => !isNullCell(value));
+    if (present.length === 0) return 'null';
+
+    if (present.every(value => NUMBER.test(value) && Number.isSafeInteger(Math.trunc(Number(value))))) {
+        return 'number';
+    }
+    if (present.every(value => BOOLEAN.test(value))) return 'boolean';
+    if (present.every(isISODate)) return 'date';
+    return 'string';
+}
+
+/**
+ * Convert a cell to a JSON value
+ * Empty cells and `null` become null; dates become ISO 8601 strings.
+ * @param {string} text - Cell text
+ * @param {string} type - Column type from inferColumnType
+ * @returns {*} JSON value
+ */
+export function convertCell(text, type) {
+    if (isNullCell(text)) return null;
+
+    switch (type) {
+        case 'number':
+            return Number(text);
+        case 'boolean':
+            return text.toLowerCase() === 'true';
+        case 'date':
+            return text.replace(' ', 'T');
+        default:
+            return text;
+    }
+}
+
+/**
+ * Build unique column names from the header row
+ * @param {string[]} header - Header fields
+ * @param {number} width - Number of fields in the widest row
+ * @returns {string[]} Names; blanks become column3 and duplicates name_2
+ */
+function buildColumnNames(header, width) {
+    const seen = new Set();
+    const names = [];
+
+    for (let i = 0; i < width; i++) {
+        const base = (header[i] || '').trim() || `column${i + 1}`;
+        let name = base;
+        for (let n = 2; seen.has(name); n++) {
+            name = `${base}_${n}`;
+        }
+        seen.add(name);
+        names.push(name);
+    }
+
+    return names;
+}
+
+/**
+ * Parse CSV text whose first row is the header
+ * @param {string} text - CSV text
+ * @param {Object} options
+ * @param {string} options.delimiter - Field delimiter; detected when omitted
+ * @returns {Object} { valid, delimiter, columns: [{ name, type, samples }], rows, error }
+ */
+export function parseCSV(text, { delimiter = detectDelimiter(text) } = {}) {
+    const { rows, error } = parseRows(text, delimiter);
+    if (error) {
+        return { valid: false, delimiter, error };
+    }
+    if (rows.length === 0) {
+        return { valid: false, delimiter, error: 'The file has no header row' };
+    }
+
+    const [header, ...body] = rows;
+    const width = body.reduce((max, row) => Math.max(max, row.length), header.length);
+    const names = buildColumnNames(header, width);
+
+    const columns = names.map((name, index) => {
+        const values = body.map(row => row[index] ?? '');
+        return {
+            name,
+            type: inferColumnType(values),
+            samples: values.filter(value => !isNullCell(value)).slice(0, SAMPLE_VALUES)
+        };
+    });
+
+    return { valid: true, delimiter, columns, rows: body, error: null };
+}
+
+/**
+ * Convert parsed CSV rows to an array of objects
+ * @param {Object} parsed - Result from parseCSV
+ * @param {string[]} types - Type per column; defaults to the inferred types
+ * @returns {Object[]} Records
+ */
+export function csvToRecords(parsed, types = parsed.columns.map(column => column.type)) {
+    return parsed.rows.map(row => {
+        const record = {};
+        parsed.columns.forEach((column, index) => {
+            setOwnProperty(record, column.name, convertCell(row[index] ?? '', types[index]));
+        });
+        return record;
+    });
+}
@@ -0,0 +1,217 @@
+/**
+ * Data Profile Module
+ * Per-field statistics for the records of a document: types, missing and
+ * null rates, distinct and top values, number and string length histograms
+ */
+
+// Fields profiled per document; wide, dictionary-like records stop here
+const MAX_FIELDS = 300;
+
+// Distinct values counted per field; beyond this counts are a lower bound
+const MAX_TRACKED_VALUES = 10000;
+
+const HISTOGRAM_BINS = 10;
+
+/**
+ * Whether a value is a plain object (not an array or null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value
+ * @returns {string} 'string', 'number', 'boolean', 'null', 'object' or 'array'
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Find the record array of a document
+ * A root array holds the records; otherwise the longest array under a root key does.
+ * @param {*} document - Parsed document
+ * @returns {string|null} '' for a root array, the root key, or null when there is none
+ */
+export function findRecordsPath(document) {
+    if (Array.isArray(document)) return '';
+    if (!isObject(document)) return null;
+
+    let path = null;
+    let length = -1;
+    Object.keys(document).forEach(key => {
+        if (Array.isArray(document[key]) && document[key].length > length) {
+            path = key;
+            length = document[key].length;
+        }
+    });
+    return path;
+}
+
+/**
+ * Summarize a list of numbers
+ * @param {number[]} values - Non-empty list
+ * @returns {Object} { min, max, mean, histogram: [{ from, to, count }], discrete }
+ *   discrete: one bin per whole number
+ */
+function summarizeNumbers(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    values.forEach(value => {
+        if (value < min) min = value;
+        if (value > max) max = value;
+        sum += value;
+    });
+
+    // Whole-number ranges narrower than the bin count get one bin per value
+    const discrete = max - min < HISTOGRAM_BINS && values.every(Number.isInteger);
+    const binCount = discrete ? max - min + 1 : (min === max ? 1 : HISTOGRAM_BINS);
+    const width = discrete ? 1 : (max - min) / binCount;
+
+    const histogram = Array.from({ length: binCount }, (item, index) => ({
+        from: min + index * width,
+        to: discrete || index < binCount - 1 ? min + (index + 1) * width : max,
+        count: 0
+    }));
+    values.forEach(value => {
+        const index = width === 0 ? 0 : Math.min(binCount - 1, Math.floor((value - min) / width));
+        histogram[index].count++;
+    });
+
+    return { min, max, mean: sum / values.length, histogram, discrete };
+}
+
+class FieldStats {
+    constructor(segments) {
+        this.segments = segments;
+        this.present = 0;
+        this.types = {};
+        this.values = new Map(); // JSON text of a primitive value → count
+        this.capped = false;
+        this.numbers = [];
+        this.lengths = [];
+    }
+
+    /**
+     * Count one occurrence of the field
+     * @param {*} value - Field value in a record
+     */
+    add(value) {
+        const type = typeOf(value);
+        this.present++;
+        this.types[type] = (this.types[type] || 0) + 1;
+
+        if (type === 'number') this.numbers.push(value);
+        if (type === 'string') this.lengths.push(value.length);
+        if (type === 'object' || type === 'array') return;
+
+        const key = JSON.stringify(value);
+        const count = this.values.get(key);
+        if (count !== undefined) {
+            this.values.set(key, count + 1);
+        } else if (this.values.size < MAX_TRACKED_VALUES) {
+            this.values.set(key, 1);
+        } else {
+            this.capped = true;
+        }
+    }
+
+    /**
+     * Build the profile of the field
+     * @param {number} recordCount - Number of records profiled
+     * @param {number} topN - Number of most frequent values to keep
+     * @returns {Object}
+     */
+    finish(recordCount, topN) {
+        const top = [...this.values.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, topN)
+            .map(([key, count]) => ({ value: JSON.parse(key), count }));
+
+        return {
+            path: this.segments.join('.'),
+            segments: this.segments,
+            present: this.present,
+            missing: recordCount - this.present,
+            nulls: this.types.null || 0,
+            types: this.types,
+            distinct: this.values.size,
+            distinctCapped: this.capped,
+            numbers: this.numbers.length > 0 ? summarizeNumbers(this.numbers) : null,
+            strings: this.lengths.length > 0 ? summarizeNumbers(this.lengths) : null,
+            top
+        };
+    }
+}
+
+/**
+ * Profile every field of a list of records
+ * Nested objects are profiled field by field (`address.city`); arrays are
+ * counted as values of their field. Records that are not objects are profiled
+ * as one field with an empty path.
+ * @param {Array} records - Records to profile
+ * @param {Object} options
+ * @param {number} options.topN - Most frequent values kept per field
+ * @returns {Object} { recordCount, fields: [...], truncatedFields }
+ */
+export function profileRecords(records, { topN = 10 } = {}) {
+    const fields = new Map();
+    let truncatedFields = false;
+
+    const visit = (value, segments) => {
+        const path = segments.join('\u0000');
+        let field = fields.get(path);
+        if (!field) {
+            if (fields.size >= MAX_FIELDS) {
+                truncatedFields = true;
+                return;
+            }
+            field = new FieldStats(segments);
+            fields.set(path, field);
+        }
+        field.add(value);
+
+        if (isObject(value)) {
+            Object.keys(value).forEach(key => visit(value[key], [...segments, key]));
+        }
+    };
+
+    records.forEach(record => {
+        if (isObject(record)) {
+            Object.keys(record).forEach(key => visit(record[key], [key]));
+        } else {
+            visit(record, []);
+        }
+    });
+
+    return {
+        recordCount: records.length,
+        fields: [...fields.values()].map(field => field.finish(records.length, topN)),
+        truncatedFields
+    };
+}
+
+/**
+ * Profile the records of a document
+ * @param {*} document - Parsed document
+ * @param {string|null} recordsPath - Where the records are, as from findRecordsPath;
+ *   found from the document when undefined
+ * @param {Object} options - Options for profileRecords
+ * @returns {Object} Profile with recordsPath; a document without an array is one record
+ */
+export function profileDocument(document, recordsPath = findRecordsPath(document), options = {}) {
+    let records = [document];
+    if (recordsPath === '') {
+        records = document;
+    } else if (recordsPath !== null) {
+        records = document[recordsPath];
+    }
+
+    return { recordsPath, ...profileRecords(records, options) };
+}
@@ -0,0 +1,153 @@
+/**
+ * Document Client Module
+ * Main-thread client for the document worker that holds, parses and queries documents
+ */
+
+export class DocumentClient {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Get the worker, starting it on first use
+     * @returns {Worker}
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./documentWorker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+            this.worker.addEventListener('error', (e) => {
+                this.rejectAll(new Error(e.message || 'Document worker failed'));
+            });
+        }
+        return this.worker;
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {string} type - Message type
+     * @param {Object} payload - Message payload
+     * @param {Function} onProgress - Optional progress callback
+     * @returns {Promise<*>} Worker result
+     */
+    request(type, payload, onProgress = null) {
+        const worker = this.getWorker();
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - Worker message
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        if (message.type === 'progress') {
+            if (request.onProgress) {
+                request.onProgress(message.loaded, message.total);
+            }
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.type === 'error') {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Reject every pending request
+     * @param {Error} error - Rejection reason
+     */
+    rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    /**
+     * Whether the worker is still working on a request
+     * @returns {boolean}
+     */
+    isBusy() {
+        return this.pending.size > 0;
+    }
+
+    /**
+     * Parse a file in the worker
+     * @param {File} file - File to parse
+     * @param {Object} options - { format: 'json'|'ndjson', skipInvalid: boolean }
+     * @param {Function} onProgress - Called with (loaded, total) bytes
+     * @returns {Promise<Object>} Document summary (stats, fields, preview)
+     */
+    parseFile(file, options, onProgress) {
+        return this.request('parse', { file, ...options }, onProgress);
+    }
+
+    /**
+     * Copy an already parsed document into the worker
+     * @param {*} data - Parsed JSON data
+     * @returns {Promise<boolean>}
+     */
+    load(data) {
+        return this.request('load', { data });
+    }
+
+    /**
+     * Run a query against the worker's document
+     * @param {string} query - Query text
+     * @param {string} language - 'jmespath', 'jsonpath' or 'jq'
+     * @returns {Promise<*>} Query result
+     */
+    query(query, language = 'jmespath') {
+        return this.request('query', { query, language });
+    }
+
+    /**
+     * Run a query against data sent with it, leaving the worker's document alone
+     * @param {*} data - Data to query
+     * @param {string} query - Query text
+     * @param {string} language - 'jmespath', 'jsonpath' or 'jq'
+     * @returns {Promise<*>} Query result
+     */
+    evaluate(data, query, language = 'jmespath') {
+        return this.request('evaluate', { data, query, language });
+    }
+
+    /**
+     * Infer the shape of the worker's document from every value in it
+     * @returns {Promise<Object>} Shape from inferShape
+     */
+    inferShape() {
+        return this.request('inferShape', {});
+    }
+
+    /**
+     * Profile every field of the records in the worker's document
+     * @returns {Promise<Object>} Profile from profileDocument
+     */
+    profile() {
+        return this.request('profile', {});
+    }
+
+    /**
+     * Stop the worker, dropping its document and failing pending requests
+     * @param {Error} reason - Error pending requests are rejected with
+     */
+    terminate(reason = new Error('Document was unloaded')) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAll(reason);
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Document Store Module
+ * Keeps recently loaded documents in IndexedDB so they can be reopened after a reload
+ */
+
+const DB_NAME = 'jsonAnalyser';
+const DB_VERSION = 1;
+
+// Metadata is kept apart from the contents so listing documents doesn't read them
+const META_STORE = 'documents'; // { id, name, format, size, source, savedAt, streamed }
+const CONTENT_STORE = 'contents'; // { id, text } or { id, file }
+
+export const MAX_RECENT_DOCUMENTS = 20;
+
+// Larger files are not copied into the browser's storage
+export const MAX_STORED_SIZE = 100 * 1024 * 1024;
+
+export const DOCUMENT_SOURCES = {
+    upload: 'Uploaded',
+    drop: 'Dropped'
+};
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+export class DocumentStore {
+    /**
+     * @param {IDBFactory} indexedDB - Database factory; the browser's by default
+     */
+    constructor(indexedDB = globalThis.indexedDB) {
+        this.indexedDB = indexedDB;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether the browser can store documents (private modes may not)
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return Boolean(this.indexedDB);
+    }
+
+    /**
+     * Open the database, creating it on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            if (!this.isAvailable()) {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+
+            const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(CONTENT_STORE)) {
+                    db.createObjectStore(CONTENT_STORE, { keyPath: 'id' });
+                }
+            };
+
+            this.dbPromise = promisify(request).catch(error => {
+                // Let the next call try again
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Store a loaded document as the most recent one
+     * A stored document with the same name is replaced, and the oldest ones are
+     * removed beyond MAX_RECENT_DOCUMENTS.
+     * @param {Object} doc
+     * @param {string} doc.name - File name
+     * @param {string} doc.format - Input format the document is shown in
+     * @param {string} doc.source - Key of DOCUMENT_SOURCES
+     * @param {string} doc.text - Editor contents; or
+     * @param {File} doc.file - File of a document too large for the editor
+     * @returns {Promise<Object|null>} Stored metadata, or null when the document is too large to store
+     */
+    async saveDocument({ name, format, source, text = null, file = null }) {
+        const size = file ? file.size : new Blob([text]).size;
+        if (size > MAX_STORED_SIZE) return null;
+
+        const db = await this.open();
+        const metadata = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+            name,
+            format,
+            size,
+            source,
+            savedAt: new Date().toISOString(),
+            streamed: Boolean(file)
+        };
+
+        const transaction = db.transaction([META_STORE, CONTENT_STORE], 'readwrite');
+        const done = transactionDone(transaction);
+        const metaStore = transaction.objectStore(META_STORE);
+        const contentStore = transaction.objectStore(CONTENT_STORE);
+
+        const existing = await promisify(metaStore.getAll());
+        const kept = existing
+            .filter(item => item.name !== name)
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+            .slice(0, MAX_RECENT_DOCUMENTS - 1);
+        const removed = existing.filter(item => !kept.includes(item));
+
+        removed.forEach(item => {
+            metaStore.delete(item.id);
+            contentStore.delete(item.id);
+        });
+        metaStore.put(metadata);
+        contentStore.put(file ? { id: metadata.id, file } : { id: metadata.id, text });
+
+        await done;
+        return metadata;
+    }
+
+    /**
+     * List the stored documents
+     * @returns {Promise<Array>} Metadata, most recent first
+     */
+    async listDocuments() {
+        const db = await this.open();
+        const documents = await promisify(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+        return documents.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Read a stored document
+     * @param {string} id - Document ID
+     * @returns {Promise<Object|null>} Metadata with text or file, or null if it is gone
+     */
+    async getDocument(id) {
+        const db = await this.open();
+        const transaction = db.transaction([META_STORE, CONTENT_STORE]);
+        const [metadata, content] = await Promise.all([
+            promisify(transaction.objectStore(META_STORE).get(id)),
+            promisify(transaction.objectStore(CONTENT_STORE).get(id))
+        ]);
+        if (!metadata || !content) return null;
+
+        return { ...metadata, text: content.text ?? null, file: content.file ?? null };
+    }
+
+    /**
+     * Mark a stored document as the most recent one
+     * @param {string} id - Document ID
+     * @returns {Promise<void>}
+     */
+    async touchDocument(id) {
+        const db = await this.open();
+        const transaction = db.transaction(META_STORE, 'readwrite');
+        const done = transactionDone(transaction);
+        const store = transaction.objectStore(META_STORE);
+
+        const metadata = await promisify(store.get(id));
+        if (metadata) {
+            store.put({ ...metadata, savedAt: new Date().toISOString() });
+        }
+        await done;
+    }
+
+    /**
+     * Remove a stored document
+     * @param {string} id - Document ID
+     * @returns {Promise<void>}
+     */
+    async deleteDocument(id) {
+        const db = await this.open();
+        const transaction = db.transaction([META_STORE, CONTENT_STORE], 'readwrite');
+        const done = transactionDone(transaction);
+        transaction.objectStore(META_STORE).delete(id);
+        transaction.objectStore(CONTENT_STORE).delete(id);
+        await done;
+    }
+
+    /**
+     * Remove every stored document
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction([META_STORE, CONTENT_STORE], 'readwrite');
+        const done = transactionDone(transaction);
+        transaction.objectStore(META_STORE).clear();
+        transaction.objectStore(CONTENT_STORE).clear();
+        await done;
+    }
+
+    /**
+     * Count the stored documents and their size
+     * @returns {Promise<Object>} { documentsCount, documentsSize }
+     */
+    async getStats() {
+        const documents = await this.listDocuments();
+        return {
+            documentsCount: documents.length,
+            documentsSize: documents.reduce((total, doc) => total + doc.size, 0)
+        };
+    }
+}
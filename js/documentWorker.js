@@ -0,0 +1,187 @@
+/**
+ * Document Worker
+ * Holds the loaded document off the main thread, parses large files
+ * incrementally and runs queries against the document
+ */
+
+import { IncrementalJSONParser } from './incrementalParser.js';
+import { NDJSONStreamParser, formatNDJSON } from './ndjson.js';
+import { collectFieldPaths, setOwnProperty } from './utils.js';
+import { registerCustomFunctions } from './queryFunctions.js';
+import { evaluateJSONPath } from './jsonPath.js';
+import { evaluateJq } from './jq.js';
+import { inferShape } from './schemaInference.js';
+import { profileDocument } from './dataProfile.js';
+
+// Bundled with the app so queries work offline
+const JMESPATH_URL = new URL('../lib/jmespath/index.esm.min.js', import.meta.url).href;
+const PREVIEW_RECORDS = 20;
+const PREVIEW_MAX_LENGTH = 200000;
+const PROGRESS_STEP = 0.01;
+
+// Current document and its index; streamed documents never cross to the main thread
+let model = null;
+let jmespath = null;
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        let result;
+        switch (type) {
+            case 'parse':
+                result = await parseFile(id, payload);
+                break;
+            case 'load':
+                model = { document: payload.data };
+                result = true;
+                break;
+            case 'query':
+                if (!model) throw new Error('No document loaded');
+                result = await runQuery(model.document, payload.query, payload.language);
+                break;
+            case 'evaluate':
+                // Data sent with the query; the loaded document is left as it is
+                result = await runQuery(payload.data, payload.query, payload.language);
+                break;
+            case 'inferShape':
+                if (!model) throw new Error('No document loaded');
+                result = inferShape(model.document);
+                break;
+            case 'profile':
+                if (!model) throw new Error('No document loaded');
+                // Streamed documents know their record array; loaded ones are searched
+                result = profileDocument(model.document, model.recordsPath);
+                break;
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
+
+/**
+ * Read a file incrementally and build the in-memory model
+ * @param {number} id - Request ID used for progress messages
+ * @param {Object} options - { file, format: 'json'|'ndjson', skipInvalid }
+ * @returns {Promise<Object>} Summary of the parsed document
+ */
+async function parseFile(id, { file, format = 'json', skipInvalid = false }) {
+    model = null;
+
+    const parser = format === 'ndjson'
+        ? new NDJSONStreamParser({ skipInvalid })
+        : new IncrementalJSONParser();
+    const decoder = new TextDecoder();
+    const reader = file.stream().getReader();
+    let loaded = 0;
+    let reported = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        parser.push(decoder.decode(value, { stream: true }));
+        loaded += value.byteLength;
+
+        if (loaded / file.size - reported >= PROGRESS_STEP) {
+            reported = loaded / file.size;
+            self.postMessage({ id, type: 'progress', loaded, total: file.size });
+        }
+    }
+
+    parser.push(decoder.decode());
+    const document = parser.end();
+
+    model = {
+        document,
+        records: getRecordList(document, parser.records.path),
+        recordsPath: parser.records.path,
+        stats: parser.stats,
+        format
+    };
+
+    return {
+        stats: model.stats,
+        recordCount: model.records ? model.records.length : 0,
+        recordsPath: model.recordsPath,
+        fields: collectFieldPaths(document),
+        preview: buildPreview(model),
+        errors: parser.errors || [],
+        errorCount: parser.errorCount || 0
+    };
+}
+
+/**
+ * Resolve the record array the parser indexed
+ * @param {*} document - Parsed document
+ * @param {string|null} path - '' for a root array, a root key, or null
+ * @returns {Array|null}
+ */
+function getRecordList(document, path) {
+    if (path === null) return null;
+    return path === '' ? document : document[path];
+}
+
+/**
+ * Build a short JSON preview of the document for the editor
+ * @param {Object} model - Parsed model
+ * @returns {string}
+ */
+function buildPreview(model) {
+    const { document, records, recordsPath } = model;
+
+    if (!records) {
+        const text = JSON.stringify(document, null, 2);
+        return text.length > PREVIEW_MAX_LENGTH ? `${text.slice(0, PREVIEW_MAX_LENGTH)}\n…` : text;
+    }
+
+    const sample = records.slice(0, PREVIEW_RECORDS);
+    if (model.format === 'ndjson') {
+        return formatNDJSON(sample);
+    }
+
+    if (recordsPath === '') {
+        return JSON.stringify(sample, null, 2);
+    }
+
+    // Keep the envelope but only the first records of the indexed array
+    const envelope = {};
+    Object.keys(document).forEach(key => {
+        setOwnProperty(envelope, key, key === recordsPath ? sample : document[key]);
+    });
+    return JSON.stringify(envelope, null, 2);
+}
+
+/**
+ * Run a query against the parsed document or data sent with the query
+ * @param {*} data - Data to query
+ * @param {string} query - Query in the given language
+ * @param {string} language - 'jmespath', 'jsonpath' or 'jq'
+ * @returns {Promise<*>} Query result; every match for JSONPath, every output for jq
+ */
+async function runQuery(data, query, language = 'jmespath') {
+    if (language === 'jsonpath') {
+        return evaluateJSONPath(data, query);
+    }
+    if (language === 'jq') {
+        return evaluateJq(data, query);
+    }
+
+    if (!jmespath) {
+        let module;
+        try {
+            module = await import(JMESPATH_URL);
+        } catch (error) {
+            throw new Error('JMESPath library could not be loaded. Please refresh the page.');
+        }
+        const library = module.default || module;
+        registerCustomFunctions(library);
+        jmespath = library;
+    }
+
+    return jmespath.search(data, query);
+}
+
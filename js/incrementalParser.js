@@ -0,0 +1,396 @@
+/**
+ * Incremental JSON Parser Module
+ * Parses JSON text fed in chunks without holding the whole source string
+ */
+
+import { setOwnProperty } from './utils.js';
+
+/**
+ * Incremental JSON parser
+ *
+ * The root value (and, when the root is an object, each of its members) is
+ * walked character by character so arbitrarily large envelopes such as
+ * `[...]` or `{"data": [...]}` never need to be in memory as one string.
+ * Every value below that level is captured as text and handed to the native
+ * JSON.parse, which keeps the parser fast on very large inputs.
+ */
+export class IncrementalJSONParser {
+    constructor() {
+        this.buffer = '';
+        this.pos = 0;
+        this.offset = 0; // Absolute position of buffer[0] in the source
+        this.stack = []; // Containers being walked (root and root members)
+        this.capture = null; // Value currently being captured as text
+        this.root = undefined;
+        this.hasRoot = false;
+        this.done = false;
+
+        this.stats = {
+            type: null,
+            properties: 0,
+            depth: 0
+        };
+
+        // Location of the largest array seen while walking, used as the record list
+        this.records = { path: null, count: 0 };
+    }
+
+    /**
+     * Feed the next chunk of source text
+     * @param {string} text - Chunk of JSON text
+     */
+    push(text) {
+        if (this.done) {
+            throw new SyntaxError('Parser already finished');
+        }
+
+        this.buffer += text;
+        this.process(false);
+        this.compact();
+    }
+
+    /**
+     * Signal the end of input and return the parsed value
+     * @returns {*} Parsed JSON value
+     */
+    end() {
+        this.process(true);
+
+        if (this.capture || this.stack.length > 0 || !this.hasRoot) {
+            throw this.error('Unexpected end of JSON input');
+        }
+
+        this.done = true;
+        this.buffer = '';
+        return this.root;
+    }
+
+    /**
+     * Consume as much of the buffer as possible
+     * @param {boolean} final - Whether no more input will follow
+     */
+    process(final) {
+        const buffer = this.buffer;
+
+        while (this.pos < buffer.length || (final && this.capture)) {
+            if (this.capture) {
+                if (!this.scanCapture(final)) break;
+                continue;
+            }
+
+            const code = buffer.charCodeAt(this.pos);
+
+            // Skip whitespace between tokens
+            if (code === 32 || code === 10 || code === 13 || code === 9) {
+                this.pos++;
+                continue;
+            }
+
+            const frame = this.stack[this.stack.length - 1];
+
+            if (!frame) {
+                if (this.hasRoot) {
+                    throw this.error(`Unexpected token ${buffer[this.pos]} after end of JSON`);
+                }
+                this.startValue(code);
+                continue;
+            }
+
+            switch (frame.expect) {
+                case 'valueOrEnd':
+                    if (code === 93) { // ]
+                        this.pos++;
+                        this.closeFrame();
+                    } else {
+                        this.startValue(code);
+                    }
+                    break;
+                case 'value':
+                    this.startValue(code);
+                    break;
+                case 'keyOrEnd':
+                case 'key':
+                    if (code === 125 && frame.expect === 'keyOrEnd') { // }
+                        this.pos++;
+                        this.closeFrame();
+                    } else if (code === 34) { // "
+                        this.capture = { kind: 'key', start: this.pos, escape: false };
+                        this.pos++;
+                    } else {
+                        throw this.error(`Expected property name but found ${buffer[this.pos]}`);
+                    }
+                    break;
+                case 'colon':
+                    if (code !== 58) { // :
+                        throw this.error(`Expected ':' but found ${buffer[this.pos]}`);
+                    }
+                    this.pos++;
+                    frame.expect = 'value';
+                    break;
+                case 'commaOrEnd':
+                    if (code === 44) { // ,
+                        this.pos++;
+                        frame.expect = frame.type === 'array' ? 'value' : 'key';
+                    } else if ((code === 93 && frame.type === 'array') || (code === 125 && frame.type === 'object')) {
+                        this.pos++;
+                        this.closeFrame();
+                    } else {
+                        throw this.error(`Expected ',' or '${frame.type === 'array' ? ']' : '}'}' but found ${buffer[this.pos]}`);
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Start reading a value at the current position
+     * @param {number} code - Char code at the current position
+     */
+    startValue(code) {
+        const start = this.pos;
+
+        if (code === 123 || code === 91) { // { or [
+            if (this.shouldWalk()) {
+                const type = code === 123 ? 'object' : 'array';
+                this.stack.push({
+                    type,
+                    value: type === 'object' ? {} : [],
+                    key: this.currentKey(),
+                    expect: type === 'object' ? 'keyOrEnd' : 'valueOrEnd'
+                });
+                this.pos++;
+            } else {
+                this.capture = { kind: 'container', start, depth: 1, inString: false, escape: false };
+                this.pos++;
+            }
+        } else if (code === 34) { // "
+            this.capture = { kind: 'string', start, escape: false };
+            this.pos++;
+        } else if (code === 45 || (code >= 48 && code <= 57) || code === 116 || code === 102 || code === 110) {
+            // Numbers and true/false/null run until the next delimiter
+            this.capture = { kind: 'literal', start };
+            this.pos++;
+        } else {
+            throw this.error(`Unexpected token ${this.buffer[this.pos]}`);
+        }
+    }
+
+    /**
+     * Whether a container starting now should be walked instead of captured
+     * @returns {boolean}
+     */
+    shouldWalk() {
+        return this.stack.length === 0 ||
+            (this.stack.length === 1 && this.stack[0].type === 'object');
+    }
+
+    /**
+     * Key the next value will be stored under in the current frame
+     * @returns {string|null}
+     */
+    currentKey() {
+        const frame = this.stack[this.stack.length - 1];
+        return frame && frame.type === 'object' ? frame.pendingKey : null;
+    }
+
+    /**
+     * Continue scanning the value being captured
+     * @param {boolean} final - Whether no more input will follow
+     * @returns {boolean} True when the capture completed
+     */
+    scanCapture(final) {
+        const capture = this.capture;
+        const buffer = this.buffer;
+        const length = buffer.length;
+        let i = this.pos;
+
+        if (capture.kind === 'string' || capture.kind === 'key') {
+            for (; i < length; i++) {
+                const code = buffer.charCodeAt(i);
+                if (capture.escape) {
+                    capture.escape = false;
+                } else if (code === 92) { // \
+                    capture.escape = true;
+                } else if (code === 34) {
+                    this.pos = i + 1;
+                    this.finishCapture();
+                    return true;
+                }
+            }
+        } else if (capture.kind === 'container') {
+            for (; i < length; i++) {
+                const code = buffer.charCodeAt(i);
+                if (capture.inString) {
+                    if (capture.escape) {
+                        capture.escape = false;
+                    } else if (code === 92) {
+                        capture.escape = true;
+                    } else if (code === 34) {
+                        capture.inString = false;
+                    }
+                } else if (code === 34) {
+                    capture.inString = true;
+                } else if (code === 123 || code === 91) {
+                    capture.depth++;
+                } else if (code === 125 || code === 93) {
+                    capture.depth--;
+                    if (capture.depth === 0) {
+                        this.pos = i + 1;
+                        this.finishCapture();
+                        return true;
+                    }
+                }
+            }
+        } else {
+            for (; i < length; i++) {
+                const code = buffer.charCodeAt(i);
+                if (code === 44 || code === 93 || code === 125 ||
+                    code === 32 || code === 10 || code === 13 || code === 9) {
+                    this.pos = i;
+                    this.finishCapture();
+                    return true;
+                }
+            }
+            if (final) {
+                this.pos = i;
+                this.finishCapture();
+                return true;
+            }
+        }
+
+        this.pos = i;
+        return false;
+    }
+
+    /**
+     * Parse the captured text and attach the value
+     */
+    finishCapture() {
+        const capture = this.capture;
+        const text = this.buffer.slice(capture.start, this.pos);
+        this.capture = null;
+
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (e) {
+            throw this.error(`${e.message} in value starting`, capture.start);
+        }
+
+        if (capture.kind === 'key') {
+            const frame = this.stack[this.stack.length - 1];
+            frame.pendingKey = value;
+            frame.expect = 'colon';
+            return;
+        }
+
+        this.measure(value, this.stack.length);
+        this.attach(value);
+    }
+
+    /**
+     * Close the container on top of the stack
+     */
+    closeFrame() {
+        const frame = this.stack.pop();
+        const depth = this.stack.length;
+
+        this.stats.depth = Math.max(this.stats.depth, depth);
+        if (frame.type === 'array' && frame.value.length >= this.records.count) {
+            this.records = {
+                path: frame.key === null ? '' : frame.key,
+                count: frame.value.length
+            };
+        }
+
+        if (depth === 0) {
+            this.stats.type = frame.type;
+            if (frame.type === 'array') {
+                this.stats.arrayLength = frame.value.length;
+            }
+        }
+
+        this.attach(frame.value);
+    }
+
+    /**
+     * Store a completed value in its parent (or as the root)
+     * @param {*} value - Completed value
+     */
+    attach(value) {
+        const frame = this.stack[this.stack.length - 1];
+
+        if (!frame) {
+            this.root = value;
+            this.hasRoot = true;
+            if (this.stats.type === null) {
+                this.stats.type = Array.isArray(value) ? 'array' : value === null ? 'object' : typeof value;
+            }
+            return;
+        }
+
+        if (frame.type === 'array') {
+            frame.value.push(value);
+        } else {
+            setOwnProperty(frame.value, frame.pendingKey, value);
+            frame.pendingKey = undefined;
+            this.stats.properties++;
+        }
+
+        frame.expect = 'commaOrEnd';
+    }
+
+    /**
+     * Accumulate statistics for a captured value (mirrors analyzeJSON)
+     * @param {*} value - Parsed value
+     * @param {number} depth - Depth of the value in the document
+     */
+    measure(value, depth) {
+        const stats = this.stats;
+
+        function traverse(item, level) {
+            if (level > stats.depth) stats.depth = level;
+
+            if (Array.isArray(item)) {
+                for (let i = 0; i < item.length; i++) {
+                    traverse(item[i], level + 1);
+                }
+            } else if (item && typeof item === 'object') {
+                for (const key in item) {
+                    stats.properties++;
+                    traverse(item[key], level + 1);
+                }
+            }
+        }
+
+        traverse(value, depth);
+    }
+
+    /**
+     * Drop consumed text from the buffer
+     */
+    compact() {
+        const keepFrom = this.capture ? this.capture.start : this.pos;
+        if (keepFrom === 0) return;
+
+        this.buffer = this.buffer.slice(keepFrom);
+        this.offset += keepFrom;
+        this.pos -= keepFrom;
+        if (this.capture) {
+            this.capture.start = 0;
+        }
+    }
+
+    /**
+     * Build a syntax error carrying the absolute source position
+     * @param {string} message - Error message
+     * @param {number} at - Buffer position (defaults to the scan position)
+     * @returns {SyntaxError}
+     */
+    error(message, at = this.pos) {
+        const position = this.offset + at;
+        const err = new SyntaxError(`${message} at position ${position}`);
+        err.position = position;
+        return err;
+    }
+}
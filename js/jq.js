@@ -0,0 +1,1461 @@
+/**
+ * jq Module
+ * Parser and evaluator for a subset of the jq filter language
+ *
+ * Supported: paths (.a.b, .[0], .[2:4], .[], ..), the optional operator ?,
+ * pipes, commas, literals, string interpolation, array and object
+ * construction, arithmetic, comparisons, and/or, the alternative operator //,
+ * if/elif/else, try/catch, reduce, `as $var` bindings, @json/@text/@csv/@tsv/
+ * @html/@uri/@base64 formats (also as format strings, @base64 "id \(.id)",
+ * which format each interpolated value) and the builtins listed in BUILTINS.
+ * Not supported: def, foreach, label, assignment operators and path functions
+ * such as del, paths and getpath.
+ */
+
+import { setOwnProperty } from './utils.js';
+
+const KEYWORDS = new Set(['and', 'or', 'if', 'then', 'elif', 'else', 'end', 'as', 'reduce', 'foreach', 'try', 'catch', 'label', 'def', 'import', 'include']);
+
+// Punctuation, longest first so that '//' wins over '/'
+const OPERATORS = ['|=', '+=', '-=', '*=', '/=', '%=', '//=', '==', '!=', '<=', '>=', '//', '|', ',', '(', ')', '[', ']', '{', '}', ':', ';', '?', '<', '>', '+', '-', '*', '/', '%', '='];
+
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+const ASSIGNMENT_OPERATORS = new Set(['=', '|=', '+=', '-=', '*=', '/=', '%=', '//=']);
+
+const FORMATS = new Set(['json', 'text', 'csv', 'tsv', 'html', 'uri', 'base64']);
+
+/**
+ * Error raised while evaluating a filter; `value` is what catch receives
+ */
+class JqError extends Error {
+    constructor(value) {
+        super(typeof value === 'string' ? value : `${toJSON(value)} (not a string)`);
+        this.value = value;
+    }
+}
+
+/**
+ * Tokenize jq source
+ */
+class JqTokenizer {
+    constructor(text, offset = 0) {
+        this.text = text;
+        this.offset = offset;
+        this.pos = 0;
+    }
+
+    tokenize() {
+        const tokens = [];
+        let token;
+        do {
+            token = this.next();
+            tokens.push(token);
+        } while (token.type !== 'eof');
+        return tokens;
+    }
+
+    next() {
+        const text = this.text;
+
+        // Whitespace and # comments
+        while (this.pos < text.length) {
+            if (/\s/.test(text[this.pos])) {
+                this.pos++;
+            } else if (text[this.pos] === '#') {
+                while (this.pos < text.length && text[this.pos] !== '\n') this.pos++;
+            } else {
+                break;
+            }
+        }
+
+        const start = this.pos;
+        const token = (type, value) => ({ type, value, pos: this.offset + start });
+
+        if (this.pos >= text.length) return token('eof');
+
+        const ch = text[this.pos];
+        const rest = text.slice(this.pos, this.pos + 256);
+
+        if (ch === '.') {
+            if (text[this.pos + 1] === '.') {
+                this.pos += 2;
+                return token('recurse');
+            }
+            const field = /^\.([A-Za-z_][A-Za-z0-9_]*)/.exec(rest);
+            if (field) {
+                this.pos += field[0].length;
+                return token('field', field[1]);
+            }
+            this.pos++;
+            return token('dot');
+        }
+
+        if (ch === '"') return this.readString(start);
+
+        const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest);
+        if (number) {
+            this.pos += number[0].length;
+            return token('number', Number(number[0]));
+        }
+
+        const word = /^[A-Za-z_][A-Za-z0-9_]*(::[A-Za-z_][A-Za-z0-9_]*)*/.exec(rest);
+        if (word) {
+            this.pos += word[0].length;
+            return token(KEYWORDS.has(word[0]) ? 'keyword' : 'ident', word[0]);
+        }
+
+        const variable = /^\$([A-Za-z_][A-Za-z0-9_]*)/.exec(rest);
+        if (variable) {
+            this.pos += variable[0].length;
+            return token('var', variable[1]);
+        }
+
+        const format = /^@([A-Za-z0-9_]+)/.exec(rest);
+        if (format) {
+            this.pos += format[0].length;
+            return token('format', format[1]);
+        }
+
+        const operator = OPERATORS.find(op => text.startsWith(op, this.pos));
+        if (operator) {
+            this.pos += operator.length;
+            return token('op', operator);
+        }
+
+        throw syntaxError(`Unexpected character '${ch}'`, this.offset + start);
+    }
+
+    /**
+     * Read a string literal, parsing \(...) interpolations
+     * @param {number} start - Offset of the opening quote
+     * @returns {Object} Token whose value is a list of strings and expressions
+     */
+    readString(start) {
+        const text = this.text;
+        const parts = [];
+        let current = '';
+        this.pos++;
+
+        while (this.pos < text.length && text[this.pos] !== '"') {
+            const ch = text[this.pos];
+
+            if (ch !== '\\') {
+                current += ch;
+                this.pos++;
+                continue;
+            }
+
+            const escape = text[this.pos + 1];
+            if (escape === '(') {
+                const end = this.findInterpolationEnd(this.pos + 2);
+                if (current) parts.push(current);
+                current = '';
+                const source = text.slice(this.pos + 2, end);
+                parts.push(new JqParser(source, this.offset + this.pos + 2).parseProgram());
+                this.pos = end + 1;
+            } else if (escape === 'u') {
+                current += String.fromCharCode(parseInt(text.slice(this.pos + 2, this.pos + 6), 16));
+                this.pos += 6;
+            } else {
+                const simple = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' }[escape];
+                if (simple === undefined) {
+                    throw syntaxError(`Invalid escape \\${escape || ''} in string`, this.offset + this.pos);
+                }
+                current += simple;
+                this.pos += 2;
+            }
+        }
+
+        if (this.pos >= text.length) {
+            throw syntaxError('Unterminated string', this.offset + start);
+        }
+        this.pos++;
+
+        if (current || parts.length === 0) parts.push(current);
+        return { type: 'string', value: parts, pos: this.offset + start };
+    }
+
+    /**
+     * Find the ')' closing an interpolation
+     * @param {number} from - Offset just after '\('
+     * @returns {number} Offset of the closing parenthesis
+     */
+    findInterpolationEnd(from) {
+        const text = this.text;
+        let depth = 1;
+        let inString = false;
+
+        for (let i = from; i < text.length; i++) {
+            const ch = text[i];
+            if (inString) {
+                if (ch === '\\') i++;
+                else if (ch === '"') inString = false;
+            } else if (ch === '"') {
+                inString = true;
+            } else if (ch === '(') {
+                depth++;
+            } else if (ch === ')' && --depth === 0) {
+                return i;
+            }
+        }
+        throw syntaxError('Unterminated string interpolation', this.offset + from - 2);
+    }
+}
+
+/**
+ * Recursive descent parser producing an expression tree
+ */
+class JqParser {
+    constructor(text, offset = 0) {
+        this.tokens = new JqTokenizer(text, offset).tokenize();
+        this.index = 0;
+    }
+
+    parseProgram() {
+        if (this.peek().type === 'eof') {
+            return { type: 'identity' };
+        }
+        const expression = this.parsePipe();
+        if (this.peek().type !== 'eof') {
+            this.fail(`Unexpected ${describeToken(this.peek())}`);
+        }
+        return expression;
+    }
+
+    parsePipe() {
+        if (this.isKeyword('def')) {
+            this.fail('Function definitions (def) are not supported');
+        }
+
+        const left = this.parseComma();
+
+        if (this.isKeyword('as')) {
+            this.advance();
+            const variable = this.expectType('var', 'a $variable after "as"');
+            this.expectOp('|');
+            return { type: 'as', source: left, name: variable.value, body: this.parsePipe() };
+        }
+        if (this.isOp('|')) {
+            this.advance();
+            return { type: 'pipe', left, right: this.parsePipe() };
+        }
+        return left;
+    }
+
+    parseComma() {
+        let left = this.parseAlternative();
+        while (this.isOp(',')) {
+            this.advance();
+            left = { type: 'comma', left, right: this.parseAlternative() };
+        }
+        return left;
+    }
+
+    parseAlternative() {
+        const left = this.parseOr();
+
+        if (this.peek().type === 'op' && ASSIGNMENT_OPERATORS.has(this.peek().value)) {
+            this.fail(`Assignment operator ${this.peek().value} is not supported`);
+        }
+        if (this.isOp('//')) {
+            this.advance();
+            return { type: 'alternative', left, right: this.parseAlternative() };
+        }
+        return left;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isKeyword('or')) {
+            this.advance();
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseComparison();
+        while (this.isKeyword('and')) {
+            this.advance();
+            left = { type: 'and', left, right: this.parseComparison() };
+        }
+        return left;
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        const token = this.peek();
+        if (token.type === 'op' && COMPARISON_OPERATORS.has(token.value)) {
+            this.advance();
+            return { type: 'binary', operator: token.value, left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOp('+') || this.isOp('-')) {
+            const operator = this.advance().value;
+            left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOp('*') || this.isOp('/') || this.isOp('%')) {
+            const operator = this.advance().value;
+            left = { type: 'binary', operator, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('-')) {
+            this.advance();
+            return { type: 'negate', operand: this.parsePostfix() };
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let term = this.parseTerm();
+
+        while (true) {
+            const token = this.peek();
+
+            if (token.type === 'field') {
+                this.advance();
+                term = { type: 'index', target: term, key: { type: 'literal', value: token.value } };
+            } else if (token.type === 'dot' && this.peek(1).type === 'string') {
+                this.advance();
+                term = { type: 'index', target: term, key: this.parseTerm() };
+            } else if (token.type === 'dot' && this.peek(1).type === 'op' && this.peek(1).value === '[') {
+                this.advance();
+            } else if (this.isOp('[')) {
+                term = this.parseBracketSuffix(term);
+            } else if (this.isOp('?')) {
+                this.advance();
+                term = { type: 'try', body: term, handler: null };
+            } else {
+                return term;
+            }
+        }
+    }
+
+    /**
+     * Parse [], [index] or [from:to] after a term
+     * @param {Object} target - Term being indexed
+     * @returns {Object} Expression
+     */
+    parseBracketSuffix(target) {
+        this.advance(); // [
+
+        if (this.isOp(']')) {
+            this.advance();
+            return { type: 'iterate', target };
+        }
+
+        let from = null;
+        if (!this.isOp(':')) {
+            from = this.parsePipe();
+        }
+
+        if (this.isOp(':')) {
+            this.advance();
+            const to = this.isOp(']') ? null : this.parsePipe();
+            this.expectOp(']');
+            return { type: 'slice', target, from, to };
+        }
+
+        this.expectOp(']');
+        return { type: 'index', target, key: from };
+    }
+
+    parseTerm() {
+        const token = this.peek();
+
+        switch (token.type) {
+            case 'dot':
+                this.advance();
+                if (this.peek().type === 'string') {
+                    return { type: 'index', target: { type: 'identity' }, key: this.parseTerm() };
+                }
+                if (this.isOp('[')) {
+                    return this.parseBracketSuffix({ type: 'identity' });
+                }
+                return { type: 'identity' };
+            case 'field':
+                this.advance();
+                return { type: 'index', target: { type: 'identity' }, key: { type: 'literal', value: token.value } };
+            case 'recurse':
+                this.advance();
+                return { type: 'call', name: 'recurse', args: [] };
+            case 'number':
+                this.advance();
+                return { type: 'literal', value: token.value };
+            case 'string':
+                this.advance();
+                return token.value.length === 1 && typeof token.value[0] === 'string'
+                    ? { type: 'literal', value: token.value[0] }
+                    : { type: 'string', parts: token.value };
+            case 'var':
+                this.advance();
+                return { type: 'var', name: token.value };
+            case 'format':
+                this.advance();
+                if (!FORMATS.has(token.value)) {
+                    this.fail(`Unknown format @${token.value}`, token);
+                }
+                // A format string: the literal text stays as it is
+                if (this.peek().type === 'string') {
+                    const parts = this.advance().value;
+                    return parts.length === 1 && typeof parts[0] === 'string'
+                        ? { type: 'literal', value: parts[0] }
+                        : { type: 'string', parts, format: token.value };
+                }
+                return { type: 'format', name: token.value };
+            case 'keyword':
+                return this.parseKeywordTerm(token);
+            case 'ident':
+                return this.parseCall(token);
+            case 'op':
+                if (token.value === '(') {
+                    this.advance();
+                    const expression = this.parsePipe();
+                    this.expectOp(')');
+                    return expression;
+                }
+                if (token.value === '[') {
+                    this.advance();
+                    if (this.isOp(']')) {
+                        this.advance();
+                        return { type: 'collect', body: null };
+                    }
+                    const body = this.parsePipe();
+                    this.expectOp(']');
+                    return { type: 'collect', body };
+                }
+                if (token.value === '{') {
+                    return this.parseObject();
+                }
+        }
+
+        this.fail(`Unexpected ${describeToken(token)}`);
+    }
+
+    parseKeywordTerm(token) {
+        switch (token.value) {
+            case 'if':
+                return this.parseIf();
+            case 'try': {
+                this.advance();
+                const body = this.parsePostfix();
+                let handler = null;
+                if (this.isKeyword('catch')) {
+                    this.advance();
+                    handler = this.parsePostfix();
+                }
+                return { type: 'try', body, handler };
+            }
+            case 'reduce': {
+                this.advance();
+                const source = this.parsePostfix();
+                this.expectKeyword('as');
+                const variable = this.expectType('var', 'a $variable after "as"');
+                this.expectOp('(');
+                const init = this.parsePipe();
+                this.expectOp(';');
+                const update = this.parsePipe();
+                this.expectOp(')');
+                return { type: 'reduce', source, name: variable.value, init, update };
+            }
+            case 'foreach':
+            case 'label':
+            case 'def':
+            case 'import':
+            case 'include':
+                this.fail(`"${token.value}" is not supported`, token);
+        }
+        this.fail(`Unexpected ${describeToken(token)}`, token);
+    }
+
+    parseIf() {
+        this.advance(); // if or elif
+        const condition = this.parsePipe();
+        this.expectKeyword('then');
+        const then = this.parsePipe();
+
+        let otherwise = { type: 'identity' };
+        if (this.isKeyword('elif')) {
+            return { type: 'if', condition, then, otherwise: this.parseIf() };
+        }
+        if (this.isKeyword('else')) {
+            this.advance();
+            otherwise = this.parsePipe();
+        }
+        this.expectKeyword('end');
+        return { type: 'if', condition, then, otherwise };
+    }
+
+    parseCall(token) {
+        this.advance();
+
+        if (token.value === 'true' || token.value === 'false' || token.value === 'null') {
+            return { type: 'literal', value: JSON.parse(token.value) };
+        }
+
+        const args = [];
+        if (this.isOp('(')) {
+            this.advance();
+            args.push(this.parsePipe());
+            while (this.isOp(';')) {
+                this.advance();
+                args.push(this.parsePipe());
+            }
+            this.expectOp(')');
+        }
+
+        if (!BUILTINS[`${token.value}/${args.length}`]) {
+            const arities = Object.keys(BUILTINS)
+                .filter(key => key.startsWith(`${token.value}/`))
+                .map(key => key.split('/')[1]);
+            this.fail(arities.length > 0
+                ? `${token.value} takes ${arities.join(' or ')} argument${arities.join('') === '1' ? '' : 's'}, not ${args.length}`
+                : `Unknown function ${token.value}/${args.length}`, token);
+        }
+        return { type: 'call', name: token.value, args };
+    }
+
+    parseObject() {
+        this.advance(); // {
+        const entries = [];
+
+        while (!this.isOp('}')) {
+            const token = this.peek();
+            let key;
+            let value = null;
+
+            if (token.type === 'ident' || token.type === 'keyword') {
+                this.advance();
+                key = { type: 'literal', value: token.value };
+            } else if (token.type === 'var') {
+                this.advance();
+                key = { type: 'literal', value: token.value };
+                value = { type: 'var', name: token.value };
+            } else if (token.type === 'string') {
+                key = this.parseTerm();
+            } else if (this.isOp('(')) {
+                this.advance();
+                key = this.parsePipe();
+                this.expectOp(')');
+            } else {
+                this.fail(`Expected an object key but found ${describeToken(token)}`);
+            }
+
+            if (value === null) {
+                if (this.isOp(':')) {
+                    this.advance();
+                    value = this.parseObjectValue();
+                } else if (key.type === 'literal' || key.type === 'string') {
+                    // {name} is shorthand for {name: .name}
+                    value = { type: 'index', target: { type: 'identity' }, key };
+                } else {
+                    this.fail(`Expected ':' but found ${describeToken(this.peek())}`);
+                }
+            }
+
+            entries.push({ key, value });
+
+            if (!this.isOp(',')) break;
+            this.advance();
+        }
+
+        this.expectOp('}');
+        return { type: 'object', entries };
+    }
+
+    parseObjectValue() {
+        const left = this.parseAlternative();
+        if (this.isOp('|')) {
+            this.advance();
+            return { type: 'pipe', left, right: this.parseObjectValue() };
+        }
+        return left;
+    }
+
+    // Token helpers
+
+    peek(ahead = 0) {
+        return this.tokens[Math.min(this.index + ahead, this.tokens.length - 1)];
+    }
+
+    advance() {
+        return this.tokens[this.index++];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token.type === 'op' && token.value === value;
+    }
+
+    isKeyword(value) {
+        const token = this.peek();
+        return token.type === 'keyword' && token.value === value;
+    }
+
+    expectOp(value) {
+        if (!this.isOp(value)) {
+            this.fail(`Expected '${value}' but found ${describeToken(this.peek())}`);
+        }
+        return this.advance();
+    }
+
+    expectKeyword(value) {
+        if (!this.isKeyword(value)) {
+            this.fail(`Expected "${value}" but found ${describeToken(this.peek())}`);
+        }
+        return this.advance();
+    }
+
+    expectType(type, description) {
+        if (this.peek().type !== type) {
+            this.fail(`Expected ${description} but found ${describeToken(this.peek())}`);
+        }
+        return this.advance();
+    }
+
+    fail(message, token = this.peek()) {
+        throw syntaxError(message, token.pos);
+    }
+}
+
+function describeToken(token) {
+    switch (token.type) {
+        case 'eof': return 'end of filter';
+        case 'field': return `'.${token.value}'`;
+        case 'recurse': return "'..'";
+        case 'dot': return "'.'";
+        case 'var': return `'$${token.value}'`;
+        case 'format': return `'@${token.value}'`;
+        case 'string': return 'string';
+        default: return `'${token.value}'`;
+    }
+}
+
+function syntaxError(message, position) {
+    const error = new SyntaxError(`${message} at position ${position + 1}`);
+    error.position = position;
+    return error;
+}
+
+// Evaluation
+
+/**
+ * Evaluate an expression, yielding each output
+ * @param {Object} node - Expression
+ * @param {*} input - Input value (.)
+ * @param {Object} env - Variable bindings
+ */
+function* evaluate(node, input, env) {
+    switch (node.type) {
+        case 'identity':
+            yield input;
+            return;
+        case 'literal':
+            yield node.value;
+            return;
+        case 'string':
+            yield* interpolate(node.parts, 0, '', input, env, node.format);
+            return;
+        case 'var':
+            if (!Object.prototype.hasOwnProperty.call(env, node.name)) {
+                throw new JqError(`$${node.name} is not defined`);
+            }
+            yield env[node.name];
+            return;
+        case 'format':
+            yield applyFormat(node.name, input);
+            return;
+        case 'index':
+            for (const target of evaluate(node.target, input, env)) {
+                for (const key of evaluate(node.key, input, env)) {
+                    yield indexValue(target, key);
+                }
+            }
+            return;
+        case 'slice':
+            for (const target of evaluate(node.target, input, env)) {
+                for (const to of node.to ? evaluate(node.to, input, env) : [null]) {
+                    for (const from of node.from ? evaluate(node.from, input, env) : [null]) {
+                        yield sliceValue(target, from, to);
+                    }
+                }
+            }
+            return;
+        case 'iterate':
+            for (const target of evaluate(node.target, input, env)) {
+                yield* iterateValue(target);
+            }
+            return;
+        case 'pipe':
+            for (const value of evaluate(node.left, input, env)) {
+                yield* evaluate(node.right, value, env);
+            }
+            return;
+        case 'comma':
+            yield* evaluate(node.left, input, env);
+            yield* evaluate(node.right, input, env);
+            return;
+        case 'collect':
+            yield node.body ? [...evaluate(node.body, input, env)] : [];
+            return;
+        case 'object':
+            yield* buildObjects(node.entries, 0, {}, input, env);
+            return;
+        case 'negate':
+            for (const value of evaluate(node.operand, input, env)) {
+                if (typeof value !== 'number') {
+                    throw new JqError(`${typeName(value)} (${truncate(toJSON(value))}) cannot be negated`);
+                }
+                yield -value;
+            }
+            return;
+        case 'binary':
+            for (const right of evaluate(node.right, input, env)) {
+                for (const left of evaluate(node.left, input, env)) {
+                    yield binaryOperation(node.operator, left, right);
+                }
+            }
+            return;
+        case 'and':
+        case 'or':
+            for (const left of evaluate(node.left, input, env)) {
+                if (node.type === 'and' ? !isTruthy(left) : isTruthy(left)) {
+                    yield node.type === 'or';
+                    continue;
+                }
+                for (const right of evaluate(node.right, input, env)) {
+                    yield isTruthy(right);
+                }
+            }
+            return;
+        case 'alternative': {
+            let found = false;
+            try {
+                for (const value of evaluate(node.left, input, env)) {
+                    if (isTruthy(value)) {
+                        found = true;
+                        yield value;
+                    }
+                }
+            } catch (error) {
+                if (!(error instanceof JqError)) throw error;
+            }
+            if (!found) {
+                yield* evaluate(node.right, input, env);
+            }
+            return;
+        }
+        case 'if':
+            for (const condition of evaluate(node.condition, input, env)) {
+                yield* evaluate(isTruthy(condition) ? node.then : node.otherwise, input, env);
+            }
+            return;
+        case 'try':
+            try {
+                for (const value of evaluate(node.body, input, env)) {
+                    yield value;
+                }
+            } catch (error) {
+                if (!(error instanceof JqError)) throw error;
+                if (node.handler) {
+                    yield* evaluate(node.handler, error.value, env);
+                }
+            }
+            return;
+        case 'as':
+            for (const value of evaluate(node.source, input, env)) {
+                yield* evaluate(node.body, input, { ...env, [node.name]: value });
+            }
+            return;
+        case 'reduce':
+            for (const initial of evaluate(node.init, input, env)) {
+                let accumulator = initial;
+                for (const value of evaluate(node.source, input, env)) {
+                    accumulator = last(evaluate(node.update, accumulator, { ...env, [node.name]: value }));
+                }
+                yield accumulator;
+            }
+            return;
+        case 'call':
+            yield* BUILTINS[`${node.name}/${node.args.length}`](node.args, input, env);
+            return;
+    }
+}
+
+function* interpolate(parts, index, prefix, input, env, format = null) {
+    if (index === parts.length) {
+        yield prefix;
+        return;
+    }
+
+    const part = parts[index];
+    if (typeof part === 'string') {
+        yield* interpolate(parts, index + 1, prefix + part, input, env, format);
+        return;
+    }
+    for (const value of evaluate(part, input, env)) {
+        const text = format ? applyFormat(format, value) : toText(value);
+        yield* interpolate(parts, index + 1, prefix + text, input, env, format);
+    }
+}
+
+function* buildObjects(entries, index, object, input, env) {
+    if (index === entries.length) {
+        yield object;
+        return;
+    }
+
+    const { key, value } = entries[index];
+    for (const name of evaluate(key, input, env)) {
+        if (typeof name !== 'string') {
+            throw new JqError(`Object keys must be strings, not ${typeName(name)}`);
+        }
+        for (const item of evaluate(value, input, env)) {
+            yield* buildObjects(entries, index + 1, { ...object, [name]: item }, input, env);
+        }
+    }
+}
+
+function indexValue(target, key) {
+    if (target === null) return null;
+
+    if (typeof key === 'string') {
+        if (isObject(target)) {
+            return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : null;
+        }
+    } else if (typeof key === 'number') {
+        if (Array.isArray(target)) {
+            const index = Math.floor(key < 0 ? target.length + key : key);
+            return index >= 0 && index < target.length ? target[index] : null;
+        }
+    } else if (isObject(key) && Array.isArray(target)) {
+        return sliceValue(target, key.start ?? null, key.end ?? null);
+    }
+
+    throw new JqError(`Cannot index ${typeName(target)} with ${typeof key === 'string' ? `"${key}"` : typeName(key)}`);
+}
+
+function sliceValue(target, from, to) {
+    if (target === null) return null;
+    if (typeof target !== 'string' && !Array.isArray(target)) {
+        throw new JqError(`Cannot slice ${typeName(target)}`);
+    }
+    if ((from !== null && typeof from !== 'number') || (to !== null && typeof to !== 'number')) {
+        throw new JqError('Slice indices must be numbers');
+    }
+    return target.slice(from === null ? 0 : Math.floor(from), to === null ? undefined : Math.ceil(to));
+}
+
+function* iterateValue(target) {
+    if (Array.isArray(target)) {
+        yield* target;
+    } else if (isObject(target)) {
+        yield* Object.values(target);
+    } else {
+        throw new JqError(`Cannot iterate over ${typeName(target)}${target === null ? '' : ` (${truncate(toJSON(target))})`}`);
+    }
+}
+
+function binaryOperation(operator, left, right) {
+    switch (operator) {
+        case '==': return compareValues(left, right) === 0;
+        case '!=': return compareValues(left, right) !== 0;
+        case '<': return compareValues(left, right) < 0;
+        case '<=': return compareValues(left, right) <= 0;
+        case '>': return compareValues(left, right) > 0;
+        case '>=': return compareValues(left, right) >= 0;
+    }
+
+    const bothNumbers = typeof left === 'number' && typeof right === 'number';
+
+    switch (operator) {
+        case '+':
+            if (left === null) return right;
+            if (right === null) return left;
+            if (bothNumbers) return left + right;
+            if (typeof left === 'string' && typeof right === 'string') return left + right;
+            if (Array.isArray(left) && Array.isArray(right)) return left.concat(right);
+            if (isObject(left) && isObject(right)) return { ...left, ...right };
+            break;
+        case '-':
+            if (bothNumbers) return left - right;
+            if (Array.isArray(left) && Array.isArray(right)) {
+                return left.filter(item => !right.some(other => compareValues(item, other) === 0));
+            }
+            break;
+        case '*':
+            if (bothNumbers) return left * right;
+            if (typeof left === 'string' && typeof right === 'number') return right > 0 ? left.repeat(Math.ceil(right)) : null;
+            if (isObject(left) && isObject(right)) return deepMerge(left, right);
+            break;
+        case '/':
+            if (bothNumbers) {
+                if (right === 0) throw new JqError(`${left} and ${right} cannot be divided because the divisor is zero`);
+                return left / right;
+            }
+            if (typeof left === 'string' && typeof right === 'string') return left.split(right);
+            break;
+        case '%':
+            if (bothNumbers) {
+                if (Math.trunc(right) === 0) throw new JqError(`${left} and ${right} cannot be divided because the divisor is zero`);
+                return Math.trunc(left) % Math.trunc(right);
+            }
+            break;
+    }
+
+    const verb = { '+': 'added', '-': 'subtracted', '*': 'multiplied', '/': 'divided', '%': 'divided' }[operator];
+    throw new JqError(`${typeName(left)} (${truncate(toJSON(left))}) and ${typeName(right)} (${truncate(toJSON(right))}) cannot be ${verb}`);
+}
+
+function deepMerge(left, right) {
+    const result = { ...left };
+    Object.keys(right).forEach(key => {
+        setOwnProperty(result, key, isObject(result[key]) && isObject(right[key])
+            ? deepMerge(result[key], right[key])
+            : right[key]);
+    });
+    return result;
+}
+
+function applyFormat(name, input) {
+    switch (name) {
+        case 'json':
+            return toJSON(input);
+        case 'text':
+            return toText(input);
+        case 'csv':
+        case 'tsv': {
+            if (!Array.isArray(input)) {
+                throw new JqError(`${typeName(input)} (${truncate(toJSON(input))}) cannot be ${name}-formatted, only an array can be`);
+            }
+            return input.map(value => {
+                if (isObject(value) || Array.isArray(value)) {
+                    throw new JqError(`${typeName(value)} is not valid in a ${name} row`);
+                }
+                if (typeof value !== 'string') return value === null ? '' : String(value);
+                return name === 'csv'
+                    ? `"${value.replace(/"/g, '""')}"`
+                    : value.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+            }).join(name === 'csv' ? ',' : '\t');
+        }
+        case 'html':
+            return toText(input).replace(/[<>&'"]/g, ch => ({
+                '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&#39;', '"': '&quot;'
+            })[ch]);
+        case 'uri':
+            return encodeURIComponent(toText(input)).replace(/[!'()*]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+        case 'base64': {
+            const bytes = new TextEncoder().encode(toText(input));
+            let binary = '';
+            bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+            return btoa(binary);
+        }
+    }
+}
+
+// Value helpers
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTruthy(value) {
+    return value !== null && value !== false;
+}
+
+function typeName(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function toJSON(value) {
+    return JSON.stringify(value);
+}
+
+function toText(value) {
+    return typeof value === 'string' ? value : toJSON(value);
+}
+
+function truncate(text) {
+    return text.length > 30 ? `${text.slice(0, 27)}...` : text;
+}
+
+function last(iterable) {
+    let result = null;
+    for (const value of iterable) result = value;
+    return result;
+}
+
+// jq sort order: null < false < true < numbers < strings < arrays < objects
+const TYPE_ORDER = { null: 0, false: 1, true: 2, number: 3, string: 4, array: 5, object: 6 };
+
+function typeRank(value) {
+    if (typeof value === 'boolean') return TYPE_ORDER[String(value)];
+    return TYPE_ORDER[typeName(value)];
+}
+
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    if (typeof a === 'number' || typeof a === 'string') {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const result = compareValues(a[i], b[i]);
+            if (result !== 0) return result;
+        }
+        return a.length - b.length;
+    }
+    if (isObject(a)) {
+        const keysA = Object.keys(a).sort();
+        const keysB = Object.keys(b).sort();
+        const keyOrder = compareValues(keysA, keysB);
+        if (keyOrder !== 0) return keyOrder;
+        for (const key of keysA) {
+            const result = compareValues(a[key], b[key]);
+            if (result !== 0) return result;
+        }
+    }
+    return 0;
+}
+
+function sortBy(array, keyOf) {
+    return array
+        .map((value, index) => ({ value, key: keyOf(value), index }))
+        .sort((x, y) => compareValues(x.key, y.key) || x.index - y.index)
+        .map(entry => entry.value);
+}
+
+function requireType(name, value, ...types) {
+    if (!types.includes(typeName(value))) {
+        throw new JqError(`${name} cannot be applied to ${typeName(value)} (${truncate(toJSON(value))})`);
+    }
+}
+
+function containsValue(a, b) {
+    if (isObject(a) && isObject(b)) {
+        return Object.keys(b).every(key => Object.prototype.hasOwnProperty.call(a, key) && containsValue(a[key], b[key]));
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return b.every(item => a.some(other => containsValue(other, item)));
+    }
+    if (typeof a === 'string' && typeof b === 'string') {
+        return a.includes(b);
+    }
+    if (typeName(a) === typeName(b)) {
+        return a === b;
+    }
+    throw new JqError(`${typeName(a)} (${truncate(toJSON(a))}) and ${typeName(b)} (${truncate(toJSON(b))}) cannot have their containment checked`);
+}
+
+function toRegExp(pattern, flags, forceGlobal) {
+    if (typeof pattern !== 'string') {
+        throw new JqError(`${typeName(pattern)} (${truncate(toJSON(pattern))}) cannot be matched, as it is not a string`);
+    }
+    let jsFlags = (flags || '').replace(/[^gimsu]/g, '');
+    if (forceGlobal && !jsFlags.includes('g')) jsFlags += 'g';
+    try {
+        return new RegExp(pattern, jsFlags);
+    } catch (error) {
+        throw new JqError(`${pattern} (at offset 0) is not a valid regex: ${error.message}`);
+    }
+}
+
+/**
+ * Replace regex matches; the replacement is a filter evaluated with the
+ * named captures as input
+ */
+function* substitute(args, input, env, global) {
+    requireType(global ? 'gsub' : 'sub', input, 'string');
+    for (const pattern of evaluate(args[0], input, env)) {
+        for (const flags of args[2] ? evaluate(args[2], input, env) : [null]) {
+            const regex = toRegExp(pattern, flags, global);
+            let error = null;
+            const result = input.replace(regex, (...match) => {
+                const groups = typeof match[match.length - 1] === 'object' ? match[match.length - 1] : {};
+                const replacement = first(evaluate(args[1], { ...groups }, env));
+                if (typeof replacement !== 'string' && !error) {
+                    error = new JqError(`${typeName(replacement)} cannot be added to a string`);
+                }
+                return replacement;
+            });
+            if (error) throw error;
+            yield result;
+        }
+    }
+}
+
+function first(iterable) {
+    for (const value of iterable) return value;
+    return null;
+}
+
+/**
+ * Define a builtin that maps each input to one output
+ */
+function simple(fn) {
+    return function* (args, input) {
+        yield fn(input);
+    };
+}
+
+/**
+ * Define a builtin whose arguments are values (all combinations are used)
+ */
+function withValues(fn) {
+    return function* (args, input, env) {
+        yield* combine(args, 0, [], input, env, fn);
+    };
+}
+
+function* combine(args, index, values, input, env, fn) {
+    if (index === args.length) {
+        yield fn(input, ...values);
+        return;
+    }
+    for (const value of evaluate(args[index], input, env)) {
+        yield* combine(args, index + 1, [...values, value], input, env, fn);
+    }
+}
+
+/**
+ * Define a builtin that keeps the inputs for which the predicate holds
+ */
+function selector(predicate) {
+    return function* (args, input) {
+        if (predicate(input)) yield input;
+    };
+}
+
+const BUILTINS = {
+    'empty/0': function* () {},
+    'error/0': function* (args, input) {
+        throw new JqError(input);
+    },
+    'error/1': function* (args, input, env) {
+        for (const message of evaluate(args[0], input, env)) {
+            throw new JqError(message);
+        }
+    },
+    'not/0': simple(input => !isTruthy(input)),
+    'debug/0': simple(input => input),
+    'type/0': simple(typeName),
+    'length/0': simple(input => {
+        if (input === null) return 0;
+        if (typeof input === 'number') return Math.abs(input);
+        if (typeof input === 'string' || Array.isArray(input)) return input.length;
+        if (isObject(input)) return Object.keys(input).length;
+        throw new JqError(`boolean (${input}) has no length`);
+    }),
+    'utf8bytelength/0': simple(input => {
+        requireType('utf8bytelength', input, 'string');
+        return new TextEncoder().encode(input).length;
+    }),
+    'keys/0': simple(input => {
+        requireType('keys', input, 'object', 'array');
+        return Array.isArray(input) ? input.map((_, index) => index) : Object.keys(input).sort();
+    }),
+    'keys_unsorted/0': simple(input => {
+        requireType('keys_unsorted', input, 'object', 'array');
+        return Array.isArray(input) ? input.map((_, index) => index) : Object.keys(input);
+    }),
+    'has/1': withValues((input, key) => {
+        if (isObject(input) && typeof key === 'string') return Object.prototype.hasOwnProperty.call(input, key);
+        if (Array.isArray(input) && typeof key === 'number') return key >= 0 && key < input.length;
+        throw new JqError(`Cannot check whether ${typeName(input)} has a ${typeName(key)} key`);
+    }),
+    'contains/1': withValues(containsValue),
+    'inside/1': withValues((input, container) => containsValue(container, input)),
+    'select/1': function* (args, input, env) {
+        for (const condition of evaluate(args[0], input, env)) {
+            if (isTruthy(condition)) yield input;
+        }
+    },
+    'map/1': function* (args, input, env) {
+        const result = [];
+        for (const item of iterateValue(input)) {
+            result.push(...evaluate(args[0], item, env));
+        }
+        yield result;
+    },
+    'map_values/1': function* (args, input, env) {
+        if (Array.isArray(input)) {
+            const result = [];
+            input.forEach(item => {
+                for (const value of evaluate(args[0], item, env)) {
+                    result.push(value);
+                    break;
+                }
+            });
+            yield result;
+            return;
+        }
+        requireType('map_values', input, 'object');
+        const result = {};
+        Object.keys(input).forEach(key => {
+            for (const value of evaluate(args[0], input[key], env)) {
+                setOwnProperty(result, key, value);
+                break;
+            }
+        });
+        yield result;
+    },
+    'recurse/0': function* (args, input) {
+        yield* recurseValues(input);
+    },
+    'recurse/1': function* recurseWith(args, input, env) {
+        yield input;
+        for (const value of evaluate(args[0], input, env)) {
+            yield* recurseWith(args, value, env);
+        }
+    },
+    'add/0': simple(input => {
+        const items = Array.isArray(input) ? input : [...iterateValue(input)];
+        return items.reduce((sum, item) => binaryOperation('+', sum, item), null);
+    }),
+    'any/0': simple(input => [...iterateValue(input)].some(isTruthy)),
+    'all/0': simple(input => [...iterateValue(input)].every(isTruthy)),
+    'any/1': function* (args, input, env) {
+        yield [...iterateValue(input)].some(item => [...evaluate(args[0], item, env)].some(isTruthy));
+    },
+    'all/1': function* (args, input, env) {
+        yield [...iterateValue(input)].every(item => [...evaluate(args[0], item, env)].every(isTruthy));
+    },
+    'range/1': function* (args, input, env) {
+        for (const end of evaluate(args[0], input, env)) {
+            for (let i = 0; i < end; i++) yield i;
+        }
+    },
+    'range/2': function* (args, input, env) {
+        for (const start of evaluate(args[0], input, env)) {
+            for (const end of evaluate(args[1], input, env)) {
+                for (let i = start; i < end; i++) yield i;
+            }
+        }
+    },
+    'floor/0': simple(input => { requireType('floor', input, 'number'); return Math.floor(input); }),
+    'ceil/0': simple(input => { requireType('ceil', input, 'number'); return Math.ceil(input); }),
+    'round/0': simple(input => { requireType('round', input, 'number'); return Math.round(input); }),
+    'sqrt/0': simple(input => { requireType('sqrt', input, 'number'); return Math.sqrt(input); }),
+    'fabs/0': simple(input => { requireType('fabs', input, 'number'); return Math.abs(input); }),
+    'abs/0': simple(input => { requireType('abs', input, 'number'); return Math.abs(input); }),
+    'tostring/0': simple(toText),
+    'tonumber/0': simple(input => {
+        if (typeof input === 'number') return input;
+        const number = typeof input === 'string' && input.trim() !== '' ? Number(input) : NaN;
+        if (isNaN(number)) throw new JqError(`Cannot parse '${toText(input)}' as a number`);
+        return number;
+    }),
+    'tojson/0': simple(toJSON),
+    'fromjson/0': simple(input => {
+        requireType('fromjson', input, 'string');
+        try {
+            return JSON.parse(input);
+        } catch (error) {
+            throw new JqError(`${input} (while parsing '${input}')`);
+        }
+    }),
+    'ascii_downcase/0': simple(input => { requireType('ascii_downcase', input, 'string'); return input.replace(/[A-Z]/g, ch => ch.toLowerCase()); }),
+    'ascii_upcase/0': simple(input => { requireType('ascii_upcase', input, 'string'); return input.replace(/[a-z]/g, ch => ch.toUpperCase()); }),
+    'ltrimstr/1': withValues((input, prefix) => (
+        typeof input === 'string' && typeof prefix === 'string' && input.startsWith(prefix) ? input.slice(prefix.length) : input
+    )),
+    'rtrimstr/1': withValues((input, suffix) => (
+        typeof input === 'string' && typeof suffix === 'string' && suffix && input.endsWith(suffix) ? input.slice(0, -suffix.length) : input
+    )),
+    'startswith/1': withValues((input, prefix) => {
+        if (typeof input !== 'string' || typeof prefix !== 'string') throw new JqError('startswith() requires string inputs');
+        return input.startsWith(prefix);
+    }),
+    'endswith/1': withValues((input, suffix) => {
+        if (typeof input !== 'string' || typeof suffix !== 'string') throw new JqError('endswith() requires string inputs');
+        return input.endsWith(suffix);
+    }),
+    'split/1': withValues((input, separator) => {
+        if (typeof input !== 'string' || typeof separator !== 'string') throw new JqError('split input and separator must be strings');
+        return input === '' ? [] : input.split(separator);
+    }),
+    'split/2': withValues((input, pattern, flags) => {
+        requireType('split', input, 'string');
+        return input.split(toRegExp(pattern, flags, false));
+    }),
+    'join/1': withValues((input, separator) => {
+        requireType('join', input, 'array');
+        return input.map(item => {
+            if (item === null) return '';
+            if (isObject(item) || Array.isArray(item)) throw new JqError(`Cannot join with ${typeName(item)}`);
+            return String(item);
+        }).join(separator);
+    }),
+    'test/1': withValues((input, pattern) => {
+        requireType('test', input, 'string');
+        return toRegExp(pattern, '', false).test(input);
+    }),
+    'test/2': withValues((input, pattern, flags) => {
+        requireType('test', input, 'string');
+        return toRegExp(pattern, flags, false).test(input);
+    }),
+    'sub/2': function* (args, input, env) { yield* substitute(args, input, env, false); },
+    'sub/3': function* (args, input, env) { yield* substitute(args, input, env, false); },
+    'gsub/2': function* (args, input, env) { yield* substitute(args, input, env, true); },
+    'gsub/3': function* (args, input, env) { yield* substitute(args, input, env, true); },
+    'sort/0': simple(input => { requireType('sort', input, 'array'); return sortBy(input, value => value); }),
+    'sort_by/1': function* (args, input, env) {
+        requireType('sort_by', input, 'array');
+        yield sortBy(input, item => [...evaluate(args[0], item, env)]);
+    },
+    'group_by/1': function* (args, input, env) {
+        requireType('group_by', input, 'array');
+        const keyed = sortBy(input.map(item => ({ item, key: [...evaluate(args[0], item, env)] })), entry => entry.key);
+        const groups = [];
+        keyed.forEach((entry, index) => {
+            if (index === 0 || compareValues(entry.key, keyed[index - 1].key) !== 0) groups.push([]);
+            groups[groups.length - 1].push(entry.item);
+        });
+        yield groups;
+    },
+    'unique/0': simple(input => {
+        requireType('unique', input, 'array');
+        return sortBy(input, value => value).filter((value, index, sorted) => index === 0 || compareValues(value, sorted[index - 1]) !== 0);
+    }),
+    'unique_by/1': function* (args, input, env) {
+        requireType('unique_by', input, 'array');
+        const keyed = sortBy(input.map(item => ({ item, key: [...evaluate(args[0], item, env)] })), entry => entry.key);
+        yield keyed
+            .filter((entry, index) => index === 0 || compareValues(entry.key, keyed[index - 1].key) !== 0)
+            .map(entry => entry.item);
+    },
+    'min/0': simple(input => { requireType('min', input, 'array'); return input.length ? sortBy(input, value => value)[0] : null; }),
+    'max/0': simple(input => { requireType('max', input, 'array'); return input.length ? sortBy(input, value => value)[input.length - 1] : null; }),
+    'min_by/1': function* (args, input, env) {
+        requireType('min_by', input, 'array');
+        yield input.length ? sortBy(input, item => [...evaluate(args[0], item, env)])[0] : null;
+    },
+    'max_by/1': function* (args, input, env) {
+        requireType('max_by', input, 'array');
+        yield input.length ? sortBy(input, item => [...evaluate(args[0], item, env)])[input.length - 1] : null;
+    },
+    'reverse/0': simple(input => {
+        if (input === null) return [];
+        if (typeof input === 'string') return [...input].reverse().join('');
+        requireType('reverse', input, 'array');
+        return [...input].reverse();
+    }),
+    'flatten/0': simple(input => { requireType('flatten', input, 'array'); return input.flat(Infinity); }),
+    'flatten/1': withValues((input, depth) => {
+        requireType('flatten', input, 'array');
+        if (depth < 0) throw new JqError('flatten depth must not be negative');
+        return input.flat(depth);
+    }),
+    'to_entries/0': simple(input => {
+        requireType('to_entries', input, 'object');
+        return Object.keys(input).map(key => ({ key, value: input[key] }));
+    }),
+    'from_entries/0': simple(input => {
+        requireType('from_entries', input, 'array');
+        const result = {};
+        input.forEach(entry => {
+            const key = ['key', 'k', 'name', 'Name', 'Key', 'K'].map(name => entry?.[name]).find(value => value !== undefined && value !== null);
+            const value = ['value', 'v', 'Value', 'V'].map(name => entry?.[name]).find(found => found !== undefined);
+            if (key === undefined) throw new JqError('Cannot use null as object key');
+            setOwnProperty(result, typeof key === 'string' ? key : toJSON(key), value === undefined ? null : value);
+        });
+        return result;
+    }),
+    'with_entries/1': function* (args, input, env) {
+        const entries = BUILTINS['to_entries/0']([], input).next().value;
+        const mapped = BUILTINS['map/1'](args, entries, env).next().value;
+        yield BUILTINS['from_entries/0']([], mapped).next().value;
+    },
+    'first/0': simple(input => indexValue(input, 0)),
+    'last/0': simple(input => indexValue(input, -1)),
+    'nth/1': withValues((input, index) => indexValue(input, index)),
+    'first/1': function* (args, input, env) {
+        for (const value of evaluate(args[0], input, env)) {
+            yield value;
+            return;
+        }
+    },
+    'last/1': function* (args, input, env) {
+        let found = false;
+        let result;
+        for (const value of evaluate(args[0], input, env)) {
+            found = true;
+            result = value;
+        }
+        if (found) yield result;
+    },
+    'limit/2': function* (args, input, env) {
+        for (const count of evaluate(args[0], input, env)) {
+            if (count <= 0) continue;
+            let emitted = 0;
+            for (const value of evaluate(args[1], input, env)) {
+                yield value;
+                if (++emitted >= count) break;
+            }
+        }
+    },
+    'values/0': selector(input => input !== null),
+    'nulls/0': selector(input => input === null),
+    'booleans/0': selector(input => typeof input === 'boolean'),
+    'numbers/0': selector(input => typeof input === 'number'),
+    'strings/0': selector(input => typeof input === 'string'),
+    'arrays/0': selector(input => Array.isArray(input)),
+    'objects/0': selector(isObject),
+    'iterables/0': selector(input => Array.isArray(input) || isObject(input)),
+    'scalars/0': selector(input => !Array.isArray(input) && !isObject(input)),
+    'now/0': simple(() => Date.now() / 1000)
+};
+
+function* recurseValues(value) {
+    yield value;
+    if (Array.isArray(value) || isObject(value)) {
+        for (const child of Array.isArray(value) ? value : Object.values(value)) {
+            yield* recurseValues(child);
+        }
+    }
+}
+
+/**
+ * Compile a jq filter
+ * @param {string} filter - jq filter
+ * @returns {Object} Expression tree
+ * @throws {SyntaxError} With `.position` when the filter is invalid
+ */
+export function compileJq(filter) {
+    return new JqParser(filter).parseProgram();
+}
+
+/**
+ * Run a jq filter
+ * @param {*} data - JSON document
+ * @param {string} filter - jq filter
+ * @returns {Array} Every output of the filter, in order
+ */
+export function evaluateJq(data, filter) {
+    const program = compileJq(filter);
+    try {
+        return [...evaluate(program, data, {})];
+    } catch (error) {
+        if (error instanceof RangeError) {
+            throw new Error('Filter recursed too deeply');
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,359 @@
+/**
+ * JSON5 Module
+ * Lenient parser for JSON5/JSONC that records every non-strict construct
+ */
+
+import { setOwnProperty } from './utils.js';
+
+const IDENTIFIER_START = /[\p{L}\p{Nl}$_]/u;
+const IDENTIFIER_PART = /[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$_\u200C\u200D]/u;
+
+const SIMPLE_ESCAPES = {
+    '"': '"', '\'': '\'', '\\': '\\', '/': '/',
+    b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0'
+};
+
+/**
+ * Recursive descent JSON5 parser
+ */
+class JSON5Parser {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.changes = [];
+        this.lineStarts = null;
+    }
+
+    parse() {
+        this.skipIgnored();
+        const value = this.parseValue();
+        this.skipIgnored();
+
+        if (this.pos < this.text.length) {
+            this.fail(`Unexpected ${this.describeChar()} after the end of the value`);
+        }
+        return value;
+    }
+
+    /**
+     * Skip whitespace and comments, recording each comment removed
+     */
+    skipIgnored() {
+        const text = this.text;
+
+        while (this.pos < text.length) {
+            const ch = text[this.pos];
+
+            if (ch === '/' && text[this.pos + 1] === '/') {
+                this.note(this.pos, 'Removed // comment');
+                const end = text.indexOf('\n', this.pos);
+                this.pos = end === -1 ? text.length : end;
+            } else if (ch === '/' && text[this.pos + 1] === '*') {
+                const end = text.indexOf('*/', this.pos + 2);
+                if (end === -1) {
+                    this.fail('Unterminated /* comment');
+                }
+                this.note(this.pos, 'Removed /* */ comment');
+                this.pos = end + 2;
+            } else if (/\s/.test(ch) || ch === '\uFEFF') {
+                this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    parseValue() {
+        const ch = this.text[this.pos];
+
+        if (ch === '{') return this.parseObject();
+        if (ch === '[') return this.parseArray();
+        if (ch === '"' || ch === '\'') return this.parseString();
+        if (ch === '-' || ch === '+' || ch === '.' || (ch >= '0' && ch <= '9')) return this.parseNumber();
+
+        const word = this.readWord();
+        switch (word) {
+            case 'true': return true;
+            case 'false': return false;
+            case 'null': return null;
+            case 'Infinity':
+            case 'NaN':
+                this.pos -= word.length;
+                return this.parseNumber();
+        }
+
+        if (word) {
+            this.pos -= word.length;
+            this.fail(`Unexpected word ${word}; strings must be quoted`, word.length);
+        }
+        this.fail(`Expected a value but found ${this.describeChar()}`);
+    }
+
+    parseObject() {
+        const result = {};
+        this.pos++; // {
+        this.skipIgnored();
+
+        while (this.text[this.pos] !== '}') {
+            const keyStart = this.pos;
+            let key;
+            const ch = this.text[this.pos];
+
+            if (ch === '"' || ch === '\'') {
+                key = this.parseString();
+            } else {
+                key = this.readIdentifier();
+                if (!key) {
+                    this.fail(`Expected a property name or '}' but found ${this.describeChar()}`);
+                }
+                this.note(keyStart, `Quoted property name ${key}`);
+            }
+
+            this.skipIgnored();
+            if (this.text[this.pos] !== ':') {
+                this.fail(`Expected ':' after property name but found ${this.describeChar()}`);
+            }
+            this.pos++;
+            this.skipIgnored();
+
+            setOwnProperty(result, key, this.parseValue());
+            this.skipIgnored();
+
+            if (this.text[this.pos] === ',') {
+                const commaPos = this.pos;
+                this.pos++;
+                this.skipIgnored();
+                if (this.text[this.pos] === '}') {
+                    this.note(commaPos, 'Removed trailing comma');
+                }
+            } else if (this.text[this.pos] !== '}') {
+                this.fail(`Expected ',' or '}' but found ${this.describeChar()}`);
+            }
+        }
+
+        this.pos++; // }
+        return result;
+    }
+
+    parseArray() {
+        const result = [];
+        this.pos++; // [
+        this.skipIgnored();
+
+        while (this.text[this.pos] !== ']') {
+            result.push(this.parseValue());
+            this.skipIgnored();
+
+            if (this.text[this.pos] === ',') {
+                const commaPos = this.pos;
+                this.pos++;
+                this.skipIgnored();
+                if (this.text[this.pos] === ']') {
+                    this.note(commaPos, 'Removed trailing comma');
+                }
+            } else if (this.text[this.pos] !== ']') {
+                this.fail(`Expected ',' or ']' but found ${this.describeChar()}`);
+            }
+        }
+
+        this.pos++; // ]
+        return result;
+    }
+
+    parseString() {
+        const text = this.text;
+        const start = this.pos;
+        const quote = text[this.pos++];
+        let result = '';
+
+        if (quote === '\'') {
+            this.note(start, 'Converted single-quoted string to double quotes');
+        }
+
+        while (this.pos < text.length) {
+            const ch = text[this.pos];
+
+            if (ch === quote) {
+                this.pos++;
+                return result;
+            }
+
+            if (ch === '\n' || ch === '\r') {
+                this.fail('Unterminated string', this.pos - start);
+            }
+
+            if (ch !== '\\') {
+                result += ch;
+                this.pos++;
+                continue;
+            }
+
+            const escapePos = this.pos;
+            const escape = text[this.pos + 1];
+            this.pos += 2;
+
+            if (escape === 'u' || escape === 'x') {
+                const size = escape === 'u' ? 4 : 2;
+                const hex = text.slice(this.pos, this.pos + size);
+                if (!new RegExp(`^[0-9a-fA-F]{${size}}$`).test(hex)) {
+                    this.fail(`Invalid \\${escape} escape in string`, 2, escapePos);
+                }
+                result += String.fromCharCode(parseInt(hex, 16));
+                this.pos += size;
+                if (escape === 'x') {
+                    this.note(escapePos, `Converted \\x${hex} escape`);
+                }
+            } else if (escape === '\n' || escape === '\r' || escape === '\u2028' || escape === '\u2029') {
+                // Line continuation
+                if (escape === '\r' && text[this.pos] === '\n') this.pos++;
+                this.note(escapePos, 'Joined multi-line string');
+            } else if (escape === undefined) {
+                this.fail('Unterminated string', this.pos - start);
+            } else if (Object.prototype.hasOwnProperty.call(SIMPLE_ESCAPES, escape)) {
+                if (escape === 'v' || escape === '\'' || escape === '0') {
+                    this.note(escapePos, `Converted \\${escape} escape`);
+                }
+                result += SIMPLE_ESCAPES[escape];
+            } else {
+                this.note(escapePos, `Removed unnecessary escape \\${escape}`);
+                result += escape;
+            }
+        }
+
+        this.fail('Unterminated string', this.pos - start, start);
+    }
+
+    parseNumber() {
+        const start = this.pos;
+        const rest = this.text.slice(this.pos, this.pos + 512);
+        const match = /^[+-]?(Infinity|NaN|0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/.exec(rest);
+
+        if (!match) {
+            this.fail(`Invalid number starting with ${this.describeChar()}`);
+        }
+
+        const raw = match[0];
+        this.pos += raw.length;
+
+        const sign = raw[0] === '-' ? -1 : 1;
+        const body = raw.replace(/^[+-]/, '');
+
+        if (body === 'Infinity' || body === 'NaN') {
+            this.note(start, `Replaced ${raw} with null (not representable in JSON)`);
+            return null;
+        }
+
+        if (/^0[xX]/.test(body)) {
+            const value = sign * parseInt(body, 16);
+            this.note(start, `Converted hexadecimal ${raw} to ${value}`);
+            return value;
+        }
+
+        if (raw[0] === '+') {
+            this.note(start, `Removed leading '+' from ${raw}`);
+        }
+        if (/^\./.test(body) || /\.(?!\d)/.test(body)) {
+            this.note(start, `Normalized decimal point in ${raw}`);
+        } else if (/^0\d/.test(body)) {
+            this.note(start, `Removed leading zero from ${raw}`);
+        }
+
+        return sign * Number(body);
+    }
+
+    readIdentifier() {
+        const text = this.text;
+        if (this.pos >= text.length || !IDENTIFIER_START.test(text[this.pos])) {
+            return '';
+        }
+
+        const start = this.pos;
+        this.pos++;
+        while (this.pos < text.length && IDENTIFIER_PART.test(text[this.pos])) {
+            this.pos++;
+        }
+        return text.slice(start, this.pos);
+    }
+
+    readWord() {
+        const match = /^[A-Za-z_$][\w$]*/.exec(this.text.slice(this.pos, this.pos + 256));
+        if (!match) return '';
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    describeChar() {
+        const ch = this.text[this.pos];
+        return ch === undefined ? 'end of input' : `'${ch}'`;
+    }
+
+    /**
+     * Record a lenient construct that repair will change
+     * @param {number} offset - Position of the construct
+     * @param {string} description - What was changed
+     */
+    note(offset, description) {
+        const { line, column } = this.locate(offset);
+        this.changes.push({ line, column, offset, description });
+    }
+
+    /**
+     * Convert an offset to a 1-based line and column
+     * @param {number} offset - Character offset
+     * @returns {Object} { line, column }
+     */
+    locate(offset) {
+        if (!this.lineStarts) {
+            this.lineStarts = [0];
+            for (let i = 0; i < this.text.length; i++) {
+                if (this.text[i] === '\n') this.lineStarts.push(i + 1);
+            }
+        }
+
+        // Binary search for the last line start at or before offset
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+    }
+
+    /**
+     * Stop parsing with an error at the given position
+     * @param {string} message - Error message
+     * @param {number} length - Length of the offending text
+     * @param {number} offset - Position (defaults to the current one)
+     */
+    fail(message, length = 1, offset = this.pos) {
+        const { line, column } = this.locate(offset);
+        const error = new SyntaxError(message);
+        error.location = {
+            message,
+            line,
+            column,
+            offset,
+            length: offset < this.text.length ? length : 0,
+            hint: null
+        };
+        throw error;
+    }
+}
+
+/**
+ * Parse JSON5/JSONC text
+ * @param {string} str - JSON5 text
+ * @returns {Object} { valid, data, error, location, changes }
+ */
+export function parseJSON5(str) {
+    const parser = new JSON5Parser(str);
+
+    try {
+        const data = parser.parse();
+        return { valid: true, data, error: null, changes: parser.changes };
+    } catch (e) {
+        return { valid: false, data: null, error: e.message, location: e.location || null, changes: parser.changes };
+    }
+}
@@ -0,0 +1,463 @@
+/**
+ * JSON Diagnostics Module
+ * Tokenizer and parser that pinpoint JSON syntax errors by line and column,
+ * and a locator that finds the text of the value at a JSON Pointer
+ */
+
+const VALUE_DESCRIPTION = 'a value (object, array, string, number, true, false or null)';
+
+/**
+ * Tokenize JSON text
+ * Never throws: malformed input produces 'invalid', 'singleQuoted' or
+ * 'identifier' tokens so the parser can describe what it found.
+ */
+export class JSONTokenizer {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.line = 1;
+        this.column = 1;
+    }
+
+    /**
+     * Read the next token
+     * @returns {Object} { type, value, raw, offset, line, column, length }
+     */
+    next() {
+        this.skipWhitespace();
+
+        const start = { offset: this.pos, line: this.line, column: this.column };
+        const text = this.text;
+
+        if (this.pos >= text.length) {
+            return { type: 'eof', raw: '', ...start, length: 0 };
+        }
+
+        const ch = text[this.pos];
+
+        if ('{}[]:,'.includes(ch)) {
+            this.advance(1);
+            return { type: ch, raw: ch, ...start, length: 1 };
+        }
+
+        if (ch === '"') {
+            return this.readString(start);
+        }
+
+        if (ch === '\'') {
+            return this.readSingleQuoted(start);
+        }
+
+        if (ch === '-' || (ch >= '0' && ch <= '9')) {
+            return this.readNumber(start);
+        }
+
+        if (/[A-Za-z_$]/.test(ch)) {
+            const match = /^[A-Za-z0-9_$]+/.exec(text.slice(this.pos, this.pos + 256));
+            const word = match[0];
+            this.advance(word.length);
+
+            if (word === 'true' || word === 'false' || word === 'null') {
+                return { type: 'literal', value: word === 'null' ? null : word === 'true', raw: word, ...start, length: word.length };
+            }
+            return { type: 'identifier', raw: word, ...start, length: word.length };
+        }
+
+        this.advance(1);
+        return { type: 'invalid', raw: ch, ...start, length: 1 };
+    }
+
+    /**
+     * Skip JSON whitespace, tracking line and column
+     */
+    skipWhitespace() {
+        const text = this.text;
+        while (this.pos < text.length) {
+            const ch = text[this.pos];
+            if (ch === '\n') {
+                this.pos++;
+                this.line++;
+                this.column = 1;
+            } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+                this.advance(1);
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Advance within the current line
+     * @param {number} count - Number of characters
+     */
+    advance(count) {
+        this.pos += count;
+        this.column += count;
+    }
+
+    /**
+     * Read a double-quoted string
+     * @param {Object} start - Start position
+     * @returns {Object} Token
+     */
+    readString(start) {
+        const text = this.text;
+        let i = this.pos + 1;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === '"') {
+                const raw = text.slice(this.pos, i + 1);
+                this.advance(raw.length);
+                return { type: 'string', value: JSON.parse(raw), raw, ...start, length: raw.length };
+            }
+
+            if (ch === '\n' || ch < ' ') {
+                return this.invalidAt(start, i, ch === '\n' ? 'Unterminated string' : 'Control character in string');
+            }
+
+            if (ch === '\\') {
+                const escape = text[i + 1];
+                if (escape === 'u') {
+                    if (!/^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+                        return this.invalidAt(start, i, 'Invalid \\u escape in string');
+                    }
+                    i += 6;
+                    continue;
+                }
+                if (escape === undefined || !'"\\/bfnrt'.includes(escape)) {
+                    return this.invalidAt(start, i, `Invalid escape \\${escape || ''} in string`);
+                }
+                i += 2;
+                continue;
+            }
+
+            i++;
+        }
+
+        return this.invalidAt(start, i, 'Unterminated string');
+    }
+
+    /**
+     * Read a single-quoted string (not valid JSON, reported with a hint)
+     * @param {Object} start - Start position
+     * @returns {Object} Token
+     */
+    readSingleQuoted(start) {
+        const text = this.text;
+        let i = this.pos + 1;
+
+        while (i < text.length && text[i] !== '\'' && text[i] !== '\n') {
+            i += text[i] === '\\' ? 2 : 1;
+        }
+
+        const raw = text.slice(this.pos, Math.min(i + 1, text.length));
+        this.advance(raw.length);
+        return { type: 'singleQuoted', raw, ...start, length: raw.length };
+    }
+
+    /**
+     * Read a number, validating JSON number grammar
+     * @param {Object} start - Start position
+     * @returns {Object} Token
+     */
+    readNumber(start) {
+        const rest = this.text.slice(this.pos, this.pos + 512);
+        const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(rest);
+        const loose = /^[-+0-9.eE]+/.exec(rest)[0];
+
+        if (!match || match[0].length !== loose.length) {
+            this.advance(loose.length);
+            return { type: 'invalid', raw: loose, message: `Invalid number ${loose}`, ...start, length: loose.length };
+        }
+
+        const raw = match[0];
+        this.advance(raw.length);
+        return { type: 'number', value: Number(raw), raw, ...start, length: raw.length };
+    }
+
+    /**
+     * Build an invalid token ending at an offending character
+     * @param {Object} start - Token start
+     * @param {number} end - Offset of the offending character
+     * @param {string} message - Description
+     * @returns {Object} Token
+     */
+    invalidAt(start, end, message) {
+        const raw = this.text.slice(this.pos, end);
+        this.advance(raw.length);
+        return { type: 'invalid', raw, message, ...start, length: Math.max(raw.length, 1) };
+    }
+}
+
+/**
+ * Describe a token for error messages
+ * @param {Object} token - Token
+ * @returns {string}
+ */
+function describeToken(token) {
+    switch (token.type) {
+        case 'eof':
+            return 'end of input';
+        case 'string':
+            return `string ${truncate(token.raw)}`;
+        case 'number':
+            return `number ${truncate(token.raw)}`;
+        case 'literal':
+            return token.raw;
+        case 'identifier':
+            return `unquoted word ${truncate(token.raw)}`;
+        case 'singleQuoted':
+            return `single-quoted string ${truncate(token.raw)}`;
+        case 'invalid':
+            return token.message ? token.message.charAt(0).toLowerCase() + token.message.slice(1) : `'${token.raw}'`;
+        default:
+            return `'${token.raw}'`;
+    }
+}
+
+/**
+ * Shorten a token for display
+ * @param {string} raw - Raw token text
+ * @returns {string}
+ */
+function truncate(raw) {
+    return raw.length > 30 ? `${raw.slice(0, 27)}...` : raw;
+}
+
+/**
+ * Recursive descent parser that stops at the first error
+ */
+class DiagnosticParser {
+    constructor(text) {
+        this.tokenizer = new JSONTokenizer(text);
+        this.token = this.tokenizer.next();
+        this.previous = null;
+    }
+
+    advance() {
+        this.previous = this.token;
+        this.token = this.tokenizer.next();
+    }
+
+    parse() {
+        this.parseValue();
+        if (this.token.type !== 'eof') {
+            this.fail('end of input');
+        }
+    }
+
+    parseValue() {
+        const token = this.token;
+
+        switch (token.type) {
+            case '{':
+                this.advance();
+                this.parseObject();
+                break;
+            case '[':
+                this.advance();
+                this.parseArray();
+                break;
+            case 'string':
+            case 'number':
+            case 'literal':
+                this.advance();
+                break;
+            default:
+                this.fail(VALUE_DESCRIPTION);
+        }
+    }
+
+    parseObject() {
+        if (this.token.type === '}') {
+            this.advance();
+            return;
+        }
+
+        while (true) {
+            if (this.token.type !== 'string') {
+                this.fail('a property name in double quotes');
+            }
+            this.advance();
+
+            if (this.token.type !== ':') {
+                this.fail("':'");
+            }
+            this.advance();
+
+            this.parseValue();
+
+            if (this.token.type === '}') {
+                this.advance();
+                return;
+            }
+            if (this.token.type !== ',') {
+                this.fail("',' or '}'");
+            }
+            this.advance();
+        }
+    }
+
+    parseArray() {
+        if (this.token.type === ']') {
+            this.advance();
+            return;
+        }
+
+        while (true) {
+            this.parseValue();
+
+            if (this.token.type === ']') {
+                this.advance();
+                return;
+            }
+            if (this.token.type !== ',') {
+                this.fail("',' or ']'");
+            }
+            this.advance();
+        }
+    }
+
+    /**
+     * Stop parsing with a diagnostic at the current token
+     * @param {string} expected - Description of what was expected
+     */
+    fail(expected) {
+        const token = this.token;
+        const error = new SyntaxError(`Expected ${expected} but found ${describeToken(token)}`);
+        error.diagnostic = {
+            message: error.message,
+            expected,
+            found: describeToken(token),
+            line: token.line,
+            column: token.column,
+            offset: token.offset,
+            length: token.length,
+            hint: this.hintFor(token)
+        };
+        throw error;
+    }
+
+    /**
+     * Suggest a likely cause for common mistakes
+     * @param {Object} token - Offending token
+     * @returns {string|null}
+     */
+    hintFor(token) {
+        if ((token.type === '}' || token.type === ']') && this.previous && this.previous.type === ',') {
+            return `This looks like a trailing comma: remove the ',' before '${token.type}'.`;
+        }
+        if (token.type === 'singleQuoted') {
+            return 'Strings must use double quotes, not single quotes.';
+        }
+        if (token.type === 'identifier') {
+            const previous = this.previous && this.previous.type;
+            if (previous === '{' || previous === ',') {
+                return `Property names must be double-quoted: use "${token.raw}".`;
+            }
+            return `Strings must be double-quoted: use "${token.raw}".`;
+        }
+        return null;
+    }
+}
+
+/**
+ * Find the first syntax error in JSON text
+ * @param {string} text - JSON text
+ * @returns {Object|null} { message, expected, found, line, column, offset, length, hint } or null if valid
+ */
+export function diagnoseJSON(text) {
+    try {
+        new DiagnosticParser(text).parse();
+        return null;
+    } catch (e) {
+        if (e && e.diagnostic) {
+            return e.diagnostic;
+        }
+        // Nesting too deep for the recursive parser; let the caller fall back
+        return null;
+    }
+}
+
+/**
+ * Read past one value whose first token has been read
+ * @param {JSONTokenizer} tokenizer - Tokenizer positioned after the token
+ * @param {Object} token - First token of the value
+ * @returns {Object|null} Last token of the value, or null if the text is malformed
+ */
+function skipValue(tokenizer, token) {
+    if (token.type !== '{' && token.type !== '[') {
+        return token.type === 'eof' || token.type === 'invalid' ? null : token;
+    }
+
+    // Count brackets instead of recursing so deep documents cannot overflow
+    let depth = 1;
+    let last = token;
+    while (depth > 0) {
+        last = tokenizer.next();
+        if (last.type === '{' || last.type === '[') depth++;
+        else if (last.type === '}' || last.type === ']') depth--;
+        else if (last.type === 'eof') return null;
+    }
+    return last;
+}
+
+/**
+ * Find the value at a JSON Pointer in JSON text
+ * @param {string} text - JSON text
+ * @param {string} pointer - JSON Pointer, e.g. "/items/0/name" ("" is the whole document)
+ * @returns {Object|null} { offset, length, line, column } of the value, or null if not found
+ */
+export function locatePointer(text, pointer) {
+    const segments = pointer === ''
+        ? []
+        : pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    const tokenizer = new JSONTokenizer(text);
+    let token = tokenizer.next();
+
+    for (const segment of segments) {
+        if (token.type === '{') {
+            let found = false;
+            token = tokenizer.next();
+            while (!found && token.type === 'string') {
+                const key = token.value;
+                if (tokenizer.next().type !== ':') return null;
+                token = tokenizer.next();
+                if (key === segment) {
+                    found = true;
+                    break;
+                }
+                if (!skipValue(tokenizer, token)) return null;
+                token = tokenizer.next();
+                if (token.type === ',') token = tokenizer.next();
+            }
+            if (!found) return null;
+        } else if (token.type === '[') {
+            if (!/^(?:0|[1-9]\d*)$/.test(segment)) return null;
+            const index = Number(segment);
+            token = tokenizer.next();
+            for (let i = 0; i < index; i++) {
+                if (token.type === ']' || !skipValue(tokenizer, token)) return null;
+                token = tokenizer.next();
+                if (token.type !== ',') return null;
+                token = tokenizer.next();
+            }
+            if (token.type === ']') return null;
+        } else {
+            return null;
+        }
+    }
+
+    const last = skipValue(tokenizer, token);
+    if (!last) return null;
+
+    return {
+        offset: token.offset,
+        length: last.offset + last.length - token.offset,
+        line: token.line,
+        column: token.column
+    };
+}
@@ -0,0 +1,358 @@
+/**
+ * JSON Diff Module
+ * Structural diff of two JSON values, reported by path and as an RFC 6902 JSON Patch
+ */
+
+import { escapePointerSegment, canonicalJSON } from './utils.js';
+
+// Arrays that need more insertions and deletions than this to line up are
+// compared by position instead
+const MAX_EDIT_DISTANCE = 2000;
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Write a diff path for display
+ * @param {Array} segments - Keys, indexes and { key, value } matches of keyed array items
+ * @returns {string} e.g. `users[id=3].address.city`, or `@` for the root
+ */
+export function formatDiffPath(segments) {
+    if (segments.length === 0) return '@';
+
+    return segments.map((segment, index) => {
+        if (typeof segment === 'number') return `[${segment}]`;
+        if (typeof segment === 'object') return `[${segment.key}=${JSON.stringify(segment.value)}]`;
+        const name = IDENTIFIER.test(segment) ? segment : JSON.stringify(segment);
+        return index === 0 ? name : `.${name}`;
+    }).join('');
+}
+
+/**
+ * Walks two values and records their differences
+ * Every change carries the JSON Pointer of the value in the left and right
+ * documents; patch operations use the pointer in the document as it is while
+ * the patch is applied, which differs once array items are added or removed.
+ */
+class JSONDiff {
+    constructor({ arrayKey = '' } = {}) {
+        this.arrayKey = arrayKey;
+        this.changes = [];
+        this.patch = [];
+    }
+
+    /**
+     * Compare two values at the same place in both documents
+     * @param {*} left - Left value
+     * @param {*} right - Right value
+     * @param {Object} at - { path, leftPointer, rightPointer, patchPointer }
+     */
+    compare(left, right, at) {
+        if (left === right) return;
+
+        if (isObject(left) && isObject(right)) {
+            this.compareObjects(left, right, at);
+        } else if (Array.isArray(left) && Array.isArray(right)) {
+            if (this.canMatchByKey(left) && this.canMatchByKey(right)) {
+                this.compareKeyedArrays(left, right, at);
+            } else {
+                this.compareArrays(left, right, at);
+            }
+        } else if (canonicalJSON(left) !== canonicalJSON(right)) {
+            this.changes.push({ type: 'changed', path: formatDiffPath(at.path), leftPointer: at.leftPointer, rightPointer: at.rightPointer, left, right });
+            this.patch.push({ op: 'replace', path: at.patchPointer, value: right });
+        }
+    }
+
+    /**
+     * Build the location of a child value
+     * @param {Object} at - Location of the parent
+     * @param {*} segment - Display segment
+     * @param {string|number} leftSegment - Pointer segment in the left document (null when absent)
+     * @param {string|number} rightSegment - Pointer segment in the right document (null when absent)
+     * @param {string|number} patchSegment - Pointer segment while the patch is applied
+     * @returns {Object}
+     */
+    child(at, segment, leftSegment, rightSegment, patchSegment) {
+        return {
+            path: [...at.path, segment],
+            leftPointer: leftSegment === null ? null : `${at.leftPointer}/${escapePointerSegment(leftSegment)}`,
+            rightPointer: rightSegment === null ? null : `${at.rightPointer}/${escapePointerSegment(rightSegment)}`,
+            patchPointer: `${at.patchPointer}/${escapePointerSegment(patchSegment)}`
+        };
+    }
+
+    /**
+     * Record a value that only the right document has
+     */
+    added(at, value) {
+        this.changes.push({ type: 'added', path: formatDiffPath(at.path), leftPointer: null, rightPointer: at.rightPointer, right: value });
+        this.patch.push({ op: 'add', path: at.patchPointer, value });
+    }
+
+    /**
+     * Record a value that only the left document has
+     */
+    removed(at, value) {
+        this.changes.push({ type: 'removed', path: formatDiffPath(at.path), leftPointer: at.leftPointer, rightPointer: null, left: value });
+        this.patch.push({ op: 'remove', path: at.patchPointer });
+    }
+
+    compareObjects(left, right, at) {
+        Object.keys(left).forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(right, key)) {
+                this.compare(left[key], right[key], this.child(at, key, key, key, key));
+            } else {
+                this.removed(this.child(at, key, key, null, key), left[key]);
+            }
+        });
+
+        Object.keys(right).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(left, key)) {
+                this.added(this.child(at, key, null, key, key), right[key]);
+            }
+        });
+    }
+
+    /**
+     * Whether array items can be matched by the id field
+     * Every item must be an object with a unique, non-object value for the field.
+     * @param {Array} items - Array items
+     * @returns {boolean}
+     */
+    canMatchByKey(items) {
+        if (!this.arrayKey || items.length === 0) return false;
+
+        const seen = new Set();
+        return items.every(item => {
+            if (!isObject(item) || !Object.prototype.hasOwnProperty.call(item, this.arrayKey)) return false;
+            const id = item[this.arrayKey];
+            if (id !== null && typeof id === 'object') return false;
+
+            const key = JSON.stringify(id);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Compare arrays whose items are matched by the id field
+     * The patch removes missing items, then adds and moves items into their
+     * new order, then changes the matched items in place.
+     */
+    compareKeyedArrays(left, right, at) {
+        const idOf = item => JSON.stringify(item[this.arrayKey]);
+        const segmentOf = item => ({ key: this.arrayKey, value: item[this.arrayKey] });
+
+        const leftIndex = new Map(left.map((item, index) => [idOf(item), index]));
+        const rightIds = new Set(right.map(idOf));
+
+        // Ids in the order of the array while the patch is applied
+        const current = left.map(idOf);
+
+        for (let i = left.length - 1; i >= 0; i--) {
+            if (!rightIds.has(current[i])) {
+                this.removed(this.child(at, segmentOf(left[i]), i, null, i), left[i]);
+                current.splice(i, 1);
+            }
+        }
+
+        right.forEach((item, j) => {
+            const id = idOf(item);
+            if (!leftIndex.has(id)) {
+                this.added(this.child(at, segmentOf(item), null, j, j), item);
+                current.splice(j, 0, id);
+                return;
+            }
+
+            // Items before j are already in place
+            const from = current.indexOf(id, j);
+            if (from !== j) {
+                const i = leftIndex.get(id);
+                const location = this.child(at, segmentOf(item), i, j, j);
+                this.changes.push({ type: 'moved', path: formatDiffPath(location.path), leftPointer: location.leftPointer, rightPointer: location.rightPointer, from: i, to: j });
+                this.patch.push({ op: 'move', from: `${at.patchPointer}/${from}`, path: location.patchPointer });
+                current.splice(from, 1);
+                current.splice(j, 0, id);
+            }
+        });
+
+        right.forEach((item, j) => {
+            const i = leftIndex.get(idOf(item));
+            if (i !== undefined) {
+                this.compare(left[i], item, this.child(at, segmentOf(item), i, j, j));
+            }
+        });
+    }
+
+    /**
+     * Compare arrays by position, lining up equal items first
+     * Runs of removed and added items between equal items are paired up and
+     * compared, so an edited record shows as changed fields.
+     */
+    compareArrays(left, right, at) {
+        const leftKeys = left.map(canonicalJSON);
+        const rightKeys = right.map(canonicalJSON);
+        const matches = this.matchItems(leftKeys, rightKeys);
+
+        let i = 0;
+        let j = 0;
+        let index = 0; // Position in the array while the patch is applied
+
+        const flush = (leftEnd, rightEnd) => {
+            const paired = Math.min(leftEnd - i, rightEnd - j);
+            for (let n = 0; n < paired; n++, i++, j++, index++) {
+                this.compare(left[i], right[j], this.child(at, j, i, j, index));
+            }
+            for (; i < leftEnd; i++) {
+                this.removed(this.child(at, i, i, null, index), left[i]);
+            }
+            for (; j < rightEnd; j++, index++) {
+                this.added(this.child(at, j, null, j, index), right[j]);
+            }
+        };
+
+        matches.forEach(([leftMatch, rightMatch]) => {
+            flush(leftMatch, rightMatch);
+            i++;
+            j++;
+            index++;
+        });
+        flush(left.length, right.length);
+    }
+
+    /**
+     * Line up equal items with the fewest insertions and deletions (Myers' algorithm)
+     * @param {string[]} a - Canonical JSON of the left items
+     * @param {string[]} b - Canonical JSON of the right items
+     * @returns {Array<[number, number]>} Index pairs of equal items, or none when
+     *   the arrays differ by more than MAX_EDIT_DISTANCE
+     */
+    shortestEdit(a, b) {
+        const n = a.length;
+        const m = b.length;
+        if (n === 0 || m === 0) return [];
+
+        const offset = n + m + 1;
+        const v = new Int32Array(2 * offset + 1); // furthest x reached on each diagonal k = x - y
+        const trace = [];
+        const limit = Math.min(n + m, MAX_EDIT_DISTANCE);
+
+        for (let d = 0; d <= limit; d++) {
+            // Backtracking reads diagonals -d-1 to d+1 as they were before this round
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    return this.backtrack(trace, n, m);
+                }
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Recover the equal items from the Myers trace
+     * @param {Int32Array[]} trace - Diagonals before each round
+     * @param {number} n - Left length
+     * @param {number} m - Right length
+     * @returns {Array<[number, number]>} Index pairs, in order
+     */
+    backtrack(trace, n, m) {
+        const matches = [];
+        let x = n;
+        let y = m;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const at = k => v[k + d + 1];
+            const k = x - y;
+            const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                x--;
+                y--;
+                matches.push([x, y]);
+            }
+            x = previousX;
+            y = previousY;
+        }
+
+        return matches.reverse();
+    }
+
+    /**
+     * Find equal items in both arrays, in order (longest common subsequence)
+     * @param {string[]} leftKeys - Canonical JSON of the left items
+     * @param {string[]} rightKeys - Canonical JSON of the right items
+     * @returns {Array<[number, number]>} Index pairs of equal items
+     */
+    matchItems(leftKeys, rightKeys) {
+        const matches = [];
+
+        // Equal items at both ends are matched without the search
+        let start = 0;
+        while (start < leftKeys.length && start < rightKeys.length && leftKeys[start] === rightKeys[start]) {
+            matches.push([start, start]);
+            start++;
+        }
+        let leftEnd = leftKeys.length;
+        let rightEnd = rightKeys.length;
+        const tail = [];
+        while (leftEnd > start && rightEnd > start && leftKeys[leftEnd - 1] === rightKeys[rightEnd - 1]) {
+            leftEnd--;
+            rightEnd--;
+            tail.unshift([leftEnd, rightEnd]);
+        }
+
+        const middle = this.shortestEdit(leftKeys.slice(start, leftEnd), rightKeys.slice(start, rightEnd));
+        middle.forEach(([r, c]) => matches.push([start + r, start + c]));
+
+        return matches.concat(tail);
+    }
+}
+
+/**
+ * Compare two JSON values
+ * @param {*} left - Original value
+ * @param {*} right - New value
+ * @param {Object} options
+ * @param {string} options.arrayKey - Field that identifies array items, e.g. "id";
+ *   arrays whose items all have a unique value for it are matched by that value
+ * @returns {Object} { changes, patch } where each change is
+ *   { type: 'added'|'removed'|'changed'|'moved', path, leftPointer, rightPointer, left, right }
+ *   and patch is an RFC 6902 JSON Patch turning left into right
+ */
+export function diffJSON(left, right, { arrayKey = '' } = {}) {
+    const diff = new JSONDiff({ arrayKey: arrayKey.trim() });
+    diff.compare(left, right, { path: [], leftPointer: '', rightPointer: '', patchPointer: '' });
+    return { changes: diff.changes, patch: diff.patch };
+}
+
+/**
+ * Count changes by type
+ * @param {Array} changes - Changes from diffJSON
+ * @returns {Object} { added, removed, changed, moved }
+ */
+export function summarizeDiff(changes) {
+    const counts = { added: 0, removed: 0, changed: 0, moved: 0 };
+    changes.forEach(change => counts[change.type]++);
+    return counts;
+}
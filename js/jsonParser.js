@@ -4,6 +4,33 @@
  */
 
 import { validateJSON, formatJSON, syntaxHighlight, analyzeJSON, formatBytes } from './utils.js';
+import { DocumentClient } from './documentClient.js';
+import { parseNDJSON, formatNDJSON } from './ndjson.js';
+import { diagnoseJSON, locatePointer } from './jsonDiagnostics.js';
+import { parseJSON5 } from './json5.js';
+import { parseCSV, csvToRecords } from './csvImport.js';
+import { parseYAML } from './yaml.js';
+import { parseXML } from './xml.js';
+
+// Supported input formats, the file extensions that select them, and
+// whether large files in that format can be streamed by the worker
+const INPUT_FORMATS = {
+    json: { label: 'JSON', extensions: ['.json'], streamable: true },
+    ndjson: { label: 'JSON Lines', extensions: ['.jsonl', '.ndjson'], streamable: true },
+    json5: { label: 'JSON5 / JSONC', extensions: ['.json5', '.jsonc'], streamable: false },
+    yaml: { label: 'YAML', extensions: ['.yaml', '.yml'], streamable: false },
+    xml: { label: 'XML', extensions: ['.xml'], streamable: false }
+};
+
+// Formats that Format leaves alone; Repair rewrites them as strict JSON
+const CONVERTED_FORMATS = ['json5', 'yaml', 'xml'];
+
+// Tabular files are converted to a JSON array of records when loaded;
+// a null delimiter is detected from the file
+const TABULAR_FORMATS = {
+    csv: { label: 'CSV', extensions: ['.csv'], delimiter: null },
+    tsv: { label: 'TSV', extensions: ['.tsv', '.tab'], delimiter: '\t' }
+};
 
 export class JSONParser {
     constructor() {
@@ -11,6 +38,52 @@ export class JSONParser {
         this.jsonInput = document.getElementById('jsonInput');
         this.errorDisplay = document.getElementById('jsonError');
         this.statsDisplay = document.getElementById('jsonStats');
+        this.progressDisplay = document.getElementById('loadProgress');
+        this.warningDisplay = document.getElementById('jsonWarning');
+        this.highlightDisplay = document.getElementById('jsonHighlight');
+        this.errorLocation = null;
+
+        // Input format ('json', 'ndjson', 'json5', 'yaml' or 'xml') and NDJSON bad-line handling
+        this.inputFormat = 'json';
+        this.skipInvalidLines = false;
+
+        // Files above this size are streamed into a worker instead of the editor
+        this.maxInlineSize = 10 * 1024 * 1024;
+        this.streamedDocument = null;
+        this.streamLoadId = 0;
+        // { file, format } of the large file being read, until it is streamed or fails
+        this.loadingFile = null;
+
+        // Queries run in the document worker; workerDocument is the copy it holds
+        this.documentClient = new DocumentClient();
+        this.workerDocument = undefined;
+        this.streamReload = null;
+        this.cancelCount = 0;
+
+        // Shows the inferred CSV columns before a CSV/TSV file is loaded. Called with
+        // (fileName, text, parsed); resolves to { delimiter, types } or null to cancel.
+        // Without it the file loads with the inferred types.
+        this.confirmCSVImport = null;
+
+        // Returns the data queries run against in place of the current document
+        // (e.g. every workspace document keyed by name), or undefined for the document
+        this.resolveQueryRoot = null;
+
+        this.setupErrorHighlight();
+    }
+
+    /**
+     * Keep the error highlight overlay in sync with the editor
+     */
+    setupErrorHighlight() {
+        if (!this.jsonInput || !this.highlightDisplay) return;
+
+        this.jsonInput.addEventListener('scroll', () => {
+            this.highlightDisplay.scrollTop = this.jsonInput.scrollTop;
+        });
+
+        // The highlight is stale as soon as the text changes
+        this.jsonInput.addEventListener('input', () => this.highlightError(null));
     }
 
     /**
@@ -19,33 +92,177 @@ export class JSONParser {
      * @returns {boolean} Success status
      */
     parse(input) {
+        this.releaseStreamedDocument();
+
         if (!input || input.trim() === '') {
             this.showError('');
+            this.showWarning('');
             this.currentJSON = null;
             this.updateStats(null);
             return false;
         }
 
-        const result = validateJSON(input);
+        const result = this.parseInput(input);
 
         if (result.valid) {
             this.currentJSON = result.data;
             this.showError('');
+            this.showWarning(this.describeSkippedLines(result));
             this.updateStats(input);
             return true;
         } else {
             this.currentJSON = null;
-            this.showError(result.error);
+            this.showError(this.describeParseError(result), result.location);
+            this.showWarning('');
             this.updateStats(null);
             return false;
         }
     }
 
+    /**
+     * Parse input text in an input format
+     * @param {string} input - Raw input text
+     * @param {string} format - Input format; the current one by default
+     * @returns {Object} { valid, data, error } plus per-line errors for NDJSON
+     */
+    parseInput(input, format = this.inputFormat) {
+        if (format === 'ndjson') {
+            return parseNDJSON(input, { skipInvalid: this.skipInvalidLines });
+        }
+
+        if (format === 'json5') {
+            return parseJSON5(input);
+        }
+
+        if (format === 'yaml') {
+            return parseYAML(input);
+        }
+
+        if (format === 'xml') {
+            return parseXML(input);
+        }
+
+        const result = validateJSON(input);
+        if (!result.valid) {
+            // JSON.parse messages vary by browser; locate the error ourselves
+            const diagnostic = diagnoseJSON(input);
+            if (diagnostic) {
+                result.location = diagnostic;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Build the error message for a failed parse
+     * @param {Object} result - Result from parseInput
+     * @returns {string} Error message
+     */
+    describeParseError(result) {
+        if (result.location) {
+            const { line, column, message, hint } = result.location;
+            return `Line ${line}, column ${column}: ${message}` +
+                (hint ? `\n${hint} Use 🔧 Repair to fix it automatically.` : '');
+        }
+
+        if (!result.errors || result.errors.length === 0) {
+            return result.error;
+        }
+        return `${result.errorCount} invalid line${result.errorCount !== 1 ? 's' : ''}:\n` +
+            this.formatLineErrors(result.errors, result.errorCount);
+    }
+
+    /**
+     * Build the warning message for NDJSON lines that were skipped
+     * @param {Object} result - Result from parseInput
+     * @returns {string} Warning message (empty when nothing was skipped)
+     */
+    describeSkippedLines(result) {
+        if (!result.errorCount) return '';
+        return `Skipped ${result.errorCount} invalid line${result.errorCount !== 1 ? 's' : ''}:\n` +
+            this.formatLineErrors(result.errors, result.errorCount);
+    }
+
+    /**
+     * Format per-line errors, one per line
+     * @param {Array} errors - [{ line, message }]
+     * @param {number} errorCount - Total number of errors
+     * @returns {string}
+     */
+    formatLineErrors(errors, errorCount) {
+        const lines = errors.map(e => `Line ${e.line}: ${e.message}`);
+        if (errorCount > errors.length) {
+            lines.push(`…and ${errorCount - errors.length} more`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Describe the changes made by repairInput
+     * @param {Array} changes - [{ line, column, description }]
+     * @returns {string}
+     */
+    describeRepairs(changes) {
+        if (changes.length === 0) return '';
+        return `Repaired ${changes.length} issue${changes.length !== 1 ? 's' : ''}:\n` +
+            changes.map(c => `Line ${c.line}, column ${c.column}: ${c.description}`).join('\n');
+    }
+
+    /**
+     * Set the input format
+     * @param {string} format - 'json', 'ndjson', 'json5', 'yaml' or 'xml'
+     */
+    setInputFormat(format) {
+        if (!INPUT_FORMATS[format]) return;
+        this.inputFormat = format;
+
+        const select = document.getElementById('inputFormatSelect');
+        if (select) {
+            select.value = format;
+        }
+    }
+
+    /**
+     * Get the display name of an input format
+     * @param {string} format - Format key
+     * @returns {string} e.g. 'JSON Lines'
+     */
+    getFormatLabel(format) {
+        return INPUT_FORMATS[format]?.label || format;
+    }
+
+    /**
+     * Detect the input format from a file name
+     * @param {string} filename - File name
+     * @returns {string|null} Format key, or null if unsupported
+     */
+    detectFormat(filename) {
+        const name = filename.toLowerCase();
+        return Object.keys(INPUT_FORMATS).find(format =>
+            INPUT_FORMATS[format].extensions.some(ext => name.endsWith(ext))
+        ) || null;
+    }
+
+    /**
+     * Detect a tabular format from a file name
+     * @param {string} filename - File name
+     * @returns {string|null} 'csv', 'tsv', or null for other files
+     */
+    detectTabularFormat(filename) {
+        const name = filename.toLowerCase();
+        return Object.keys(TABULAR_FORMATS).find(format =>
+            TABULAR_FORMATS[format].extensions.some(ext => name.endsWith(ext))
+        ) || null;
+    }
+
     /**
      * Display error message
      * @param {string} error - Error message
+     * @param {Object} location - Optional error location from diagnoseJSON
      */
-    showError(error) {
+    showError(error, location = null) {
+        this.highlightError(location);
+
         // Skip if errorDisplay doesn't exist
         if (!this.errorDisplay) {
             console.error('Error display element not found:', error);
@@ -60,6 +277,142 @@ export class JSONParser {
 
         this.errorDisplay.classList.remove('hidden');
         this.errorDisplay.textContent = error;
+
+        if (location) {
+            const jumpBtn = document.createElement('button');
+            jumpBtn.className = 'btn btn-sm btn-secondary error-jump-btn';
+            jumpBtn.textContent = `📍 Go to line ${location.line}`;
+            jumpBtn.addEventListener('click', () => this.jumpToError());
+            this.errorDisplay.appendChild(jumpBtn);
+        }
+    }
+
+    /**
+     * Highlight the error location in the editor
+     * @param {Object|null} location - Error location, or null to clear
+     */
+    highlightError(location) {
+        this.errorLocation = location;
+
+        const overlay = this.highlightDisplay;
+        if (!overlay) return;
+
+        if (!location) {
+            overlay.classList.add('hidden');
+            overlay.textContent = '';
+            return;
+        }
+
+        // Mirror the editor text with the offending token wrapped in <mark>
+        const text = this.jsonInput.value;
+        const end = location.offset + location.length;
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(location.offset, end) || ' ';
+
+        overlay.textContent = '';
+        overlay.append(text.slice(0, location.offset), mark, text.slice(end));
+        // Match the editor width minus its scrollbar so lines wrap identically (2px borders)
+        overlay.style.width = `${this.jsonInput.clientWidth + 4}px`;
+        overlay.classList.remove('hidden');
+        overlay.scrollTop = this.jsonInput.scrollTop;
+    }
+
+    /**
+     * Move the cursor to the current error and scroll it into view
+     */
+    jumpToError() {
+        const location = this.errorLocation;
+        if (!location) return;
+
+        this.jsonInput.focus();
+        this.jsonInput.setSelectionRange(location.offset, location.offset + location.length);
+
+        const mark = this.highlightDisplay?.querySelector('mark');
+        if (mark) {
+            this.jsonInput.scrollTop = Math.max(0, mark.offsetTop - this.jsonInput.clientHeight / 2);
+            this.highlightDisplay.scrollTop = this.jsonInput.scrollTop;
+        }
+    }
+
+    /**
+     * Highlight the value at a JSON Pointer in the editor and scroll to it
+     * Works for JSON and JSON Lines; other formats are converted, so their
+     * text does not map onto the parsed document.
+     * @param {string} pointer - JSON Pointer into the current document
+     * @returns {boolean} Whether the value was found in the editor text
+     */
+    revealPointer(pointer) {
+        if (this.streamedDocument) return false;
+
+        const location = this.inputFormat === 'ndjson'
+            ? this.locateRecordPointer(pointer)
+            : this.inputFormat === 'json' ? locatePointer(this.jsonInput.value, pointer) : null;
+        if (!location) return false;
+
+        this.highlightError(location);
+        this.jumpToError();
+        return true;
+    }
+
+    /**
+     * Find the value at a JSON Pointer in JSON Lines text
+     * The first segment is the record index, counting only lines that became records.
+     * @param {string} pointer - JSON Pointer such as "/3/name"
+     * @returns {Object|null} { offset, length, line, column } or null if not found
+     */
+    locateRecordPointer(pointer) {
+        const [, index, ...rest] = pointer.split('/');
+        if (!/^(?:0|[1-9]\d*)$/.test(index || '')) return null;
+
+        const text = this.jsonInput.value;
+        let record = -1;
+        let lineNumber = 0;
+        for (let start = 0; start <= text.length; lineNumber++) {
+            const newline = text.indexOf('\n', start);
+            const end = newline === -1 ? text.length : newline;
+            const line = text.slice(start, end);
+
+            if (line.trim() && (!this.skipInvalidLines || this.isJSONLine(line))) {
+                record++;
+                if (record === Number(index)) {
+                    const location = locatePointer(line, rest.length ? `/${rest.join('/')}` : '');
+                    return location && { ...location, offset: start + location.offset, line: lineNumber + 1 };
+                }
+            }
+            start = end + 1;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a JSON Lines line holds a valid record
+     * @param {string} line - Line text
+     * @returns {boolean}
+     */
+    isJSONLine(line) {
+        try {
+            JSON.parse(line);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Display warning message
+     * @param {string} warning - Warning message
+     */
+    showWarning(warning) {
+        if (!this.warningDisplay) return;
+
+        if (!warning) {
+            this.warningDisplay.classList.add('hidden');
+            this.warningDisplay.textContent = '';
+            return;
+        }
+
+        this.warningDisplay.classList.remove('hidden');
+        this.warningDisplay.textContent = warning;
     }
 
     /**
@@ -72,6 +425,11 @@ export class JSONParser {
             return;
         }
 
+        if (this.streamedDocument) {
+            this.updateStreamedStats();
+            return;
+        }
+
         if (!input || !this.currentJSON) {
             this.statsDisplay.textContent = '';
             return;
@@ -94,16 +452,50 @@ export class JSONParser {
         this.statsDisplay.textContent = parts.join(' • ');
     }
 
+    /**
+     * Update statistics display for a streamed document
+     */
+    updateStreamedStats() {
+        const { size, stats, recordCount, recordsPath } = this.streamedDocument;
+
+        const parts = [
+            `Size: ${formatBytes(size)}`,
+            `Type: ${stats.type}`,
+            `Properties: ${stats.properties}`,
+            `Depth: ${stats.depth}`
+        ];
+
+        if (recordsPath !== null) {
+            parts.push(`Items: ${recordCount}${recordsPath ? ` in ${recordsPath}` : ''}`);
+        }
+
+        parts.push('Streamed (preview only)');
+        this.statsDisplay.textContent = parts.join(' • ');
+    }
+
     /**
      * Format the current input
      * @returns {boolean} Success status
      */
     formatInput() {
+        // The editor only holds a preview of streamed documents
+        if (this.streamedDocument) {
+            return false;
+        }
+
         const input = this.jsonInput.value;
-        const result = validateJSON(input);
+        const result = this.parseInput(input);
 
-        if (result.valid) {
-            const formatted = formatJSON(result.data, 2);
+        // JSON5, YAML and XML can only be rewritten as strict JSON, which is what repairInput does
+        if (CONVERTED_FORMATS.includes(this.inputFormat)) {
+            return false;
+        }
+
+        // Formatting would silently drop skipped NDJSON lines
+        if (result.valid && !result.errorCount) {
+            const formatted = this.inputFormat === 'ndjson'
+                ? formatNDJSON(result.data)
+                : formatJSON(result.data, 2);
             this.jsonInput.value = formatted;
             this.parse(formatted);
             return true;
@@ -112,36 +504,71 @@ export class JSONParser {
         return false;
     }
 
+    /**
+     * Rewrite lenient JSON5/JSONC input, or YAML/XML input, as strict JSON
+     * @returns {Object} { success, changes } where changes lists every JSON5 rewrite
+     */
+    repairInput() {
+        const input = this.jsonInput.value;
+        const converting = this.inputFormat === 'yaml' || this.inputFormat === 'xml';
+        const result = converting ? this.parseInput(input) : parseJSON5(input);
+
+        if (!result.valid) {
+            this.showError(this.describeParseError(result), result.location);
+            return { success: false, changes: [] };
+        }
+
+        const formatted = formatJSON(result.data, 2);
+        this.jsonInput.value = formatted;
+        this.setInputFormat('json');
+        this.parse(formatted);
+        const changes = result.changes || [];
+        this.showWarning(this.describeRepairs(changes));
+
+        return { success: true, changes };
+    }
+
     /**
      * Clear all input and output
      */
     clear() {
+        this.releaseStreamedDocument();
         this.jsonInput.value = '';
         this.currentJSON = null;
         this.showError('');
+        this.showWarning('');
         this.updateStats(null);
     }
 
     /**
      * Load JSON from file
      * @param {File} file - File object
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean|null>} Success status, or null when a CSV import was cancelled
      */
     async loadFromFile(file) {
         if (!file) return false;
 
-        // Check file type
-        if (!file.name.endsWith('.json')) {
-            this.showError('Please select a valid .json file');
-            return false;
+        const tabularFormat = this.detectTabularFormat(file.name);
+        if (tabularFormat) {
+            return this.loadCSVFile(file, tabularFormat);
         }
 
-        // Check file size (limit to 10MB)
-        const maxSize = 10 * 1024 * 1024;
-        if (file.size > maxSize) {
-            this.showError('File too large. Maximum size is 10MB');
+        // Check file type and pick the matching input format
+        const format = this.detectFormat(file.name);
+        if (!format) {
+            this.showError('Please select a valid .json, .jsonl, .ndjson, .json5, .jsonc, .yaml, .yml, .xml, .csv or .tsv file');
             return false;
         }
+        this.setInputFormat(format);
+
+        // Large files are parsed incrementally in a worker
+        if (file.size > this.maxInlineSize) {
+            if (!INPUT_FORMATS[format].streamable) {
+                this.showError(`${INPUT_FORMATS[format].label} files are limited to ${formatBytes(this.maxInlineSize)}`);
+                return false;
+            }
+            return this.loadLargeFile(file);
+        }
 
         try {
             const text = await file.text();
@@ -160,6 +587,252 @@ export class JSONParser {
         }
     }
 
+    /**
+     * Convert a CSV/TSV file to a JSON array of records and load it into the editor
+     * @param {File} file - File object
+     * @param {string} format - 'csv' or 'tsv'
+     * @returns {Promise<boolean|null>} Success status, or null when the import was cancelled
+     */
+    async loadCSVFile(file, format) {
+        const { label, delimiter } = TABULAR_FORMATS[format];
+        if (file.size > this.maxInlineSize) {
+            this.showError(`${label} files are limited to ${formatBytes(this.maxInlineSize)}`);
+            return false;
+        }
+
+        try {
+            const text = await file.text();
+            const parsed = parseCSV(text, delimiter ? { delimiter } : {});
+            if (!parsed.valid) {
+                this.showError(`Error parsing ${file.name}: ${parsed.error}`);
+                return false;
+            }
+
+            const settings = this.confirmCSVImport
+                ? await this.confirmCSVImport(file.name, text, parsed)
+                : { delimiter: parsed.delimiter, types: parsed.columns.map(column => column.type) };
+            if (!settings) return null;
+
+            // The preview may have switched to another delimiter
+            const imported = settings.delimiter === parsed.delimiter
+                ? parsed
+                : parseCSV(text, { delimiter: settings.delimiter });
+            if (!imported.valid) {
+                this.showError(`Error parsing ${file.name}: ${imported.error}`);
+                return false;
+            }
+
+            const formatted = formatJSON(csvToRecords(imported, settings.types), 2);
+            this.releaseStreamedDocument();
+            this.setInputFormat('json');
+            this.jsonInput.value = formatted;
+            return this.parse(formatted);
+        } catch (error) {
+            this.showError(`Error reading file: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Stream a large file into the worker and show a preview in the editor
+     * @param {File} file - File object
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadLargeFile(file) {
+        this.releaseStreamedDocument();
+        const loadId = ++this.streamLoadId;
+        this.loadingFile = { file, format: this.inputFormat };
+        this.currentJSON = null;
+        this.jsonInput.value = '';
+        this.jsonInput.readOnly = true;
+        this.showError('');
+        this.showWarning('');
+        this.updateStats(null);
+        this.showProgress(0, file.size);
+
+        try {
+            const options = { format: this.inputFormat, skipInvalid: this.skipInvalidLines };
+            const summary = await this.documentClient.parseFile(file, options, (loaded, total) => {
+                if (loadId === this.streamLoadId) this.showProgress(loaded, total);
+            });
+            // A newer load or a clear already replaced this one
+            if (loadId !== this.streamLoadId) return false;
+
+            this.loadingFile = null;
+            this.streamedDocument = {
+                file,
+                options,
+                name: file.name,
+                size: file.size,
+                ...summary
+            };
+            this.jsonInput.value = summary.preview;
+            this.showWarning(this.describeSkippedLines(summary));
+            this.updateStats(summary.preview);
+            this.showProgress(null);
+            return true;
+        } catch (error) {
+            // A newer load or a clear already replaced this one
+            if (loadId !== this.streamLoadId) return false;
+
+            this.releaseStreamedDocument();
+            this.showError(`Error parsing ${file.name}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Show file loading progress
+     * @param {number|null} loaded - Bytes read, or null to hide
+     * @param {number} total - Total bytes
+     */
+    showProgress(loaded, total) {
+        if (!this.progressDisplay) return;
+
+        if (loaded === null) {
+            this.progressDisplay.classList.add('hidden');
+            return;
+        }
+
+        const percent = total ? Math.round((loaded / total) * 100) : 0;
+        this.progressDisplay.classList.remove('hidden');
+        this.progressDisplay.querySelector('.progress-fill').style.width = `${percent}%`;
+        this.progressDisplay.querySelector('.progress-text').textContent =
+            `Parsing… ${formatBytes(loaded)} of ${formatBytes(total)} (${percent}%)`;
+    }
+
+    /**
+     * Drop the streamed document and stop its worker
+     */
+    releaseStreamedDocument() {
+        if (!this.streamedDocument && !this.jsonInput.readOnly) return;
+
+        this.streamLoadId++;
+        this.loadingFile = null;
+        this.streamedDocument = null;
+        this.streamReload = null;
+        this.documentClient.terminate();
+        this.workerDocument = undefined;
+        this.jsonInput.readOnly = false;
+        this.showProgress(null);
+    }
+
+    /**
+     * Whether the current document was streamed into the worker
+     * @returns {boolean}
+     */
+    isStreamed() {
+        return this.streamedDocument !== null;
+    }
+
+    /**
+     * Get the large file streamed into the worker, or still being read into it
+     * @returns {Object|null} { file, format }
+     */
+    getStreamedFile() {
+        if (this.streamedDocument) {
+            return { file: this.streamedDocument.file, format: this.streamedDocument.options.format };
+        }
+        return this.loadingFile;
+    }
+
+    /**
+     * Get the summary of the streamed document
+     * @returns {Object|null} Summary (stats, fields, preview)
+     */
+    getStreamedSummary() {
+        return this.streamedDocument;
+    }
+
+    /**
+     * Run a query against the current document in the worker
+     * @param {string} query - Query text
+     * @param {string} language - 'jmespath', 'jsonpath' or 'jq'
+     * @returns {Promise<*>} Query result
+     */
+    async queryDocument(query, language = 'jmespath') {
+        await this.syncWorkerDocument(true);
+        return this.documentClient.query(query, language);
+    }
+
+    /**
+     * Infer the shape of the current document in the worker, walking every value
+     * @returns {Promise<Object>} Shape from inferShape
+     */
+    async inferDocumentShape() {
+        await this.syncWorkerDocument();
+        return this.documentClient.inferShape();
+    }
+
+    /**
+     * Profile the fields of the current document's records in the worker
+     * @returns {Promise<Object>} Profile from profileDocument
+     */
+    async profileDocument() {
+        await this.syncWorkerDocument();
+        return this.documentClient.profile();
+    }
+
+    /**
+     * Make sure the worker holds the current document
+     * Waits for a streamed document that is being read again after a cancel.
+     * @param {boolean} forQuery - Load the query root instead when one is set
+     */
+    async syncWorkerDocument(forQuery = false) {
+        const cancelCount = this.cancelCount;
+
+        if (this.isStreamed()) {
+            if (this.streamReload) {
+                await this.streamReload;
+                if (cancelCount !== this.cancelCount) {
+                    throw new Error('Query cancelled');
+                }
+            }
+        } else {
+            const data = forQuery ? this.getQueryData() : this.currentJSON;
+            if (this.workerDocument !== data) {
+                // The document changed since the worker last received it
+                await this.documentClient.load(data);
+                this.workerDocument = data;
+            }
+        }
+    }
+
+    /**
+     * Stop the running query by restarting the worker
+     * A streamed document lives only in the worker, so its file is parsed again
+     * in the background; queries started meanwhile wait for it.
+     * @param {Error} reason - Error the running query is rejected with
+     */
+    cancelQuery(reason = new Error('Query cancelled')) {
+        this.cancelCount++;
+
+        // Nothing runs in the worker until the reload finishes
+        if (this.streamReload) return;
+
+        this.documentClient.terminate(reason);
+        this.workerDocument = undefined;
+
+        const streamed = this.streamedDocument;
+        if (!streamed) return;
+
+        const loadId = this.streamLoadId;
+        this.showProgress(0, streamed.size);
+        const reload = this.documentClient.parseFile(streamed.file, streamed.options, (loaded, total) => {
+            if (loadId === this.streamLoadId) this.showProgress(loaded, total);
+        });
+
+        this.streamReload = reload.then(() => {
+            if (loadId !== this.streamLoadId) return;
+            this.streamReload = null;
+            this.showProgress(null);
+        }, (error) => {
+            if (loadId !== this.streamLoadId) return;
+            this.releaseStreamedDocument();
+            this.showError(`Error reloading ${streamed.name}: ${error.message}`);
+        });
+    }
+
     /**
      * Get the current parsed JSON
      * @returns {*} Current JSON data
@@ -167,4 +840,17 @@ export class JSONParser {
     getCurrentJSON() {
         return this.currentJSON;
     }
+
+    /**
+     * Get the data queries run against
+     * Streamed documents only exist in the worker, so they are always queried alone.
+     * @returns {*} Query root from resolveQueryRoot, or the current JSON
+     */
+    getQueryData() {
+        if (this.resolveQueryRoot && !this.isStreamed()) {
+            const root = this.resolveQueryRoot();
+            if (root !== undefined) return root;
+        }
+        return this.currentJSON;
+    }
 }
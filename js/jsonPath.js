@@ -0,0 +1,552 @@
+/**
+ * JSONPath Module
+ * Parser and evaluator for JSONPath queries such as $.store.book[*].author
+ */
+
+const NAME_START = /[A-Za-z_$\u0080-\uFFFF]/;
+const NAME_PART = /[A-Za-z0-9_$\-\u0080-\uFFFF]/;
+// Hyphens are operators inside filter expressions
+const FILTER_NAME_PART = /[A-Za-z0-9_$\u0080-\uFFFF]/;
+
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '=~', '<', '>'];
+
+/**
+ * Recursive descent JSONPath parser
+ *
+ * A query compiles to a list of segments, each applying one or more selectors
+ * to the current nodes (or, for `..`, to the nodes and all their descendants).
+ * Filter expressions `[?(...)]` support comparisons, `=~` regular expressions,
+ * `&&`, `||`, `!`, parentheses, and relative (`@`) or absolute (`$`) paths.
+ */
+class JSONPathParser {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.filterDepth = 0;
+    }
+
+    parse() {
+        this.skipWhitespace();
+        if (this.text[this.pos] !== '$') {
+            this.fail('JSONPath queries must start with $');
+        }
+        this.pos++;
+
+        const segments = this.parseSegments();
+        this.skipWhitespace();
+        if (this.pos < this.text.length) {
+            this.fail(`Unexpected ${this.describeChar()}`);
+        }
+        return segments;
+    }
+
+    /**
+     * Parse `.name`, `..name`, `[...]` and `.*` segments
+     * @returns {Array} Segments
+     */
+    parseSegments() {
+        const segments = [];
+        const text = this.text;
+
+        while (this.pos < text.length) {
+            if (text.startsWith('..', this.pos)) {
+                this.pos += 2;
+                segments.push({ descendant: true, selectors: this.parseDotOrBracket(true) });
+            } else if (text[this.pos] === '.') {
+                this.pos++;
+                segments.push({ descendant: false, selectors: this.parseDotOrBracket(false) });
+            } else if (text[this.pos] === '[') {
+                segments.push({ descendant: false, selectors: this.parseBracket() });
+            } else {
+                break;
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * Parse what follows `.` or `..`
+     * @param {boolean} allowBracket - Whether `[` may follow (only after `..`)
+     * @returns {Array} Selectors
+     */
+    parseDotOrBracket(allowBracket) {
+        const ch = this.text[this.pos];
+
+        if (ch === '*') {
+            this.pos++;
+            return [{ type: 'wildcard' }];
+        }
+        if (ch === '[' && allowBracket) {
+            return this.parseBracket();
+        }
+
+        const name = this.readName();
+        if (!name) {
+            this.fail(`Expected a property name but found ${this.describeChar()}`);
+        }
+        return [{ type: 'name', name }];
+    }
+
+    /**
+     * Parse a bracketed selector list
+     * @returns {Array} Selectors
+     */
+    parseBracket() {
+        this.pos++; // [
+        const selectors = [];
+
+        while (true) {
+            this.skipWhitespace();
+            selectors.push(this.parseSelector());
+            this.skipWhitespace();
+            if (this.text[this.pos] !== ',') break;
+            this.pos++;
+        }
+
+        this.expect(']');
+        return selectors;
+    }
+
+    parseSelector() {
+        const ch = this.text[this.pos];
+
+        if (ch === '*') {
+            this.pos++;
+            return { type: 'wildcard' };
+        }
+        if (ch === '\'' || ch === '"') {
+            return { type: 'name', name: this.readString() };
+        }
+        if (ch === '?') {
+            this.pos++;
+            this.skipWhitespace();
+            this.filterDepth++;
+            const expression = this.parseOr();
+            this.filterDepth--;
+            return { type: 'filter', expression };
+        }
+        if (ch === '(') {
+            this.fail('Script expressions (...) are not supported; use a filter [?(...)] instead');
+        }
+        if (ch === ':' || ch === '-' || (ch >= '0' && ch <= '9')) {
+            return this.parseIndexOrSlice();
+        }
+
+        this.fail(`Expected a name, index, slice, * or filter but found ${this.describeChar()}`);
+    }
+
+    parseIndexOrSlice() {
+        const parts = [this.readInteger()];
+        this.skipWhitespace();
+
+        if (this.text[this.pos] !== ':') {
+            if (parts[0] === null) {
+                this.fail(`Expected an index but found ${this.describeChar()}`);
+            }
+            return { type: 'index', index: parts[0] };
+        }
+
+        while (this.text[this.pos] === ':' && parts.length < 3) {
+            this.pos++;
+            this.skipWhitespace();
+            parts.push(this.readInteger());
+            this.skipWhitespace();
+        }
+
+        const [start, end, step = null] = parts;
+        if (step === 0) {
+            this.fail('Slice step cannot be 0');
+        }
+        return { type: 'slice', start, end, step };
+    }
+
+    // Filter expressions, lowest precedence first
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.match('||')) {
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseUnary();
+        while (this.match('&&')) {
+            left = { type: 'and', left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        this.skipWhitespace();
+        if (this.text[this.pos] === '!' && this.text[this.pos + 1] !== '=') {
+            this.pos++;
+            return { type: 'not', operand: this.parseUnary() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parsePrimary();
+        this.skipWhitespace();
+
+        const operator = COMPARISON_OPERATORS.find(op => this.text.startsWith(op, this.pos));
+        if (!operator) {
+            return left;
+        }
+        this.pos += operator.length;
+        this.skipWhitespace();
+
+        const right = operator === '=~' ? this.parseRegex() : this.parsePrimary();
+        return { type: 'compare', operator, left, right };
+    }
+
+    parsePrimary() {
+        this.skipWhitespace();
+        const ch = this.text[this.pos];
+
+        if (ch === '(') {
+            this.pos++;
+            const expression = this.parseOr();
+            this.expect(')');
+            return expression;
+        }
+        if (ch === '@' || ch === '$') {
+            this.pos++;
+            return { type: 'path', relative: ch === '@', segments: this.parseSegments() };
+        }
+        if (ch === '\'' || ch === '"') {
+            return { type: 'literal', value: this.readString() };
+        }
+        if (ch === '-' || (ch >= '0' && ch <= '9')) {
+            const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(this.text.slice(this.pos, this.pos + 64));
+            if (!match) {
+                this.fail(`Invalid number starting with ${this.describeChar()}`);
+            }
+            this.pos += match[0].length;
+            return { type: 'literal', value: Number(match[0]) };
+        }
+
+        const word = /^(true|false|null)\b/.exec(this.text.slice(this.pos, this.pos + 6));
+        if (word) {
+            this.pos += word[1].length;
+            return { type: 'literal', value: JSON.parse(word[1]) };
+        }
+
+        this.fail(`Expected a path, literal or '(' in filter but found ${this.describeChar()}`);
+    }
+
+    parseRegex() {
+        if (this.text[this.pos] !== '/') {
+            this.fail(`Expected a /regular expression/ after =~ but found ${this.describeChar()}`);
+        }
+
+        const start = this.pos;
+        let i = this.pos + 1;
+        while (i < this.text.length && this.text[i] !== '/') {
+            i += this.text[i] === '\\' ? 2 : 1;
+        }
+        if (i >= this.text.length) {
+            this.fail('Unterminated regular expression', start);
+        }
+
+        const source = this.text.slice(start + 1, i);
+        const flags = /^[a-z]*/.exec(this.text.slice(i + 1))[0];
+        this.pos = i + 1 + flags.length;
+
+        try {
+            return { type: 'literal', value: new RegExp(source, flags) };
+        } catch (error) {
+            this.fail(error.message, start);
+        }
+    }
+
+    // Lexical helpers
+
+    readName() {
+        const text = this.text;
+        if (!NAME_START.test(text[this.pos] || '')) return '';
+
+        const part = this.filterDepth > 0 ? FILTER_NAME_PART : NAME_PART;
+        const start = this.pos++;
+        while (this.pos < text.length && part.test(text[this.pos])) {
+            this.pos++;
+        }
+        return text.slice(start, this.pos);
+    }
+
+    readString() {
+        const text = this.text;
+        const start = this.pos;
+        const quote = text[this.pos++];
+        let result = '';
+
+        while (this.pos < text.length && text[this.pos] !== quote) {
+            if (text[this.pos] === '\\') {
+                const escape = text[this.pos + 1];
+                if (escape === 'u') {
+                    result += String.fromCharCode(parseInt(text.slice(this.pos + 2, this.pos + 6), 16));
+                    this.pos += 6;
+                    continue;
+                }
+                result += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[escape] || escape;
+                this.pos += 2;
+            } else {
+                result += text[this.pos++];
+            }
+        }
+
+        if (this.pos >= text.length) {
+            this.fail('Unterminated string', start);
+        }
+        this.pos++;
+        return result;
+    }
+
+    readInteger() {
+        const match = /^-?\d+/.exec(this.text.slice(this.pos, this.pos + 32));
+        if (!match) return null;
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    match(token) {
+        this.skipWhitespace();
+        if (this.text.startsWith(token, this.pos)) {
+            this.pos += token.length;
+            return true;
+        }
+        return false;
+    }
+
+    expect(ch) {
+        this.skipWhitespace();
+        if (this.text[this.pos] !== ch) {
+            this.fail(`Expected '${ch}' but found ${this.describeChar()}`);
+        }
+        this.pos++;
+    }
+
+    describeChar() {
+        const ch = this.text[this.pos];
+        return ch === undefined ? 'end of query' : `'${ch}'`;
+    }
+
+    /**
+     * Stop parsing with an error at the given position
+     * @param {string} message - Error message
+     * @param {number} position - Offset (defaults to the current one)
+     */
+    fail(message, position = this.pos) {
+        const error = new SyntaxError(`${message} at position ${position + 1}`);
+        error.position = position;
+        throw error;
+    }
+}
+
+/**
+ * Compile a JSONPath query
+ * @param {string} path - JSONPath query
+ * @returns {Array} Compiled segments
+ * @throws {SyntaxError} With `.position` when the query is invalid
+ */
+export function compileJSONPath(path) {
+    return new JSONPathParser(path).parse();
+}
+
+/**
+ * Evaluate a JSONPath query
+ * @param {*} data - JSON document
+ * @param {string} path - JSONPath query
+ * @returns {Array} Matched values, in document order
+ */
+export function evaluateJSONPath(data, path) {
+    return applySegments(compileJSONPath(path), [data], data);
+}
+
+/**
+ * Apply segments to a list of nodes
+ * @param {Array} segments - Compiled segments
+ * @param {Array} nodes - Input nodes
+ * @param {*} root - Document root (for `$` inside filters)
+ * @returns {Array} Output nodes
+ */
+function applySegments(segments, nodes, root) {
+    return segments.reduce((current, segment) => {
+        const targets = segment.descendant ? current.flatMap(collectDescendants) : current;
+        const output = [];
+        targets.forEach(node => {
+            segment.selectors.forEach(selector => applySelector(selector, node, root, output));
+        });
+        return output;
+    }, nodes);
+}
+
+/**
+ * A node followed by all nodes below it, depth first
+ * @param {*} node - Start node
+ * @returns {Array}
+ */
+function collectDescendants(node) {
+    const result = [];
+    const stack = [node];
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        result.push(current);
+        if (current && typeof current === 'object') {
+            const children = Array.isArray(current) ? current : Object.values(current);
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push(children[i]);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Apply one selector to a node, appending matches to output
+ */
+function applySelector(selector, node, root, output) {
+    if (!node || typeof node !== 'object') return;
+    const isArray = Array.isArray(node);
+
+    switch (selector.type) {
+        case 'name':
+            if (isArray && selector.name === 'length') {
+                output.push(node.length);
+            } else if (!isArray && Object.prototype.hasOwnProperty.call(node, selector.name)) {
+                output.push(node[selector.name]);
+            }
+            break;
+        case 'wildcard':
+            output.push(...(isArray ? node : Object.values(node)));
+            break;
+        case 'index':
+            if (isArray) {
+                const index = selector.index < 0 ? node.length + selector.index : selector.index;
+                if (index >= 0 && index < node.length) output.push(node[index]);
+            }
+            break;
+        case 'slice':
+            if (isArray) output.push(...sliceArray(node, selector));
+            break;
+        case 'filter': {
+            const children = isArray ? node : Object.values(node);
+            children.forEach(child => {
+                if (isTruthy(evaluateFilter(selector.expression, child, root))) {
+                    output.push(child);
+                }
+            });
+            break;
+        }
+    }
+}
+
+/**
+ * Python-style slice with optional negative step
+ */
+function sliceArray(array, { start, end, step }) {
+    const length = array.length;
+    const stride = step === null ? 1 : step;
+    const normalize = (value, fallback) => {
+        if (value === null) return fallback;
+        return value < 0 ? Math.max(length + value, stride > 0 ? 0 : -1) : Math.min(value, stride > 0 ? length : length - 1);
+    };
+
+    const from = normalize(start, stride > 0 ? 0 : length - 1);
+    const to = normalize(end, stride > 0 ? length : -1);
+    const result = [];
+
+    for (let i = from; stride > 0 ? i < to : i > to; i += stride) {
+        result.push(array[i]);
+    }
+    return result;
+}
+
+/**
+ * Evaluate a filter expression
+ * Paths evaluate to node lists; comparisons use the single node a path
+ * selects and are false when it selects none or several.
+ */
+function evaluateFilter(expression, current, root) {
+    switch (expression.type) {
+        case 'literal':
+            return expression.value;
+        case 'path':
+            return { nodes: applySegments(expression.segments, [expression.relative ? current : root], root) };
+        case 'not':
+            return !isTruthy(evaluateFilter(expression.operand, current, root));
+        case 'and':
+            return isTruthy(evaluateFilter(expression.left, current, root)) &&
+                isTruthy(evaluateFilter(expression.right, current, root));
+        case 'or':
+            return isTruthy(evaluateFilter(expression.left, current, root)) ||
+                isTruthy(evaluateFilter(expression.right, current, root));
+        case 'compare':
+            return compare(
+                expression.operator,
+                singleValue(evaluateFilter(expression.left, current, root)),
+                singleValue(evaluateFilter(expression.right, current, root))
+            );
+    }
+}
+
+function isTruthy(value) {
+    if (value && value.nodes) return value.nodes.length > 0;
+    return Boolean(value);
+}
+
+function singleValue(value) {
+    if (value && value.nodes) {
+        return value.nodes.length === 1 ? value.nodes[0] : undefined;
+    }
+    return value;
+}
+
+function compare(operator, left, right) {
+    // A path that selects nothing only equals another that selects nothing
+    if (left === undefined || right === undefined) {
+        if (operator === '==') return left === right;
+        if (operator === '!=') return left !== right;
+        return false;
+    }
+
+    switch (operator) {
+        case '==':
+            return deepEqual(left, right);
+        case '!=':
+            return !deepEqual(left, right);
+        case '=~':
+            return typeof left === 'string' && right instanceof RegExp && right.test(left);
+    }
+
+    const comparable = (typeof left === 'number' && typeof right === 'number') ||
+        (typeof left === 'string' && typeof right === 'string');
+    if (!comparable) return false;
+
+    switch (operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+    }
+    return false;
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
@@ -0,0 +1,776 @@
+/**
+ * JSON Schema Module
+ * Validates JSON against JSON Schema draft 2020-12 or draft-07
+ */
+
+import { escapePointerSegment, canonicalJSON, describeValue } from './utils.js';
+
+export const DRAFT_2020_12 = '2020-12';
+export const DRAFT_07 = 'draft-07';
+
+// Violations returned at most; errorCount still counts them all
+const DEFAULT_MAX_ERRORS = 1000;
+
+// $ref hops in a row at the same value; more means a schema references itself
+// without consuming the instance
+const MAX_REF_DEPTH = 512;
+
+// Base URI for schemas without an absolute $id
+const DEFAULT_BASE_URI = 'https://json-analyser.local/schema.json';
+
+// Values shown in enum messages before the list is cut short
+const MAX_ENUM_VALUES = 5;
+
+// Longest value quoted in a message before it is truncated
+const MAX_MESSAGE_VALUE_LENGTH = 40;
+
+// RFC 3339 date-time: T separator, seconds, and Z or a ±hh:mm offset. Only the
+// upper-case T and Z, which Zod's datetime() requires as well, so that schemas
+// generated by schemaInference.js accept the same strings in every output
+export const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Formats checked by the "format" keyword; other formats are accepted as is
+const FORMATS = {
+    'date-time': value => DATE_TIME_PATTERN.test(value) && isValidDate(value.slice(0, 10)),
+    date: value => DATE_PATTERN.test(value) && isValidDate(value),
+    time: value => /^\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})$/.test(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    hostname: value => value.length <= 253 && /^(?!-)[A-Za-z0-9-]{1,63}(?<!-)(?:\.(?!-)[A-Za-z0-9-]{1,63}(?<!-))*$/.test(value),
+    ipv4: value => /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value),
+    ipv6: value => isIPv6(value),
+    uri: value => /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/.test(value),
+    'uri-reference': value => !/\s/.test(value),
+    uuid: value => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value),
+    'json-pointer': value => /^(?:\/(?:[^~/]|~[01])*)*$/.test(value),
+    regex: value => {
+        try {
+            new RegExp(value, 'u');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+};
+
+/**
+ * Error in the schema itself (not in the validated data)
+ */
+export class SchemaError extends Error {}
+
+/**
+ * Data nested too deeply to validate against the schema
+ */
+export class ValidationLimitError extends Error {}
+
+/**
+ * Check that a YYYY-MM-DD date exists (2024-02-30 does not)
+ * @param {string} text - Date
+ * @returns {boolean}
+ */
+export function isValidDate(text) {
+    const [year, month, day] = text.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Check an IPv6 address, including :: shorthand and a trailing IPv4 part
+ * @param {string} value - Candidate address
+ * @returns {boolean}
+ */
+function isIPv6(value) {
+    let text = value;
+    const groups = 8;
+
+    const ipv4 = /(?:^|:)(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+    if (ipv4) {
+        if (!FORMATS.ipv4(ipv4[1])) return false;
+        text = text.slice(0, text.length - ipv4[1].length) + '0:0';
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return false;
+
+    const parts = halves.map(half => (half === '' ? [] : half.split(':')));
+    if (!parts.flat().every(part => /^[0-9a-fA-F]{1,4}$/.test(part))) return false;
+
+    const count = parts.flat().length;
+    return halves.length === 2 ? count < groups : count === groups;
+}
+
+/**
+ * Deep equality for JSON values; object key order is ignored
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Name the JSON type of a value as JSON Schema does
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Split a JSON Pointer into its unescaped segments
+ * @param {string} pointer - e.g. "/items/0/a~1b"
+ * @returns {string[]}
+ */
+export function parsePointer(pointer) {
+    if (pointer === '') return [];
+    return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Validator for one schema
+ * Resources ($id), anchors ($anchor, $dynamicAnchor and draft-07 "#name" ids)
+ * and JSON Pointer fragments are resolved within the schema; remote
+ * references are not fetched.
+ */
+class SchemaValidator {
+    constructor(schema) {
+        if (typeof schema !== 'boolean' && (schema === null || typeof schema !== 'object' || Array.isArray(schema))) {
+            throw new SchemaError('A schema must be an object or a boolean');
+        }
+
+        this.schema = schema;
+        this.draft = typeof schema.$schema === 'string' && /draft-0[4-7]/.test(schema.$schema) ? DRAFT_07 : DRAFT_2020_12;
+        this.resources = new Map(); // URI without fragment → schema
+        this.anchors = new Map(); // URI with #anchor → schema
+        this.dynamicAnchors = new Map(); // resource URI → Set of dynamic anchor names
+        this.regexCache = new Map();
+
+        this.indexResources(schema, DEFAULT_BASE_URI);
+        this.rootUri = this.resolveUri(schema.$id || '', DEFAULT_BASE_URI).split('#')[0];
+    }
+
+    /**
+     * Resolve a URI reference against a base URI
+     * @param {string} reference - URI reference
+     * @param {string} base - Absolute base URI
+     * @returns {string}
+     */
+    resolveUri(reference, base) {
+        try {
+            return new URL(reference, base).href;
+        } catch (e) {
+            throw new SchemaError(`Invalid URI "${reference}"`);
+        }
+    }
+
+    /**
+     * Record every resource and anchor in a schema
+     * @param {*} schema - Schema or subschema
+     * @param {string} base - Base URI of the enclosing resource
+     */
+    indexResources(schema, base) {
+        if (schema === null || typeof schema !== 'object') return;
+
+        if (Array.isArray(schema)) {
+            schema.forEach(item => this.indexResources(item, base));
+            return;
+        }
+
+        let resourceBase = base;
+        if (typeof schema.$id === 'string') {
+            const uri = this.resolveUri(schema.$id, base);
+            const [resource, fragment] = uri.split('#');
+            if (fragment) {
+                // draft-07 location-independent identifier: "$id": "#address"
+                this.anchors.set(uri, schema);
+            } else {
+                resourceBase = resource;
+                this.resources.set(resource, schema);
+            }
+        }
+        if (!this.resources.has(resourceBase)) {
+            this.resources.set(resourceBase, schema);
+        }
+
+        if (typeof schema.$anchor === 'string') {
+            this.anchors.set(`${resourceBase}#${schema.$anchor}`, schema);
+        }
+        if (typeof schema.$dynamicAnchor === 'string') {
+            this.anchors.set(`${resourceBase}#${schema.$dynamicAnchor}`, schema);
+            if (!this.dynamicAnchors.has(resourceBase)) this.dynamicAnchors.set(resourceBase, new Set());
+            this.dynamicAnchors.get(resourceBase).add(schema.$dynamicAnchor);
+        }
+
+        Object.entries(schema).forEach(([key, value]) => {
+            // enum and const hold data, not subschemas
+            if (key !== 'enum' && key !== 'const' && key !== 'examples' && key !== 'default') {
+                this.indexResources(value, resourceBase);
+            }
+        });
+    }
+
+    /**
+     * Find the schema a reference points to
+     * @param {string} reference - $ref value
+     * @param {string} base - Base URI of the referring schema
+     * @returns {{schema: *, base: string}}
+     */
+    resolveReference(reference, base) {
+        const uri = this.resolveUri(reference, base);
+        const [resourceUri, fragment = ''] = uri.split('#');
+
+        const resource = this.resources.get(resourceUri);
+        if (resource === undefined) {
+            throw new SchemaError(`Cannot resolve $ref "${reference}": only references within the schema are supported`);
+        }
+
+        if (fragment === '') {
+            return { schema: resource, base: resourceUri };
+        }
+
+        if (!fragment.startsWith('/')) {
+            const anchored = this.anchors.get(`${resourceUri}#${fragment}`);
+            if (anchored === undefined) {
+                throw new SchemaError(`Cannot resolve $ref "${reference}": no anchor "${fragment}"`);
+            }
+            return { schema: anchored, base: resourceUri };
+        }
+
+        let target = resource;
+        let targetBase = resourceUri;
+        for (const segment of parsePointer(decodeURIComponent(fragment))) {
+            if (target === null || typeof target !== 'object' || !(segment in target)) {
+                throw new SchemaError(`Cannot resolve $ref "${reference}"`);
+            }
+            target = target[segment];
+            if (target && typeof target.$id === 'string' && !target.$id.startsWith('#')) {
+                targetBase = this.resolveUri(target.$id, targetBase).split('#')[0];
+            }
+        }
+        return { schema: target, base: targetBase };
+    }
+
+    /**
+     * Compile a pattern once
+     * @param {string} pattern - ECMA-262 regular expression
+     * @returns {RegExp}
+     */
+    getRegExp(pattern) {
+        if (!this.regexCache.has(pattern)) {
+            try {
+                this.regexCache.set(pattern, new RegExp(pattern, 'u'));
+            } catch (error) {
+                throw new SchemaError(`Invalid pattern "${pattern}": ${error.message}`);
+            }
+        }
+        return this.regexCache.get(pattern);
+    }
+
+    /**
+     * Validate data against the whole schema
+     * @param {*} data - JSON value
+     * @returns {Array} Violations { pointer, keyword, message, schemaPath }
+     */
+    validate(data) {
+        return this.validateNode(this.schema, data, {
+            pointer: '',
+            schemaPath: '#',
+            base: this.rootUri,
+            dynamicScope: [this.rootUri],
+            refDepth: 0
+        }).errors;
+    }
+
+    /**
+     * Validate a value against a subschema
+     * @param {*} schema - Subschema
+     * @param {*} data - Value at context.pointer
+     * @param {Object} context - { pointer, schemaPath, base, dynamicScope, refDepth }
+     *   where refDepth counts the references followed without moving into the value
+     * @returns {Object} { errors, properties: Set of evaluated keys, items: Set of evaluated indexes }
+     */
+    validateNode(schema, data, context) {
+        const result = { errors: [], properties: new Set(), items: new Set() };
+
+        if (schema === true) return result;
+        if (schema === false) {
+            result.errors.push(this.error(context, 'false', 'is not allowed by the schema'));
+            return result;
+        }
+        if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new SchemaError(`Invalid schema at ${context.schemaPath}: expected an object or a boolean`);
+        }
+        if (context.refDepth > MAX_REF_DEPTH) {
+            throw new SchemaError('Schema references nest too deeply (is a $ref circular?)');
+        }
+
+        // A schema with its own $id starts a new resource
+        if (typeof schema.$id === 'string' && !schema.$id.startsWith('#')) {
+            const base = this.resolveUri(schema.$id, context.base).split('#')[0];
+            if (base !== context.base) {
+                context = { ...context, base, dynamicScope: [...context.dynamicScope, base] };
+            }
+        }
+
+        if (schema.$ref !== undefined) {
+            const target = this.resolveReference(schema.$ref, context.base);
+            const referenced = this.validateNode(target.schema, data, {
+                ...context,
+                schemaPath: `${context.schemaPath}/$ref`,
+                base: target.base,
+                dynamicScope: target.base === context.base ? context.dynamicScope : [...context.dynamicScope, target.base],
+                refDepth: context.refDepth + 1
+            });
+            this.merge(result, referenced);
+
+            // Before 2019-09, keywords next to $ref are ignored
+            if (this.draft === DRAFT_07) return result;
+        }
+
+        if (schema.$dynamicRef !== undefined) {
+            this.merge(result, this.validateDynamicRef(schema.$dynamicRef, data, context));
+        }
+
+        this.validateType(schema, data, context, result);
+        this.validateCombinators(schema, data, context, result);
+
+        const type = typeOf(data);
+        if (type === 'integer' || type === 'number') this.validateNumber(schema, data, context, result);
+        if (type === 'string') this.validateString(schema, data, context, result);
+        if (type === 'array') this.validateArray(schema, data, context, result);
+        if (type === 'object') this.validateObject(schema, data, context, result);
+
+        return result;
+    }
+
+    /**
+     * Follow a $dynamicRef: the outermost resource in scope with a matching
+     * $dynamicAnchor wins; otherwise it behaves like $ref
+     */
+    validateDynamicRef(reference, data, context) {
+        let target = this.resolveReference(reference, context.base);
+        const fragment = reference.split('#')[1] || '';
+
+        if (target.schema && target.schema.$dynamicAnchor === fragment) {
+            const outer = context.dynamicScope.find(uri => this.dynamicAnchors.get(uri)?.has(fragment));
+            if (outer) {
+                target = { schema: this.anchors.get(`${outer}#${fragment}`), base: outer };
+            }
+        }
+
+        return this.validateNode(target.schema, data, {
+            ...context,
+            schemaPath: `${context.schemaPath}/$dynamicRef`,
+            base: target.base,
+            dynamicScope: [...context.dynamicScope, target.base],
+            refDepth: context.refDepth + 1
+        });
+    }
+
+    /**
+     * Apply type, enum and const
+     */
+    validateType(schema, data, context, result) {
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const actual = typeOf(data);
+            const matches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+            if (!matches) {
+                result.errors.push(this.error(context, 'type', `must be ${types.join(' or ')} (found ${actual === 'integer' ? 'number' : actual})`));
+            }
+        }
+
+        if (Array.isArray(schema.enum) && !schema.enum.some(value => isEqual(value, data))) {
+            const values = schema.enum.slice(0, MAX_ENUM_VALUES).map(value => describeValue(value, MAX_MESSAGE_VALUE_LENGTH)).join(', ');
+            const more = schema.enum.length > MAX_ENUM_VALUES ? `, ... (${schema.enum.length} values)` : '';
+            result.errors.push(this.error(context, 'enum', `must be one of ${values}${more}`));
+        }
+
+        if (schema.const !== undefined && !isEqual(schema.const, data)) {
+            result.errors.push(this.error(context, 'const', `must equal ${describeValue(schema.const, MAX_MESSAGE_VALUE_LENGTH)}`));
+        }
+    }
+
+    /**
+     * Apply allOf, anyOf, oneOf, not, if/then/else and dependentSchemas
+     */
+    validateCombinators(schema, data, context, result) {
+        const sub = (subschema, path) => this.validateNode(subschema, data, {
+            ...context,
+            schemaPath: `${context.schemaPath}/${path}`
+        });
+
+        if (Array.isArray(schema.allOf)) {
+            schema.allOf.forEach((subschema, index) => this.merge(result, sub(subschema, `allOf/${index}`)));
+        }
+
+        if (Array.isArray(schema.anyOf)) {
+            const results = schema.anyOf.map((subschema, index) => sub(subschema, `anyOf/${index}`));
+            const valid = results.filter(branch => branch.errors.length === 0);
+            if (valid.length === 0) {
+                result.errors.push(this.error(context, 'anyOf', 'must match at least one schema in anyOf'));
+            }
+            valid.forEach(branch => this.merge(result, branch));
+        }
+
+        if (Array.isArray(schema.oneOf)) {
+            const results = schema.oneOf.map((subschema, index) => sub(subschema, `oneOf/${index}`));
+            const valid = results.filter(branch => branch.errors.length === 0);
+            if (valid.length !== 1) {
+                const found = valid.length === 0 ? 'none matched' : `${valid.length} matched`;
+                result.errors.push(this.error(context, 'oneOf', `must match exactly one schema in oneOf (${found})`));
+            } else {
+                this.merge(result, valid[0]);
+            }
+        }
+
+        if (schema.not !== undefined && sub(schema.not, 'not').errors.length === 0) {
+            result.errors.push(this.error(context, 'not', 'must not match the schema in not'));
+        }
+
+        if (schema.if !== undefined) {
+            const condition = sub(schema.if, 'if');
+            if (condition.errors.length === 0) {
+                this.merge(result, condition);
+                if (schema.then !== undefined) this.merge(result, sub(schema.then, 'then'));
+            } else if (schema.else !== undefined) {
+                this.merge(result, sub(schema.else, 'else'));
+            }
+        }
+
+        if (typeOf(data) !== 'object') return;
+
+        // draft-07 "dependencies" combines dependentSchemas and dependentRequired
+        const dependentSchemas = { ...schema.dependentSchemas };
+        const dependentRequired = { ...schema.dependentRequired };
+        Object.entries(schema.dependencies || {}).forEach(([key, value]) => {
+            if (Array.isArray(value)) dependentRequired[key] = value;
+            else dependentSchemas[key] = value;
+        });
+
+        Object.entries(dependentSchemas).forEach(([key, subschema]) => {
+            if (Object.prototype.hasOwnProperty.call(data, key)) {
+                this.merge(result, sub(subschema, `dependentSchemas/${escapePointerSegment(key)}`));
+            }
+        });
+
+        Object.entries(dependentRequired).forEach(([key, required]) => {
+            if (!Object.prototype.hasOwnProperty.call(data, key)) return;
+            required.forEach(name => {
+                if (!Object.prototype.hasOwnProperty.call(data, name)) {
+                    result.errors.push(this.error(context, 'dependentRequired', `must have property "${name}" when "${key}" is present`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Apply the numeric keywords
+     */
+    validateNumber(schema, data, context, result) {
+        if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+            const quotient = data / schema.multipleOf;
+            if (!Number.isInteger(quotient) && Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                result.errors.push(this.error(context, 'multipleOf', `must be a multiple of ${schema.multipleOf}`));
+            }
+        }
+        if (typeof schema.maximum === 'number' && data > schema.maximum) {
+            result.errors.push(this.error(context, 'maximum', `must be <= ${schema.maximum}`));
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && data >= schema.exclusiveMaximum) {
+            result.errors.push(this.error(context, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`));
+        }
+        if (typeof schema.minimum === 'number' && data < schema.minimum) {
+            result.errors.push(this.error(context, 'minimum', `must be >= ${schema.minimum}`));
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && data <= schema.exclusiveMinimum) {
+            result.errors.push(this.error(context, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`));
+        }
+    }
+
+    /**
+     * Apply the string keywords
+     */
+    validateString(schema, data, context, result) {
+        // Lengths count code points, so an emoji is one character
+        const length = schema.minLength !== undefined || schema.maxLength !== undefined ? Array.from(data).length : 0;
+
+        if (typeof schema.minLength === 'number' && length < schema.minLength) {
+            result.errors.push(this.error(context, 'minLength', `must have at least ${schema.minLength} character${schema.minLength !== 1 ? 's' : ''}`));
+        }
+        if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+            result.errors.push(this.error(context, 'maxLength', `must have at most ${schema.maxLength} character${schema.maxLength !== 1 ? 's' : ''}`));
+        }
+        if (typeof schema.pattern === 'string' && !this.getRegExp(schema.pattern).test(data)) {
+            result.errors.push(this.error(context, 'pattern', `must match pattern /${schema.pattern}/`));
+        }
+        if (typeof schema.format === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](data)) {
+            result.errors.push(this.error(context, 'format', `must be a valid ${schema.format}`));
+        }
+    }
+
+    /**
+     * Apply the array keywords
+     */
+    validateArray(schema, data, context, result) {
+        const item = (subschema, index, path) => this.validateNode(subschema, data[index], {
+            ...context,
+            pointer: `${context.pointer}/${index}`,
+            schemaPath: `${context.schemaPath}/${path}`,
+            refDepth: 0
+        });
+
+        // draft-07 tuples: "items" as an array, then "additionalItems"
+        const tuple = this.draft === DRAFT_07 && Array.isArray(schema.items) ? schema.items : schema.prefixItems;
+        const rest = this.draft === DRAFT_07 ? (Array.isArray(schema.items) ? schema.additionalItems : schema.items) : schema.items;
+        const restKeyword = this.draft === DRAFT_07 && Array.isArray(schema.items) ? 'additionalItems' : 'items';
+        const tupleKeyword = this.draft === DRAFT_07 ? 'items' : 'prefixItems';
+
+        let start = 0;
+        if (Array.isArray(tuple)) {
+            start = Math.min(tuple.length, data.length);
+            for (let i = 0; i < start; i++) {
+                this.mergeErrors(result, item(tuple[i], i, `${tupleKeyword}/${i}`));
+                result.items.add(i);
+            }
+        }
+
+        if (rest !== undefined) {
+            for (let i = start; i < data.length; i++) {
+                if (rest === false) {
+                    result.errors.push(this.error({ ...context, pointer: `${context.pointer}/${i}` }, restKeyword, `item ${i} is not allowed`));
+                } else {
+                    this.mergeErrors(result, item(rest, i, restKeyword));
+                }
+                result.items.add(i);
+            }
+        }
+
+        if (schema.contains !== undefined) {
+            let matches = 0;
+            data.forEach((value, index) => {
+                if (item(schema.contains, index, 'contains').errors.length === 0) {
+                    matches++;
+                    result.items.add(index);
+                }
+            });
+
+            const min = typeof schema.minContains === 'number' ? schema.minContains : 1;
+            if (matches < min) {
+                result.errors.push(this.error(context, 'contains', `must contain at least ${min} item${min !== 1 ? 's' : ''} matching the contains schema (found ${matches})`));
+            }
+            if (typeof schema.maxContains === 'number' && matches > schema.maxContains) {
+                result.errors.push(this.error(context, 'maxContains', `must contain at most ${schema.maxContains} item${schema.maxContains !== 1 ? 's' : ''} matching the contains schema (found ${matches})`));
+            }
+        }
+
+        if (typeof schema.minItems === 'number' && data.length < schema.minItems) {
+            result.errors.push(this.error(context, 'minItems', `must have at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`));
+        }
+        if (typeof schema.maxItems === 'number' && data.length > schema.maxItems) {
+            result.errors.push(this.error(context, 'maxItems', `must have at most ${schema.maxItems} item${schema.maxItems !== 1 ? 's' : ''}`));
+        }
+
+        if (schema.uniqueItems === true) {
+            const seen = new Map();
+            for (let i = 0; i < data.length; i++) {
+                const key = canonicalJSON(data[i]);
+                if (seen.has(key)) {
+                    result.errors.push(this.error(context, 'uniqueItems', `must not contain duplicate items (items ${seen.get(key)} and ${i} are equal)`));
+                    break;
+                }
+                seen.set(key, i);
+            }
+        }
+
+        if (schema.unevaluatedItems !== undefined) {
+            for (let i = 0; i < data.length; i++) {
+                if (result.items.has(i)) continue;
+                const unevaluated = item(schema.unevaluatedItems, i, 'unevaluatedItems');
+                if (schema.unevaluatedItems === false) {
+                    result.errors.push(this.error({ ...context, pointer: `${context.pointer}/${i}` }, 'unevaluatedItems', 'unevaluated item is not allowed'));
+                } else {
+                    this.mergeErrors(result, unevaluated);
+                }
+                result.items.add(i);
+            }
+        }
+    }
+
+    /**
+     * Apply the object keywords
+     */
+    validateObject(schema, data, context, result) {
+        const keys = Object.keys(data);
+        const property = (subschema, key, path) => this.validateNode(subschema, data[key], {
+            ...context,
+            pointer: `${context.pointer}/${escapePointerSegment(key)}`,
+            schemaPath: `${context.schemaPath}/${path}`,
+            refDepth: 0
+        });
+        const propertyContext = key => ({ ...context, pointer: `${context.pointer}/${escapePointerSegment(key)}` });
+
+        if (Array.isArray(schema.required)) {
+            schema.required.forEach(name => {
+                if (!Object.prototype.hasOwnProperty.call(data, name)) {
+                    result.errors.push(this.error(context, 'required', `must have required property "${name}"`));
+                }
+            });
+        }
+
+        if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+            result.errors.push(this.error(context, 'minProperties', `must have at least ${schema.minProperties} propert${schema.minProperties !== 1 ? 'ies' : 'y'}`));
+        }
+        if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+            result.errors.push(this.error(context, 'maxProperties', `must have at most ${schema.maxProperties} propert${schema.maxProperties !== 1 ? 'ies' : 'y'}`));
+        }
+
+        if (schema.propertyNames !== undefined) {
+            keys.forEach(key => {
+                const names = this.validateNode(schema.propertyNames, key, {
+                    ...context,
+                    schemaPath: `${context.schemaPath}/propertyNames`
+                });
+                if (names.errors.length > 0) {
+                    result.errors.push(this.error(propertyContext(key), 'propertyNames', `property name "${key}" ${names.errors[0].message}`));
+                }
+            });
+        }
+
+        const matched = new Set();
+        const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+        keys.forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                this.mergeErrors(result, property(properties[key], key, `properties/${escapePointerSegment(key)}`));
+                matched.add(key);
+            }
+        });
+
+        if (schema.patternProperties && typeof schema.patternProperties === 'object') {
+            Object.entries(schema.patternProperties).forEach(([pattern, subschema]) => {
+                const regex = this.getRegExp(pattern);
+                keys.forEach(key => {
+                    if (regex.test(key)) {
+                        this.mergeErrors(result, property(subschema, key, `patternProperties/${escapePointerSegment(pattern)}`));
+                        matched.add(key);
+                    }
+                });
+            });
+        }
+
+        if (schema.additionalProperties !== undefined) {
+            keys.forEach(key => {
+                if (matched.has(key)) return;
+                if (schema.additionalProperties === false) {
+                    result.errors.push(this.error(propertyContext(key), 'additionalProperties', `additional property "${key}" is not allowed`));
+                } else {
+                    this.mergeErrors(result, property(schema.additionalProperties, key, 'additionalProperties'));
+                }
+                matched.add(key);
+            });
+        }
+
+        matched.forEach(key => result.properties.add(key));
+
+        if (schema.unevaluatedProperties !== undefined) {
+            keys.forEach(key => {
+                if (result.properties.has(key)) return;
+                if (schema.unevaluatedProperties === false) {
+                    result.errors.push(this.error(propertyContext(key), 'unevaluatedProperties', `unevaluated property "${key}" is not allowed`));
+                } else {
+                    this.mergeErrors(result, property(schema.unevaluatedProperties, key, 'unevaluatedProperties'));
+                }
+                result.properties.add(key);
+            });
+        }
+    }
+
+    /**
+     * Add a subschema result that applies to the same value, keeping its annotations
+     * Annotations of failed subschemas are dropped, as the specification requires.
+     * @param {Object} result - Result being built
+     * @param {Object} other - Result of a subschema
+     */
+    merge(result, other) {
+        this.mergeErrors(result, other);
+        if (other.errors.length === 0) {
+            other.properties.forEach(key => result.properties.add(key));
+            other.items.forEach(index => result.items.add(index));
+        }
+    }
+
+    /**
+     * Add the violations of a subschema result
+     * @param {Object} result - Result being built
+     * @param {Object} other - Result of a subschema
+     */
+    mergeErrors(result, other) {
+        for (const error of other.errors) {
+            result.errors.push(error);
+        }
+    }
+
+    /**
+     * Build a violation
+     * @param {Object} context - Validation context
+     * @param {string} keyword - Failed keyword
+     * @param {string} message - Description
+     * @returns {Object} { pointer, keyword, message, schemaPath }
+     */
+    error(context, keyword, message) {
+        return {
+            pointer: context.pointer,
+            keyword,
+            message,
+            schemaPath: `${context.schemaPath}/${keyword}`
+        };
+    }
+}
+
+/**
+ * Validate data against a JSON Schema
+ * @param {Object|boolean} schema - JSON Schema (draft 2020-12 or draft-07, chosen by $schema)
+ * @param {*} data - JSON value
+ * @param {Object} options
+ * @param {number} options.maxErrors - Violations to return at most
+ * @returns {Object} { valid, errors: [{ pointer, keyword, message, schemaPath }], errorCount, draft }
+ * @throws {SchemaError} When the schema itself is invalid
+ * @throws {ValidationLimitError} When the data nests too deeply to validate
+ */
+export function validateAgainstSchema(schema, data, { maxErrors = DEFAULT_MAX_ERRORS } = {}) {
+    const validator = new SchemaValidator(schema);
+    let errors;
+    try {
+        errors = validator.validate(data);
+    } catch (error) {
+        // Each level of the data takes a few calls per schema keyword, so how deep
+        // the stack allows depends on the schema; Firefox names the overflow InternalError
+        if (error instanceof RangeError || error?.name === 'InternalError') {
+            throw new ValidationLimitError('The data nests too deeply to validate against this schema');
+        }
+        throw error;
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors: errors.slice(0, maxErrors),
+        errorCount: errors.length,
+        draft: validator.draft
+    };
+}
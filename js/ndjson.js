@@ -0,0 +1,154 @@
+/**
+ * NDJSON Module
+ * Parses newline-delimited JSON (JSON Lines) into an array of records
+ */
+
+// Only the first errors are kept; the rest are counted
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Incremental NDJSON parser
+ * Accepts text in arbitrary chunks; each non-blank line is one record.
+ */
+export class NDJSONStreamParser {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.skipInvalid - Skip bad lines instead of failing
+     */
+    constructor({ skipInvalid = false } = {}) {
+        this.skipInvalid = skipInvalid;
+        this.carry = '';
+        this.lineNumber = 0;
+        this.data = [];
+        this.errors = [];
+        this.errorCount = 0;
+
+        this.stats = {
+            type: 'array',
+            properties: 0,
+            depth: 0,
+            arrayLength: 0
+        };
+        this.records = { path: '', count: 0 };
+    }
+
+    /**
+     * Feed the next chunk of text
+     * @param {string} text - Chunk of NDJSON text
+     */
+    push(text) {
+        const lines = (this.carry + text).split('\n');
+        this.carry = lines.pop();
+        lines.forEach(line => this.parseLine(line));
+    }
+
+    /**
+     * Signal the end of input and return the records
+     * @returns {Array} Parsed records
+     */
+    end() {
+        if (this.carry) {
+            this.parseLine(this.carry);
+            this.carry = '';
+        }
+
+        if (this.errorCount > 0 && !this.skipInvalid) {
+            const first = this.errors[0];
+            const err = new SyntaxError(
+                `${this.errorCount} invalid line${this.errorCount !== 1 ? 's' : ''}; ` +
+                `line ${first.line}: ${first.message}`
+            );
+            err.errors = this.errors;
+            err.errorCount = this.errorCount;
+            throw err;
+        }
+
+        this.stats.arrayLength = this.data.length;
+        this.records.count = this.data.length;
+        return this.data;
+    }
+
+    /**
+     * Parse a single line
+     * @param {string} line - Raw line without the trailing newline
+     */
+    parseLine(line) {
+        this.lineNumber++;
+
+        const text = line.trim();
+        if (!text) return;
+
+        try {
+            const value = JSON.parse(text);
+            this.data.push(value);
+            this.measure(value);
+        } catch (e) {
+            this.errorCount++;
+            if (this.errors.length < MAX_REPORTED_ERRORS) {
+                this.errors.push({ line: this.lineNumber, message: e.message });
+            }
+        }
+    }
+
+    /**
+     * Accumulate statistics for a record (mirrors analyzeJSON)
+     * @param {*} value - Parsed record
+     */
+    measure(value) {
+        const stats = this.stats;
+
+        function traverse(item, level) {
+            if (level > stats.depth) stats.depth = level;
+
+            if (Array.isArray(item)) {
+                item.forEach(element => traverse(element, level + 1));
+            } else if (item && typeof item === 'object') {
+                Object.keys(item).forEach(key => {
+                    stats.properties++;
+                    traverse(item[key], level + 1);
+                });
+            }
+        }
+
+        traverse(value, 1);
+    }
+}
+
+/**
+ * Parse an NDJSON string
+ * @param {string} str - NDJSON text
+ * @param {Object} options - { skipInvalid: boolean }
+ * @returns {Object} { valid, data, error, errors, errorCount }
+ */
+export function parseNDJSON(str, options = {}) {
+    const parser = new NDJSONStreamParser(options);
+
+    try {
+        parser.push(str);
+        const data = parser.end();
+        return {
+            valid: true,
+            data,
+            error: null,
+            errors: parser.errors,
+            errorCount: parser.errorCount
+        };
+    } catch (e) {
+        return {
+            valid: false,
+            data: null,
+            error: e.message,
+            errors: e.errors || [],
+            errorCount: e.errorCount || 0
+        };
+    }
+}
+
+/**
+ * Format records as NDJSON (one compact record per line)
+ * @param {Array} records - Records to serialize
+ * @returns {string} NDJSON text
+ */
+export function formatNDJSON(records) {
+    return records.map(record => JSON.stringify(record)).join('\n');
+}
@@ -0,0 +1,206 @@
+/**
+ * Profile View Module
+ * Renders a data profile as one card per field with histograms and top values
+ */
+
+import { describeValue } from './utils.js';
+
+// Longest value label shown before it is truncated
+const MAX_LABEL_LENGTH = 40;
+
+const TYPE_ORDER = ['string', 'number', 'boolean', 'null', 'object', 'array'];
+
+/**
+ * Format a number for display
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+/**
+ * Format a share of the records as a percentage
+ * @param {number} count
+ * @param {number} total
+ * @returns {string}
+ */
+function formatPercent(count, total) {
+    if (total === 0) return '0%';
+    const percent = (count / total) * 100;
+    // Keep rare but present values from showing as 0%
+    return `${percent > 0 && percent < 0.1 ? '<0.1' : formatNumber(Math.round(percent * 10) / 10)}%`;
+}
+
+/**
+ * Create an element with a class and optional text
+ * @param {string} tag
+ * @param {string} className
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+export class ProfileView {
+    /**
+     * @param {HTMLElement} container - Element the profile renders into
+     * @param {Object} options
+     * @param {Function} options.onSelect - Called with (segments, value) when a top value is clicked
+     */
+    constructor(container, { onSelect } = {}) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.values = new WeakMap(); // value button -> { segments, value }
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    /**
+     * Render one card per field
+     * @param {Object} profile - Profile from profileDocument
+     * @param {Object} options
+     * @param {boolean} options.selectable - Whether top values can be clicked to filter
+     */
+    render(profile, { selectable = true } = {}) {
+        const fragment = document.createDocumentFragment();
+        profile.fields.forEach(field => fragment.appendChild(this.createCard(field, profile.recordCount, selectable)));
+        this.container.replaceChildren(fragment);
+    }
+
+    /**
+     * Remove the rendered profile
+     */
+    clear() {
+        this.container.replaceChildren();
+    }
+
+    /**
+     * Create the card of one field
+     * @param {Object} field - Field profile
+     * @param {number} recordCount - Records in the profile
+     * @param {boolean} selectable - Whether top values are buttons
+     * @returns {HTMLElement}
+     */
+    createCard(field, recordCount, selectable) {
+        const card = createElement('article', 'profile-field');
+
+        const header = createElement('header', 'profile-field-header');
+        header.appendChild(createElement('code', 'profile-field-path', field.path || '(each item)'));
+        const types = createElement('span', 'profile-types');
+        TYPE_ORDER.filter(type => field.types[type]).forEach(type => {
+            const badge = createElement('span', `profile-type profile-type-${type}`, `${type} ${formatPercent(field.types[type], field.present)}`);
+            badge.title = `${field.types[type].toLocaleString()} ${type} value${field.types[type] !== 1 ? 's' : ''}`;
+            types.appendChild(badge);
+        });
+        header.appendChild(types);
+        card.appendChild(header);
+
+        const stats = [
+            ['Missing', formatPercent(field.missing, recordCount)],
+            ['Null', formatPercent(field.nulls, recordCount)],
+            ['Distinct', `${field.distinct.toLocaleString()}${field.distinctCapped ? '+' : ''}`]
+        ];
+        if (field.numbers) {
+            stats.push(['Min', formatNumber(field.numbers.min)], ['Max', formatNumber(field.numbers.max)], ['Mean', formatNumber(field.numbers.mean)]);
+        }
+        if (field.strings) {
+            stats.push(['Length', `${formatNumber(field.strings.min)}–${formatNumber(field.strings.max)}`], ['Mean length', formatNumber(field.strings.mean)]);
+        }
+
+        const list = createElement('dl', 'profile-stats');
+        stats.forEach(([label, value]) => {
+            const item = createElement('div', 'profile-stat');
+            item.append(createElement('dt', '', label), createElement('dd', '', value));
+            list.appendChild(item);
+        });
+        card.appendChild(list);
+
+        // Numbers show their value distribution; text shows its length distribution
+        if (field.numbers) {
+            card.appendChild(this.createHistogram(field.numbers, 'Values'));
+        } else if (field.strings) {
+            card.appendChild(this.createHistogram(field.strings, 'Lengths'));
+        }
+
+        if (field.top.length > 0) {
+            card.appendChild(this.createTopValues(field, selectable));
+        }
+        return card;
+    }
+
+    /**
+     * Create a bar chart of a histogram
+     * @param {Object} summary - { histogram, discrete } from the profile
+     * @param {string} label - What the bins count
+     * @returns {HTMLElement}
+     */
+    createHistogram({ histogram, discrete }, label) {
+        const figure = createElement('figure', 'profile-histogram');
+        const bars = createElement('div', 'profile-histogram-bars');
+        const highest = Math.max(...histogram.map(bin => bin.count));
+
+        histogram.forEach(bin => {
+            const bar = createElement('div', 'profile-bar');
+            bar.style.height = `${highest === 0 ? 0 : Math.max(2, (bin.count / highest) * 100)}%`;
+            const range = discrete ? formatNumber(bin.from) : `${formatNumber(bin.from)}–${formatNumber(bin.to)}`;
+            bar.title = `${range}: ${bin.count.toLocaleString()}`;
+            bars.appendChild(bar);
+        });
+
+        const first = histogram[0];
+        const last = histogram[histogram.length - 1];
+        const caption = createElement('figcaption', 'profile-histogram-caption');
+        caption.append(
+            createElement('span', '', formatNumber(first.from)),
+            createElement('span', '', label),
+            createElement('span', '', formatNumber(discrete ? last.from : last.to))
+        );
+
+        figure.append(bars, caption);
+        return figure;
+    }
+
+    /**
+     * Create the list of most frequent values
+     * @param {Object} field - Field profile
+     * @param {boolean} selectable - Whether values are buttons
+     * @returns {HTMLElement}
+     */
+    createTopValues(field, selectable) {
+        const list = createElement('ol', 'profile-top-values');
+        const highest = field.top[0].count;
+
+        field.top.forEach(({ value, count }) => {
+            const item = createElement(selectable ? 'button' : 'div', 'profile-value');
+            item.style.setProperty('--share', `${(count / highest) * 100}%`);
+            item.append(createElement('span', 'profile-value-label', describeValue(value, MAX_LABEL_LENGTH)), createElement('span', 'profile-value-count', count.toLocaleString()));
+
+            if (selectable) {
+                item.type = 'button';
+                item.title = `Query the records where ${field.path || 'the item'} is ${JSON.stringify(value)}`;
+                this.values.set(item, { segments: field.segments, value });
+            }
+
+            const entry = document.createElement('li');
+            entry.appendChild(item);
+            list.appendChild(entry);
+        });
+        return list;
+    }
+
+    /**
+     * Report a clicked top value
+     */
+    handleClick(event) {
+        const button = event.target.closest('button.profile-value');
+        const selected = button && this.values.get(button);
+        if (selected && this.onSelect) {
+            this.onSelect(selected.segments, selected.value);
+        }
+    }
+}
@@ -0,0 +1,780 @@
+/**
+ * Query Assist Module
+ * Autocomplete and inline lint warnings for the query editor
+ */
+
+import { CUSTOM_FUNCTIONS } from './queryFunctions.js';
+
+// Standard JMESPath (Community edition) functions
+const BUILTIN_FUNCTIONS = [
+    { name: 'abs', usage: 'abs(number)' },
+    { name: 'avg', usage: 'avg(array)' },
+    { name: 'ceil', usage: 'ceil(number)' },
+    { name: 'contains', usage: 'contains(subject, search)' },
+    { name: 'ends_with', usage: 'ends_with(string, suffix)' },
+    { name: 'find_first', usage: 'find_first(string, sub, start?, end?)' },
+    { name: 'find_last', usage: 'find_last(string, sub, start?, end?)' },
+    { name: 'floor', usage: 'floor(number)' },
+    { name: 'from_items', usage: 'from_items(array)' },
+    { name: 'items', usage: 'items(object)' },
+    { name: 'join', usage: 'join(glue, array)' },
+    { name: 'keys', usage: 'keys(object)' },
+    { name: 'length', usage: 'length(subject)' },
+    { name: 'map', usage: 'map(&expr, array)' },
+    { name: 'max', usage: 'max(array)' },
+    { name: 'max_by', usage: 'max_by(array, &expr)' },
+    { name: 'merge', usage: 'merge(object, ...)' },
+    { name: 'min', usage: 'min(array)' },
+    { name: 'min_by', usage: 'min_by(array, &expr)' },
+    { name: 'not_null', usage: 'not_null(value, ...)' },
+    { name: 'pad_left', usage: 'pad_left(string, width, pad?)' },
+    { name: 'pad_right', usage: 'pad_right(string, width, pad?)' },
+    { name: 'reverse', usage: 'reverse(subject)' },
+    { name: 'sort', usage: 'sort(array)' },
+    { name: 'sort_by', usage: 'sort_by(array, &expr)' },
+    { name: 'starts_with', usage: 'starts_with(string, prefix)' },
+    { name: 'sum', usage: 'sum(array)' },
+    { name: 'to_array', usage: 'to_array(value)' },
+    { name: 'to_number', usage: 'to_number(value)' },
+    { name: 'to_string', usage: 'to_string(value)' },
+    { name: 'trim', usage: 'trim(string, chars?)' },
+    { name: 'trim_left', usage: 'trim_left(string, chars?)' },
+    { name: 'trim_right', usage: 'trim_right(string, chars?)' },
+    { name: 'type', usage: 'type(value)' },
+    { name: 'values', usage: 'values(object)' },
+    { name: 'zip', usage: 'zip(array, ...)' }
+];
+
+// Built-in and custom functions; custom entries win so their usage is shown
+export const QUERY_FUNCTIONS = [
+    ...BUILTIN_FUNCTIONS.filter(f => !CUSTOM_FUNCTIONS.some(custom => custom.name === f.name)),
+    ...CUSTOM_FUNCTIONS.map(f => ({ name: f.name, usage: f.usage, description: f.description }))
+].sort((a, b) => a.name.localeCompare(b.name));
+
+const OPERATORS = [
+    { name: '==', description: 'Equal' },
+    { name: '!=', description: 'Not equal' },
+    { name: '>', description: 'Greater than' },
+    { name: '>=', description: 'Greater than or equal' },
+    { name: '<', description: 'Less than' },
+    { name: '<=', description: 'Less than or equal' },
+    { name: '&&', description: 'And' },
+    { name: '||', description: 'Or' },
+    { name: '|', description: 'Pipe the result into another expression' }
+];
+
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+
+// Number of path levels collectFieldPaths looks into
+const FIELD_DEPTH = 3;
+
+const MAX_SUGGESTIONS = 50;
+
+/**
+ * Tokenize a query leniently: unterminated strings run to the end instead of failing
+ * @param {string} text - Query text
+ * @returns {Array<Object>} Tokens { type, value, offset, length }
+ */
+function tokenize(text) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        const start = pos;
+
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+
+        let type;
+        let value;
+
+        if (/[A-Za-z_]/.test(ch)) {
+            value = /^[A-Za-z0-9_]*/.exec(text.slice(pos + 1, pos + 257))[0];
+            value = ch + value;
+            pos += value.length;
+            type = 'identifier';
+        } else if (ch === '"' || ch === '\'' || ch === '`') {
+            pos++;
+            while (pos < text.length && text[pos] !== ch) {
+                pos += text[pos] === '\\' ? 2 : 1;
+            }
+            const closed = pos < text.length;
+            pos = Math.min(pos + 1, text.length);
+            const raw = text.slice(start + 1, closed ? pos - 1 : pos);
+            type = { '"': 'quotedIdentifier', '\'': 'rawString', '`': 'literal' }[ch];
+            value = raw;
+            if (ch === '"') {
+                try {
+                    value = JSON.parse(`"${raw}"`);
+                } catch (error) {
+                    value = raw;
+                }
+            }
+        } else if (/[0-9]/.test(ch) || (ch === '-' && /[0-9]/.test(text[pos + 1] || ''))) {
+            value = /^-?[0-9]+(\.[0-9]+)?/.exec(text.slice(pos, pos + 256))[0];
+            pos += value.length;
+            type = 'number';
+        } else {
+            const operator = ['[?', '==', '!=', '<=', '>=', '&&', '||'].find(op => text.startsWith(op, pos)) || ch;
+            pos += operator.length;
+            type = 'punctuation';
+            value = operator;
+        }
+
+        tokens.push({ type, value, offset: start, length: pos - start });
+    }
+
+    return tokens;
+}
+
+/**
+ * Find the end of a simple bracket ([0], [*], [], [1:3]) starting at a '[' token
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Index of the '[' token
+ * @returns {number} Index of the closing ']' token, or -1 if the bracket holds an expression
+ */
+function simpleBracketEnd(tokens, index) {
+    for (let i = index + 1; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.value === ']') return i;
+        if (token.type !== 'number' && token.value !== '*' && token.value !== ':') return -1;
+    }
+    return -1;
+}
+
+/**
+ * Walk a JMESPath query, resolving the document path each field refers to
+ * Paths are relative to the items the field list was collected from; null
+ * means the path cannot be known (e.g. after a function call).
+ * @param {string} text - Query text
+ * @returns {Object} { tokens, fields, functions, comparisons, state }
+ */
+export function analyzeQuery(text) {
+    const tokens = tokenize(text);
+    const fields = [];
+    const functions = [];
+    const comparisons = [];
+
+    const join = (base, chain) => (base && chain ? base.concat(chain) : null);
+
+    let base = [];
+    let chain = [];
+    let afterDot = false;
+    const scopes = [];
+    const scope = () => scopes[scopes.length - 1];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        const current = scope();
+
+        if (token.type === 'identifier' || token.type === 'quotedIdentifier') {
+            // Function call
+            if (token.type === 'identifier' && next && next.value === '(') {
+                functions.push(token);
+                scopes.push({ type: 'call', name: token.value, base, saved: { base, chain }, firstArg: undefined });
+                chain = [];
+                afterDot = false;
+                i++;
+                continue;
+            }
+
+            // Keys of a multiselect hash are names, not fields
+            if (current && current.type === 'hash' && current.expectKey) {
+                current.expectKey = false;
+                afterDot = false;
+                continue;
+            }
+
+            chain = afterDot ? (chain ? chain.concat(token.value) : null) : [token.value];
+            const path = join(base, chain);
+            fields.push({ ...token, path });
+            afterDot = false;
+            continue;
+        }
+
+        afterDot = false;
+
+        switch (token.value) {
+            case '.':
+                afterDot = true;
+                break;
+            case '@':
+                chain = [];
+                break;
+            case '*':
+                // Object wildcard: the keys below are unknown
+                chain = null;
+                break;
+            case '[?':
+                scopes.push({ type: 'filter', saved: { base, chain } });
+                base = join(base, chain);
+                chain = [];
+                break;
+            case '[': {
+                // Index, slice and projection keep the path (the field list looks through arrays)
+                const end = simpleBracketEnd(tokens, i);
+                if (end !== -1) {
+                    i = end;
+                    break;
+                }
+                scopes.push({ type: 'list', saved: { base, chain } });
+                base = join(base, chain);
+                chain = [];
+                break;
+            }
+            case ']':
+                if (current && (current.type === 'filter' || current.type === 'list')) {
+                    scopes.pop();
+                    base = current.saved.base;
+                    chain = current.type === 'filter' ? current.saved.chain : null;
+                }
+                break;
+            case '{':
+                scopes.push({ type: 'hash', saved: { base, chain }, expectKey: true });
+                base = join(base, chain);
+                chain = [];
+                break;
+            case '}':
+                if (current && current.type === 'hash') {
+                    scopes.pop();
+                    base = current.saved.base;
+                }
+                chain = null;
+                break;
+            case ':':
+                chain = [];
+                break;
+            case '(':
+                scopes.push({ type: 'group', saved: { base, chain } });
+                chain = [];
+                break;
+            case ')':
+                if (current && (current.type === 'call' || current.type === 'group')) {
+                    scopes.pop();
+                    base = current.saved.base;
+                }
+                chain = null;
+                break;
+            case ',':
+                if (current && current.type === 'call') {
+                    if (current.firstArg === undefined) {
+                        current.firstArg = join(base, chain);
+                    }
+                    base = current.base;
+                } else if (current && current.type === 'hash') {
+                    current.expectKey = true;
+                }
+                chain = [];
+                break;
+            case '&':
+                // An expression reference is evaluated against each item of the first argument
+                if (current && current.type === 'call' && current.firstArg !== undefined) {
+                    base = current.firstArg;
+                }
+                chain = [];
+                break;
+            case '|':
+                base = join(base, chain);
+                chain = [];
+                break;
+            default:
+                if (COMPARISON_OPERATORS.has(token.value)) {
+                    comparisons.push({ operator: token, left: tokens[i - 1], right: next });
+                }
+                // Operators and literals start a new operand
+                chain = token.type === 'punctuation' ? [] : null;
+        }
+    }
+
+    return { tokens, fields, functions, comparisons, state: { base, chain, afterDot, scope: scope() } };
+}
+
+/**
+ * Keys found directly under a path in the field list
+ * @param {Array<string>} fieldPaths - Dotted paths from collectFieldPaths
+ * @param {Array<string>} path - Path segments
+ * @returns {Array<string>}
+ */
+export function keysAt(fieldPaths, path) {
+    const prefix = path.length > 0 ? `${path.join('.')}.` : '';
+    const keys = new Set();
+    fieldPaths.forEach(fieldPath => {
+        if (fieldPath.startsWith(prefix)) {
+            const rest = fieldPath.slice(prefix.length);
+            if (rest && !rest.includes('.')) keys.add(rest);
+        }
+    });
+    return Array.from(keys);
+}
+
+/**
+ * Work out what can be typed at the cursor
+ * @param {string} text - Query text
+ * @param {number} cursor - Cursor offset
+ * @returns {Object} { mode: 'key'|'operand'|'operator'|null, prefix, start, path }
+ */
+export function getCompletionContext(text, cursor) {
+    const before = text.slice(0, cursor);
+    const partial = /[A-Za-z_][A-Za-z0-9_]*$/.exec(before);
+    const prefix = partial ? partial[0] : '';
+    const start = cursor - prefix.length;
+
+    // Nothing to complete inside an unterminated string or literal
+    const lastToken = tokenize(before).pop();
+    if (lastToken && ['quotedIdentifier', 'rawString', 'literal'].includes(lastToken.type) &&
+        (lastToken.length < 2 || before[lastToken.offset + lastToken.length - 1] !== before[lastToken.offset])) {
+        return { mode: null, prefix, start, path: null };
+    }
+
+    const { state, tokens } = analyzeQuery(text.slice(0, start));
+    const last = tokens[tokens.length - 1];
+
+    if (state.afterDot) {
+        return { mode: 'key', prefix, start, path: state.base && state.chain ? state.base.concat(state.chain) : null };
+    }
+
+    // After a complete operand and a space, offer operators
+    if (!prefix && last && /\s$/.test(before) &&
+        (last.type !== 'punctuation' || [']', ')', '}', '@', '*'].includes(last.value))) {
+        return { mode: 'operator', prefix, start, path: null };
+    }
+
+    if (last && last.type !== 'punctuation' && !prefix) {
+        return { mode: null, prefix, start, path: null };
+    }
+
+    return { mode: 'operand', prefix, start, path: state.base };
+}
+
+/**
+ * Edit distance, for "did you mean" hints
+ */
+function distance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+function closest(name, candidates) {
+    let best = null;
+    let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+    candidates.forEach(candidate => {
+        const d = distance(name.toLowerCase(), candidate.toLowerCase());
+        if (d < bestDistance) {
+            best = candidate;
+            bestDistance = d;
+        }
+    });
+    return best;
+}
+
+/**
+ * Find likely mistakes in a JMESPath query before it runs
+ * @param {string} text - Query text
+ * @param {Array<string>} fieldPaths - Dotted paths from collectFieldPaths
+ * @returns {Array<Object>} Warnings { message, offset, length, name }; name marks unknown field and function names
+ */
+export function lintQuery(text, fieldPaths) {
+    const { fields, functions, comparisons } = analyzeQuery(text);
+    const warnings = [];
+    const functionNames = QUERY_FUNCTIONS.map(f => f.name);
+    const fieldsByOffset = new Map(fields.map(field => [field.offset, field]));
+    const quotedStrings = new Set();
+
+    comparisons.forEach(({ operator, left, right }) => {
+        [left, right].forEach(operand => {
+            if (!operand) return;
+            const other = operand === left ? right : left;
+
+            if (operand.type === 'number') {
+                warnings.push({
+                    message: `Number literals need backticks: use \`${operand.value}\` instead of ${operand.value}`,
+                    offset: operand.offset,
+                    length: operand.length
+                });
+            } else if (operand.type === 'rawString' && operand.value.trim() !== '' && !isNaN(Number(operand.value)) &&
+                other && (other.type === 'identifier' || other.type === 'quotedIdentifier' || other.value === ']' || other.value === ')')) {
+                warnings.push({
+                    message: `'${operand.value}' is a string, so comparing it with a number never matches: use \`${operand.value}\``,
+                    offset: operand.offset,
+                    length: operand.length
+                });
+            } else if (operand.type === 'quotedIdentifier' && other && other.type !== 'quotedIdentifier') {
+                // "text" is a quoted field name, a common slip for the string 'text'
+                const field = fieldsByOffset.get(operand.offset);
+                const isField = field && field.path && keysAt(fieldPaths, field.path.slice(0, -1)).includes(operand.value);
+                quotedStrings.add(operand.offset);
+                if (!isField) {
+                    warnings.push({
+                        message: `"${operand.value}" is a field name in JMESPath; use '${operand.value}' for a string`,
+                        offset: operand.offset,
+                        length: operand.length
+                    });
+                }
+            }
+        });
+    });
+
+    functions.forEach(token => {
+        if (!functionNames.includes(token.value)) {
+            const suggestion = closest(token.value, functionNames);
+            warnings.push({
+                message: `Unknown function ${token.value}()${suggestion ? ` - did you mean ${suggestion}()?` : ''}`,
+                offset: token.offset,
+                length: token.length,
+                name: true
+            });
+        }
+    });
+
+    if (fieldPaths.length > 0) {
+        fields.forEach(field => {
+            if (!field.path || quotedStrings.has(field.offset)) return;
+
+            const parent = field.path.slice(0, -1);
+            if (parent.length >= FIELD_DEPTH) return;
+
+            const keys = keysAt(fieldPaths, parent);
+            if (keys.length === 0 || keys.includes(field.value)) return;
+
+            const suggestion = closest(field.value, keys);
+            warnings.push({
+                message: `Unknown field ${field.value}${parent.length ? ` in ${parent.join('.')}` : ''}${suggestion ? ` - did you mean ${suggestion}?` : ''}`,
+                offset: field.offset,
+                length: field.length,
+                name: true
+            });
+        });
+    }
+
+    return warnings.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Autocomplete dropdown and lint display for #queryInput
+ */
+export class QueryAssist {
+    constructor(queryEngine, queryBuilder) {
+        this.queryEngine = queryEngine;
+        this.queryBuilder = queryBuilder;
+        this.queryInput = document.getElementById('queryInput');
+        this.dropdown = document.getElementById('queryAutocomplete');
+        this.highlight = document.getElementById('queryHighlight');
+        this.lintList = document.getElementById('queryLint');
+        this.suggestions = [];
+        this.activeIndex = 0;
+        this.context = null;
+    }
+
+    /**
+     * Attach editor listeners
+     */
+    init() {
+        if (!this.queryInput) return;
+
+        this.queryInput.addEventListener('input', () => {
+            this.lint();
+            this.suggest(false);
+        });
+        this.queryInput.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.queryInput.addEventListener('blur', () => this.close());
+        this.queryInput.addEventListener('click', () => this.close());
+        this.queryInput.addEventListener('scroll', () => {
+            if (this.highlight) this.highlight.scrollTop = this.queryInput.scrollTop;
+            this.close();
+        });
+
+        // Keep focus in the editor while picking a suggestion
+        this.dropdown?.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const item = e.target.closest('[data-index]');
+            if (item) this.accept(parseInt(item.dataset.index, 10));
+        });
+    }
+
+    /**
+     * Field paths of the current document
+     * @returns {Array<string>}
+     */
+    getFieldPaths() {
+        return this.queryBuilder ? this.queryBuilder.getAvailableFields() : [];
+    }
+
+    /**
+     * Handle navigation keys while the dropdown is open
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeydown(event) {
+        // Ctrl + Space: show suggestions on demand
+        if (event.ctrlKey && event.key === ' ') {
+            event.preventDefault();
+            this.suggest(true);
+            return;
+        }
+
+        if (!this.isOpen()) return;
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                this.activeIndex = (this.activeIndex + step + this.suggestions.length) % this.suggestions.length;
+                this.renderDropdown();
+                break;
+            }
+            case 'Enter':
+            case 'Tab':
+                if (event.shiftKey) {
+                    this.close();
+                    return;
+                }
+                event.preventDefault();
+                this.accept(this.activeIndex);
+                break;
+            case 'Escape':
+                // Close the dropdown without also cancelling a running query
+                event.preventDefault();
+                event.stopPropagation();
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Show suggestions for the cursor position
+     * @param {boolean} explicit - Requested with Ctrl+Space (show even with nothing typed)
+     */
+    suggest(explicit) {
+        const text = this.queryInput.value;
+        const cursor = this.queryInput.selectionStart;
+        if (this.queryInput.selectionEnd !== cursor) {
+            this.close();
+            return;
+        }
+
+        const language = this.queryEngine.getLanguage();
+        const context = getCompletionContext(text, cursor);
+
+        // JSONPath and jq get field completion after '.'; functions and operators are JMESPath
+        if (!context.mode || (language !== 'jmespath' && context.mode !== 'key')) {
+            this.close();
+            return;
+        }
+        if (!explicit && !context.prefix && context.mode !== 'key') {
+            this.close();
+            return;
+        }
+
+        this.context = context;
+        this.suggestions = this.buildSuggestions(context);
+        this.activeIndex = 0;
+
+        if (this.suggestions.length === 0 ||
+            (this.suggestions.length === 1 && this.suggestions[0].label === context.prefix)) {
+            this.close();
+            return;
+        }
+        this.renderDropdown();
+    }
+
+    /**
+     * Build the suggestion list for a completion context
+     * @param {Object} context - From getCompletionContext
+     * @returns {Array<Object>} { label, insert, kind, detail }
+     */
+    buildSuggestions(context) {
+        const items = [];
+        const fieldPaths = this.getFieldPaths();
+
+        if (context.mode === 'operator') {
+            OPERATORS.forEach(op => items.push({ label: op.name, insert: `${op.name} `, kind: 'operator', detail: op.description }));
+            return items;
+        }
+
+        if (context.path) {
+            keysAt(fieldPaths, context.path).sort().forEach(key => {
+                const insert = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : JSON.stringify(key);
+                items.push({ label: key, insert, kind: 'field', detail: [...context.path, key].join('.') });
+            });
+        }
+
+        if (context.mode === 'operand') {
+            QUERY_FUNCTIONS.forEach(f => items.push({ label: f.name, insert: `${f.name}(`, kind: 'function', detail: f.usage }));
+        }
+
+        const prefix = context.prefix.toLowerCase();
+        if (!prefix) return items.slice(0, MAX_SUGGESTIONS);
+
+        // Prefix matches first, then matches anywhere in the name
+        const starts = items.filter(item => item.label.toLowerCase().startsWith(prefix));
+        const contains = items.filter(item => !item.label.toLowerCase().startsWith(prefix) && item.label.toLowerCase().includes(prefix));
+        return starts.concat(contains).slice(0, MAX_SUGGESTIONS);
+    }
+
+    /**
+     * Insert a suggestion at the cursor
+     * @param {number} index - Suggestion index
+     */
+    accept(index) {
+        const item = this.suggestions[index];
+        if (!item || !this.context) return;
+
+        const end = this.queryInput.selectionStart;
+        this.queryInput.setRangeText(item.insert, this.context.start, end, 'end');
+        this.close();
+
+        // Let the app re-run the query as if it was typed
+        this.queryInput.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    isOpen() {
+        return Boolean(this.dropdown) && !this.dropdown.classList.contains('hidden');
+    }
+
+    close() {
+        if (!this.dropdown) return;
+        this.dropdown.classList.add('hidden');
+        this.suggestions = [];
+        this.context = null;
+    }
+
+    /**
+     * Render the dropdown under the cursor
+     */
+    renderDropdown() {
+        if (!this.dropdown) return;
+
+        this.dropdown.innerHTML = '';
+        this.suggestions.forEach((item, index) => {
+            const li = document.createElement('li');
+            li.className = `autocomplete-item${index === this.activeIndex ? ' active' : ''}`;
+            li.dataset.index = index;
+            li.setAttribute('role', 'option');
+
+            const label = document.createElement('span');
+            label.className = 'autocomplete-label';
+            label.textContent = item.label;
+
+            const kind = document.createElement('span');
+            kind.className = `autocomplete-kind autocomplete-${item.kind}`;
+            kind.textContent = item.kind;
+
+            li.append(label, kind);
+            if (item.detail) li.title = item.detail;
+            this.dropdown.appendChild(li);
+        });
+
+        const position = this.getCaretPosition(this.context.start);
+        this.dropdown.style.top = `${position.top}px`;
+        this.dropdown.style.left = `${position.left}px`;
+        this.dropdown.classList.remove('hidden');
+
+        this.dropdown.children[this.activeIndex]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Position of a text offset inside the editor, measured on the highlight overlay
+     * @param {number} offset - Text offset
+     * @returns {Object} { top, left } relative to the editor container
+     */
+    getCaretPosition(offset) {
+        const overlay = this.highlight;
+        if (!overlay) return { top: 0, left: 0 };
+
+        const marker = document.createElement('span');
+        marker.textContent = '\u200B';
+        const saved = Array.from(overlay.childNodes);
+
+        overlay.textContent = '';
+        overlay.append(this.queryInput.value.slice(0, offset), marker);
+        overlay.style.width = `${this.queryInput.clientWidth + 4}px`;
+
+        const wasHidden = overlay.classList.contains('hidden');
+        overlay.classList.remove('hidden');
+        const top = marker.offsetTop + marker.offsetHeight - this.queryInput.scrollTop + 4;
+        const left = Math.min(marker.offsetLeft, this.queryInput.clientWidth - 200);
+
+        overlay.textContent = '';
+        overlay.append(...saved);
+        overlay.classList.toggle('hidden', wasHidden);
+
+        return { top, left: Math.max(0, left) };
+    }
+
+    /**
+     * Lint the query and show the warnings
+     */
+    lint() {
+        const text = this.queryInput.value;
+        const cursor = document.activeElement === this.queryInput ? this.queryInput.selectionStart : -1;
+
+        // A name still being typed is not reported as unknown yet
+        const warnings = this.queryEngine.getLanguage() === 'jmespath' && text.trim()
+            ? lintQuery(text, this.getFieldPaths()).filter(w => !(w.name && w.offset + w.length === cursor))
+            : [];
+
+        this.renderHighlight(text, warnings);
+
+        if (!this.lintList) return;
+        this.lintList.innerHTML = '';
+        this.lintList.classList.toggle('hidden', warnings.length === 0);
+        warnings.forEach(warning => {
+            const li = document.createElement('li');
+            li.textContent = `⚠️ ${warning.message}`;
+            li.title = `Position ${warning.offset + 1}`;
+            this.lintList.appendChild(li);
+        });
+    }
+
+    /**
+     * Underline warnings in the overlay behind the editor
+     * @param {string} text - Query text
+     * @param {Array<Object>} warnings - Lint warnings
+     */
+    renderHighlight(text, warnings) {
+        const overlay = this.highlight;
+        if (!overlay) return;
+
+        overlay.textContent = '';
+        if (warnings.length === 0) {
+            overlay.classList.add('hidden');
+            return;
+        }
+
+        let pos = 0;
+        warnings.forEach(warning => {
+            if (warning.offset < pos) return;
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(warning.offset, warning.offset + warning.length);
+            mark.title = warning.message;
+            overlay.append(text.slice(pos, warning.offset), mark);
+            pos = warning.offset + warning.length;
+        });
+        overlay.append(text.slice(pos));
+
+        overlay.style.width = `${this.queryInput.clientWidth + 4}px`;
+        overlay.classList.remove('hidden');
+        overlay.scrollTop = this.queryInput.scrollTop;
+    }
+
+    /**
+     * Re-lint after the document or query language changes
+     */
+    refresh() {
+        this.close();
+        this.lint();
+    }
+}
@@ -3,7 +3,7 @@
  * Visual interface for building JMESPath queries without writing code
  */
 
-import { showNotification } from './utils.js';
+import { showNotification, collectFieldPaths } from './utils.js';
 
 export class QueryBuilder {
     constructor(queryEngine, jsonParser) {
@@ -12,11 +12,13 @@ export class QueryBuilder {
 
         // Query configuration
         this.config = {
-            operation: 'select', // select, filter, count, sort
+            operation: 'select', // select, filter, count, sort, aggregate
             selectedFields: [],
             filters: [],
             sortField: '',
-            sortDirection: 'asc'
+            sortDirection: 'asc',
+            aggregateFunction: 'count_by',
+            aggregateField: ''
         };
 
         // Available operators for filters
@@ -29,8 +31,12 @@ export class QueryBuilder {
             { value: '<=', label: 'less or equal', type: 'number' },
             { value: 'contains', label: 'contains', type: 'string' },
             { value: 'starts_with', label: 'starts with', type: 'string' },
-            { value: 'ends_with', label: 'ends with', type: 'string' }
+            { value: 'ends_with', label: 'ends with', type: 'string' },
+            { value: 'regex_match', label: 'matches regex', type: 'string' }
         ];
+
+        // Aggregations offered by the builder (custom functions taking an &field)
+        this.aggregations = this.queryEngine.getCustomFunctions().filter(f => f.builderLabel);
     }
 
     /**
@@ -41,6 +47,7 @@ export class QueryBuilder {
         this.setupFieldSelector();
         this.setupFilterBuilder();
         this.setupSortControls();
+        this.setupAggregateControls();
         this.setupBuildButton();
     }
 
@@ -221,6 +228,33 @@ export class QueryBuilder {
         }
     }
 
+    /**
+     * Setup aggregate controls
+     */
+    setupAggregateControls() {
+        const aggregateFunction = document.getElementById('aggregateFunction');
+        const aggregateField = document.getElementById('aggregateField');
+
+        if (aggregateFunction) {
+            aggregateFunction.innerHTML = this.aggregations.map(f =>
+                `<option value="${f.name}">${f.builderLabel}</option>`
+            ).join('');
+            aggregateFunction.value = this.config.aggregateFunction;
+
+            aggregateFunction.addEventListener('change', (e) => {
+                this.config.aggregateFunction = e.target.value;
+                this.generateQuery();
+            });
+        }
+
+        if (aggregateField) {
+            aggregateField.addEventListener('change', (e) => {
+                this.config.aggregateField = e.target.value;
+                this.generateQuery();
+            });
+        }
+    }
+
     /**
      * Setup build query button
      */
@@ -242,29 +276,16 @@ export class QueryBuilder {
      * @returns {Array} Available field names
      */
     getAvailableFields() {
-        const jsonData = this.jsonParser.getCurrentJSON();
-        if (!jsonData) return [];
-
-        const fields = new Set();
-
-        function extractFields(obj, prefix = '') {
-            if (Array.isArray(obj) && obj.length > 0) {
-                extractFields(obj[0], prefix);
-            } else if (obj && typeof obj === 'object') {
-                Object.keys(obj).forEach(key => {
-                    const fieldPath = prefix ? `${prefix}.${key}` : key;
-                    fields.add(fieldPath);
-
-                    // Don't go too deep, limit to 2 levels
-                    if (!prefix.includes('.')) {
-                        extractFields(obj[key], fieldPath);
-                    }
-                });
-            }
+        // Streamed documents live in a worker; use the field list it indexed
+        if (this.jsonParser.isStreamed()) {
+            return this.jsonParser.getStreamedSummary().fields;
         }
 
-        extractFields(jsonData);
-        return Array.from(fields).sort();
+        // Workspace queries see every document under its name
+        const jsonData = this.jsonParser.getQueryData();
+        if (!jsonData) return [];
+
+        return collectFieldPaths(jsonData);
     }
 
     /**
@@ -274,13 +295,15 @@ export class QueryBuilder {
         const fieldsSection = document.getElementById('fieldsSection');
         const filtersSection = document.getElementById('filtersSection');
         const sortSection = document.getElementById('sortSection');
+        const aggregateSection = document.getElementById('aggregateSection');
 
-        if (!fieldsSection || !filtersSection || !sortSection) return;
+        if (!fieldsSection || !filtersSection || !sortSection || !aggregateSection) return;
 
         // Hide all sections first
         fieldsSection.classList.add('hidden');
         filtersSection.classList.add('hidden');
         sortSection.classList.add('hidden');
+        aggregateSection.classList.add('hidden');
 
         // Show relevant sections based on operation
         switch (this.config.operation) {
@@ -296,6 +319,10 @@ export class QueryBuilder {
             case 'sort':
                 sortSection.classList.remove('hidden');
                 break;
+            case 'aggregate':
+                filtersSection.classList.remove('hidden');
+                aggregateSection.classList.remove('hidden');
+                break;
             case 'complex':
                 fieldsSection.classList.remove('hidden');
                 filtersSection.classList.remove('hidden');
@@ -324,6 +351,9 @@ export class QueryBuilder {
             case 'sort':
                 query = this.generateSortQuery();
                 break;
+            case 'aggregate':
+                query = this.generateAggregateQuery();
+                break;
             case 'complex':
                 query = this.generateComplexQuery();
                 break;
@@ -388,6 +418,19 @@ export class QueryBuilder {
         return this.config.sortDirection === 'desc' ? `reverse(${sortQuery})` : sortQuery;
     }
 
+    /**
+     * Generate AGGREGATE query (group, count, sum, average or distinct by field)
+     */
+    generateAggregateQuery() {
+        const source = this.config.filters.length > 0 ? this.generateFilterQuery() : '@';
+
+        if (!this.config.aggregateField) {
+            return source;
+        }
+
+        return `${this.config.aggregateFunction}(${source}, &${this.config.aggregateField})`;
+    }
+
     /**
      * Generate COMPLEX query (combination)
      */
@@ -434,7 +477,10 @@ export class QueryBuilder {
         let formattedValue = isNumber ? `\`${value}\`` : `'${value}'`;
 
         // Special operators
-        if (operator === 'contains') {
+        if (operator === 'regex_match') {
+            // Patterns are always strings, even when they look like numbers
+            return `regex_match(${field}, '${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}')`;
+        } else if (operator === 'contains') {
             return `contains(${field}, ${formattedValue})`;
         } else if (operator === 'starts_with') {
             return `starts_with(${field}, ${formattedValue})`;
@@ -466,6 +512,8 @@ export class QueryBuilder {
         }
 
         if (this.queryEngine) {
+            // The builder generates JMESPath
+            this.queryEngine.setLanguage('jmespath');
             this.queryEngine.executeQuery(query);
         }
     }
@@ -479,7 +527,9 @@ export class QueryBuilder {
             selectedFields: [],
             filters: [],
             sortField: '',
-            sortDirection: 'asc'
+            sortDirection: 'asc',
+            aggregateFunction: 'count_by',
+            aggregateField: ''
         };
 
         // Clear containers
@@ -498,6 +548,11 @@ export class QueryBuilder {
         if (sortField) sortField.value = '';
         if (sortDirection) sortDirection.value = 'asc';
 
+        const aggregateFunction = document.getElementById('aggregateFunction');
+        const aggregateField = document.getElementById('aggregateField');
+        if (aggregateFunction) aggregateFunction.value = 'count_by';
+        if (aggregateField) aggregateField.value = '';
+
         this.updateBuilderUI();
         this.updateQueryPreview('@');
     }
@@ -515,11 +570,25 @@ export class QueryBuilder {
             fields.map(f => `<option value="${f}">${f}</option>`).join('');
     }
 
+    /**
+     * Populate aggregate field options
+     */
+    populateAggregateFields() {
+        const aggregateField = document.getElementById('aggregateField');
+        if (!aggregateField) return;
+
+        const fields = this.getAvailableFields();
+
+        aggregateField.innerHTML = '<option value="">Select field...</option>' +
+            fields.map(f => `<option value="${f}">${f}</option>`).join('');
+    }
+
     /**
      * Refresh builder (called when JSON data changes)
      */
     refresh() {
         this.populateSortFields();
+        this.populateAggregateFields();
         this.generateQuery();
     }
 }
@@ -1,9 +1,57 @@
 /**
  * Query Engine Module
- * Handles JMESPath query execution and result management
+ * Handles JMESPath, JSONPath and jq query execution and result management
  */
 
-import { formatJSON, syntaxHighlight, showNotification } from './utils.js';
+import { formatJSON, syntaxHighlight, showNotification, escapeHtml, copyToClipboard, debounce } from './utils.js';
+import { CUSTOM_FUNCTIONS, registerCustomFunctions } from './queryFunctions.js';
+import { compileJSONPath } from './jsonPath.js';
+import { compileJq } from './jq.js';
+import { TreeView, buildDrillDownQuery, toJMESPath } from './treeView.js';
+import { VirtualList } from './virtualList.js';
+import { DocumentClient } from './documentClient.js';
+import { ResultsTable } from './resultsTable.js';
+import { QUERY_LANGUAGES } from './queryLanguages.js';
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Write a value as a JMESPath literal
+ * Strings use raw string literals ('...') unless a backslash would be ambiguous.
+ * @param {*} value - Primitive value
+ * @returns {string}
+ */
+function toJMESPathLiteral(value) {
+    if (typeof value === 'string' && !value.includes('\\')) {
+        return `'${value.replace(/'/g, "\\'")}'`;
+    }
+    return `\`${JSON.stringify(value).replace(/`/g, '\\`')}\``;
+}
+
+/**
+ * Build a query selecting the records whose field equals a value
+ * @param {string} language - 'jmespath', 'jsonpath' or 'jq'
+ * @param {string} recordsPath - '' for a root array, or the root key holding the records
+ * @param {string[]} segments - Field path inside a record; empty for the record itself
+ * @param {*} value - Primitive value to match
+ * @returns {string} Query such as `[?status == 'active']`
+ */
+export function buildValueFilterQuery(language, recordsPath, segments, value) {
+    if (language === 'jsonpath') {
+        const path = keys => keys.map(key => (IDENTIFIER.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`)).join('');
+        const records = recordsPath ? path([recordsPath]) : '';
+        return `$${records}[?(@${path(segments)} == ${JSON.stringify(value)})]`;
+    }
+
+    if (language === 'jq') {
+        const path = keys => keys.map(key => (IDENTIFIER.test(key) ? `.${key}` : `.[${JSON.stringify(key)}]`)).join('');
+        const records = recordsPath ? `${path([recordsPath])} | ` : '';
+        return `${records}map(select(${path(segments) || '.'} == ${JSON.stringify(value)}))`;
+    }
+
+    const field = segments.length > 0 ? toJMESPath(segments) : '@';
+    return `${recordsPath ? toJMESPath([recordsPath]) : ''}[?${field} == ${toJMESPathLiteral(value)}]`;
+}
 
 export class QueryEngine {
     constructor(jsonParser) {
@@ -12,86 +60,250 @@ export class QueryEngine {
         this.queryError = document.getElementById('queryError');
         this.resultsContainer = document.getElementById('resultsContainer');
         this.queryResults = null;
+        this.queryDuration = null; // Milliseconds the last successful query took
         this.currentQuery = '';
+        this.resultView = 'json'; // Result tab last picked: json, table or tree
+        this.treeView = null;
+        this.treeRendered = false;
+        this.runCounter = 0; // Used to drop results of superseded async runs
 
-        // Example queries library
-        this.exampleQueries = [
-            {
-                name: "Get all items",
-                query: "@",
-                description: "Returns the entire JSON data"
-            },
-            {
-                name: "Select specific fields",
-                query: "[*].{name: name, email: email}",
-                description: "Get only name and email from array items"
-            },
-            {
-                name: "Filter by condition",
-                query: "[?age > `25`]",
-                description: "Get items where age is greater than 25"
-            },
-            {
-                name: "Filter by status",
-                query: "[?status == 'active']",
-                description: "Get only active items"
-            },
-            {
-                name: "Count all items",
-                query: "length(@)",
-                description: "Count total number of items"
-            },
-            {
-                name: "Count filtered items",
-                query: "length([?status == 'active'])",
-                description: "Count items matching a condition"
-            },
-            {
-                name: "Sort by field",
-                query: "sort_by(@, &age)",
-                description: "Sort items by age (ascending)"
-            },
-            {
-                name: "Sort descending",
-                query: "reverse(sort_by(@, &age))",
-                description: "Sort items by age (descending)"
-            },
-            {
-                name: "Get first item",
-                query: "[0]",
-                description: "Get the first item from array"
-            },
-            {
-                name: "Get last item",
-                query: "[-1]",
-                description: "Get the last item from array"
-            },
-            {
-                name: "Nested field access",
-                query: "[*].address.city",
-                description: "Get nested field from all items"
-            },
-            {
-                name: "Complex filter and select",
-                query: "[?age > `25` && status == 'active'].{name: name, age: age}",
-                description: "Combine filter and field selection"
-            },
-            {
-                name: "Get unique values",
-                query: "[*].role | sort(@) | unique(@)",
-                description: "Get unique values from a field"
-            },
-            {
-                name: "Array contains",
-                query: "[?contains(skills, 'JavaScript')]",
-                description: "Filter items where array contains value"
-            },
-            {
-                name: "Max/Min value",
-                query: "max_by(@, &age).age",
-                description: "Get maximum age value"
-            }
-        ];
+        // Virtual lists of the JSON and Table views, and the find bar state
+        this.resultLists = {};
+        this.jsonLines = [];
+        this.resultsTable = null;
+
+        // Table column layout; kept while the same query is re-run and restored for saved queries
+        this.tableLayout = null;
+        this.tableLayoutQuery = null;
+        this.onTableLayoutChange = null; // Set by the app to persist layouts of saved queries
+        this.search = { term: '', matches: [], matchSet: new Set(), current: -1 };
+
+        // Queries run in the document worker; activeRun tracks the one in flight
+        this.queryStatus = document.getElementById('queryStatus');
+        this.activeRun = null;
+        this.timeoutMs = 10000; // 0 disables the timeout
+        this.evaluationClient = new DocumentClient(); // Worker of its own for queries on given data
+        this.statusDelayMs = 200; // Fast queries never flash the running state
+
+        // Language of the query input; each has its own evaluator and examples
+        this.language = 'jmespath';
+
+        // Example queries library, per language
+        this.exampleQueries = {
+            jmespath: [
+                {
+                    name: "Get all items",
+                    query: "@",
+                    description: "Returns the entire JSON data"
+                },
+                {
+                    name: "Select specific fields",
+                    query: "[*].{name: name, email: email}",
+                    description: "Get only name and email from array items"
+                },
+                {
+                    name: "Filter by condition",
+                    query: "[?age > `25`]",
+                    description: "Get items where age is greater than 25"
+                },
+                {
+                    name: "Filter by status",
+                    query: "[?status == 'active']",
+                    description: "Get only active items"
+                },
+                {
+                    name: "Count all items",
+                    query: "length(@)",
+                    description: "Count total number of items"
+                },
+                {
+                    name: "Count filtered items",
+                    query: "length([?status == 'active'])",
+                    description: "Count items matching a condition"
+                },
+                {
+                    name: "Sort by field",
+                    query: "sort_by(@, &age)",
+                    description: "Sort items by age (ascending)"
+                },
+                {
+                    name: "Sort descending",
+                    query: "reverse(sort_by(@, &age))",
+                    description: "Sort items by age (descending)"
+                },
+                {
+                    name: "Get first item",
+                    query: "[0]",
+                    description: "Get the first item from array"
+                },
+                {
+                    name: "Get last item",
+                    query: "[-1]",
+                    description: "Get the last item from array"
+                },
+                {
+                    name: "Nested field access",
+                    query: "[*].address.city",
+                    description: "Get nested field from all items"
+                },
+                {
+                    name: "Complex filter and select",
+                    query: "[?age > `25` && status == 'active'].{name: name, age: age}",
+                    description: "Combine filter and field selection"
+                },
+                {
+                    name: "Get unique values",
+                    query: "[*].role | sort(@) | unique(@)",
+                    description: "Get unique values from a field"
+                },
+                {
+                    name: "Array contains",
+                    query: "[?contains(skills, 'JavaScript')]",
+                    description: "Filter items where array contains value"
+                },
+                {
+                    name: "Max/Min value",
+                    query: "max_by(@, &age).age",
+                    description: "Get maximum age value"
+                },
+                {
+                    name: "Count by field",
+                    query: "count_by(@, &role)",
+                    description: "Count items for each value of a field"
+                },
+                {
+                    name: "Average value",
+                    query: "round(avg_by(@, &age), `1`)",
+                    description: "Average of a numeric field, rounded"
+                },
+                {
+                    name: "Group by field",
+                    query: "group_by(@, &role)",
+                    description: "Group items by the value of a field"
+                }
+            ],
+            jsonpath: [
+                {
+                    name: "Get all items",
+                    query: "$",
+                    description: "Returns the entire JSON data"
+                },
+                {
+                    name: "Get a field from every item",
+                    query: "$[*].name",
+                    description: "Get the name of each array item"
+                },
+                {
+                    name: "Filter by condition",
+                    query: "$[?(@.age > 25)]",
+                    description: "Get items where age is greater than 25"
+                },
+                {
+                    name: "Filter by status",
+                    query: "$[?(@.status == 'active')].name",
+                    description: "Get the names of active items"
+                },
+                {
+                    name: "Combine conditions",
+                    query: "$[?(@.age > 25 && @.status == 'active')]",
+                    description: "Items matching both conditions"
+                },
+                {
+                    name: "Filter by pattern",
+                    query: "$[?(@.email =~ /@example\\.com$/i)].email",
+                    description: "Items whose email matches a regular expression"
+                },
+                {
+                    name: "Items with a field",
+                    query: "$[?(@.address)]",
+                    description: "Items that have an address"
+                },
+                {
+                    name: "Find a field anywhere",
+                    query: "$..email",
+                    description: "Every email, at any depth"
+                },
+                {
+                    name: "First two items",
+                    query: "$[0:2]",
+                    description: "Slice the first two items"
+                },
+                {
+                    name: "Get last item",
+                    query: "$[-1]",
+                    description: "Get the last item from array"
+                },
+                {
+                    name: "Several fields",
+                    query: "$[*]['name','email']",
+                    description: "Get name and email of each item, as one list"
+                }
+            ],
+            jq: [
+                {
+                    name: "Get all items",
+                    query: ".",
+                    description: "Returns the entire JSON data"
+                },
+                {
+                    name: "Select specific fields",
+                    query: "map({name, email})",
+                    description: "Get only name and email from array items"
+                },
+                {
+                    name: "Filter by condition",
+                    query: "map(select(.age > 25))",
+                    description: "Get items where age is greater than 25"
+                },
+                {
+                    name: "Count filtered items",
+                    query: "map(select(.status == \"active\")) | length",
+                    description: "Count items matching a condition"
+                },
+                {
+                    name: "Sort descending",
+                    query: "sort_by(.age) | reverse",
+                    description: "Sort items by age (descending)"
+                },
+                {
+                    name: "Count by field",
+                    query: "group_by(.role) | map({role: .[0].role, count: length})",
+                    description: "Count items for each value of a field"
+                },
+                {
+                    name: "Average value",
+                    query: "map(.age) | add / length",
+                    description: "Average of a numeric field"
+                },
+                {
+                    name: "Get unique values",
+                    query: "map(.role) | unique",
+                    description: "Get unique values from a field"
+                },
+                {
+                    name: "Build strings",
+                    query: ".[] | \"\\(.name) <\\(.email)>\"",
+                    description: "Format each item as text"
+                },
+                {
+                    name: "Rename fields",
+                    query: "map({fullName: .name, contact: .email})",
+                    description: "Reshape items with new field names"
+                },
+                {
+                    name: "Default values",
+                    query: "map(.address.city // \"unknown\")",
+                    description: "Use a fallback when a field is missing"
+                }
+            ]
+        };
+
+        // Custom functions (group_by, count_by, to_date, ...) used by the worker
+        // are registered here too so both runtimes understand the same queries
+        this.customFunctions = CUSTOM_FUNCTIONS;
+        if (this.isJMESPathLoaded()) {
+            registerCustomFunctions(window.jmespath);
+        }
     }
 
     /**
@@ -103,14 +315,155 @@ export class QueryEngine {
     }
 
     /**
-     * Execute JMESPath query
-     * @param {string} query - JMESPath query string
-     * @returns {boolean} Success status
+     * Get the current query language
+     * @returns {string} 'jmespath', 'jsonpath' or 'jq'
+     */
+    getLanguage() {
+        return this.language;
+    }
+
+    /**
+     * Get the display name of a query language
+     * @param {string} language - Language id
+     * @returns {string}
+     */
+    getLanguageLabel(language = this.language) {
+        return (QUERY_LANGUAGES[language] || QUERY_LANGUAGES.jmespath).label;
+    }
+
+    /**
+     * Switch the query language
+     * Updates the selector, placeholder, tutorial link and example list.
+     * @param {string} language - 'jmespath', 'jsonpath' or 'jq'
+     * @returns {boolean} Whether the language changed
+     */
+    setLanguage(language) {
+        if (!QUERY_LANGUAGES[language]) {
+            language = 'jmespath';
+        }
+        const changed = language !== this.language;
+        this.language = language;
+
+        const meta = QUERY_LANGUAGES[language];
+
+        const languageSelect = document.getElementById('queryLanguageSelect');
+        if (languageSelect) {
+            languageSelect.value = language;
+        }
+
+        if (this.queryInput) {
+            this.queryInput.placeholder = meta.placeholder;
+        }
+
+        const tutorialLink = document.getElementById('queryTutorialLink');
+        if (tutorialLink) {
+            tutorialLink.href = meta.tutorialUrl;
+            tutorialLink.textContent = `${meta.label} ${language === 'jq' ? 'Manual' : 'Tutorial'}`;
+        }
+
+        this.renderExampleOptions();
+
+        if (changed && !this.currentQuery) {
+            this.displayResults(null);
+        }
+        return changed;
+    }
+
+    /**
+     * Fill the example dropdown with the current language's examples
+     */
+    renderExampleOptions() {
+        const exampleQuerySelect = document.getElementById('exampleQuerySelect');
+        if (!exampleQuerySelect) return;
+
+        // Keep the "Load Example..." prompt
+        while (exampleQuerySelect.options.length > 1) {
+            exampleQuerySelect.remove(1);
+        }
+
+        this.getExampleQueries().forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.name;
+            option.title = example.description;
+            exampleQuerySelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Check query syntax without running it
+     * Throws the language's syntax error so it is reported right away instead
+     * of after a worker round trip.
+     * @param {string} query - Query text
+     * @param {string} language - Language id
+     */
+    checkSyntax(query, language) {
+        if (language === 'jsonpath') {
+            compileJSONPath(query);
+        } else if (language === 'jq') {
+            compileJq(query);
+        } else if (this.isJMESPathLoaded()) {
+            window.jmespath.compile(query);
+        }
+    }
+
+    /**
+     * Prefix JSONPath and jq errors with the language name
+     * JMESPath messages keep their original wording.
+     * @param {string} message - Error message
+     * @param {string} language - Language id
+     * @returns {string}
+     */
+    formatQueryError(message, language) {
+        if (language === 'jmespath') {
+            return message;
+        }
+        return `${this.getLanguageLabel(language)}: ${message}`;
+    }
+
+    /**
+     * Get the custom function reference
+     * @returns {Array} Function definitions
+     */
+    getCustomFunctions() {
+        return this.customFunctions;
+    }
+
+    /**
+     * Render the custom function reference into the help modal
      */
-    executeQuery(query) {
+    renderFunctionReference() {
+        const container = document.getElementById('functionReference');
+        if (!container) return;
+
+        const categories = [...new Set(this.customFunctions.map(f => f.category))];
+
+        container.innerHTML = categories.map(category => `
+            <h5>${category}</h5>
+            <ul>
+                ${this.customFunctions.filter(f => f.category === category).map(f => `
+                    <li>
+                        <code>${escapeHtml(f.usage)}</code> - ${escapeHtml(f.description)}
+                        <br><span class="function-example">e.g. <code>${escapeHtml(f.example)}</code></span>
+                    </li>
+                `).join('')}
+            </ul>
+        `).join('');
+    }
+
+    /**
+     * Execute a query in the current language
+     * @param {string} query - Query string
+     * @returns {Promise<boolean>} Success status
+     */
+    async executeQuery(query) {
+        const runId = ++this.runCounter;
+        const language = this.language;
+        this.abandonActiveRun();
+
         // Check if we have JSON data
-        const jsonData = this.jsonParser.getCurrentJSON();
-        if (!jsonData) {
+        const jsonData = this.jsonParser.getQueryData();
+        if (!jsonData && !this.jsonParser.isStreamed()) {
             this.showQueryError('No JSON data loaded. Please enter JSON first.');
             this.displayResults(null);
             return false;
@@ -124,17 +477,27 @@ export class QueryEngine {
             return false;
         }
 
-        // Check if JMESPath is loaded
-        if (!this.isJMESPathLoaded()) {
-            this.showQueryError('JMESPath library not loaded. Please refresh the page.');
-            return false;
-        }
-
         try {
-            // Execute the query
             this.currentQuery = query;
-            const result = window.jmespath.search(jsonData, query);
+
+            this.checkSyntax(query, language);
+
+            this.startRun(runId);
+            const startedAt = performance.now();
+            let result = await this.jsonParser.queryDocument(query, language);
+            const duration = performance.now() - startedAt;
+
+            // A jq filter yields a stream of outputs; show a single one as is
+            if (language === 'jq' && result.length === 1) {
+                result = result[0];
+            }
+
+            // A newer query started, or this one was cancelled, while it was running
+            if (runId !== this.runCounter) return false;
+            this.finishRun();
+
             this.queryResults = result;
+            this.queryDuration = duration;
             this.showQueryError('');
             this.displayResults(result);
 
@@ -146,17 +509,184 @@ export class QueryEngine {
 
             return true;
         } catch (error) {
-            this.showQueryError(error.message);
-            this.displayResults(null);
-            this.queryResults = null;
+            if (runId !== this.runCounter) return false;
+            this.finishRun();
+            this.showFailure(this.formatQueryError(error.message, language));
+            return false;
+        }
+    }
 
-            // Disable copy button
-            const copyBtn = document.getElementById('copyResultsBtn');
-            if (copyBtn) {
-                copyBtn.disabled = true;
-            }
+    /**
+     * Run a query without showing its results, e.g. for each side of a comparison
+     * The loaded document is queried in its worker; other data is sent to a
+     * worker of its own, stopped when the query runs past the timeout.
+     * @param {string} query - Query text
+     * @param {string} language - 'jmespath', 'jsonpath' or 'jq'
+     * @param {*} data - Data to query; the loaded document when undefined
+     * @returns {Promise<*>} Query result
+     */
+    async evaluateQuery(query, language = this.language, data = undefined) {
+        try {
+            this.checkSyntax(query, language);
 
-            return false;
+            const result = data === undefined
+                ? await this.jsonParser.queryDocument(query, language)
+                : await this.evaluateData(data, query, language);
+
+            // Same as executeQuery: a single jq output is shown as is
+            return language === 'jq' && result.length === 1 ? result[0] : result;
+        } catch (error) {
+            throw new Error(this.formatQueryError(error.message, language));
+        }
+    }
+
+    /**
+     * Query given data in the evaluation worker
+     * Stopping that worker on a timeout leaves the loaded document's worker alone.
+     * @param {*} data - Data to query
+     * @param {string} query - Query text
+     * @param {string} language - 'jmespath', 'jsonpath' or 'jq'
+     * @returns {Promise<*>} Query result
+     */
+    async evaluateData(data, query, language) {
+        let timer = null;
+        if (this.timeoutMs > 0) {
+            timer = setTimeout(() => {
+                const seconds = Math.round(this.timeoutMs / 1000);
+                this.evaluationClient.terminate(new Error(`Query timed out after ${seconds}s and was stopped. Try a narrower query or raise the timeout.`));
+            }, this.timeoutMs);
+        }
+
+        try {
+            return await this.evaluationClient.evaluate(data, query, language);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Show a failed or stopped query and clear its results
+     * @param {string} message - Error message
+     */
+    showFailure(message) {
+        this.showQueryError(message);
+        this.displayResults(null);
+        this.queryResults = null;
+
+        // Disable copy button
+        const copyBtn = document.getElementById('copyResultsBtn');
+        if (copyBtn) {
+            copyBtn.disabled = true;
+        }
+    }
+
+    /**
+     * Track a query sent to the worker: show the running state and arm the timeout
+     * @param {number} runId - Run being started
+     */
+    startRun(runId) {
+        const run = {
+            runId,
+            startedAt: Date.now(),
+            statusTimer: null,
+            tickTimer: null,
+            timeoutTimer: null
+        };
+
+        run.statusTimer = setTimeout(() => {
+            this.showRunningState(true);
+            this.updateRunningState();
+            run.tickTimer = setInterval(() => this.updateRunningState(), 100);
+        }, this.statusDelayMs);
+
+        if (this.timeoutMs > 0) {
+            run.timeoutTimer = setTimeout(() => {
+                const seconds = Math.round(this.timeoutMs / 1000);
+                this.cancelQuery(`Query timed out after ${seconds}s and was stopped. Try a narrower query or raise the timeout.`);
+            }, this.timeoutMs);
+        }
+
+        this.activeRun = run;
+    }
+
+    /**
+     * Stop tracking the active run and hide the running state
+     */
+    finishRun() {
+        const run = this.activeRun;
+        if (!run) return;
+
+        clearTimeout(run.statusTimer);
+        clearInterval(run.tickTimer);
+        clearTimeout(run.timeoutTimer);
+        this.activeRun = null;
+        this.showRunningState(false);
+    }
+
+    /**
+     * Stop a run that a newer query replaces
+     * Streamed documents would have to be parsed again after a cancel, so their
+     * superseded runs are left to finish and their results dropped instead.
+     */
+    abandonActiveRun() {
+        if (!this.activeRun) return;
+
+        this.finishRun();
+        if (!this.jsonParser.isStreamed()) {
+            this.jsonParser.cancelQuery();
+        }
+    }
+
+    /**
+     * Cancel the running query
+     * @param {string} message - Shown in the query error area
+     * @returns {boolean} Whether a query was running
+     */
+    cancelQuery(message = 'Query cancelled.') {
+        if (!this.activeRun) return false;
+
+        this.runCounter++;
+        this.finishRun();
+        this.jsonParser.cancelQuery(new Error(message));
+        this.showFailure(message);
+        return true;
+    }
+
+    /**
+     * Whether a query is waiting for the worker
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.activeRun !== null;
+    }
+
+    /**
+     * Set the query timeout
+     * @param {number} ms - Timeout in milliseconds, 0 for none
+     */
+    setTimeoutMs(ms) {
+        this.timeoutMs = ms > 0 ? ms : 0;
+    }
+
+    /**
+     * Show or hide the running indicator
+     * @param {boolean} running - Whether a query is running
+     */
+    showRunningState(running) {
+        if (!this.queryStatus) return;
+        this.queryStatus.classList.toggle('hidden', !running);
+    }
+
+    /**
+     * Update the elapsed time of the running query
+     */
+    updateRunningState() {
+        if (!this.queryStatus || !this.activeRun) return;
+
+        const elapsed = (Date.now() - this.activeRun.startedAt) / 1000;
+        const text = this.queryStatus.querySelector('.query-status-text');
+        if (text) {
+            text.textContent = `Running query… ${elapsed.toFixed(1)}s`;
         }
     }
 
@@ -184,10 +714,12 @@ export class QueryEngine {
     displayResults(results) {
         if (!this.resultsContainer) return;
 
+        this.destroyResultViews();
+
         if (results === null || results === undefined) {
             this.resultsContainer.innerHTML = `
                 <div class="placeholder-message">
-                    <p>💡 Enter a JMESPath query above to see results</p>
+                    <p>💡 Enter a ${this.getLanguageLabel()} query above to see results</p>
                 </div>
             `;
             return;
@@ -204,117 +736,297 @@ export class QueryEngine {
             badge = `<div class="badge badge-success mb-2">✓ Result: ${resultType}</div>`;
         }
 
-        // Format the results
-        const formatted = formatJSON(results, 2);
-        const highlighted = syntaxHighlight(formatted);
+        // Lines are highlighted as they scroll into view, so large results stay responsive
+        this.jsonLines = formatJSON(results, 2).split('\n');
+        const hasTable = Array.isArray(results) && results.length > 0;
+        const hasTree = typeof results === 'object';
 
         this.resultsContainer.innerHTML = `
             ${badge}
-            <div class="result-view-tabs mb-2">
-                <button class="tab active" data-view="json">JSON</button>
-                ${Array.isArray(results) && results.length > 0 ? '<button class="tab" data-view="table">Table</button>' : ''}
+            <div class="results-toolbar">
+                <div class="result-view-tabs">
+                    <button class="tab active" data-view="json">JSON</button>
+                    ${hasTable ? '<button class="tab" data-view="table">Table</button>' : ''}
+                    ${hasTree ? '<button class="tab" data-view="tree">Tree</button>' : ''}
+                </div>
+                <div class="results-search" id="resultsSearch">
+                    <input type="search" id="resultsSearchInput" class="form-input" placeholder="Find in results" aria-label="Find in results">
+                    <span id="resultsSearchCount" class="results-search-count"></span>
+                    <button id="resultsSearchPrev" class="btn btn-secondary btn-sm" title="Previous match (Shift+Enter)" disabled>↑</button>
+                    <button id="resultsSearchNext" class="btn btn-secondary btn-sm" title="Next match (Enter)" disabled>↓</button>
+                </div>
             </div>
             <div id="jsonView" class="result-view">
-                <pre class="json-formatted">${highlighted}</pre>
+                <div id="jsonLines" class="json-formatted json-lines"></div>
             </div>
-            ${Array.isArray(results) && results.length > 0 ? `
-                <div id="tableView" class="result-view hidden">
-                    ${this.generateTableView(results)}
-                </div>
-            ` : ''}
+            ${hasTable ? '<div id="tableView" class="result-view hidden"></div>' : ''}
+            ${hasTree ? '<div id="treeView" class="result-view hidden"></div>' : ''}
         `;
 
+        this.resultLists.json = new VirtualList({
+            viewport: this.resultsContainer,
+            body: document.getElementById('jsonLines'),
+            count: this.jsonLines.length,
+            renderRow: (index) => this.renderJsonLine(index)
+        });
+
+        if (hasTable) {
+            this.resultsTable = this.createResultsTable(results);
+            this.resultLists.table = this.resultsTable;
+        }
+
+        // The tree is built the first time its tab is opened
+        const treeContainer = document.getElementById('treeView');
+        this.treeView = treeContainer
+            ? new TreeView(treeContainer, { onSelect: (path) => this.drillDown(path) })
+            : null;
+        this.treeRendered = false;
+
         // Setup view switching
         this.setupViewSwitching();
+        this.setupResultsSearch();
     }
 
     /**
-     * Generate table view for array results
-     * @param {Array} data - Array data
-     * @returns {string} HTML table
+     * Create the table view, with the column layout of the current query
+     * @param {Array} results - Array results
+     * @returns {ResultsTable}
      */
-    generateTableView(data) {
-        if (!Array.isArray(data) || data.length === 0) {
-            return '<p class="info-text">No data to display in table view</p>';
+    createResultsTable(results) {
+        // Another query starts from the default layout
+        if (this.tableLayoutQuery !== this.currentQuery) {
+            this.tableLayout = null;
+            this.tableLayoutQuery = this.currentQuery;
         }
 
-        // Get all unique keys from all objects
-        const keys = new Set();
-        data.forEach(item => {
-            if (item && typeof item === 'object' && !Array.isArray(item)) {
-                Object.keys(item).forEach(key => keys.add(key));
+        const table = new ResultsTable(document.getElementById('tableView'), {
+            data: results,
+            viewport: this.resultsContainer,
+            layout: this.tableLayout,
+            rowClass: (index) => this.getSearchClass(index),
+            onViewChange: () => this.runResultsSearch(),
+            onLayoutChange: (layout) => {
+                this.tableLayout = layout;
+                if (this.onTableLayoutChange) {
+                    this.onTableLayoutChange(layout, this.currentQuery);
+                }
             }
         });
+        table.render();
+        return table;
+    }
 
-        if (keys.size === 0) {
-            return '<p class="info-text">Data cannot be displayed in table format</p>';
-        }
+    /**
+     * Use a column layout for the table view of a query, e.g. when a saved query is loaded
+     * @param {Object|null} layout - Layout from ResultsTable.getLayout
+     * @param {string} query - Query the layout belongs to
+     */
+    setTableLayout(layout, query) {
+        this.tableLayout = layout;
+        this.tableLayoutQuery = query;
+    }
 
-        const keysArray = Array.from(keys);
+    /**
+     * Get the column layout of the table view
+     * @returns {Object|null} Layout, or null when the default layout is used
+     */
+    getTableLayout() {
+        return this.tableLayoutQuery === this.currentQuery ? this.tableLayout : null;
+    }
 
-        let html = '<div class="table-container"><table class="results-table">';
+    /**
+     * Stop the virtual lists of the previous results
+     */
+    destroyResultViews() {
+        Object.values(this.resultLists).forEach(list => list.destroy());
+        this.resultLists = {};
+        this.resultsTable = null;
+        this.search = { term: '', matches: [], matchSet: new Set(), current: -1 };
+    }
 
-        // Header
-        html += '<thead><tr>';
-        keysArray.forEach(key => {
-            html += `<th>${key}</th>`;
-        });
-        html += '</tr></thead>';
-
-        // Body
-        html += '<tbody>';
-        data.forEach(item => {
-            if (item && typeof item === 'object' && !Array.isArray(item)) {
-                html += '<tr>';
-                keysArray.forEach(key => {
-                    const value = item[key];
-                    let displayValue = '';
-
-                    if (value === null || value === undefined) {
-                        displayValue = '<span class="null-value">null</span>';
-                    } else if (typeof value === 'object') {
-                        displayValue = `<span class="object-value">${JSON.stringify(value)}</span>`;
-                    } else {
-                        displayValue = String(value);
-                    }
-
-                    html += `<td>${displayValue}</td>`;
-                });
-                html += '</tr>';
-            }
-        });
-        html += '</tbody>';
+    /**
+     * Render one line of the JSON view
+     * @param {number} index - Line index
+     * @returns {string} HTML
+     */
+    renderJsonLine(index) {
+        return `<div class="json-line${this.getSearchClass(index)}" data-index="${index}">${syntaxHighlight(this.jsonLines[index]) || ' '}</div>`;
+    }
 
-        html += '</table></div>';
-        return html;
+    /**
+     * Put a query for a node of the current results into the query input (Tree view)
+     * @param {string} path - JMESPath path relative to the results
+     */
+    async drillDown(path) {
+        if (!path || !this.queryInput) return;
+
+        // Paths are JMESPath, so they can only extend JMESPath queries
+        if (this.language !== 'jmespath') {
+            const copied = await copyToClipboard(path);
+            showNotification(copied ? `Copied JMESPath path ${path}` : 'Failed to copy path', copied ? 'info' : 'error');
+            return;
+        }
+
+        this.queryInput.value = buildDrillDownQuery(this.currentQuery, path);
+        this.queryInput.focus();
+        this.queryInput.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Put a query selecting the records with a field value into the query input (Profile view)
+     * @param {string} recordsPath - '' for a root array, or the root key holding the records
+     * @param {string[]} segments - Field path inside a record
+     * @param {*} value - Value to match
+     */
+    filterByValue(recordsPath, segments, value) {
+        if (!this.queryInput) return;
+
+        this.queryInput.value = buildValueFilterQuery(this.language, recordsPath, segments, value);
+        this.queryInput.focus();
+        this.queryInput.dispatchEvent(new Event('input', { bubbles: true }));
     }
 
     /**
-     * Setup view switching between JSON and Table
+     * Setup view switching between JSON, Table and Tree
      */
     setupViewSwitching() {
         const tabs = document.querySelectorAll('.result-view-tabs .tab');
-        const jsonView = document.getElementById('jsonView');
-        const tableView = document.getElementById('tableView');
+        const views = {
+            json: document.getElementById('jsonView'),
+            table: document.getElementById('tableView'),
+            tree: document.getElementById('treeView')
+        };
+
+        const showView = (view) => {
+            // Update active tab
+            tabs.forEach(t => t.classList.toggle('active', t.dataset.view === view));
+
+            if (view === 'tree' && this.treeView && !this.treeRendered) {
+                this.treeView.render(this.queryResults);
+                this.treeRendered = true;
+            }
+
+            // Show/hide views
+            Object.entries(views).forEach(([name, element]) => {
+                element?.classList.toggle('hidden', name !== view);
+            });
+
+            // The find bar searches the lines or rows of the view that is shown
+            this.runResultsSearch();
+        };
 
         tabs.forEach(tab => {
             tab.addEventListener('click', () => {
-                const view = tab.dataset.view;
-
-                // Update active tab
-                tabs.forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
-
-                // Show/hide views
-                if (view === 'json') {
-                    jsonView?.classList.remove('hidden');
-                    tableView?.classList.add('hidden');
-                } else if (view === 'table') {
-                    jsonView?.classList.add('hidden');
-                    tableView?.classList.remove('hidden');
-                }
+                this.resultView = tab.dataset.view;
+                showView(tab.dataset.view);
+            });
+        });
+
+        // Stay on the chosen view across runs, e.g. while drilling down in the tree
+        if (this.resultView !== 'json' && views[this.resultView]) {
+            showView(this.resultView);
+        }
+    }
+
+    /**
+     * Setup the find bar, which searches the whole result rather than the rendered rows
+     */
+    setupResultsSearch() {
+        const input = document.getElementById('resultsSearchInput');
+        if (!input) return;
+
+        input.addEventListener('input', debounce(() => this.runResultsSearch(input.value), 250));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.moveSearchMatch(e.shiftKey ? -1 : 1);
+            }
+        });
+
+        document.getElementById('resultsSearchPrev')?.addEventListener('click', () => this.moveSearchMatch(-1));
+        document.getElementById('resultsSearchNext')?.addEventListener('click', () => this.moveSearchMatch(1));
+
+        this.updateResultsSearch();
+    }
+
+    /**
+     * Find the lines (JSON view) or rows (Table view) containing a term
+     * @param {string} term - Text to find, case-insensitive
+     */
+    runResultsSearch(term = this.search.term) {
+        const needle = term.trim().toLowerCase();
+        const view = this.getShownView();
+        let matches = [];
+
+        if (needle && view === 'table') {
+            matches = this.resultsTable.findRows(needle);
+        } else if (needle && view === 'json') {
+            this.jsonLines.forEach((line, index) => {
+                if (line.toLowerCase().includes(needle)) matches.push(index);
             });
+        }
+
+        this.search = { term, matches, matchSet: new Set(matches), current: -1 };
+        this.moveSearchMatch(1);
+    }
+
+    /**
+     * Scroll to the next or previous match
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    moveSearchMatch(step) {
+        const { matches } = this.search;
+        if (matches.length > 0) {
+            this.search.current = (this.search.current + step + matches.length) % matches.length;
+            this.getActiveResultList()?.scrollToIndex(matches[this.search.current]);
+        }
+        this.updateResultsSearch();
+    }
+
+    /**
+     * Refresh the match counter and the highlighted rows
+     */
+    updateResultsSearch() {
+        const { term, matches, current } = this.search;
+        const searchBar = document.getElementById('resultsSearch');
+        const count = document.getElementById('resultsSearchCount');
+
+        searchBar?.classList.toggle('hidden', this.getShownView() === 'tree');
+        if (count) {
+            count.textContent = !term.trim() ? '' : matches.length === 0 ? 'No matches' : `${current + 1} / ${matches.length}`;
+        }
+        ['resultsSearchPrev', 'resultsSearchNext'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = matches.length === 0;
         });
+
+        this.getActiveResultList()?.refresh();
+    }
+
+    /**
+     * Get the search highlight class of a line or row in the active view
+     * @param {number} index - Line or row index
+     * @returns {string} Class list with a leading space, or ''
+     */
+    getSearchClass(index) {
+        if (!this.search.matchSet.has(index)) return '';
+        return this.search.matches[this.search.current] === index ? ' search-match search-current' : ' search-match';
+    }
+
+    /**
+     * Get the result view on screen; the last picked one may not exist for these results
+     * @returns {string} 'json', 'table' or 'tree'
+     */
+    getShownView() {
+        return document.getElementById(`${this.resultView}View`) ? this.resultView : 'json';
+    }
+
+    /**
+     * Get the virtual list of the result view on screen
+     * @returns {VirtualList|undefined}
+     */
+    getActiveResultList() {
+        return this.resultLists[this.getShownView()];
     }
 
     /**
@@ -322,7 +1034,7 @@ export class QueryEngine {
      * @returns {Array} Example queries
      */
     getExampleQueries() {
-        return this.exampleQueries;
+        return this.exampleQueries[this.language];
     }
 
     /**
@@ -330,7 +1042,7 @@ export class QueryEngine {
      * @param {number} index - Index of example query
      */
     loadExampleQuery(index) {
-        const example = this.exampleQueries[index];
+        const example = this.getExampleQueries()[index];
         if (!example) return;
 
         if (this.queryInput) {
@@ -364,6 +1076,8 @@ export class QueryEngine {
         if (this.queryInput) {
             this.queryInput.value = '';
         }
+        this.runCounter++;
+        this.abandonActiveRun();
         this.currentQuery = '';
         this.queryResults = null;
         this.showQueryError('');
@@ -0,0 +1,344 @@
+/**
+ * Query Functions Module
+ * Custom JMESPath functions for aggregations, dates and strings
+ */
+
+import { setOwnProperty } from './utils.js';
+
+// Milliseconds per date_diff unit
+const DATE_UNITS = {
+    milliseconds: 1,
+    seconds: 1000,
+    minutes: 60 * 1000,
+    hours: 60 * 60 * 1000,
+    days: 24 * 60 * 60 * 1000,
+    weeks: 7 * 24 * 60 * 60 * 1000
+};
+
+// Numeric timestamps below this are taken as seconds, above it as milliseconds
+const SECONDS_TIMESTAMP_LIMIT = 1e11;
+
+/**
+ * Function reference shown in the help modal and offered by the visual builder.
+ * Functions without an implementation (`fn`) are built into the JMESPath
+ * library and are listed so the reference is complete.
+ * `args` are JMESPath type names, with '|' between alternatives; a trailing '?'
+ * marks an optional argument.
+ */
+export const CUSTOM_FUNCTIONS = [
+    {
+        name: 'group_by',
+        category: 'Aggregation',
+        usage: 'group_by(array, &key)',
+        description: 'Group items into an object keyed by the value of key',
+        example: 'group_by(@, &role)',
+        builderLabel: 'Group by',
+        args: ['array', 'expref'],
+        fn: groupBy
+    },
+    {
+        name: 'count_by',
+        category: 'Aggregation',
+        usage: 'count_by(array, &key)',
+        description: 'Count items per value of key',
+        example: 'count_by(@, &status)',
+        builderLabel: 'Count by',
+        args: ['array', 'expref'],
+        fn: countBy
+    },
+    {
+        name: 'sum_by',
+        category: 'Aggregation',
+        usage: 'sum_by(array, &value)',
+        description: 'Sum the numeric values of value (other values are ignored), or null if array is null',
+        example: 'sum_by(@, &total)',
+        builderLabel: 'Sum of',
+        args: ['array|null', 'expref'],
+        fn: sumBy
+    },
+    {
+        name: 'avg_by',
+        category: 'Aggregation',
+        usage: 'avg_by(array, &value)',
+        description: 'Average the numeric values of value, or null if there are none',
+        example: 'avg_by(@, &age)',
+        builderLabel: 'Average of',
+        args: ['array|null', 'expref'],
+        fn: avgBy
+    },
+    {
+        name: 'distinct_by',
+        category: 'Aggregation',
+        usage: 'distinct_by(array, &key)',
+        description: 'Keep the first item for each distinct value of key',
+        example: 'distinct_by(@, &email)',
+        builderLabel: 'Distinct by',
+        args: ['array', 'expref'],
+        fn: distinctBy
+    },
+    {
+        name: 'lookup',
+        category: 'Join',
+        usage: 'lookup(array, other, &key, &otherKey, name?)',
+        description: 'Add to each item the first item of other whose otherKey equals its key, under name (default match), or null',
+        example: "lookup(orders, users, &customerId, &id, 'user')",
+        args: ['array', 'array', 'expref', 'expref', 'string?'],
+        fn: lookup
+    },
+    {
+        name: 'to_date',
+        category: 'Date',
+        usage: 'to_date(value)',
+        description: 'Convert a date string or Unix timestamp (seconds or milliseconds) to an ISO 8601 string, or null if invalid',
+        example: 'to_date(createdAt)',
+        args: ['any'],
+        fn: toDate
+    },
+    {
+        name: 'date_diff',
+        category: 'Date',
+        usage: 'date_diff(start, end, unit?)',
+        description: 'Time from start to end in milliseconds, seconds, minutes, hours, days (default) or weeks',
+        example: "date_diff(orderDate, shippedDate, 'hours')",
+        args: ['any', 'any', 'string?'],
+        fn: dateDiff
+    },
+    {
+        name: 'lower',
+        category: 'String',
+        usage: 'lower(string)',
+        description: 'Convert a string to lowercase',
+        example: 'lower(name)'
+    },
+    {
+        name: 'upper',
+        category: 'String',
+        usage: 'upper(string)',
+        description: 'Convert a string to uppercase',
+        example: 'upper(country)'
+    },
+    {
+        name: 'split',
+        category: 'String',
+        usage: 'split(string, separator, count?)',
+        description: 'Split a string into an array, at most count times',
+        example: "split(tags, ',')"
+    },
+    {
+        name: 'regex_match',
+        category: 'String',
+        usage: 'regex_match(value, pattern, flags?)',
+        description: 'Whether value is a string matching the regular expression',
+        example: "[?regex_match(email, '^[a-z]+@example', 'i')]",
+        args: ['any', 'string', 'string?'],
+        fn: regexMatch
+    },
+    {
+        name: 'replace',
+        category: 'String',
+        usage: 'replace(string, old, new, count?)',
+        description: 'Replace occurrences of old with new, at most count times',
+        example: "replace(phone, '-', '')"
+    },
+    {
+        name: 'round',
+        category: 'Number',
+        usage: 'round(number, digits?)',
+        description: 'Round a number to the given number of decimal places (default 0); null stays null',
+        example: 'round(avg_by(@, &price), `2`)',
+        args: ['number|null', 'number?'],
+        fn: round
+    }
+];
+
+/**
+ * Register the custom functions with a JMESPath library instance
+ * Works with the main-thread global and the worker's module import.
+ * @param {Object} jmespath - @jmespath-community/jmespath library
+ */
+export function registerCustomFunctions(jmespath) {
+    const types = {
+        any: jmespath.TYPE_ANY,
+        array: jmespath.TYPE_ARRAY,
+        expref: jmespath.TYPE_EXPREF,
+        null: jmespath.TYPE_NULL,
+        number: jmespath.TYPE_NUMBER,
+        string: jmespath.TYPE_STRING
+    };
+
+    CUSTOM_FUNCTIONS.filter(definition => definition.fn).forEach(definition => {
+        const signature = definition.args.map(arg => {
+            const optional = arg.endsWith('?');
+            return { types: arg.replace('?', '').split('|').map(type => types[type]), optional };
+        });
+
+        // group_by replaces the built-in one, which only accepts string keys
+        jmespath.registerFunction(definition.name, definition.fn, signature, { override: true });
+    });
+
+    // Report a library update that breaks &expression arguments once, up front
+    try {
+        jmespath.search([{ value: 1 }], 'sum_by(@, &value)');
+    } catch (error) {
+        console.error('Custom JMESPath functions with &expression arguments are unavailable:', error.message);
+    }
+}
+
+/**
+ * Evaluate an expression reference against an item
+ * The library calls functions with its runtime as `this` but gives them no public
+ * way to evaluate an &expression, so this is the one place that uses the
+ * runtime's interpreter (as the library's own sort_by and map do).
+ * @param {Object} runtime - JMESPath runtime
+ * @param {Object} exprefNode - Expression reference
+ * @param {*} item - Item to evaluate against
+ * @returns {*} Value
+ */
+function evaluate(runtime, exprefNode, item) {
+    const interpreter = runtime?._interpreter;
+    if (typeof interpreter?.visit !== 'function') {
+        throw new Error('This version of the JMESPath library does not let custom functions evaluate &expressions');
+    }
+    return interpreter.visit(exprefNode, item);
+}
+
+/**
+ * Convert a value to an object key
+ * @param {*} value - Key value
+ * @returns {string}
+ */
+function toKey(value) {
+    if (value === null || value === undefined) return 'null';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Turn a Map into an object, keeping keys such as "__proto__" as own properties
+ * @param {Map} map
+ * @returns {Object}
+ */
+function mapToObject(map) {
+    const result = {};
+    map.forEach((value, key) => setOwnProperty(result, key, value));
+    return result;
+}
+
+function groupBy([array, exprefNode]) {
+    const groups = new Map();
+    array.forEach(item => {
+        const key = toKey(evaluate(this, exprefNode, item));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return mapToObject(groups);
+}
+
+function countBy([array, exprefNode]) {
+    const counts = new Map();
+    array.forEach(item => {
+        const key = toKey(evaluate(this, exprefNode, item));
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return mapToObject(counts);
+}
+
+/**
+ * Collect the finite numeric values of an expression over an array
+ * @param {Object} runtime - JMESPath runtime
+ * @param {Array} array - Items
+ * @param {Object} exprefNode - Expression reference
+ * @returns {Array<number>}
+ */
+function numericValues(runtime, array, exprefNode) {
+    return array
+        .map(item => evaluate(runtime, exprefNode, item))
+        .filter(value => typeof value === 'number' && isFinite(value));
+}
+
+function sumBy([array, exprefNode]) {
+    if (array === null) return null;
+    return numericValues(this, array, exprefNode).reduce((sum, value) => sum + value, 0);
+}
+
+function avgBy([array, exprefNode]) {
+    if (array === null) return null;
+    const values = numericValues(this, array, exprefNode);
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function distinctBy([array, exprefNode]) {
+    const seen = new Set();
+    return array.filter(item => {
+        const key = toKey(evaluate(this, exprefNode, item));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function lookup([array, other, exprefNode, otherExprefNode, name = 'match']) {
+    // Index the other side once; the first item wins for duplicate keys.
+    // Missing and null keys never match.
+    const index = new Map();
+    other.forEach(item => {
+        const value = evaluate(this, otherExprefNode, item);
+        const key = toKey(value);
+        if (value !== null && value !== undefined && !index.has(key)) index.set(key, item);
+    });
+
+    return array.map(item => {
+        if (item === null || typeof item !== 'object' || Array.isArray(item)) return item;
+        const value = evaluate(this, exprefNode, item);
+        const match = value === null || value === undefined ? undefined : index.get(toKey(value));
+        return { ...item, [name]: match === undefined ? null : match };
+    });
+}
+
+/**
+ * Parse a date string or timestamp
+ * @param {*} value - Date string, or Unix timestamp in seconds or milliseconds
+ * @returns {number|null} Milliseconds since the epoch, or null if invalid
+ */
+function parseDate(value) {
+    let time = NaN;
+    if (typeof value === 'number') {
+        time = Math.abs(value) < SECONDS_TIMESTAMP_LIMIT ? value * 1000 : value;
+    } else if (typeof value === 'string' && value.trim() !== '') {
+        time = Date.parse(value);
+    }
+    return isFinite(time) && !isNaN(new Date(time).getTime()) ? time : null;
+}
+
+function toDate([value]) {
+    const time = parseDate(value);
+    return time === null ? null : new Date(time).toISOString();
+}
+
+function dateDiff([start, end, unit = 'days']) {
+    if (!Object.prototype.hasOwnProperty.call(DATE_UNITS, unit)) {
+        throw new Error(`date_diff: unknown unit '${unit}'. Use one of: ${Object.keys(DATE_UNITS).join(', ')}`);
+    }
+
+    const startTime = parseDate(start);
+    const endTime = parseDate(end);
+    if (startTime === null || endTime === null) return null;
+
+    return (endTime - startTime) / DATE_UNITS[unit];
+}
+
+function regexMatch([value, pattern, flags = '']) {
+    let regex;
+    try {
+        regex = new RegExp(pattern, flags);
+    } catch (error) {
+        throw new Error(`regex_match: ${error.message}`);
+    }
+    return typeof value === 'string' && regex.test(value);
+}
+
+function round([number, digits = 0]) {
+    if (number === null) return null;
+    const factor = Math.pow(10, Math.trunc(digits));
+    return Math.round(number * factor) / factor;
+}
@@ -0,0 +1,166 @@
+/**
+ * Query History Module
+ * Result summaries of past query runs, filtering the history, and comparing a
+ * run with a replay of its query against the current data
+ */
+
+import { hashString } from './utils.js';
+import { diffJSON, summarizeDiff } from './jsonDiff.js';
+
+// Results with more values than this are not hashed; a replay compares their type and count
+const MAX_HASHED_VALUES = 100000;
+
+// Longest result (in characters of JSON) kept with an entry, so a replay can show what changed
+export const MAX_SNAPSHOT_LENGTH = 10000;
+
+/**
+ * Count the values in a result, stopping early
+ * @param {*} value - Result
+ * @param {number} limit - Highest count of interest
+ * @returns {number} Count, or Infinity when over the limit
+ */
+function countValues(value, limit) {
+    let count = 1;
+    const stack = [value];
+    while (stack.length > 0) {
+        const item = stack.pop();
+        if (item === null || typeof item !== 'object') continue;
+
+        const children = Object.values(item);
+        count += children.length;
+        if (count > limit) return Infinity;
+        children.forEach(child => stack.push(child));
+    }
+    return count;
+}
+
+/**
+ * Name the type of a result
+ * @param {*} value
+ * @returns {string} 'array', 'object', 'null', 'string', 'number' or 'boolean'
+ */
+function typeOf(value) {
+    if (value === null || value === undefined) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Summarize a query result for its history entry
+ * @param {*} result - Query result
+ * @returns {Object} { resultType, resultCount, resultHash, resultText } where the
+ *   count is the number of items or keys (null for other values), the hash is
+ *   null for very large results and the text (the result as JSON) is null for
+ *   results longer than MAX_SNAPSHOT_LENGTH
+ */
+export function summarizeResult(result) {
+    const resultType = typeOf(result);
+    let resultCount = null;
+    if (resultType === 'array') resultCount = result.length;
+    if (resultType === 'object') resultCount = Object.keys(result).length;
+
+    let resultHash = null;
+    let resultText = null;
+    if (countValues(result, MAX_HASHED_VALUES) <= MAX_HASHED_VALUES) {
+        const text = JSON.stringify(result ?? null);
+        resultHash = hashString(text);
+        if (text.length <= MAX_SNAPSHOT_LENGTH) resultText = text;
+    }
+
+    return { resultType, resultCount, resultHash, resultText };
+}
+
+/**
+ * Describe a result summary for display
+ * @param {Object} summary - { resultType, resultCount }
+ * @returns {string} e.g. "15 items", "object with 3 keys" or "number"
+ */
+export function describeResult({ resultType, resultCount }) {
+    if (resultType === 'array') {
+        return `${resultCount.toLocaleString()} item${resultCount !== 1 ? 's' : ''}`;
+    }
+    if (resultType === 'object') {
+        return `object with ${resultCount.toLocaleString()} key${resultCount !== 1 ? 's' : ''}`;
+    }
+    return resultType;
+}
+
+/**
+ * Format how long a query took
+ * @param {number} duration - Milliseconds
+ * @returns {string} e.g. "<1 ms", "42 ms" or "1.25 s"
+ */
+export function formatDuration(duration) {
+    if (duration < 1) return '<1 ms';
+    if (duration < 1000) return `${Math.round(duration)} ms`;
+    return `${(duration / 1000).toFixed(2)} s`;
+}
+
+/**
+ * Compare a history entry with a replay of its query
+ * @param {Object} entry - History entry
+ * @param {*} result - Result of the replay
+ * @param {Object} summary - summarizeResult of the replay's result
+ * @returns {Object} { changed, changes, counts } where changed is true, false,
+ *   or null when it can't be told (an entry recorded before results were, or
+ *   results too large to hash); changes (from diffJSON) and counts (from
+ *   summarizeDiff) are set when the earlier result was kept, else null
+ */
+export function compareWithEntry(entry, result, summary) {
+    let changed = null;
+    if (entry.resultHash && summary.resultHash) {
+        changed = entry.resultHash !== summary.resultHash;
+    } else if (entry.resultType && (entry.resultType !== summary.resultType || entry.resultCount !== summary.resultCount)) {
+        changed = true;
+    }
+
+    let changes = null;
+    if (changed === false) {
+        changes = [];
+    } else if (changed && typeof entry.resultText === 'string' && summary.resultHash) {
+        changes = diffJSON(JSON.parse(entry.resultText), result).changes;
+        // Equal values whose object keys come in another order
+        if (changes.length === 0) changed = false;
+    }
+
+    return { changed, changes, counts: changes ? summarizeDiff(changes) : null };
+}
+
+/**
+ * Filter the query history
+ * @param {Array} history - History entries
+ * @param {Object} filters
+ * @param {string} filters.search - Words that must all appear in the query or
+ *   the dataset name (ignoring case)
+ * @param {string|null} filters.language - Query language, or null for all
+ * @param {string|null} filters.dataset - Dataset name, or null for all
+ * @param {string|null} filters.fingerprint - Dataset fingerprint, or null for all
+ * @param {boolean} filters.pinnedOnly - Keep only pinned entries
+ * @returns {Array} Matching entries
+ */
+export function filterHistory(history, { search = '', language = null, dataset = null, fingerprint = null, pinnedOnly = false } = {}) {
+    const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return history.filter(entry => {
+        if (pinnedOnly && !entry.pinned) return false;
+        if (language !== null && (entry.language || 'jmespath') !== language) return false;
+        if (dataset !== null && entry.dataset?.name !== dataset) return false;
+        if (fingerprint !== null && entry.dataset?.fingerprint !== fingerprint) return false;
+        if (words.length === 0) return true;
+
+        const text = `${entry.query}\n${entry.dataset?.name || ''}`.toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+}
+
+/**
+ * List the datasets queries in the history ran against
+ * @param {Array} history - History entries
+ * @returns {string[]} Sorted dataset names
+ */
+export function listHistoryDatasets(history) {
+    const names = new Set();
+    history.forEach(entry => {
+        if (entry.dataset?.name) names.add(entry.dataset.name);
+    });
+    return [...names].sort((a, b) => a.localeCompare(b));
+}
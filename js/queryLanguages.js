@@ -0,0 +1,47 @@
+/**
+ * Query Languages Module
+ * The query languages offered, with their labels, tutorials and editor placeholders
+ */
+
+// Query languages offered by the language selector
+export const QUERY_LANGUAGES = {
+    jmespath: {
+        label: 'JMESPath',
+        tutorialUrl: 'https://jmespath.org/tutorial.html',
+        placeholder: `Enter JMESPath query...
+
+Examples:
+@ - Get all data
+[*].name - Get all names
+[?age > \`25\`] - Filter by age
+length(@) - Count items
+
+Try selecting an example from the dropdown above!`
+    },
+    jsonpath: {
+        label: 'JSONPath',
+        tutorialUrl: 'https://goessner.net/articles/JsonPath/',
+        placeholder: `Enter JSONPath expression...
+
+Examples:
+$ - Get all data
+$[*].name - Get all names
+$[?(@.age > 25)] - Filter by age
+$..email - Find every email, at any depth
+
+Try selecting an example from the dropdown above!`
+    },
+    jq: {
+        label: 'jq',
+        tutorialUrl: 'https://jqlang.github.io/jq/manual/',
+        placeholder: `Enter jq filter...
+
+Examples:
+. - Get all data
+.[].name - Get all names
+map(select(.age > 25)) - Filter by age
+length - Count items
+
+Try selecting an example from the dropdown above!`
+    }
+};
@@ -0,0 +1,235 @@
+/**
+ * Query Library Module
+ * Versioned file format for exporting and importing saved queries
+ *
+ * {
+ *   "format": "jsonAnalyser/saved-queries",
+ *   "version": 1,
+ *   "exportedAt": "2026-01-31T12:00:00.000Z",
+ *   "queries": [{ "name", "query", "description", "language", "folder", "tags",
+ *                 "favorite", "tableLayout", "createdAt", "updatedAt", "history" }]
+ * }
+ *
+ * Files from before the format was versioned hold a bare array of queries and
+ * are read as version 0.
+ */
+
+import { QUERY_LANGUAGES } from './queryLanguages.js';
+import { normalizeFolder, MAX_QUERY_VERSIONS } from './savedQueries.js';
+
+export const LIBRARY_FORMAT = 'jsonAnalyser/saved-queries';
+export const LIBRARY_VERSION = 1;
+
+/**
+ * Build an export file of saved queries
+ * IDs are left out; an import gives every query a new one.
+ * @param {Array} queries - Saved queries
+ * @returns {Object} Library in the current format
+ */
+export function createQueryLibrary(queries) {
+    return {
+        format: LIBRARY_FORMAT,
+        version: LIBRARY_VERSION,
+        exportedAt: new Date().toISOString(),
+        queries: queries.map(query => ({
+            name: query.name,
+            query: query.query,
+            description: query.description || '',
+            language: query.language || 'jmespath',
+            folder: query.folder || '',
+            tags: query.tags || [],
+            favorite: Boolean(query.favorite),
+            tableLayout: query.tableLayout || null,
+            createdAt: query.createdAt,
+            updatedAt: query.updatedAt,
+            history: query.history || []
+        }))
+    };
+}
+
+/**
+ * Describe a value's type for an error message
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    return `a ${typeof value}`;
+}
+
+/**
+ * Whether a value is an ISO date string
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check the fields shared by a saved query and the versions in its history
+ * @param {Object} entry - Imported object
+ * @param {string[]} problems - Receives a message per invalid field
+ * @param {boolean} requireName - Whether a missing name is a problem
+ */
+function checkQueryFields(entry, problems, requireName) {
+    if (typeof entry.name !== 'string') {
+        if (requireName || entry.name !== undefined) {
+            problems.push(entry.name === undefined ? 'name is missing' : `name must be text, not ${describeType(entry.name)}`);
+        }
+    } else if (!entry.name.trim()) {
+        problems.push('name is empty');
+    }
+
+    if (typeof entry.query !== 'string') {
+        problems.push(entry.query === undefined ? 'query is missing' : `query must be text, not ${describeType(entry.query)}`);
+    } else if (!entry.query.trim()) {
+        problems.push('query is empty');
+    }
+
+    if (entry.description !== undefined && typeof entry.description !== 'string') {
+        problems.push(`description must be text, not ${describeType(entry.description)}`);
+    }
+    if (entry.language !== undefined && !Object.prototype.hasOwnProperty.call(QUERY_LANGUAGES, entry.language)) {
+        problems.push(`language ${JSON.stringify(entry.language)} is not one of ${Object.keys(QUERY_LANGUAGES).join(', ')}`);
+    }
+    if (entry.folder !== undefined && typeof entry.folder !== 'string') {
+        problems.push(`folder must be text, not ${describeType(entry.folder)}`);
+    }
+    if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string'))) {
+        problems.push('tags must be a list of text');
+    }
+}
+
+/**
+ * Validate one imported query
+ * @param {*} entry - Item of the file's queries
+ * @returns {Object} { query } with the saved query fields, or { problems: [...] }
+ */
+function validateEntry(entry) {
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { problems: [`expected an object, not ${describeType(entry)}`] };
+    }
+
+    const problems = [];
+    checkQueryFields(entry, problems, true);
+
+    if (entry.favorite !== undefined && typeof entry.favorite !== 'boolean') {
+        problems.push(`favorite must be true or false, not ${describeType(entry.favorite)}`);
+    }
+    if (entry.tableLayout !== undefined && entry.tableLayout !== null &&
+        (typeof entry.tableLayout !== 'object' || Array.isArray(entry.tableLayout))) {
+        problems.push(`tableLayout must be an object, not ${describeType(entry.tableLayout)}`);
+    }
+    ['createdAt', 'updatedAt'].forEach(field => {
+        if (entry[field] !== undefined && !isDate(entry[field])) {
+            problems.push(`${field} is not a date`);
+        }
+    });
+
+    if (entry.history !== undefined) {
+        if (!Array.isArray(entry.history)) {
+            problems.push(`history must be a list, not ${describeType(entry.history)}`);
+        } else {
+            entry.history.forEach((version, index) => {
+                if (version === null || typeof version !== 'object' || Array.isArray(version)) {
+                    problems.push(`history version ${index + 1} must be an object`);
+                    return;
+                }
+                const versionProblems = [];
+                checkQueryFields(version, versionProblems, false);
+                if (version.savedAt !== undefined && !isDate(version.savedAt)) {
+                    versionProblems.push('savedAt is not a date');
+                }
+                versionProblems.forEach(problem => problems.push(`history version ${index + 1}: ${problem}`));
+            });
+        }
+    }
+
+    if (problems.length > 0) return { problems };
+
+    const now = new Date().toISOString();
+    const name = entry.name.trim();
+    return {
+        query: {
+            name,
+            query: entry.query,
+            description: entry.description || '',
+            language: entry.language || 'jmespath',
+            folder: normalizeFolder(entry.folder || ''),
+            tags: entry.tags || [],
+            favorite: Boolean(entry.favorite),
+            tableLayout: entry.tableLayout || null,
+            createdAt: entry.createdAt || entry.updatedAt || now,
+            updatedAt: entry.updatedAt || entry.createdAt || now,
+            history: (entry.history || []).slice(-MAX_QUERY_VERSIONS).map(version => ({
+                name: version.name?.trim() || name,
+                query: version.query,
+                description: version.description || '',
+                language: version.language || 'jmespath',
+                folder: normalizeFolder(version.folder || ''),
+                tags: version.tags || [],
+                savedAt: version.savedAt || null
+            }))
+        }
+    };
+}
+
+/**
+ * Read an export file of saved queries
+ * Invalid queries are left out and reported; the rest can still be imported.
+ * @param {string} text - File contents
+ * @returns {Object} { valid: true, version, queries, errors } where errors
+ *   name each query that was left out, or { valid: false, error }
+ */
+export function parseQueryLibrary(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, error: `The file is not valid JSON: ${error.message}` };
+    }
+
+    let version = 0;
+    let entries = data;
+    if (!Array.isArray(data)) {
+        if (data === null || typeof data !== 'object' || data.format !== LIBRARY_FORMAT) {
+            return { valid: false, error: `This is not a saved queries file: expected "format": "${LIBRARY_FORMAT}"` };
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            return { valid: false, error: `The file's format version ${JSON.stringify(data.version)} is not a positive whole number` };
+        }
+        if (data.version > LIBRARY_VERSION) {
+            return { valid: false, error: `The file is format version ${data.version}; this version of JSON Analyser reads up to version ${LIBRARY_VERSION}` };
+        }
+        if (!Array.isArray(data.queries)) {
+            return { valid: false, error: '"queries" must be a list of saved queries' };
+        }
+        version = data.version;
+        entries = data.queries;
+    }
+
+    const queries = [];
+    const errors = [];
+    const firstIndex = new Map(); // name -> number of the query that uses it first
+
+    entries.forEach((entry, index) => {
+        const number = index + 1;
+        const label = typeof entry?.name === 'string' && entry.name.trim()
+            ? `Query ${number} ("${entry.name.trim()}")`
+            : `Query ${number}`;
+        const result = validateEntry(entry);
+
+        if (result.problems) {
+            errors.push(`${label}: ${result.problems.join('; ')}`);
+        } else if (firstIndex.has(result.query.name)) {
+            errors.push(`${label}: the name is already used by query ${firstIndex.get(result.query.name)} in this file`);
+        } else {
+            firstIndex.set(result.query.name, number);
+            queries.push(result.query);
+        }
+    });
+
+    return { valid: true, version, queries, errors };
+}
@@ -1,14 +1,26 @@
 /**
  * Results Export Module
- * Handles exporting query results to various formats (JSON, CSV)
+ * Handles exporting query results to various formats (JSON, CSV, Excel, YAML, XML)
  */
 
+import { buildXLSX, uniqueSheetNames } from './xlsx.js';
+import { stringifyYAML } from './yaml.js';
+import { stringifyXML } from './xml.js';
+
+// CSV export settings; the export dialog stores the user's choices as a preference
+export const DEFAULT_CSV_OPTIONS = {
+    delimiter: ',', // ',', '\t' or ';'
+    lineBreak: '\n', // '\n' or '\r\n'
+    flattenObjects: true, // Nested objects as dot-path columns (address.city) instead of JSON
+    arrays: 'join', // 'join' into one cell, or 'explode' into one row per item
+    bom: false, // UTF-8 byte order mark, so Excel detects the encoding
+    columns: null // Columns to write, in order; null writes all
+};
+
+// Separator for array items joined into one cell
+const CSV_JOIN_SEPARATOR = '; ';
+
 export class ResultsExporter {
-    constructor() {
-        // CSV configuration
-        this.csvDelimiter = ',';
-        this.csvLineBreak = '\n';
-    }
 
     /**
      * Export data to JSON file
@@ -24,89 +36,308 @@ export class ResultsExporter {
         this.downloadFile(jsonString, filename, 'application/json');
     }
 
+    /**
+     * Export data to YAML file
+     * @param {*} data - Data to export
+     * @param {string} filename - Optional filename
+     */
+    exportToYAML(data, filename = 'query-results.yaml') {
+        if (!data) {
+            throw new Error('No data to export');
+        }
+
+        this.downloadFile(stringifyYAML(data), filename, 'application/yaml');
+    }
+
+    /**
+     * Export data to XML file
+     * Uses the same mapping as XML input ("@" attributes, "#text"), so XML
+     * that was loaded and queried converts back to equivalent XML.
+     * @param {*} data - Data to export
+     * @param {string} filename - Optional filename
+     */
+    exportToXML(data, filename = 'query-results.xml') {
+        if (!data) {
+            throw new Error('No data to export');
+        }
+
+        this.downloadFile(stringifyXML(data), filename, 'application/xml');
+    }
+
     /**
      * Export data to CSV file
-     * @param {*} data - Data to export (must be array of objects)
+     * @param {*} data - Data to export; objects become rows, other items a "value" column
      * @param {string} filename - Optional filename
+     * @param {Object} options - CSV options, see DEFAULT_CSV_OPTIONS
      */
-    exportToCSV(data, filename = 'query-results.csv') {
+    exportToCSV(data, filename = 'query-results.csv', options = {}) {
         if (!data) {
             throw new Error('No data to export');
         }
 
-        // Convert data to array if it's not
-        let dataArray = Array.isArray(data) ? data : [data];
+        const settings = { ...DEFAULT_CSV_OPTIONS, ...options };
+        const csv = this.convertToCSV(data, settings);
 
-        // Filter out non-object items
-        dataArray = dataArray.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+        // The byte order mark makes Excel read the file as UTF-8
+        this.downloadFile(settings.bom ? '\uFEFF' + csv : csv, filename, 'text/csv;charset=utf-8');
+    }
 
-        if (dataArray.length === 0) {
-            throw new Error('Data must contain objects to export as CSV');
+    /**
+     * Export data to an Excel workbook
+     * @param {*} data - Data to export
+     * @param {string} filename - Optional filename
+     * @param {string} nestedArrays - 'sheets' for one sheet per nested array, 'flatten' for indexed columns
+     */
+    exportToXLSX(data, filename = 'query-results.xlsx', nestedArrays = 'sheets') {
+        if (!data) {
+            throw new Error('No data to export');
         }
 
-        const csv = this.convertToCSV(dataArray);
-        this.downloadFile(csv, filename, 'text/csv');
+        const workbook = buildXLSX(this.buildWorkbookSheets(data, nestedArrays));
+        this.downloadFile(workbook, filename, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     }
 
     /**
-     * Convert array of objects to CSV string
-     * @param {Array} data - Array of objects
-     * @returns {string} CSV string
+     * Lay out data as worksheets
+     * Nested objects become dotted columns (address.city). Nested arrays either move to
+     * their own sheet, linked by the row number of the parent row, or become indexed
+     * columns (tags[0], tags[1]) when flattened.
+     * @param {*} data - Data to export
+     * @param {string} nestedArrays - 'sheets' or 'flatten'
+     * @returns {Array<{name: string, columns: string[], rows: Array<Array<*>>}>} Sheets
      */
-    convertToCSV(data) {
-        if (!data || data.length === 0) {
-            return '';
+    buildWorkbookSheets(data, nestedArrays = 'sheets') {
+        const sheets = [];
+        const names = [];
+        const reserveName = (requested) => {
+            const name = uniqueSheetNames([...names, requested]).pop();
+            names.push(name);
+            return name;
+        };
+
+        const pending = [{
+            name: reserveName('Results'),
+            path: '',
+            parentName: null,
+            entries: (Array.isArray(data) ? data : [data]).map(value => ({ parentRow: null, value }))
+        }];
+        const childSheets = new Map(); // Array path -> pending sheet
+
+        while (pending.length > 0) {
+            const sheet = pending.shift();
+
+            const records = sheet.entries.map((entry, index) => {
+                const record = {};
+                if (sheet.parentName) {
+                    record[`${sheet.parentName} row`] = entry.parentRow;
+                }
+
+                // Row 1 is the header
+                const rowNumber = index + 2;
+                this.flattenRecord(record, '', entry.value, nestedArrays, (key, array) => {
+                    const path = sheet.path ? `${sheet.path}.${key}` : key;
+                    let child = childSheets.get(path);
+                    if (!child) {
+                        child = { name: reserveName(path), path, parentName: sheet.name, entries: [] };
+                        childSheets.set(path, child);
+                        pending.push(child);
+                    }
+                    array.forEach(value => child.entries.push({ parentRow: rowNumber, value }));
+                    return `${array.length} item${array.length !== 1 ? 's' : ''} → ${child.name}`;
+                });
+                return record;
+            });
+
+            const columns = [];
+            const seen = new Set();
+            records.forEach(record => {
+                Object.keys(record).forEach(key => {
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        columns.push(key);
+                    }
+                });
+            });
+
+            sheets.push({
+                name: sheet.name,
+                columns,
+                rows: records.map(record => columns.map(column => record[column]))
+            });
         }
 
-        // Get all unique keys from all objects
-        const allKeys = new Set();
-        data.forEach(item => {
-            Object.keys(item).forEach(key => allKeys.add(key));
+        return sheets;
+    }
+
+    /**
+     * Write a value into a flat record of column -> cell value
+     * @param {Object} record - Record being built
+     * @param {string} prefix - Column name of the value
+     * @param {*} value - Value to write
+     * @param {string} nestedArrays - 'sheets' or 'flatten'
+     * @param {Function} onArray - Moves a nested array to another sheet; returns the cell text
+     */
+    flattenRecord(record, prefix, value, nestedArrays, onArray) {
+        if (Array.isArray(value)) {
+            if (value.length === 0) {
+                if (prefix) record[prefix] = '';
+            } else if (prefix && nestedArrays === 'sheets') {
+                record[prefix] = onArray(prefix, value);
+            } else {
+                value.forEach((item, index) => this.flattenRecord(record, `${prefix}[${index}]`, item, nestedArrays, onArray));
+            }
+            return;
+        }
+
+        if (value !== null && typeof value === 'object') {
+            const keys = Object.keys(value);
+            if (keys.length === 0 && prefix) {
+                record[prefix] = '';
+            }
+            keys.forEach(key => this.flattenRecord(record, prefix ? `${prefix}.${key}` : key, value[key], nestedArrays, onArray));
+            return;
+        }
+
+        record[prefix || 'value'] = value;
+    }
+
+    /**
+     * Turn data into flat CSV records of column -> value
+     * @param {*} data - Data to export
+     * @param {Object} options - CSV options, see DEFAULT_CSV_OPTIONS
+     * @returns {Object[]} Records; exploded arrays give several records per item
+     */
+    toCSVRecords(data, options = {}) {
+        const settings = { ...DEFAULT_CSV_OPTIONS, ...options };
+        const records = [];
+
+        (Array.isArray(data) ? data : [data]).forEach(item => {
+            const row = item !== null && typeof item === 'object' && !Array.isArray(item) ? item : { value: item };
+            this.expandCSVValue('', row, settings).forEach(record => records.push(record));
+        });
+
+        return records;
+    }
+
+    /**
+     * Expand one value into the records it contributes
+     * @param {string} prefix - Column name (dot path) of the value
+     * @param {*} value - Value to expand
+     * @param {Object} settings - CSV options
+     * @returns {Object[]} Records; more than one when an array is exploded
+     */
+    expandCSVValue(prefix, value, settings) {
+        if (Array.isArray(value)) {
+            if (value.length === 0) {
+                return [{ [prefix]: '' }];
+            }
+            if (settings.arrays === 'explode') {
+                return value.flatMap(item => this.expandCSVValue(prefix, item, settings));
+            }
+
+            // Joined: primitives as a list, anything nested as JSON
+            const primitive = value.every(item => item === null || typeof item !== 'object');
+            return [{ [prefix]: primitive ? value.map(item => (item === null ? '' : String(item))).join(CSV_JOIN_SEPARATOR) : JSON.stringify(value) }];
+        }
+
+        if (value !== null && typeof value === 'object') {
+            if (prefix && !settings.flattenObjects) {
+                return [{ [prefix]: JSON.stringify(value) }];
+            }
+
+            const keys = Object.keys(value);
+            if (keys.length === 0) {
+                return [{ [prefix || 'value']: '' }];
+            }
+
+            // Each key's records combine with the others'; only exploded arrays give more than one
+            let records = [{}];
+            keys.forEach(key => {
+                const expanded = this.expandCSVValue(prefix ? `${prefix}.${key}` : key, value[key], settings);
+                records = expanded.length === 1
+                    ? records.map(record => Object.assign(record, expanded[0]))
+                    : records.flatMap(record => expanded.map(part => ({ ...record, ...part })));
+            });
+            return records;
+        }
+
+        return [{ [prefix || 'value']: value }];
+    }
+
+    /**
+     * Get the columns of CSV records in first-seen order
+     * @param {Object[]} records - Records from toCSVRecords
+     * @returns {string[]} Column names
+     */
+    getCSVColumns(records) {
+        const columns = new Set();
+        records.forEach(record => {
+            Object.keys(record).forEach(key => columns.add(key));
         });
+        return Array.from(columns);
+    }
+
+    /**
+     * Convert data to a CSV string
+     * @param {*} data - Data to export
+     * @param {Object} options - CSV options, see DEFAULT_CSV_OPTIONS
+     * @returns {string} CSV string
+     */
+    convertToCSV(data, options = {}) {
+        const settings = { ...DEFAULT_CSV_OPTIONS, ...options };
+        const records = this.toCSVRecords(data, settings);
+        if (records.length === 0) {
+            return '';
+        }
 
-        const headers = Array.from(allKeys);
+        const available = this.getCSVColumns(records);
+        const headers = settings.columns ? settings.columns.filter(column => available.includes(column)) : available;
+        if (headers.length === 0) {
+            throw new Error('Select at least one column to export');
+        }
 
         // Create header row
-        const headerRow = headers.map(header => this.escapeCSVValue(header)).join(this.csvDelimiter);
+        const headerRow = headers.map(header => this.escapeCSVValue(header, settings.delimiter)).join(settings.delimiter);
 
         // Create data rows
-        const dataRows = data.map(item => {
+        const dataRows = records.map(record => {
             return headers.map(header => {
-                const value = item[header];
-                return this.formatCSVValue(value);
-            }).join(this.csvDelimiter);
+                return this.formatCSVValue(record[header], settings.delimiter);
+            }).join(settings.delimiter);
         });
 
         // Combine header and data rows
-        return [headerRow, ...dataRows].join(this.csvLineBreak);
+        return [headerRow, ...dataRows].join(settings.lineBreak);
     }
 
     /**
      * Format a value for CSV
      * @param {*} value - Value to format
+     * @param {string} delimiter - Field delimiter
      * @returns {string} Formatted value
      */
-    formatCSVValue(value) {
+    formatCSVValue(value, delimiter = DEFAULT_CSV_OPTIONS.delimiter) {
         if (value === null || value === undefined) {
             return '';
         }
 
         if (typeof value === 'object') {
             // Convert objects/arrays to JSON string
-            return this.escapeCSVValue(JSON.stringify(value));
+            return this.escapeCSVValue(JSON.stringify(value), delimiter);
         }
 
-        return this.escapeCSVValue(String(value));
+        return this.escapeCSVValue(String(value), delimiter);
     }
 
     /**
-     * Escape CSV value (handle quotes and commas)
+     * Escape CSV value (handle quotes, delimiters and line breaks)
      * @param {string} value - Value to escape
+     * @param {string} delimiter - Field delimiter
      * @returns {string} Escaped value
      */
-    escapeCSVValue(value) {
+    escapeCSVValue(value, delimiter = DEFAULT_CSV_OPTIONS.delimiter) {
         // If value contains delimiter, quotes, or newlines, wrap in quotes
-        if (value.includes(this.csvDelimiter) || value.includes('"') || value.includes('\n')) {
+        if (value.includes(delimiter) || value.includes('"') || value.includes('\n') || value.includes('\r')) {
             // Escape quotes by doubling them
             return '"' + value.replace(/"/g, '""') + '"';
         }
@@ -115,7 +346,7 @@ export class ResultsExporter {
 
     /**
      * Download file to user's computer
-     * @param {string} content - File content
+     * @param {string|Uint8Array} content - File content
      * @param {string} filename - Filename
      * @param {string} mimeType - MIME type
      */
@@ -0,0 +1,660 @@
+/**
+ * Results Table Module
+ * Table view of array results: sorting, per-column filters, resizable and
+ * reorderable columns, column visibility and popovers for nested values
+ */
+
+import { VirtualList } from './virtualList.js';
+import { escapeHtml, formatJSON, syntaxHighlight } from './utils.js';
+
+const MIN_COLUMN_WIDTH = 60; // px
+
+// Filters such as `>= 30` compare instead of searching for text
+const FILTER_COMPARISON = /^(>=|<=|!=|>|<|=)\s*(.*)$/;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Get the plain text of a cell value
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export function getCellText(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Compare two cell values for sorting; numbers compare numerically, and empty
+ * values and nested values sort after the rest
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number}
+ */
+function compareValues(a, b) {
+    const rank = value => (value === null || value === undefined ? 2 : typeof value === 'object' ? 1 : 0);
+    const rankA = rank(a);
+    const rankB = rank(b);
+    if (rankA !== rankB || rankA === 2) return rankA - rankB;
+
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+    return collator.compare(getCellText(a), getCellText(b));
+}
+
+/**
+ * Build the test for one column filter
+ * @param {string} filter - Filter text: plain text to search for, or a comparison like `> 25`
+ * @returns {Function|null} Predicate on cell values, or null for an empty filter
+ */
+function createFilter(filter) {
+    const text = filter.trim();
+    if (!text) return null;
+
+    const comparison = text.match(FILTER_COMPARISON);
+    if (!comparison) {
+        const needle = text.toLowerCase();
+        return value => getCellText(value).toLowerCase().includes(needle);
+    }
+
+    const [, operator, operand] = comparison;
+    const number = operand.trim() !== '' ? Number(operand) : NaN;
+    return (value) => {
+        // Empty cells only pass "not equal"
+        if (value === null || value === undefined) return operator === '!=';
+
+        let order;
+        if (!Number.isNaN(number) && typeof value === 'number') {
+            order = value - number;
+        } else {
+            order = collator.compare(getCellText(value), operand);
+        }
+        switch (operator) {
+            case '>': return order > 0;
+            case '<': return order < 0;
+            case '>=': return order >= 0;
+            case '<=': return order <= 0;
+            case '=': return order === 0;
+            default: return order !== 0;
+        }
+    };
+}
+
+export class ResultsTable {
+    /**
+     * @param {HTMLElement} container - Element the table renders into
+     * @param {Object} options
+     * @param {Array} options.data - Query results; items that are not objects are skipped
+     * @param {HTMLElement} options.viewport - Scrolling element around the table
+     * @param {Object|null} options.layout - Saved layout: { order, hidden, widths, sort }
+     * @param {Function} options.onLayoutChange - Called with the layout after the user changes it
+     * @param {Function} options.onViewChange - Called when sorting or filtering changes the rows
+     * @param {Function} options.rowClass - Returns extra classes for a row, e.g. search matches
+     */
+    constructor(container, { data, viewport, layout = null, onLayoutChange, onViewChange, rowClass }) {
+        this.container = container;
+        this.viewport = viewport;
+        this.onLayoutChange = onLayoutChange;
+        this.onViewChange = onViewChange;
+        this.rowClass = rowClass || (() => '');
+
+        // Get all unique keys from all objects
+        const keys = new Set();
+        this.rows = [];
+        data.forEach(item => {
+            if (item && typeof item === 'object' && !Array.isArray(item)) {
+                Object.keys(item).forEach(key => keys.add(key));
+                this.rows.push(item);
+            }
+        });
+        this.columns = Array.from(keys);
+
+        this.defaultWidths = this.estimateWidths();
+        this.applyLayout(layout);
+        this.filters = {};
+        this.view = []; // Indexes into this.rows, filtered and sorted
+        this.list = null;
+        this.popover = null;
+
+        this.handleDocumentMouseDown = (e) => {
+            if (this.popover && !this.popover.contains(e.target) && !e.target.closest('.cell-expand')) {
+                this.closePopover();
+            }
+            if (!e.target.closest('.column-menu')) {
+                this.container.querySelector('.column-menu-list')?.classList.add('hidden');
+            }
+        };
+        this.handleDocumentKeyDown = (e) => {
+            if (e.key === 'Escape' && this.popover) {
+                this.closePopover();
+            }
+        };
+        this.handleViewportScroll = () => this.closePopover();
+    }
+
+    /**
+     * Check whether any item can be shown as a row
+     * @returns {boolean}
+     */
+    hasColumns() {
+        return this.columns.length > 0;
+    }
+
+    /**
+     * Use a saved layout, ignoring columns these results don't have
+     * @param {Object|null} layout - Saved layout
+     */
+    applyLayout(layout) {
+        const saved = layout || {};
+        const known = new Set(this.columns);
+
+        const order = (saved.order || []).filter(key => known.has(key));
+        this.order = [...order, ...this.columns.filter(key => !order.includes(key))];
+        this.hidden = new Set((saved.hidden || []).filter(key => known.has(key)));
+        if (this.hidden.size === this.order.length) {
+            this.hidden.clear();
+        }
+
+        this.widths = {};
+        Object.entries(saved.widths || {}).forEach(([key, width]) => {
+            if (known.has(key)) this.widths[key] = width;
+        });
+
+        this.sort = saved.sort && known.has(saved.sort.key) ? { ...saved.sort } : null;
+    }
+
+    /**
+     * Get the layout to persist
+     * @returns {Object} { order, hidden, widths, sort }
+     */
+    getLayout() {
+        return {
+            order: [...this.order],
+            hidden: Array.from(this.hidden),
+            widths: { ...this.widths },
+            sort: this.sort ? { ...this.sort } : null
+        };
+    }
+
+    /**
+     * Report a layout change
+     */
+    emitLayoutChange() {
+        if (this.onLayoutChange) {
+            this.onLayoutChange(this.getLayout());
+        }
+    }
+
+    /**
+     * Estimate column widths from the first rows, in characters
+     * @returns {Object} Width per column
+     */
+    estimateWidths() {
+        const sample = this.rows.slice(0, 200);
+        const widths = {};
+        this.columns.forEach(key => {
+            const longest = sample.reduce((max, item) => Math.max(max, getCellText(item[key]).length), key.length);
+            widths[key] = Math.min(Math.max(longest, 4), 40);
+        });
+        return widths;
+    }
+
+    /**
+     * Get the visible columns in display order
+     * @returns {string[]}
+     */
+    getVisibleColumns() {
+        return this.order.filter(key => !this.hidden.has(key));
+    }
+
+    /**
+     * Get the CSS width of a column; resized columns have a pixel width
+     * @param {string} key - Column key
+     * @returns {string}
+     */
+    getColumnWidth(key) {
+        return this.widths[key] ? `${this.widths[key]}px` : `calc(${this.defaultWidths[key]}ch + 2rem)`;
+    }
+
+    /**
+     * Render the controls and the table; rows are rendered by a virtual list
+     */
+    render() {
+        if (!this.hasColumns()) {
+            this.container.innerHTML = '<p class="info-text">Data cannot be displayed in table format</p>';
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="table-controls">
+                <span class="table-row-count"></span>
+                <div class="table-controls-actions">
+                    <div class="column-menu">
+                        <button type="button" class="btn btn-secondary btn-sm column-menu-toggle" aria-haspopup="true">⚙️ Columns</button>
+                        <div class="column-menu-list hidden"></div>
+                    </div>
+                    <button type="button" class="btn btn-secondary btn-sm table-reset-btn" title="Restore column order, widths, visibility and sorting, and clear filters">↺ Reset</button>
+                </div>
+            </div>
+            <div class="table-container">
+                <table class="results-table">
+                    <colgroup></colgroup>
+                    <thead></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        this.table = this.container.querySelector('.results-table');
+        this.renderColumns();
+        this.renderColumnMenu();
+        this.updateView();
+
+        this.list = new VirtualList({
+            viewport: this.viewport,
+            body: this.table.tBodies[0],
+            count: this.view.length,
+            rowHeight: 40,
+            renderRow: (index) => this.renderRow(index),
+            renderSpacer: (height) => `<tr class="virtual-spacer" style="height: ${height}px"><td colspan="${this.getVisibleColumns().length}"></td></tr>`
+        });
+
+        this.setupEvents();
+    }
+
+    /**
+     * Render the colgroup and the header and filter rows
+     */
+    renderColumns() {
+        const columns = this.getVisibleColumns();
+
+        this.table.querySelector('colgroup').innerHTML = columns
+            .map(key => `<col style="width: ${this.getColumnWidth(key)}">`)
+            .join('');
+        this.updateTableWidth();
+
+        const headers = columns.map((key, index) => {
+            const sorted = this.sort && this.sort.key === key ? this.sort.direction : null;
+            const indicator = sorted === 'asc' ? '▲' : sorted === 'desc' ? '▼' : '';
+            const ariaSort = sorted === 'asc' ? 'ascending' : sorted === 'desc' ? 'descending' : 'none';
+            return `
+                <th draggable="true" data-col="${index}" aria-sort="${ariaSort}" title="${escapeHtml(key)} - click to sort, drag to move">
+                    <button type="button" class="column-sort">${escapeHtml(key)}<span class="sort-indicator">${indicator}</span></button>
+                    <span class="column-resizer" aria-hidden="true"></span>
+                </th>
+            `;
+        }).join('');
+
+        const filters = columns.map((key, index) => `
+            <th>
+                <input type="text" class="column-filter" data-col="${index}" value="${escapeHtml(this.filters[key] || '')}"
+                    placeholder="Filter" aria-label="Filter ${escapeHtml(key)}" title="Text to find, or a comparison like > 25, <= 2024-01-01, != active">
+            </th>
+        `).join('');
+
+        this.table.tHead.innerHTML = `<tr class="column-headers">${headers}</tr><tr class="column-filters">${filters}</tr>`;
+    }
+
+    /**
+     * Size the table to the sum of its column widths
+     */
+    updateTableWidth() {
+        const widths = this.getVisibleColumns().map(key => this.getColumnWidth(key));
+        this.table.style.width = `calc(${widths.join(' + ')})`;
+    }
+
+    /**
+     * Render the column visibility checkboxes
+     */
+    renderColumnMenu() {
+        const menu = this.container.querySelector('.column-menu-list');
+        menu.innerHTML = this.order.map((key, index) => `
+            <label class="column-menu-item">
+                <input type="checkbox" data-order="${index}" ${this.hidden.has(key) ? '' : 'checked'}>
+                <span>${escapeHtml(key)}</span>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Apply filters and sorting to get the rows to show
+     */
+    updateView() {
+        const tests = Object.entries(this.filters)
+            .map(([key, filter]) => [key, createFilter(filter)])
+            .filter(([, test]) => test);
+
+        const view = [];
+        this.rows.forEach((item, index) => {
+            if (tests.every(([key, test]) => test(item[key]))) {
+                view.push(index);
+            }
+        });
+
+        if (this.sort) {
+            const { key, direction } = this.sort;
+            const sign = direction === 'desc' ? -1 : 1;
+            view.sort((a, b) => {
+                const valueA = this.rows[a][key];
+                const valueB = this.rows[b][key];
+                const order = compareValues(valueA, valueB);
+                // Empty values stay at the bottom in both directions
+                const empty = valueA === null || valueA === undefined || valueB === null || valueB === undefined;
+                return (empty ? order : order * sign) || a - b;
+            });
+        }
+
+        this.view = view;
+
+        const count = this.container.querySelector('.table-row-count');
+        if (count) {
+            count.textContent = view.length === this.rows.length
+                ? `${this.rows.length} row${this.rows.length !== 1 ? 's' : ''}`
+                : `${view.length} of ${this.rows.length} rows`;
+        }
+    }
+
+    /**
+     * Re-filter or re-sort and show the new rows
+     */
+    refreshView() {
+        this.updateView();
+        this.list?.setCount(this.view.length);
+        if (this.onViewChange) {
+            this.onViewChange();
+        }
+    }
+
+    /**
+     * Render one row
+     * @param {number} index - Position in the filtered and sorted view
+     * @returns {string} HTML
+     */
+    renderRow(index) {
+        const rowIndex = this.view[index];
+        const item = this.rows[rowIndex];
+        let html = `<tr class="${this.rowClass(index).trim()}" data-index="${index}">`;
+
+        this.getVisibleColumns().forEach(key => {
+            const value = item[key];
+            let displayValue = '';
+
+            if (value === null || value === undefined) {
+                displayValue = '<span class="null-value">null</span>';
+            } else if (typeof value === 'object') {
+                const size = Array.isArray(value)
+                    ? `[ ${value.length} item${value.length !== 1 ? 's' : ''} ]`
+                    : `{ ${Object.keys(value).length} key${Object.keys(value).length !== 1 ? 's' : ''} }`;
+                displayValue = `<button type="button" class="cell-expand" data-row="${rowIndex}" data-key="${escapeHtml(key)}">${size}</button>`;
+            } else {
+                displayValue = escapeHtml(String(value));
+            }
+
+            const title = typeof value === 'object' && value !== null ? '' : ` title="${escapeHtml(getCellText(value))}"`;
+            html += `<td${title}>${displayValue}</td>`;
+        });
+
+        return html + '</tr>';
+    }
+
+    /**
+     * Find the rows whose visible cells contain a text
+     * @param {string} needle - Lowercase text
+     * @returns {number[]} Positions in the view
+     */
+    findRows(needle) {
+        const columns = this.getVisibleColumns();
+        const matches = [];
+        this.view.forEach((rowIndex, index) => {
+            const item = this.rows[rowIndex];
+            if (columns.some(key => getCellText(item[key]).toLowerCase().includes(needle))) {
+                matches.push(index);
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Scroll a row of the view into the middle of the viewport
+     * @param {number} index - Position in the view
+     */
+    scrollToIndex(index) {
+        this.list?.scrollToIndex(index);
+    }
+
+    /**
+     * Re-render the visible rows
+     */
+    refresh() {
+        this.list?.refresh();
+    }
+
+    /**
+     * Wire up sorting, filtering, resizing, reordering, the column menu and popovers
+     */
+    setupEvents() {
+        const thead = this.table.tHead;
+        const columnAt = (element) => this.getVisibleColumns()[Number(element.dataset.col)];
+
+        thead.addEventListener('click', (e) => {
+            const button = e.target.closest('.column-sort');
+            if (button) {
+                this.toggleSort(columnAt(button.closest('th')));
+            }
+        });
+
+        let filterTimer = null;
+        thead.addEventListener('input', (e) => {
+            if (!e.target.classList.contains('column-filter')) return;
+            this.filters[columnAt(e.target)] = e.target.value;
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(() => this.refreshView(), 200);
+        });
+
+        thead.addEventListener('mousedown', (e) => {
+            const resizer = e.target.closest('.column-resizer');
+            if (resizer) {
+                e.preventDefault();
+                this.startResize(columnAt(resizer.closest('th')), resizer.closest('th'), e.clientX);
+            }
+        });
+
+        // Reorder by dragging header cells
+        let dragged = null;
+        thead.addEventListener('dragstart', (e) => {
+            const th = e.target.closest('th[draggable]');
+            if (!th) return;
+            dragged = columnAt(th);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', dragged);
+            th.classList.add('dragging');
+        });
+        thead.addEventListener('dragover', (e) => {
+            const th = e.target.closest('th[draggable]');
+            if (!dragged || !th) return;
+            e.preventDefault();
+            thead.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            th.classList.add('drop-target');
+        });
+        thead.addEventListener('drop', (e) => {
+            const th = e.target.closest('th[draggable]');
+            if (!dragged || !th) return;
+            e.preventDefault();
+            this.moveColumn(dragged, columnAt(th));
+        });
+        thead.addEventListener('dragend', () => {
+            dragged = null;
+            thead.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+        });
+
+        const menu = this.container.querySelector('.column-menu-list');
+        this.container.querySelector('.column-menu-toggle').addEventListener('click', () => {
+            menu.classList.toggle('hidden');
+        });
+        menu.addEventListener('change', (e) => {
+            const key = this.order[Number(e.target.dataset.order)];
+            this.setColumnVisible(key, e.target.checked);
+        });
+
+        this.container.querySelector('.table-reset-btn').addEventListener('click', () => this.resetLayout());
+
+        this.table.tBodies[0].addEventListener('click', (e) => {
+            const button = e.target.closest('.cell-expand');
+            if (button) {
+                this.openPopover(button, this.rows[Number(button.dataset.row)][button.dataset.key]);
+            }
+        });
+
+        document.addEventListener('mousedown', this.handleDocumentMouseDown);
+        document.addEventListener('keydown', this.handleDocumentKeyDown);
+        this.viewport.addEventListener('scroll', this.handleViewportScroll, { passive: true });
+    }
+
+    /**
+     * Cycle a column through ascending, descending and unsorted
+     * @param {string} key - Column key
+     */
+    toggleSort(key) {
+        if (!this.sort || this.sort.key !== key) {
+            this.sort = { key, direction: 'asc' };
+        } else if (this.sort.direction === 'asc') {
+            this.sort = { key, direction: 'desc' };
+        } else {
+            this.sort = null;
+        }
+
+        this.renderColumns();
+        this.refreshView();
+        this.emitLayoutChange();
+    }
+
+    /**
+     * Resize a column by dragging its right edge
+     * @param {string} key - Column key
+     * @param {HTMLElement} th - Header cell
+     * @param {number} startX - Pointer position when the drag started
+     */
+    startResize(key, th, startX) {
+        const col = this.table.querySelector('colgroup').children[Number(th.dataset.col)];
+        const startWidth = th.getBoundingClientRect().width;
+        document.body.classList.add('column-resizing');
+
+        const onMove = (e) => {
+            this.widths[key] = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + e.clientX - startX));
+            col.style.width = `${this.widths[key]}px`;
+            this.updateTableWidth();
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            document.body.classList.remove('column-resizing');
+            if (this.widths[key]) {
+                this.emitLayoutChange();
+            }
+        };
+
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Move a column to where another one is
+     * @param {string} key - Column to move
+     * @param {string} beforeKey - Column it is dropped on
+     */
+    moveColumn(key, beforeKey) {
+        if (key === beforeKey) return;
+
+        // Dropping on a column to the right places the moved column after it
+        const movingRight = this.order.indexOf(key) < this.order.indexOf(beforeKey);
+        const order = this.order.filter(k => k !== key);
+        const target = order.indexOf(beforeKey);
+        order.splice(movingRight ? target + 1 : target, 0, key);
+        this.order = order;
+
+        this.renderColumns();
+        this.renderColumnMenu();
+        this.list?.refresh();
+        this.emitLayoutChange();
+    }
+
+    /**
+     * Show or hide a column; the last visible column can't be hidden
+     * @param {string} key - Column key
+     * @param {boolean} visible - Whether the column is shown
+     */
+    setColumnVisible(key, visible) {
+        if (!visible && this.getVisibleColumns().length === 1) {
+            this.renderColumnMenu();
+            return;
+        }
+
+        if (visible) {
+            this.hidden.delete(key);
+        } else {
+            this.hidden.add(key);
+            delete this.filters[key];
+        }
+
+        this.renderColumns();
+        this.refreshView();
+        this.emitLayoutChange();
+    }
+
+    /**
+     * Drop the saved layout and the filters
+     */
+    resetLayout() {
+        this.applyLayout(null);
+        this.filters = {};
+        this.renderColumns();
+        this.renderColumnMenu();
+        this.refreshView();
+        this.emitLayoutChange();
+    }
+
+    /**
+     * Show a nested value in a popover next to its cell
+     * @param {HTMLElement} anchor - Cell button
+     * @param {*} value - Object or array
+     */
+    openPopover(anchor, value) {
+        this.closePopover();
+
+        const popover = document.createElement('div');
+        popover.className = 'cell-popover';
+        popover.setAttribute('role', 'dialog');
+        popover.innerHTML = `<pre class="json-formatted">${syntaxHighlight(formatJSON(value, 2))}</pre>`;
+        document.body.appendChild(popover);
+
+        // Below the cell, or above it when there is no room
+        const rect = anchor.getBoundingClientRect();
+        const { width, height } = popover.getBoundingClientRect();
+        const left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+        const top = rect.bottom + height + 8 > window.innerHeight ? Math.max(8, rect.top - height - 4) : rect.bottom + 4;
+        popover.style.left = `${left}px`;
+        popover.style.top = `${top}px`;
+
+        this.popover = popover;
+    }
+
+    /**
+     * Close the nested value popover
+     */
+    closePopover() {
+        this.popover?.remove();
+        this.popover = null;
+    }
+
+    /**
+     * Remove document listeners and the popover
+     */
+    destroy() {
+        this.closePopover();
+        this.list?.destroy();
+        document.removeEventListener('mousedown', this.handleDocumentMouseDown);
+        document.removeEventListener('keydown', this.handleDocumentKeyDown);
+        this.viewport.removeEventListener('scroll', this.handleViewportScroll);
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Saved Queries Module
+ * Folders, tags, search, {{parameter}} placeholders and edit history of saved queries
+ */
+
+// {{name}} placeholders; spaces inside the braces are allowed
+const PARAMETER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Earlier versions kept per saved query
+export const MAX_QUERY_VERSIONS = 20;
+
+// Fields of a saved query that are kept in its edit history
+const VERSION_FIELDS = ['name', 'query', 'description', 'language', 'folder', 'tags'];
+
+/**
+ * Find the parameters of a query
+ * @param {string} query - Query text with {{name}} placeholders
+ * @returns {string[]} Parameter names in order of first use
+ */
+export function findQueryParameters(query) {
+    const names = new Set();
+    for (const match of query.matchAll(PARAMETER_PATTERN)) {
+        names.add(match[1]);
+    }
+    return [...names];
+}
+
+/**
+ * Replace the placeholders of a query with values
+ * Values are inserted as typed, so a string placeholder needs the quotes of
+ * the query language around it: [?status == '{{status}}']
+ * @param {string} query - Query text
+ * @param {Object} values - Parameter name -> value
+ * @returns {string}
+ */
+export function fillQueryParameters(query, values) {
+    return query.replace(PARAMETER_PATTERN, (placeholder, name) => values[name] ?? '');
+}
+
+/**
+ * Parse comma-separated tags
+ * @param {string} text - e.g. "sales, monthly"
+ * @returns {string[]} Trimmed tags without blanks or duplicates (ignoring case)
+ */
+export function parseTags(text) {
+    const tags = [];
+    const seen = new Set();
+    text.split(',').forEach(tag => {
+        const trimmed = tag.trim();
+        if (trimmed && !seen.has(trimmed.toLowerCase())) {
+            seen.add(trimmed.toLowerCase());
+            tags.push(trimmed);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Normalize a folder name: "Reports / Monthly/" becomes "Reports/Monthly"
+ * @param {string} text - Folder name; '/' separates subfolders
+ * @returns {string} '' for no folder
+ */
+export function normalizeFolder(text) {
+    return text.split('/').map(part => part.trim()).filter(Boolean).join('/');
+}
+
+/**
+ * Whether a query is in a folder or one of its subfolders
+ * @param {Object} query - Saved query
+ * @param {string} folder - Folder name; '' for queries without a folder
+ * @returns {boolean}
+ */
+function isInFolder(query, folder) {
+    const own = query.folder || '';
+    if (folder === '') return own === '';
+    return own === folder || own.startsWith(`${folder}/`);
+}
+
+/**
+ * Filter saved queries
+ * @param {Array} queries - Saved queries
+ * @param {Object} filters
+ * @param {string} filters.search - Words that must all appear in the name,
+ *   description, query or tags (ignoring case)
+ * @param {string|null} filters.folder - Folder (with its subfolders), '' for
+ *   queries without a folder, or null for all
+ * @param {string|null} filters.tag - Tag, or null for all
+ * @param {boolean} filters.favoritesOnly - Keep only favorites
+ * @returns {Array} Matching queries
+ */
+export function filterSavedQueries(queries, { search = '', folder = null, tag = null, favoritesOnly = false } = {}) {
+    const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return queries.filter(query => {
+        if (favoritesOnly && !query.favorite) return false;
+        if (folder !== null && !isInFolder(query, folder)) return false;
+        if (tag !== null && !(query.tags || []).includes(tag)) return false;
+        if (words.length === 0) return true;
+
+        const text = [query.name, query.description, query.query, ...(query.tags || [])].join('\n').toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+}
+
+/**
+ * Group saved queries by folder
+ * Folders are sorted by name with queries without a folder last; favorites
+ * come first in each folder, then queries by name.
+ * @param {Array} queries - Saved queries
+ * @returns {Array<{ folder: string, queries: Array }>}
+ */
+export function groupByFolder(queries) {
+    const groups = new Map();
+    queries.forEach(query => {
+        const folder = query.folder || '';
+        if (!groups.has(folder)) groups.set(folder, []);
+        groups.get(folder).push(query);
+    });
+
+    return [...groups.entries()]
+        .sort(([a], [b]) => (a === '') - (b === '') || a.localeCompare(b))
+        .map(([folder, items]) => ({
+            folder,
+            queries: items.sort((a, b) => Boolean(b.favorite) - Boolean(a.favorite) || a.name.localeCompare(b.name))
+        }));
+}
+
+/**
+ * List the folders in use, including the parents of subfolders
+ * @param {Array} queries - Saved queries
+ * @returns {string[]} Sorted folder names
+ */
+export function listFolders(queries) {
+    const folders = new Set();
+    queries.forEach(query => {
+        const parts = (query.folder || '').split('/').filter(Boolean);
+        parts.forEach((part, index) => folders.add(parts.slice(0, index + 1).join('/')));
+    });
+    return [...folders].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * List the tags in use
+ * @param {Array} queries - Saved queries
+ * @returns {string[]} Sorted tags
+ */
+export function listTags(queries) {
+    const tags = new Set();
+    queries.forEach(query => (query.tags || []).forEach(tag => tags.add(tag)));
+    return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Take a version of a saved query for its edit history
+ * @param {Object} query - Saved query
+ * @returns {Object} { name, query, description, language, folder, tags, savedAt }
+ */
+export function snapshotQuery(query) {
+    return {
+        name: query.name,
+        query: query.query,
+        description: query.description || '',
+        language: query.language || 'jmespath',
+        folder: query.folder || '',
+        tags: query.tags || [],
+        savedAt: query.updatedAt || query.createdAt
+    };
+}
+
+/**
+ * Add the previous version of a saved query to its edit history when it changed
+ * @param {Object} previous - Saved query before the change
+ * @param {Object} next - Saved query after the change
+ * @returns {Array} Edit history of the changed query, oldest version first
+ */
+export function recordQueryVersion(previous, next) {
+    const history = previous.history || [];
+    const before = snapshotQuery(previous);
+    const after = snapshotQuery(next);
+    const changed = VERSION_FIELDS.some(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+    return changed ? [...history, before].slice(-MAX_QUERY_VERSIONS) : history;
+}
+
+/**
+ * Combine two edit histories
+ * Versions in both, as when a query is imported back from its own export, are kept once.
+ * @param {Array} first - Versions, oldest first
+ * @param {Array} second - Versions, oldest first
+ * @returns {Array} The most recent versions of both, oldest first
+ */
+export function mergeQueryHistories(first, second) {
+    const seen = new Set();
+    return [...first, ...second]
+        .filter(version => {
+            const key = JSON.stringify(snapshotQuery({ ...version, updatedAt: version.savedAt }));
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => String(a.savedAt).localeCompare(String(b.savedAt)))
+        .slice(-MAX_QUERY_VERSIONS);
+}
+
+/**
+ * Suggest a name that is not taken yet
+ * @param {string} name - Wanted name
+ * @param {Set<string>} taken - Names in use
+ * @returns {string} The name, or e.g. "Active users (2)"
+ */
+export function uniqueQueryName(name, taken) {
+    if (!taken.has(name)) return name;
+
+    let index = 2;
+    while (taken.has(`${name} (${index})`)) index++;
+    return `${name} (${index})`;
+}
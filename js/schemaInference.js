@@ -0,0 +1,510 @@
+/**
+ * Schema Inference Module
+ * Infers the shape of JSON data from every value and writes it out as
+ * a JSON Schema, TypeScript interfaces or a Zod schema
+ */
+
+import { DATE_TIME_PATTERN, DATE_PATTERN, isValidDate } from './jsonSchema.js';
+
+// Distinct string values remembered per field; more than this is free text
+const MAX_TRACKED_VALUES = 50;
+
+// A string field becomes an enum when it has 2 to this many distinct values...
+const ENUM_MAX_VALUES = 10;
+
+// ...and each value occurs this many times on average
+const ENUM_MIN_REPEAT = 2;
+
+// Checked in order; a field gets the first format every value matches. Dates
+// use the validator's checks, so data passes the schema generated from it.
+const STRING_FORMATS = [
+    { name: 'date-time', test: value => DATE_TIME_PATTERN.test(value) && isValidDate(value.slice(0, 10)) },
+    { name: 'date', test: value => DATE_PATTERN.test(value) && isValidDate(value) },
+    { name: 'email', test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) },
+    { name: 'uri', test: value => /^[A-Za-z][A-Za-z0-9+.-]*:\/\/[^\s]+$/.test(value) },
+    { name: 'uuid', test: value => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value) }
+];
+
+// Output formats offered by the Generate Schema dialog
+export const SCHEMA_OUTPUTS = {
+    jsonSchema: { label: 'JSON Schema', filename: 'schema.json', mimeType: 'application/schema+json' },
+    typescript: { label: 'TypeScript', filename: 'types.ts', mimeType: 'text/typescript' },
+    zod: { label: 'Zod', filename: 'schema.ts', mimeType: 'text/typescript' }
+};
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Create an empty shape
+ * @returns {Object} Shape that has seen no values
+ */
+function createShape() {
+    return {
+        count: 0,
+        null: 0,
+        boolean: 0,
+        integer: 0,
+        number: 0,
+        string: null, // { count, values: Map(value → count) | null, formats: Set of candidate formats }
+        object: null, // { count, properties: Map(key → { count, shape }) }
+        array: null // { count, items: shape }
+    };
+}
+
+/**
+ * Add a string value to a shape
+ * @param {Object} shape - Shape of the field
+ * @param {string} value - String value
+ */
+function addString(shape, value) {
+    if (!shape.string) {
+        // Every format is a candidate until a value fails it
+        shape.string = { count: 0, values: new Map(), formats: new Set(STRING_FORMATS.map(format => format.name)) };
+    }
+
+    const string = shape.string;
+    string.count++;
+
+    if (string.values) {
+        string.values.set(value, (string.values.get(value) || 0) + 1);
+        if (string.values.size > MAX_TRACKED_VALUES) string.values = null;
+    }
+
+    if (string.formats.size > 0) {
+        STRING_FORMATS.forEach(format => {
+            if (string.formats.has(format.name) && !format.test(value)) {
+                string.formats.delete(format.name);
+            }
+        });
+    }
+}
+
+/**
+ * Add a value to a shape, walking into objects and arrays
+ * @param {Object} shape - Shape the value belongs to
+ * @param {*} value - JSON value
+ */
+function addValue(shape, value) {
+    shape.count++;
+
+    if (value === null) {
+        shape.null++;
+    } else if (typeof value === 'boolean') {
+        shape.boolean++;
+    } else if (typeof value === 'number') {
+        if (Number.isInteger(value)) shape.integer++;
+        else shape.number++;
+    } else if (typeof value === 'string') {
+        addString(shape, value);
+    } else if (Array.isArray(value)) {
+        if (!shape.array) {
+            shape.array = { count: 0, items: createShape() };
+        }
+        shape.array.count++;
+        value.forEach(item => addValue(shape.array.items, item));
+    } else if (typeof value === 'object') {
+        if (!shape.object) {
+            shape.object = { count: 0, properties: new Map() };
+        }
+        shape.object.count++;
+        Object.keys(value).forEach(key => {
+            let property = shape.object.properties.get(key);
+            if (!property) {
+                property = { count: 0, shape: createShape() };
+                shape.object.properties.set(key, property);
+            }
+            property.count++;
+            addValue(property.shape, value[key]);
+        });
+    }
+}
+
+/**
+ * Infer the shape of JSON data from every value in it
+ * Arrays merge all their items, so a field counts as required only when
+ * every record has it. The result can be sent to and from a worker.
+ * @param {*} data - JSON value
+ * @returns {Object} Shape
+ */
+export function inferShape(data) {
+    const shape = createShape();
+    addValue(shape, data);
+    return shape;
+}
+
+/**
+ * Format shared by every string value of a shape
+ * @param {Object} string - String part of a shape
+ * @returns {string|null}
+ */
+function getStringFormat(string) {
+    const format = STRING_FORMATS.find(candidate => string.formats.has(candidate.name));
+    return format ? format.name : null;
+}
+
+/**
+ * Enum values of a low-cardinality string field
+ * @param {Object} string - String part of a shape
+ * @returns {string[]|null} Sorted values, or null when the field is free text
+ */
+function getStringEnum(string) {
+    if (!string.values || getStringFormat(string)) return null;
+
+    const distinct = string.values.size;
+    if (distinct < 2 || distinct > ENUM_MAX_VALUES || string.count < distinct * ENUM_MIN_REPEAT) return null;
+
+    return Array.from(string.values.keys()).sort();
+}
+
+/**
+ * List the non-null kinds of value a shape has seen
+ * @param {Object} shape - Shape
+ * @returns {string[]} Some of 'boolean', 'integer', 'number', 'string', 'object', 'array'
+ */
+function getKinds(shape) {
+    const kinds = [];
+    if (shape.boolean) kinds.push('boolean');
+    // Integers and decimals in the same field make it a number
+    if (shape.number) kinds.push('number');
+    else if (shape.integer) kinds.push('integer');
+    if (shape.string) kinds.push('string');
+    if (shape.object) kinds.push('object');
+    if (shape.array) kinds.push('array');
+    return kinds;
+}
+
+/**
+ * Convert a shape to a JSON Schema
+ * @param {Object} shape - Shape from inferShape
+ * @returns {Object} Subschema
+ */
+function shapeToSchema(shape) {
+    // Nothing seen, such as the items of arrays that are always empty
+    if (shape.count === 0) return {};
+
+    const schemas = getKinds(shape).map(kind => kindToSchema(shape, kind));
+
+    if (shape.null) {
+        // Fold null into a lone simple type: { "type": ["string", "null"] }
+        if (schemas.length === 1 && typeof schemas[0].type === 'string') {
+            const [schema] = schemas;
+            schema.type = [schema.type, 'null'];
+            if (schema.enum) schema.enum.push(null);
+            return schema;
+        }
+        schemas.push({ type: 'null' });
+    }
+
+    if (schemas.length === 1) return schemas[0];
+
+    // Types without other keywords combine into a type list
+    if (schemas.every(schema => Object.keys(schema).length === 1)) {
+        return { type: schemas.map(schema => schema.type) };
+    }
+    return { anyOf: schemas };
+}
+
+/**
+ * Convert one kind of value seen by a shape to a JSON Schema
+ * @param {Object} shape - Shape
+ * @param {string} kind - Kind from getKinds
+ * @returns {Object} Subschema
+ */
+function kindToSchema(shape, kind) {
+    if (kind === 'string') {
+        const schema = { type: 'string' };
+        const format = getStringFormat(shape.string);
+        const values = getStringEnum(shape.string);
+        if (format) schema.format = format;
+        if (values) schema.enum = values;
+        return schema;
+    }
+
+    if (kind === 'object') {
+        const { count, properties } = shape.object;
+        const schema = { type: 'object', properties: {} };
+        const required = [];
+        properties.forEach((property, key) => {
+            schema.properties[key] = shapeToSchema(property.shape);
+            if (property.count === count) required.push(key);
+        });
+        if (required.length > 0) schema.required = required;
+        return schema;
+    }
+
+    if (kind === 'array') {
+        const schema = { type: 'array' };
+        if (shape.array.items.count > 0) {
+            schema.items = shapeToSchema(shape.array.items);
+        }
+        return schema;
+    }
+
+    return { type: kind };
+}
+
+/**
+ * Write a shape as a JSON Schema (draft 2020-12)
+ * @param {Object} shape - Shape from inferShape
+ * @param {Object} options
+ * @param {string} options.title - Schema title
+ * @returns {Object} JSON Schema
+ */
+export function shapeToJSONSchema(shape, { title = 'Root' } = {}) {
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title,
+        ...shapeToSchema(shape)
+    };
+}
+
+/**
+ * Turn a property name into a PascalCase type name
+ * @param {string} text - Property name
+ * @returns {string}
+ */
+function toTypeName(text) {
+    const name = text
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join('');
+    if (!name) return 'Item';
+    return /^[0-9]/.test(name) ? `T${name}` : name;
+}
+
+/**
+ * Guess the type name of one item of a plural property ("users" → "User")
+ * @param {string} name - Type name of the array
+ * @returns {string}
+ */
+function toItemName(name) {
+    if (/ies$/.test(name)) return `${name.slice(0, -3)}y`;
+    if (/[^s]s$/.test(name)) return name.slice(0, -1);
+    return `${name}Item`;
+}
+
+/**
+ * Name every object shape so it can be written as its own declaration
+ * @param {Object} shape - Root shape
+ * @param {string} rootName - Name of the root type
+ * @returns {Object} { names: Map(object shape → name), order: object shapes, dependencies first }
+ */
+function nameObjectShapes(shape, rootName) {
+    const names = new Map();
+    const used = new Set();
+    const order = [];
+
+    const claim = (name) => {
+        let unique = name;
+        for (let n = 2; used.has(unique); n++) {
+            unique = `${name}${n}`;
+        }
+        used.add(unique);
+        return unique;
+    };
+
+    const visit = (node, objectName, itemName) => {
+        if (node.object) {
+            names.set(node, claim(objectName));
+            node.object.properties.forEach((property, key) => {
+                const name = toTypeName(key);
+                visit(property.shape, name, toItemName(name));
+            });
+            order.push(node);
+        }
+        if (node.array) {
+            visit(node.array.items, itemName, toItemName(itemName));
+        }
+    };
+
+    // Only a root that is always an object is declared under the root name;
+    // anything else becomes a type alias with that name
+    const objectRoot = shape.object && !shape.null && getKinds(shape).length === 1;
+    if (!objectRoot) used.add(rootName);
+    visit(shape, objectRoot ? rootName : `${rootName}Object`, rootName === 'Root' ? 'Item' : toItemName(rootName));
+
+    return { names, order };
+}
+
+/**
+ * Quote a property name when it is not a valid identifier
+ * @param {string} key - Property name
+ * @returns {string}
+ */
+function propertyKey(key) {
+    return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Write the TypeScript type of a shape
+ * @param {Object} shape - Shape
+ * @param {Map} names - Names of object shapes
+ * @returns {string}
+ */
+function shapeToTypeScriptType(shape, names) {
+    if (shape.count === 0) return 'unknown';
+
+    const types = getKinds(shape).map(kind => {
+        switch (kind) {
+            case 'integer':
+            case 'number':
+                return 'number';
+            case 'string': {
+                const values = getStringEnum(shape.string);
+                return values ? values.map(value => JSON.stringify(value)).join(' | ') : 'string';
+            }
+            case 'object':
+                return names.get(shape);
+            case 'array': {
+                const item = shapeToTypeScriptType(shape.array.items, names);
+                return /^[\w$]+$/.test(item) ? `${item}[]` : `(${item})[]`;
+            }
+            default:
+                return kind;
+        }
+    });
+
+    if (shape.null) types.push('null');
+    return types.join(' | ');
+}
+
+/**
+ * Write a shape as TypeScript interfaces
+ * @param {Object} shape - Shape from inferShape
+ * @param {Object} options
+ * @param {string} options.rootName - Name of the root type
+ * @returns {string} TypeScript source
+ */
+export function shapeToTypeScript(shape, { rootName = 'Root' } = {}) {
+    const { names, order } = nameObjectShapes(shape, rootName);
+
+    const declarations = order.reverse().map(node => {
+        const { count, properties } = node.object;
+        const lines = [];
+        properties.forEach((property, key) => {
+            const optional = property.count < count ? '?' : '';
+            lines.push(`    ${propertyKey(key)}${optional}: ${shapeToTypeScriptType(property.shape, names)};`);
+        });
+        return `export interface ${names.get(node)} {\n${lines.join('\n')}\n}`;
+    });
+
+    // A root that is not a single object gets a type alias
+    if (names.get(shape) !== rootName) {
+        declarations.unshift(`export type ${rootName} = ${shapeToTypeScriptType(shape, names)};`);
+    }
+
+    return `${declarations.join('\n\n')}\n`;
+}
+
+/**
+ * Write the Zod schema expression of a shape
+ * @param {Object} shape - Shape
+ * @param {Map} names - Names of object shapes
+ * @returns {string}
+ */
+function shapeToZodType(shape, names) {
+    if (shape.count === 0) return 'z.unknown()';
+
+    const types = getKinds(shape).map(kind => {
+        switch (kind) {
+            case 'boolean':
+                return 'z.boolean()';
+            case 'integer':
+                return 'z.number().int()';
+            case 'number':
+                return 'z.number()';
+            case 'string': {
+                const values = getStringEnum(shape.string);
+                if (values) return `z.enum([${values.map(value => JSON.stringify(value)).join(', ')}])`;
+
+                switch (getStringFormat(shape.string)) {
+                    case 'date-time':
+                        return 'z.string().datetime({ offset: true })';
+                    case 'date':
+                        return 'z.string().date()';
+                    case 'email':
+                        return 'z.string().email()';
+                    case 'uri':
+                        return 'z.string().url()';
+                    case 'uuid':
+                        return 'z.string().uuid()';
+                    default:
+                        return 'z.string()';
+                }
+            }
+            case 'object':
+                return `${names.get(shape)}Schema`;
+            case 'array':
+                return `z.array(${shapeToZodType(shape.array.items, names)})`;
+            default:
+                return 'z.unknown()';
+        }
+    });
+
+    const type = types.length === 1 ? types[0] : `z.union([${types.join(', ')}])`;
+    return shape.null ? (types.length === 0 ? 'z.null()' : `${type}.nullable()`) : type;
+}
+
+/**
+ * Write a shape as a Zod schema
+ * Nested objects are declared first so every schema is defined before use.
+ * @param {Object} shape - Shape from inferShape
+ * @param {Object} options
+ * @param {string} options.rootName - Name of the root type
+ * @returns {string} TypeScript source using zod
+ */
+export function shapeToZod(shape, { rootName = 'Root' } = {}) {
+    const { names, order } = nameObjectShapes(shape, rootName);
+
+    const declarations = order.map(node => {
+        const { count, properties } = node.object;
+        const lines = [];
+        properties.forEach((property, key) => {
+            const optional = property.count < count ? '.optional()' : '';
+            lines.push(`    ${propertyKey(key)}: ${shapeToZodType(property.shape, names)}${optional},`);
+        });
+        return `export const ${names.get(node)}Schema = z.object({\n${lines.join('\n')}\n});`;
+    });
+
+    if (names.get(shape) !== rootName) {
+        declarations.push(`export const ${rootName}Schema = ${shapeToZodType(shape, names)};`);
+    }
+
+    return [
+        "import { z } from 'zod';",
+        ...declarations,
+        `export type ${rootName} = z.infer<typeof ${rootName}Schema>;`
+    ].join('\n\n') + '\n';
+}
+
+/**
+ * Write a shape in one of the SCHEMA_OUTPUTS formats
+ * @param {Object} shape - Shape from inferShape
+ * @param {string} output - 'jsonSchema', 'typescript' or 'zod'
+ * @param {string} rootName - Name of the root type
+ * @returns {string}
+ */
+export function formatShape(shape, output, rootName = 'Root') {
+    switch (output) {
+        case 'typescript':
+            return shapeToTypeScript(shape, { rootName });
+        case 'zod':
+            return shapeToZod(shape, { rootName });
+        default:
+            return `${JSON.stringify(shapeToJSONSchema(shape, { title: rootName }), null, 2)}\n`;
+    }
+}
+
+/**
+ * Describe what a shape was inferred from
+ * @param {Object} shape - Shape from inferShape
+ * @returns {string} e.g. "1,204 records"
+ */
+export function describeShape(shape) {
+    if (shape.array && !shape.object && shape.count === 1) {
+        const records = shape.array.items.count;
+        return `${records.toLocaleString()} record${records !== 1 ? 's' : ''}`;
+    }
+    return 'a single value';
+}
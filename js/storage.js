@@ -1,23 +1,38 @@
 /**
  * Storage Module
- * Handles localStorage operations for saving queries and history
+ * Handles localStorage operations for saving queries, history and the workspace,
+ * and the IndexedDB store of recently loaded documents
  */
 
+import { DocumentStore } from './documentStore.js';
+import { recordQueryVersion, mergeQueryHistories, snapshotQuery } from './savedQueries.js';
+import { createQueryLibrary } from './queryLibrary.js';
+
 export class StorageManager {
     constructor() {
         this.SAVED_QUERIES_KEY = 'jsonAnalyser_savedQueries';
         this.QUERY_HISTORY_KEY = 'jsonAnalyser_queryHistory';
+        this.PREFERENCES_KEY = 'jsonAnalyser_preferences';
+        this.WORKSPACE_KEY = 'jsonAnalyser_workspace';
         this.MAX_HISTORY_ITEMS = 50;
+
+        // Loaded documents are too large for localStorage
+        this.documentStore = new DocumentStore();
     }
 
     /**
      * Save a query with a name
      * @param {string} name - Query name
-     * @param {string} query - JMESPath query
+     * @param {string} query - Query text
      * @param {string} description - Optional description
+     * @param {string} language - Query language ('jmespath', 'jsonpath' or 'jq')
+     * @param {Object|null} tableLayout - Table view column layout; an update keeps the stored one when null
+     * @param {Object} details
+     * @param {string} details.folder - Folder name; '/' separates subfolders, '' for none
+     * @param {string[]} details.tags - Tags
      * @returns {boolean} Success status
      */
-    saveQuery(name, query, description = '') {
+    saveQuery(name, query, description = '', language = 'jmespath', tableLayout = null, { folder = '', tags = [] } = {}) {
         if (!name || !query) {
             return false;
         }
@@ -30,8 +45,14 @@ export class StorageManager {
                 name,
                 query,
                 description,
+                language,
+                tableLayout,
+                folder,
+                tags,
+                favorite: false,
                 createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
+                updatedAt: new Date().toISOString(),
+                history: []
             };
 
             // Check if query with same name exists
@@ -40,6 +61,9 @@ export class StorageManager {
                 // Update existing
                 newQuery.id = savedQueries[existingIndex].id;
                 newQuery.createdAt = savedQueries[existingIndex].createdAt;
+                newQuery.tableLayout = tableLayout || savedQueries[existingIndex].tableLayout || null;
+                newQuery.favorite = Boolean(savedQueries[existingIndex].favorite);
+                newQuery.history = recordQueryVersion(savedQueries[existingIndex], newQuery);
                 savedQueries[existingIndex] = newQuery;
             } else {
                 // Add new
@@ -68,6 +92,74 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Change the details of a saved query
+     * @param {string} id - Query ID
+     * @param {Object} changes - Any of name, description, folder, tags and favorite
+     * @returns {boolean} Success status; false when the name is taken by another query
+     */
+    updateSavedQuery(id, changes) {
+        try {
+            const savedQueries = this.getSavedQueries();
+            const savedQuery = savedQueries.find(q => q.id === id);
+            if (!savedQuery) {
+                return false;
+            }
+            if (changes.name !== undefined && (!changes.name || savedQueries.some(q => q.id !== id && q.name === changes.name))) {
+                return false;
+            }
+
+            const previous = { ...savedQuery };
+            ['name', 'description', 'folder', 'tags', 'favorite'].forEach(key => {
+                if (changes[key] !== undefined) {
+                    savedQuery[key] = changes[key];
+                }
+            });
+            // Starring a query doesn't count as editing it
+            if (Object.keys(changes).some(key => key !== 'favorite')) {
+                savedQuery.updatedAt = new Date().toISOString();
+                savedQuery.history = recordQueryVersion(previous, savedQuery);
+            }
+
+            localStorage.setItem(this.SAVED_QUERIES_KEY, JSON.stringify(savedQueries));
+            return true;
+        } catch (error) {
+            console.error('Error updating query:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Make an earlier version of a saved query the current one
+     * The current version is added to the edit history, so a restore can be undone.
+     * @param {string} id - Query ID
+     * @param {number} index - Index of the version in the query's history
+     * @returns {boolean} Success status; false when the version's name is taken by another query
+     */
+    restoreQueryVersion(id, index) {
+        try {
+            const savedQueries = this.getSavedQueries();
+            const savedQuery = savedQueries.find(q => q.id === id);
+            const version = savedQuery?.history?.[index];
+            if (!version || savedQueries.some(q => q.id !== id && q.name === version.name)) {
+                return false;
+            }
+
+            const previous = { ...savedQuery };
+            ['name', 'query', 'description', 'language', 'folder', 'tags'].forEach(key => {
+                savedQuery[key] = version[key];
+            });
+            savedQuery.updatedAt = new Date().toISOString();
+            savedQuery.history = recordQueryVersion(previous, savedQuery);
+
+            localStorage.setItem(this.SAVED_QUERIES_KEY, JSON.stringify(savedQueries));
+            return true;
+        } catch (error) {
+            console.error('Error restoring query version:', error);
+            return false;
+        }
+    }
+
     /**
      * Delete a saved query
      * @param {string} id - Query ID
@@ -85,12 +177,38 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Store the table view column layout of a saved query
+     * @param {string} id - Query ID
+     * @param {Object|null} tableLayout - Layout: { order, hidden, widths, sort }
+     * @returns {boolean} Success status
+     */
+    saveTableLayout(id, tableLayout) {
+        try {
+            const savedQueries = this.getSavedQueries();
+            const savedQuery = savedQueries.find(q => q.id === id);
+            if (!savedQuery) {
+                return false;
+            }
+
+            savedQuery.tableLayout = tableLayout;
+            localStorage.setItem(this.SAVED_QUERIES_KEY, JSON.stringify(savedQueries));
+            return true;
+        } catch (error) {
+            console.error('Error saving table layout:', error);
+            return false;
+        }
+    }
+
     /**
      * Add query to history
-     * @param {string} query - JMESPath query
-     * @param {*} result - Query result (optional)
+     * Running a query again replaces its entry, which stays pinned if it was.
+     * @param {string} query - Query text
+     * @param {string} language - Query language ('jmespath', 'jsonpath' or 'jq')
+     * @param {Object} run - Details of the run: { duration, dataset: { name, fingerprint } }
+     *   and the fields of summarizeResult
      */
-    addToHistory(query) {
+    addToHistory(query, language = 'jmespath', run = {}) {
         if (!query || query.trim() === '') {
             return;
         }
@@ -98,27 +216,47 @@ export class StorageManager {
         try {
             let history = this.getQueryHistory();
 
-            // Remove duplicate if exists
-            history = history.filter(item => item.query !== query);
+            // Remove duplicate if exists (entries without a language predate
+            // JSONPath and jq support and are JMESPath)
+            const isSame = item => item.query === query && (item.language || 'jmespath') === language;
+            const pinned = history.some(item => isSame(item) && item.pinned);
+            history = history.filter(item => !isSame(item));
 
             // Add to beginning
             history.unshift({
                 id: this.generateId(),
                 query,
-                timestamp: new Date().toISOString()
+                language,
+                timestamp: new Date().toISOString(),
+                pinned,
+                ...run
             });
 
-            // Limit history size
-            if (history.length > this.MAX_HISTORY_ITEMS) {
-                history = history.slice(0, this.MAX_HISTORY_ITEMS);
-            }
+            // Limit history size; pinned entries don't count
+            let unpinned = 0;
+            history = history.filter(item => item.pinned || ++unpinned <= this.MAX_HISTORY_ITEMS);
 
-            localStorage.setItem(this.QUERY_HISTORY_KEY, JSON.stringify(history));
+            this.writeHistory(history);
         } catch (error) {
             console.error('Error adding to history:', error);
         }
     }
 
+    /**
+     * Store the query history
+     * When localStorage is full, the kept results of all but the pinned entries
+     * are dropped; a replay of those compares only the result hash.
+     * @param {Array} history - History entries
+     */
+    writeHistory(history) {
+        try {
+            localStorage.setItem(this.QUERY_HISTORY_KEY, JSON.stringify(history));
+        } catch (error) {
+            const trimmed = history.map(item => (item.pinned ? item : { ...item, resultText: null }));
+            localStorage.setItem(this.QUERY_HISTORY_KEY, JSON.stringify(trimmed));
+        }
+    }
+
     /**
      * Get query history
      * @returns {Array} Query history
@@ -134,12 +272,39 @@ export class StorageManager {
     }
 
     /**
-     * Clear query history
+     * Pin or unpin a history entry; pinned entries are kept beyond the history
+     * limit and when the history is cleared
+     * @param {string} id - Entry ID
+     * @param {boolean} pinned - Whether to pin it
+     * @returns {boolean} Success status
+     */
+    setHistoryPinned(id, pinned) {
+        try {
+            const history = this.getQueryHistory();
+            const entry = history.find(item => item.id === id);
+            if (!entry) return false;
+
+            entry.pinned = pinned;
+            this.writeHistory(history);
+            return true;
+        } catch (error) {
+            console.error('Error pinning history entry:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Clear query history, keeping pinned entries
      * @returns {boolean} Success status
      */
     clearHistory() {
         try {
-            localStorage.removeItem(this.QUERY_HISTORY_KEY);
+            const pinned = this.getQueryHistory().filter(item => item.pinned);
+            if (pinned.length > 0) {
+                this.writeHistory(pinned);
+            } else {
+                localStorage.removeItem(this.QUERY_HISTORY_KEY);
+            }
             return true;
         } catch (error) {
             console.error('Error clearing history:', error);
@@ -147,6 +312,71 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Get a stored preference
+     * @param {string} key - Preference name
+     * @param {*} defaultValue - Returned when the preference is not set
+     * @returns {*} Preference value
+     */
+    getPreference(key, defaultValue = null) {
+        try {
+            const data = localStorage.getItem(this.PREFERENCES_KEY);
+            const preferences = data ? JSON.parse(data) : {};
+            return Object.prototype.hasOwnProperty.call(preferences, key) ? preferences[key] : defaultValue;
+        } catch (error) {
+            console.error('Error loading preferences:', error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Store a preference
+     * @param {string} key - Preference name
+     * @param {*} value - JSON-serializable value
+     * @returns {boolean} Success status
+     */
+    setPreference(key, value) {
+        try {
+            const data = localStorage.getItem(this.PREFERENCES_KEY);
+            const preferences = data ? JSON.parse(data) : {};
+            preferences[key] = value;
+            localStorage.setItem(this.PREFERENCES_KEY, JSON.stringify(preferences));
+            return true;
+        } catch (error) {
+            console.error('Error saving preference:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Store the workspace documents
+     * @param {Object} workspace - { activeId, documents: [{ id, name, format, text }] }
+     * @returns {boolean} Success status; false when it does not fit in localStorage
+     */
+    saveWorkspace(workspace) {
+        try {
+            localStorage.setItem(this.WORKSPACE_KEY, JSON.stringify(workspace));
+            return true;
+        } catch (error) {
+            console.error('Error saving workspace:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the stored workspace
+     * @returns {Object|null} Workspace from saveWorkspace, or null if none is stored
+     */
+    getWorkspace() {
+        try {
+            const data = localStorage.getItem(this.WORKSPACE_KEY);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Error loading workspace:', error);
+            return null;
+        }
+    }
+
     /**
      * Generate unique ID
      * @returns {string} Unique ID
@@ -156,58 +386,85 @@ export class StorageManager {
     }
 
     /**
-     * Export saved queries to JSON
-     * @returns {string} JSON string of saved queries
+     * Export saved queries as a versioned library file
+     * @param {Array} queries - Queries to export; all saved queries by default
+     * @returns {string} JSON string in the format of queryLibrary.js
      */
-    exportSavedQueries() {
-        const queries = this.getSavedQueries();
-        return JSON.stringify(queries, null, 2);
+    exportSavedQueries(queries = this.getSavedQueries()) {
+        return JSON.stringify(createQueryLibrary(queries), null, 2);
     }
 
     /**
-     * Import saved queries from JSON
-     * @param {string} jsonString - JSON string of queries
-     * @returns {boolean} Success status
+     * Import queries read from a library file
+     * Conflicts with existing names are resolved beforehand: 'replace' overwrites the
+     * query of that name (its current version goes into the edit history), 'rename'
+     * adds the query under a new name. Queries to keep are left out of the list.
+     * @param {Array} imports - [{ query, action: 'add' | 'replace' | 'rename', name }]
+     *   where query is from parseQueryLibrary and name is the new name of a rename
+     * @returns {Object|null} { added, replaced, renamed } counts, or null if storing failed
      */
-    importSavedQueries(jsonString) {
+    importSavedQueries(imports) {
         try {
-            const importedQueries = JSON.parse(jsonString);
-            if (!Array.isArray(importedQueries)) {
-                throw new Error('Invalid format');
-            }
-
-            const currentQueries = this.getSavedQueries();
-            const merged = [...importedQueries, ...currentQueries];
+            const savedQueries = this.getSavedQueries();
+            const counts = { added: 0, replaced: 0, renamed: 0 };
 
-            // Remove duplicates by name
-            const unique = merged.reduce((acc, query) => {
-                if (!acc.find(q => q.name === query.name)) {
-                    acc.push(query);
+            imports.forEach(({ query, action, name }) => {
+                const existing = savedQueries.find(q => q.name === query.name);
+                if (action === 'replace' && existing) {
+                    Object.assign(existing, query, {
+                        id: existing.id,
+                        history: mergeQueryHistories([...(existing.history || []), snapshotQuery(existing)], query.history)
+                    });
+                    counts.replaced++;
+                    return;
                 }
-                return acc;
-            }, []);
 
-            localStorage.setItem(this.SAVED_QUERIES_KEY, JSON.stringify(unique));
-            return true;
+                savedQueries.unshift({ ...query, id: this.generateId(), name: action === 'rename' ? name : query.name });
+                counts[action === 'rename' ? 'renamed' : 'added']++;
+            });
+
+            localStorage.setItem(this.SAVED_QUERIES_KEY, JSON.stringify(savedQueries));
+            return counts;
         } catch (error) {
             console.error('Error importing queries:', error);
-            return false;
+            return null;
         }
     }
 
     /**
      * Get storage usage statistics
-     * @returns {Object} Storage stats
+     * usage and quota are the browser's estimate for the whole app, including
+     * cached files; they are null when the browser doesn't report them.
+     * @returns {Promise<Object>} Storage stats
      */
-    getStorageStats() {
+    async getStorageStats() {
         const savedQueries = this.getSavedQueries();
         const history = this.getQueryHistory();
+        const workspace = localStorage.getItem(this.WORKSPACE_KEY) || '';
+
+        let documents = { documentsCount: 0, documentsSize: 0 };
+        try {
+            documents = await this.documentStore.getStats();
+        } catch (error) {
+            console.error('Error reading stored documents:', error);
+        }
+
+        let estimate = {};
+        try {
+            estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+        } catch (error) {
+            console.error('Error estimating storage:', error);
+        }
 
         return {
             savedQueriesCount: savedQueries.length,
             historyCount: history.length,
             savedQueriesSize: new Blob([JSON.stringify(savedQueries)]).size,
-            historySize: new Blob([JSON.stringify(history)]).size
+            historySize: new Blob([JSON.stringify(history)]).size,
+            workspaceSize: new Blob([workspace]).size,
+            ...documents,
+            usage: estimate.usage ?? null,
+            quota: estimate.quota ?? null
         };
     }
 }
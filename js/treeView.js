@@ -0,0 +1,253 @@
+/**
+ * Tree View Module
+ * Collapsible tree of query results with JMESPath paths for drill-down
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Children rendered per batch when a node is expanded
+const CHILD_BATCH_SIZE = 200;
+
+// Longest string shown inline before it is truncated
+const MAX_PREVIEW_LENGTH = 80;
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const QUOTED_IDENTIFIER = '"(?:[^"\\\\]|\\\\.)*"';
+const PLAIN_NAME = `(?:[A-Za-z_][A-Za-z0-9_]*|${QUOTED_IDENTIFIER})`;
+
+// Field and index chains like `users[0].address."zip code"`; anything else is wrapped in parentheses
+const PLAIN_PATH = new RegExp(`^(?:@|${PLAIN_NAME}|\\[-?\\d+\\])(?:\\.${PLAIN_NAME}|\\[-?\\d+\\])*$`);
+
+/**
+ * Build a JMESPath path from a list of keys and array indexes
+ * @param {Array<string|number>} segments - Path from the result root
+ * @returns {string} Path such as `[0].address.city`, or '' for the root
+ */
+export function toJMESPath(segments) {
+    return segments.map((segment, index) => {
+        if (typeof segment === 'number') {
+            return `[${segment}]`;
+        }
+        const name = IDENTIFIER.test(segment) ? segment : JSON.stringify(segment);
+        return index === 0 ? name : `.${name}`;
+    }).join('');
+}
+
+/**
+ * Append a result path to the query that produced the result
+ * @param {string} baseQuery - Query whose result the path points into
+ * @param {string} path - Path relative to that result
+ * @returns {string} Query selecting the node
+ */
+export function buildDrillDownQuery(baseQuery, path) {
+    const base = baseQuery.trim();
+    if (!path) return base;
+    if (!base || base === '@') return path;
+
+    // Projections and filters would apply the path to every element, so they are
+    // wrapped to address the result as a whole
+    const target = PLAIN_PATH.test(base) ? base : `(${base})`;
+    return path.startsWith('[') ? `${target}${path}` : `${target}.${path}`;
+}
+
+/**
+ * Get the type name shown in a node's badge
+ * @param {*} value - Node value
+ * @returns {string} Type name
+ */
+function getValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Describe the size of an object or array
+ * @param {*} value - Node value
+ * @returns {string} Child count, e.g. "3 items"
+ */
+function describeChildren(value) {
+    if (Array.isArray(value)) {
+        return `${value.length} item${value.length !== 1 ? 's' : ''}`;
+    }
+    const count = Object.keys(value).length;
+    return `${count} key${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Render a primitive value the way the JSON view colours it
+ * @param {*} value - String, number, boolean or null
+ * @returns {string} HTML
+ */
+function renderPrimitive(value) {
+    const type = getValueType(value);
+    if (type === 'string') {
+        const text = value.length > MAX_PREVIEW_LENGTH ? `${value.slice(0, MAX_PREVIEW_LENGTH)}…` : value;
+        return `<span class="json-string">${escapeHtml(JSON.stringify(text))}</span>`;
+    }
+    return `<span class="json-${type}">${escapeHtml(String(value))}</span>`;
+}
+
+export class TreeView {
+    /**
+     * @param {HTMLElement} container - Element the tree renders into
+     * @param {Object} options
+     * @param {Function} options.onSelect - Called with the JMESPath path of a clicked node
+     */
+    constructor(container, { onSelect } = {}) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.nodes = new WeakMap(); // <li> element -> { value, segments, rendered }
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    /**
+     * Render a value as a tree with its root expanded
+     * @param {*} data - Query results
+     */
+    render(data) {
+        const root = document.createElement('ul');
+        root.className = 'tree-view';
+        root.setAttribute('role', 'tree');
+
+        const rootNode = this.createNode('root', data, []);
+        root.appendChild(rootNode);
+        this.container.replaceChildren(root);
+
+        if (this.isExpandable(data)) {
+            this.toggle(rootNode, true);
+        }
+    }
+
+    /**
+     * Check whether a value has children to show
+     * @param {*} value - Node value
+     * @returns {boolean}
+     */
+    isExpandable(value) {
+        return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+    }
+
+    /**
+     * Create the element for a single node; its children are rendered on first expand
+     * @param {string|number} label - Key or index shown for the node
+     * @param {*} value - Node value
+     * @param {Array<string|number>} segments - Path from the result root
+     * @returns {HTMLLIElement}
+     */
+    createNode(label, value, segments) {
+        const type = getValueType(value);
+        const expandable = this.isExpandable(value);
+        const path = toJMESPath(segments);
+
+        const li = document.createElement('li');
+        li.className = 'tree-node';
+        li.setAttribute('role', 'treeitem');
+        if (expandable) {
+            li.setAttribute('aria-expanded', 'false');
+        }
+
+        const keyClass = typeof label === 'number' ? 'tree-index' : 'tree-key';
+        const summary = type === 'object' || type === 'array'
+            ? `<span class="tree-count">${describeChildren(value)}</span>`
+            : `<span class="tree-value">${renderPrimitive(value)}</span>`;
+
+        li.innerHTML = `
+            <div class="tree-row" title="${escapeHtml(path ? `Click to query ${path}` : 'Result root')}">
+                ${expandable
+                    ? '<button type="button" class="tree-toggle" aria-label="Expand">▸</button>'
+                    : '<span class="tree-toggle-spacer"></span>'}
+                <span class="${keyClass}">${escapeHtml(typeof label === 'number' ? `[${label}]` : label)}</span>
+                <span class="tree-type tree-type-${type}">${type}</span>
+                ${summary}
+            </div>
+        `;
+
+        this.nodes.set(li, { value, segments, rendered: 0 });
+        return li;
+    }
+
+    /**
+     * Expand or collapse a node
+     * @param {HTMLLIElement} li - Node element
+     * @param {boolean} expand - Expand when true, collapse when false
+     */
+    toggle(li, expand) {
+        const node = this.nodes.get(li);
+        if (!node || !this.isExpandable(node.value)) return;
+
+        let children = li.querySelector(':scope > .tree-children');
+        if (expand && !children) {
+            children = document.createElement('ul');
+            children.className = 'tree-children';
+            children.setAttribute('role', 'group');
+            li.appendChild(children);
+            this.renderChildren(li);
+        }
+
+        children?.classList.toggle('hidden', !expand);
+        li.setAttribute('aria-expanded', String(expand));
+
+        const button = li.querySelector(':scope > .tree-row > .tree-toggle');
+        if (button) {
+            button.textContent = expand ? '▾' : '▸';
+            button.setAttribute('aria-label', expand ? 'Collapse' : 'Expand');
+        }
+    }
+
+    /**
+     * Render the next batch of a node's children
+     * @param {HTMLLIElement} li - Node element
+     */
+    renderChildren(li) {
+        const node = this.nodes.get(li);
+        const children = li.querySelector(':scope > .tree-children');
+        const isArray = Array.isArray(node.value);
+        const keys = isArray ? null : Object.keys(node.value);
+        const total = isArray ? node.value.length : keys.length;
+        const end = Math.min(node.rendered + CHILD_BATCH_SIZE, total);
+
+        children.querySelector(':scope > .tree-more')?.remove();
+
+        const fragment = document.createDocumentFragment();
+        for (let i = node.rendered; i < end; i++) {
+            const key = isArray ? i : keys[i];
+            fragment.appendChild(this.createNode(key, node.value[key], [...node.segments, key]));
+        }
+        children.appendChild(fragment);
+        node.rendered = end;
+
+        if (end < total) {
+            const more = document.createElement('li');
+            more.className = 'tree-more';
+            more.innerHTML = `<button type="button" class="btn btn-secondary btn-sm">Show ${Math.min(CHILD_BATCH_SIZE, total - end)} more of ${total - end}</button>`;
+            children.appendChild(more);
+        }
+    }
+
+    /**
+     * Handle clicks on toggles, "show more" buttons and node rows
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const li = e.target.closest('.tree-node, .tree-more');
+        if (!li || !this.container.contains(li)) return;
+
+        if (li.classList.contains('tree-more')) {
+            if (e.target.closest('button')) {
+                this.renderChildren(li.parentElement.closest('.tree-node'));
+            }
+            return;
+        }
+
+        if (e.target.closest('.tree-toggle')) {
+            this.toggle(li, li.getAttribute('aria-expanded') !== 'true');
+            return;
+        }
+
+        if (e.target.closest('.tree-row') && this.onSelect) {
+            this.onSelect(toJMESPath(this.nodes.get(li).segments));
+        }
+    }
+}
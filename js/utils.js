@@ -176,3 +176,110 @@ export function deepClone(obj) {
 export function formatJSON(obj, spaces = 2) {
     return JSON.stringify(obj, null, spaces);
 }
+
+/**
+ * Collect dotted field paths from JSON data (first array item, up to 2 levels)
+ * @param {*} data - JSON data to inspect
+ * @returns {Array<string>} Sorted field paths
+ */
+export function collectFieldPaths(data) {
+    const fields = new Set();
+
+    function extractFields(obj, prefix = '') {
+        if (Array.isArray(obj) && obj.length > 0) {
+            extractFields(obj[0], prefix);
+        } else if (obj && typeof obj === 'object') {
+            Object.keys(obj).forEach(key => {
+                const fieldPath = prefix ? `${prefix}.${key}` : key;
+                fields.add(fieldPath);
+
+                // Don't go too deep, limit to 2 levels
+                if (!prefix.includes('.')) {
+                    extractFields(obj[key], fieldPath);
+                }
+            });
+        }
+    }
+
+    extractFields(data);
+    return Array.from(fields).sort();
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Hash text with 32-bit FNV-1a
+ * Quick enough for large documents; not meant for security.
+ * @param {string} text - Text to hash
+ * @returns {string} 8 hex digits
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Set a property of parsed data as an own property, the way JSON.parse does
+ * Assigning "__proto__" would replace the object's prototype instead.
+ * @param {Object} target - Object being built
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ */
+export function setOwnProperty(target, key, value) {
+    if (key === '__proto__') {
+        Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+    } else {
+        target[key] = value;
+    }
+}
+
+/**
+ * Escape one JSON Pointer segment
+ * @param {string|number} segment
+ * @returns {string}
+ */
+export function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Serialize a JSON value with sorted keys, so equal values serialize the same
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Describe a value as JSON for a message or label, shortened if long
+ * @param {*} value
+ * @param {number} maxLength - Longest text returned
+ * @returns {string}
+ */
+export function describeValue(value, maxLength = 60) {
+    const text = JSON.stringify(value);
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
@@ -0,0 +1,138 @@
+/**
+ * Virtual List Module
+ * Windowed rendering: only the rows in view (plus a margin) are in the DOM
+ */
+
+export class VirtualList {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.viewport - Scrolling element the list is shown in
+     * @param {HTMLElement} options.body - Element whose content is replaced with the visible rows
+     * @param {number} options.count - Number of rows
+     * @param {Function} options.renderRow - Returns the HTML of row `index`; the row element needs a data-index attribute
+     * @param {Function} options.renderSpacer - Returns the HTML of a spacer of the given height in pixels
+     * @param {number} options.rowHeight - Estimated row height; the first rendered row is measured
+     * @param {number} options.overscan - Rows rendered above and below the visible area
+     */
+    constructor({ viewport, body, count, renderRow, renderSpacer, rowHeight = 24, overscan = 20 }) {
+        this.viewport = viewport;
+        this.body = body;
+        this.count = count;
+        this.renderRow = renderRow;
+        this.renderSpacer = renderSpacer || (height => `<div class="virtual-spacer" style="height: ${height}px"></div>`);
+        this.rowHeight = rowHeight;
+        this.overscan = overscan;
+        this.measured = false;
+        this.range = null; // [start, end) currently in the DOM
+        this.frame = null;
+
+        this.handleScroll = () => {
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.update();
+            });
+        };
+        this.viewport.addEventListener('scroll', this.handleScroll, { passive: true });
+
+        this.resizeObserver = typeof ResizeObserver !== 'undefined'
+            ? new ResizeObserver(() => this.update())
+            : null;
+        this.resizeObserver?.observe(this.viewport);
+
+        this.update();
+    }
+
+    /**
+     * Change the number of rows, e.g. after filtering
+     * @param {number} count - New row count
+     */
+    setCount(count) {
+        this.count = count;
+        this.refresh();
+    }
+
+    /**
+     * Re-render the visible rows, e.g. after their content changed
+     */
+    refresh() {
+        this.range = null;
+        this.update();
+    }
+
+    /**
+     * Render the rows in view if they changed since the last update
+     */
+    update() {
+        // Hidden views (inactive tabs) have no layout; they render when shown
+        if (this.body.getClientRects().length === 0) return;
+
+        const viewportTop = this.viewport.getBoundingClientRect().top;
+        const bodyTop = this.body.getBoundingClientRect().top;
+        const visibleTop = Math.max(0, viewportTop - bodyTop);
+        const visibleHeight = this.viewport.clientHeight;
+
+        // After the count shrinks the old scroll position can lie past the end; the last rows are shown
+        // until the browser clamps it
+        const end = Math.min(this.count, Math.ceil((visibleTop + visibleHeight) / this.rowHeight) + this.overscan);
+        const lastPage = end - Math.ceil(visibleHeight / this.rowHeight) - 2 * this.overscan;
+        const start = Math.max(0, Math.min(Math.floor(visibleTop / this.rowHeight) - this.overscan, lastPage));
+
+        if (this.range && this.range[0] === start && this.range[1] === end) return;
+        this.range = [start, end];
+
+        let html = start > 0 ? this.renderSpacer(start * this.rowHeight) : '';
+        for (let i = start; i < end; i++) {
+            html += this.renderRow(i);
+        }
+        if (end < this.count) {
+            html += this.renderSpacer((this.count - end) * this.rowHeight);
+        }
+        this.body.innerHTML = html;
+
+        if (!this.measured) {
+            this.measureRowHeight();
+        }
+    }
+
+    /**
+     * Replace the estimated row height with the rendered one
+     */
+    measureRowHeight() {
+        const row = this.body.querySelector('[data-index]');
+        if (!row) return;
+
+        this.measured = true;
+        const height = row.getBoundingClientRect().height;
+        if (height > 0 && Math.abs(height - this.rowHeight) > 0.5) {
+            this.rowHeight = height;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Scroll so that a row is in the middle of the viewport
+     * @param {number} index - Row index
+     */
+    scrollToIndex(index) {
+        const viewportTop = this.viewport.getBoundingClientRect().top;
+        const bodyTop = this.body.getBoundingClientRect().top;
+        const bodyOffset = bodyTop - viewportTop + this.viewport.scrollTop;
+
+        const rowTop = bodyOffset + index * this.rowHeight;
+        this.viewport.scrollTop = Math.max(0, rowTop - (this.viewport.clientHeight - this.rowHeight) / 2);
+        this.update();
+    }
+
+    /**
+     * Stop listening to the viewport
+     */
+    destroy() {
+        this.viewport.removeEventListener('scroll', this.handleScroll);
+        this.resizeObserver?.disconnect();
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+}
@@ -0,0 +1,542 @@
+/**
+ * Workspace Module
+ * Several named documents shown as tabs above the editor. Queries can run
+ * against the active document or against every document keyed by its name.
+ */
+
+import { showNotification, hashString, setOwnProperty, canonicalJSON } from './utils.js';
+
+// Documents longer than this (in characters) are kept for the session only;
+// localStorage holds a few megabytes at most
+const MAX_SAVED_LENGTH = 2 * 1024 * 1024;
+
+const SAVE_DELAY = 1000;
+
+// Record fields offered by the join helper are read from this many items
+const FIELD_SAMPLE_SIZE = 100;
+
+export const QUERY_SCOPES = {
+    document: 'This document',
+    workspace: 'All documents'
+};
+
+/**
+ * Turn a file name into a dataset name that works as a query identifier
+ * @param {string} fileName - e.g. "users.json" or "Q1 orders.csv"
+ * @returns {string} e.g. "users" or "Q1_orders"
+ */
+function toDatasetName(fileName) {
+    const base = fileName.replace(/\.[^.]*$/, '').replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!base) return 'untitled';
+    return /^\d/.test(base) ? `_${base}` : base;
+}
+
+export class Workspace {
+    constructor(jsonParser, storageManager) {
+        this.jsonParser = jsonParser;
+        this.storageManager = storageManager;
+        this.tabs = document.getElementById('workspaceTabs');
+
+        // { id, name, format, text, file, data }: file is set for streamed documents,
+        // data caches the parsed text (null when it is empty or invalid)
+        this.documents = [];
+        this.activeId = null;
+        this.scope = 'document';
+
+        // Query root of the workspace scope, rebuilt when a document changes
+        this.root = null;
+        this.rootSource = null;
+
+        // Document ID -> { text, format, value }, so unchanged text isn't hashed again
+        this.fingerprints = new Map();
+
+        this.saveTimer = null;
+        this.saveFailed = false;
+
+        // Called after another document is shown in the editor
+        this.onShow = null;
+    }
+
+    /**
+     * Restore the stored workspace and show its active document in the editor
+     * The editor is not parsed here; the app parses it once it is set up.
+     */
+    init() {
+        const saved = this.storageManager.getWorkspace();
+        const documents = Array.isArray(saved?.documents) ? saved.documents : [];
+
+        this.documents = documents
+            .filter(doc => doc && typeof doc.id === 'string' && typeof doc.name === 'string' && typeof doc.text === 'string')
+            .map(({ id, name, format, text }) => ({ id, name, format: format || 'json', text, file: null, data: undefined }));
+
+        if (this.documents.length === 0) {
+            this.documents.push(this.createDocument('document', this.jsonParser.inputFormat, this.jsonParser.jsonInput.value));
+        }
+
+        this.activeId = this.documents.some(doc => doc.id === saved?.activeId) ? saved.activeId : this.documents[0].id;
+        const active = this.getActiveDocument();
+        this.jsonParser.setInputFormat(active.format);
+        this.jsonParser.jsonInput.value = active.text;
+
+        this.scope = QUERY_SCOPES[this.storageManager.getPreference('queryScope')] ? this.storageManager.getPreference('queryScope') : 'document';
+        this.jsonParser.resolveQueryRoot = () => this.getQueryRoot();
+
+        this.setupTabs();
+        this.renderTabs();
+
+        // Don't lose the last edits when the page closes before the delayed save
+        window.addEventListener('pagehide', () => this.save());
+    }
+
+    /**
+     * Create a document with a unique name
+     * @param {string} name - Wanted name
+     * @param {string} format - Input format
+     * @param {string} text - Contents
+     * @returns {Object} Document
+     */
+    createDocument(name = 'untitled', format = 'json', text = '') {
+        return { id: this.storageManager.generateId(), name: this.uniqueName(name), format, text, file: null, data: undefined };
+    }
+
+    /**
+     * Make a name unique in the workspace by appending a number
+     * @param {string} name - Wanted name
+     * @param {string|null} exceptId - Document whose own name does not count
+     * @returns {string}
+     */
+    uniqueName(name, exceptId = null) {
+        const taken = new Set(this.documents.filter(doc => doc.id !== exceptId).map(doc => doc.name));
+        if (!taken.has(name)) return name;
+
+        let index = 2;
+        while (taken.has(`${name}${index}`)) index++;
+        return `${name}${index}`;
+    }
+
+    /**
+     * Get the document shown in the editor
+     * @returns {Object}
+     */
+    getActiveDocument() {
+        return this.documents.find(doc => doc.id === this.activeId);
+    }
+
+    /**
+     * Store the editor's contents in the active document
+     * Call after the editor was parsed.
+     */
+    syncActive() {
+        const doc = this.getActiveDocument();
+        if (!doc) return;
+
+        const streamed = this.jsonParser.getStreamedFile();
+        if (streamed) {
+            // Large files live in the worker; the tab keeps the file to read it again,
+            // also when it is left before the file finished loading
+            doc.file = streamed.file;
+            doc.format = streamed.format;
+            doc.text = '';
+            doc.data = null;
+        } else {
+            doc.file = null;
+            doc.format = this.jsonParser.inputFormat;
+            doc.text = this.jsonParser.jsonInput.value;
+            doc.data = this.jsonParser.getCurrentJSON();
+        }
+
+        this.root = null;
+        this.scheduleSave();
+    }
+
+    /**
+     * Show another document in the editor
+     * @param {string} id - Document ID
+     */
+    async activate(id) {
+        const doc = this.documents.find(item => item.id === id);
+        if (!doc || id === this.activeId) return;
+
+        this.syncActive();
+        this.activeId = id;
+        this.renderTabs();
+        this.scheduleSave();
+        await this.show(doc);
+    }
+
+    /**
+     * Put a document into the editor and parse it
+     * @param {Object} doc - Document
+     */
+    async show(doc) {
+        this.jsonParser.setInputFormat(doc.format);
+
+        if (doc.file) {
+            await this.jsonParser.loadLargeFile(doc.file);
+        } else {
+            this.jsonParser.jsonInput.value = doc.text;
+            this.jsonParser.parse(doc.text);
+        }
+
+        this.onShow?.(doc);
+    }
+
+    /**
+     * Add a document and show it
+     * @param {string} name - Wanted name
+     * @returns {Promise<Object>} The new document
+     */
+    async addDocument(name = 'untitled') {
+        const doc = this.createDocument(name);
+        this.documents.push(doc);
+        await this.activate(doc.id);
+        return doc;
+    }
+
+    /**
+     * Get a tab to load a file into: the active one when it is empty, a new one otherwise
+     * @returns {Promise<Object>} { document, created }
+     */
+    async openFileTab() {
+        const active = this.getActiveDocument();
+        if (!active.file && !this.jsonParser.jsonInput.value.trim()) {
+            return { document: active, created: false };
+        }
+        return { document: await this.addDocument(), created: true };
+    }
+
+    /**
+     * Name a document after the file loaded into it
+     * @param {string} id - Document ID
+     * @param {string} fileName - File name
+     */
+    nameAfterFile(id, fileName) {
+        this.rename(id, this.uniqueName(toDatasetName(fileName), id));
+    }
+
+    /**
+     * Rename a document
+     * @param {string} id - Document ID
+     * @param {string} name - New name
+     * @returns {boolean} Whether it was renamed; names must be unique and not blank
+     */
+    rename(id, name) {
+        const doc = this.documents.find(item => item.id === id);
+        const trimmed = name.trim();
+        if (!doc || !trimmed) return false;
+        if (this.documents.some(item => item.id !== id && item.name === trimmed)) return false;
+
+        doc.name = trimmed;
+        this.root = null;
+        this.renderTabs();
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Close a document, asking first when it has contents
+     * @param {string} id - Document ID
+     */
+    async close(id) {
+        const doc = this.documents.find(item => item.id === id);
+        if (!doc) return;
+
+        const text = id === this.activeId ? this.jsonParser.jsonInput.value : doc.text;
+        if ((doc.file || text.trim()) && !confirm(`Close "${doc.name}"? Its contents are removed from the workspace.`)) {
+            return;
+        }
+        await this.discard(id);
+    }
+
+    /**
+     * Remove a document; the workspace always keeps at least one
+     * @param {string} id - Document ID
+     */
+    async discard(id) {
+        const index = this.documents.findIndex(doc => doc.id === id);
+        if (index < 0) return;
+
+        this.documents.splice(index, 1);
+        this.fingerprints.delete(id);
+        if (this.documents.length === 0) {
+            this.documents.push(this.createDocument('document'));
+        }
+        this.root = null;
+
+        if (id === this.activeId) {
+            const next = this.documents[Math.min(index, this.documents.length - 1)];
+            this.activeId = next.id;
+            await this.show(next);
+        }
+
+        this.renderTabs();
+        this.scheduleSave();
+    }
+
+    /**
+     * Get the parsed data of a document
+     * Documents other than the active one are parsed on first use.
+     * @param {Object} doc - Document
+     * @returns {*} Data, or null when the document is empty, invalid or streamed
+     */
+    getData(doc) {
+        if (doc.id === this.activeId) {
+            return this.jsonParser.isStreamed() ? null : this.jsonParser.getCurrentJSON();
+        }
+        if (doc.file) return null;
+
+        if (doc.data === undefined) {
+            const result = doc.text.trim() ? this.jsonParser.parseInput(doc.text, doc.format) : { valid: false };
+            doc.data = result.valid ? result.data : null;
+        }
+        return doc.data;
+    }
+
+    /**
+     * Get every document that holds data, in tab order
+     * @returns {Array<{ name: string, data: * }>}
+     */
+    getDatasets() {
+        return this.documents
+            .map(doc => ({ name: doc.name, data: this.getData(doc) }))
+            .filter(dataset => dataset.data !== null);
+    }
+
+    /**
+     * Get the fields of the records of an array dataset
+     * @param {*} data - Dataset data
+     * @returns {string[]} Sorted top-level keys of the first records
+     */
+    getRecordFields(data) {
+        const fields = new Set();
+        if (Array.isArray(data)) {
+            data.slice(0, FIELD_SAMPLE_SIZE).forEach(item => {
+                if (item && typeof item === 'object' && !Array.isArray(item)) {
+                    Object.keys(item).forEach(key => fields.add(key));
+                }
+            });
+        }
+        return [...fields].sort();
+    }
+
+    /**
+     * Set what queries run against
+     * @param {string} scope - 'document' or 'workspace'
+     */
+    setScope(scope) {
+        this.scope = QUERY_SCOPES[scope] ? scope : 'document';
+        this.storageManager.setPreference('queryScope', this.scope);
+    }
+
+    /**
+     * Get what queries run against
+     * @returns {string} 'document' or 'workspace'
+     */
+    getScope() {
+        return this.scope;
+    }
+
+    /**
+     * Get the query root of the workspace scope
+     * The object is kept between queries so the worker only receives it again
+     * after a document changed.
+     * @returns {Object|undefined} Every document's data keyed by its name, or
+     *   undefined to query the active document
+     */
+    getQueryRoot() {
+        if (this.scope !== 'workspace') return undefined;
+
+        const current = this.jsonParser.getCurrentJSON();
+        if (this.root && this.rootSource === current) return this.root;
+
+        const root = {};
+        this.getDatasets().forEach(({ name, data }) => {
+            setOwnProperty(root, name, data);
+        });
+        this.root = root;
+        this.rootSource = current;
+        return root;
+    }
+
+    /**
+     * Fingerprint the contents of a document
+     * @param {Object} doc - Document
+     * @returns {string} Equal for equal data (whatever its format, layout or key
+     *   order), or for the same large file
+     */
+    getDocumentFingerprint(doc) {
+        const active = doc.id === this.activeId;
+        const file = active ? (this.jsonParser.isStreamed() ? this.jsonParser.getStreamedSummary().file : null) : doc.file;
+        if (file) {
+            return hashString(`file\u0000${file.name}\u0000${file.size}\u0000${file.lastModified}`);
+        }
+
+        // Parsed data is replaced, not changed in place, so it is cached by identity
+        const data = this.getData(doc);
+        const cached = this.fingerprints.get(doc.id);
+        if (cached && cached.data === data) return cached.value;
+
+        const value = hashString(canonicalJSON(data));
+        this.fingerprints.set(doc.id, { data, value });
+        return value;
+    }
+
+    /**
+     * Identify the data queries run against, for the query history
+     * @returns {Object} { name, fingerprint } where name is the active document's
+     *   or that of the workspace scope
+     */
+    getDatasetInfo() {
+        const active = this.getActiveDocument();
+        // A large file is queried on its own even in the workspace scope
+        if (this.scope !== 'workspace' || this.jsonParser.isStreamed()) {
+            return { name: active.name, fingerprint: this.getDocumentFingerprint(active) };
+        }
+
+        // Queries see every document by name, so renaming one changes the data too
+        const parts = this.documents.map(doc => `${doc.name}\u0000${this.getDocumentFingerprint(doc)}`);
+        return { name: QUERY_SCOPES.workspace, fingerprint: hashString(parts.join('\u0001')) };
+    }
+
+    /**
+     * Store the workspace after a short delay, so typing doesn't write on every change
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+
+    /**
+     * Store the documents that fit in localStorage
+     * Streamed and very long documents are kept for this session only.
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.activeId) return;
+
+        const documents = this.documents
+            .filter(doc => !doc.file && doc.text.length <= MAX_SAVED_LENGTH)
+            .map(({ id, name, format, text }) => ({ id, name, format, text }));
+
+        const saved = this.storageManager.saveWorkspace({ activeId: this.activeId, documents });
+        if (!saved && !this.saveFailed) {
+            showNotification('The workspace is too large to keep after the page is closed', 'error');
+        }
+        this.saveFailed = !saved;
+    }
+
+    /**
+     * Handle clicks, renames and keyboard use of the tab bar
+     */
+    setupTabs() {
+        if (!this.tabs) return;
+
+        this.tabs.addEventListener('click', (e) => {
+            const close = e.target.closest('.workspace-tab-close');
+            if (close) {
+                this.close(close.dataset.id);
+                return;
+            }
+
+            const tab = e.target.closest('.workspace-tab-name');
+            if (tab) {
+                this.activate(tab.dataset.id);
+            }
+        });
+
+        this.tabs.addEventListener('dblclick', (e) => {
+            const tab = e.target.closest('.workspace-tab-name');
+            if (tab) {
+                this.startRename(tab);
+            }
+        });
+
+        this.tabs.addEventListener('keydown', (e) => {
+            const tab = e.target.closest('.workspace-tab-name');
+            if (tab && e.key === 'F2') {
+                e.preventDefault();
+                this.startRename(tab);
+            }
+        });
+    }
+
+    /**
+     * Replace a tab's name with a text field to rename it
+     * Enter or leaving the field renames; Escape cancels.
+     * @param {HTMLElement} tab - Tab name button
+     */
+    startRename(tab) {
+        const doc = this.documents.find(item => item.id === tab.dataset.id);
+        if (!doc) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-input workspace-tab-rename';
+        input.value = doc.name;
+        input.setAttribute('aria-label', 'Document name');
+        input.spellcheck = false;
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+
+            if (commit && input.value.trim() !== doc.name && !this.rename(doc.id, input.value)) {
+                showNotification(input.value.trim() ? `A document named "${input.value.trim()}" already exists` : 'Document names cannot be empty', 'error');
+            }
+            this.renderTabs();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        tab.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Render one tab per document
+     */
+    renderTabs() {
+        if (!this.tabs) return;
+
+        const fragment = document.createDocumentFragment();
+        this.documents.forEach(doc => {
+            const active = doc.id === this.activeId;
+            const tab = document.createElement('div');
+            tab.className = active ? 'workspace-tab active' : 'workspace-tab';
+
+            const name = document.createElement('button');
+            name.type = 'button';
+            name.className = 'workspace-tab-name';
+            name.dataset.id = doc.id;
+            name.textContent = doc.name;
+            name.setAttribute('role', 'tab');
+            name.setAttribute('aria-selected', String(active));
+            name.title = doc.file
+                ? `${doc.name}: large file, kept until the page is closed. Double-click to rename`
+                : `${doc.name}: double-click to rename`;
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'workspace-tab-close';
+            close.dataset.id = doc.id;
+            close.textContent = '✕';
+            close.setAttribute('aria-label', `Close ${doc.name}`);
+
+            tab.append(name, close);
+            fragment.appendChild(tab);
+        });
+        this.tabs.replaceChildren(fragment);
+    }
+}
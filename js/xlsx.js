@@ -0,0 +1,327 @@
+/**
+ * XLSX Writer Module
+ * Builds Excel workbooks in the browser: SpreadsheetML parts in an uncompressed ZIP
+ */
+
+// Sheet limits from the Excel specification
+export const MAX_ROWS = 1048576;
+export const MAX_COLUMNS = 16384;
+const MAX_CELL_LENGTH = 32767;
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Style indexes into cellXfs in styles.xml
+const STYLE_DATE = 1;
+const STYLE_DATETIME = 2;
+const STYLE_HEADER = 3;
+
+// ISO 8601 date or date-time, optionally with a time zone
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/**
+ * Convert an ISO 8601 string to an Excel date serial
+ * Strings with a time zone are converted to UTC; others keep their wall-clock time
+ * @param {string} text - Candidate string
+ * @returns {{serial: number, hasTime: boolean}|null} Null when the text is not an ISO date
+ */
+export function parseISODate(text) {
+    const match = ISO_DATE.exec(text);
+    if (!match) return null;
+
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', fraction = '', zone] = match;
+    let ms = Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds, Math.round(Number(fraction || 0) * 1000));
+    if (Number.isNaN(ms)) return null;
+
+    // Reject dates that rolled over, e.g. 2024-02-30
+    const check = new Date(Date.UTC(+year, +month - 1, +day));
+    if (check.getUTCMonth() !== +month - 1 || check.getUTCDate() !== +day) return null;
+
+    if (zone && zone !== 'Z') {
+        const sign = zone[0] === '-' ? -1 : 1;
+        const offset = zone.slice(1).replace(':', '');
+        ms -= sign * (Number(offset.slice(0, 2)) * 60 + Number(offset.slice(2))) * 60000;
+    }
+
+    // Excel counts days from 1899-12-30, but before 1900-03-01 (serial 61) it is a
+    // day behind, as it counts a 1900-02-29 that never was
+    let serial = ms / 86400000 + 25569;
+    if (serial < 61) serial -= 1;
+    if (serial < 1) return null;
+
+    return { serial, hasTime: match[4] !== undefined };
+}
+
+/**
+ * Get the column letters for a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Escape text for XML, dropping characters XML can't contain
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Make sheet names valid and unique: at most 31 characters, no []:*?/\
+ * @param {string[]} names - Requested names
+ * @returns {string[]}
+ */
+export function uniqueSheetNames(names) {
+    const used = new Set();
+    return names.map((requested, index) => {
+        const base = (requested.replace(/[[\]:*?/\\]/g, '_').replace(/^'|'$/g, '').trim() || `Sheet${index + 1}`)
+            .slice(0, MAX_SHEET_NAME_LENGTH);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * Render one cell with its type
+ * @param {string} ref - Cell reference, e.g. "B2"
+ * @param {*} value - Cell value
+ * @param {boolean} isHeader - Header cells are bold text
+ * @returns {string} <c> element, or '' for an empty cell
+ */
+function renderCell(ref, value, isHeader) {
+    if (value === null || value === undefined || value === '') return '';
+
+    if (isHeader) {
+        return `<c r="${ref}" s="${STYLE_HEADER}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value).slice(0, MAX_CELL_LENGTH))}</t></is></c>`;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const date = typeof value === 'string' ? parseISODate(value) : null;
+    if (date) {
+        return `<c r="${ref}" s="${date.hasTime ? STYLE_DATETIME : STYLE_DATE}"><v>${date.serial}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text.slice(0, MAX_CELL_LENGTH))}</t></is></c>`;
+}
+
+/**
+ * Render a worksheet whose first row is a frozen header
+ * @param {{columns: string[], rows: Array<Array<*>>}} sheet - Sheet data
+ * @returns {string} Worksheet XML
+ */
+function renderWorksheet(sheet) {
+    const { columns, rows } = sheet;
+
+    // Width from the longest value in the first rows, in characters
+    const sample = rows.slice(0, 200);
+    const cols = columns.map((column, index) => {
+        const longest = sample.reduce((max, row) => {
+            const value = row[index];
+            const length = value === null || value === undefined ? 0 : (typeof value === 'object' ? JSON.stringify(value) : String(value)).length;
+            return Math.max(max, length);
+        }, String(column).length);
+        const width = Math.min(Math.max(longest + 2, 8), 60);
+        return `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`;
+    }).join('');
+
+    const renderRow = (values, rowNumber, isHeader) => {
+        const cells = values.map((value, index) => renderCell(`${columnName(index)}${rowNumber}`, value, isHeader)).join('');
+        return `<row r="${rowNumber}">${cells}</row>`;
+    };
+
+    const sheetRows = [renderRow(columns, 1, true)];
+    rows.forEach((row, index) => {
+        sheetRows.push(renderRow(row, index + 2, false));
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+        + '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView></sheetViews>'
+        + (cols ? `<cols>${cols}</cols>` : '')
+        + `<sheetData>${sheetRows.join('')}</sheetData>`
+        + '</worksheet>';
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${MAIN_NS}">`
+    + '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="4">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '</cellXfs>'
+    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+    + '</styleSheet>';
+
+/**
+ * Build an .xlsx file
+ * @param {Array<{name: string, columns: string[], rows: Array<Array<*>>}>} sheets - Sheets in order
+ * @returns {Uint8Array} File contents
+ */
+export function buildXLSX(sheets) {
+    if (sheets.length === 0) {
+        throw new Error('A workbook needs at least one sheet');
+    }
+    sheets.forEach(sheet => {
+        if (sheet.rows.length + 1 > MAX_ROWS) {
+            throw new Error(`Sheet "${sheet.name}" has more rows than Excel allows (${MAX_ROWS - 1})`);
+        }
+        if (sheet.columns.length > MAX_COLUMNS) {
+            throw new Error(`Sheet "${sheet.name}" has more columns than Excel allows (${MAX_COLUMNS})`);
+        }
+    });
+
+    const names = uniqueSheetNames(sheets.map(sheet => sheet.name));
+    const sheetList = names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('');
+    const sheetRels = names.map((name, index) => `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('');
+    const sheetTypes = names.map((name, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+
+    const files = [
+        ['[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + sheetTypes
+            + '</Types>'],
+        ['_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${PACKAGE_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+        ['xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>${sheetList}</sheets></workbook>`],
+        ['xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${PACKAGE_REL_NS}">${sheetRels}<Relationship Id="rId${names.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`],
+        ['xl/styles.xml', STYLES_XML],
+        ...sheets.map((sheet, index) => [`xl/worksheets/sheet${index + 1}.xml`, renderWorksheet(sheet)])
+    ];
+
+    const encoder = new TextEncoder();
+    return createZip(files.map(([name, content]) => ({ name, data: encoder.encode(content) })));
+}
+
+// ========== ZIP (stored, no compression) ==========
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a byte array, as used by ZIP
+ * @param {Uint8Array} data - Bytes
+ * @returns {number}
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive without compression
+ * @param {Array<{name: string, data: Uint8Array}>} files - Files in order
+ * @returns {Uint8Array} Archive
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const entries = files.map(file => ({ ...file, nameBytes: encoder.encode(file.name), crc: crc32(file.data) }));
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.nameBytes.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.nameBytes.length, 0);
+
+    const buffer = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(buffer.buffer);
+    let offset = 0;
+
+    // Local file headers and data
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        view.setUint16(offset + 4, 20, true); // Version needed
+        view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 8, 0, true); // Stored
+        view.setUint16(offset + 10, dosTime, true);
+        view.setUint16(offset + 12, dosDate, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.nameBytes.length, true);
+        view.setUint16(offset + 28, 0, true);
+        buffer.set(entry.nameBytes, offset + 30);
+        buffer.set(entry.data, offset + 30 + entry.nameBytes.length);
+        offset += 30 + entry.nameBytes.length + entry.data.length;
+    });
+
+    // Central directory
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true); // Version made by
+        view.setUint16(offset + 6, 20, true);
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, dosTime, true);
+        view.setUint16(offset + 14, dosDate, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.nameBytes.length, true);
+        // Extra field, comment, disk number, attributes: all zero
+        view.setUint32(offset + 42, entry.offset, true);
+        buffer.set(entry.nameBytes, offset + 46);
+        offset += 46 + entry.nameBytes.length;
+    });
+
+    // End of central directory
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+
+    return buffer;
+}
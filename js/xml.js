@@ -0,0 +1,483 @@
+/**
+ * XML Module
+ * Converts XML documents to JSON and JSON back to XML
+ *
+ * Mapping between the two:
+ *   <order id="7">...</order>     → { "order": { "@id": "7", ... } }
+ *   attributes                    → keys prefixed with "@"
+ *   element with only text        → the text as a string
+ *   text beside attributes or
+ *   child elements                → "#text"
+ *   empty element (<a/>, <a></a>) → null
+ *   repeated child elements       → an array, in document order
+ * Values stay strings and text is trimmed. Comments, processing instructions
+ * and the DOCTYPE are dropped; CDATA sections become text.
+ */
+
+import { setOwnProperty } from './utils.js';
+
+export const ATTRIBUTE_PREFIX = '@';
+export const TEXT_KEY = '#text';
+
+// Root element used when results have no single top-level key
+export const DEFAULT_ROOT_NAME = 'results';
+
+// Element name for the items of nested arrays
+const ARRAY_ITEM_NAME = 'item';
+
+const NAME = /[\p{L}_:][\p{L}\p{N}\p{M}_:.\-\u00B7]*/uy;
+const NAME_START = /[\p{L}_:]/u;
+const NAME_CHAR = /[\p{L}\p{N}\p{M}_:.\-\u00B7]/u;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+/**
+ * Recursive descent XML parser producing the JSON mapping above
+ */
+class XMLParser {
+    constructor(text) {
+        this.text = text;
+        this.pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+        this.lineStarts = null;
+    }
+
+    parse() {
+        this.skipMisc();
+        if (this.text[this.pos] !== '<') {
+            this.fail(this.pos < this.text.length ? 'Expected the root element' : 'The document has no root element');
+        }
+
+        const root = this.parseElement();
+
+        this.skipMisc();
+        if (this.pos < this.text.length) {
+            this.fail('Unexpected content after the root element');
+        }
+        return { [root.name]: root.value };
+    }
+
+    /**
+     * Skip whitespace, comments, processing instructions and the DOCTYPE
+     */
+    skipMisc() {
+        const text = this.text;
+
+        while (this.pos < text.length) {
+            if (/\s/.test(text[this.pos])) {
+                this.pos++;
+            } else if (text.startsWith('<!--', this.pos)) {
+                this.skipPast('-->', 'Unterminated comment');
+            } else if (text.startsWith('<?', this.pos)) {
+                this.skipPast('?>', 'Unterminated processing instruction');
+            } else if (text.startsWith('<!DOCTYPE', this.pos)) {
+                this.skipDoctype();
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Move past the next occurrence of a delimiter
+     * @param {string} delimiter - Text that ends the construct
+     * @param {string} message - Error when it never ends
+     */
+    skipPast(delimiter, message) {
+        const end = this.text.indexOf(delimiter, this.pos);
+        if (end === -1) {
+            this.fail(message);
+        }
+        this.pos = end + delimiter.length;
+    }
+
+    /**
+     * Skip a DOCTYPE declaration, including an internal subset in brackets
+     */
+    skipDoctype() {
+        const start = this.pos;
+        let depth = 0;
+
+        for (; this.pos < this.text.length; this.pos++) {
+            const char = this.text[this.pos];
+            if (char === '[') depth++;
+            else if (char === ']') depth--;
+            else if (char === '>' && depth === 0) {
+                this.pos++;
+                return;
+            }
+        }
+        this.fail('Unterminated DOCTYPE', 9, start);
+    }
+
+    /**
+     * Read an element or attribute name at the current position
+     * @param {string} what - What the name is for, used in errors
+     * @returns {string}
+     */
+    readName(what) {
+        NAME.lastIndex = this.pos;
+        const match = NAME.exec(this.text);
+        if (!match) {
+            this.fail(`Expected ${what} name`);
+        }
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Parse an element at '<' and everything inside it
+     * @returns {Object} { name, value }
+     */
+    parseElement() {
+        const start = this.pos;
+        this.pos++;
+        const name = this.readName('an element');
+        const attributes = this.parseAttributes();
+
+        if (this.text.startsWith('/>', this.pos)) {
+            this.pos += 2;
+            return { name, value: this.buildValue(attributes, [], '') };
+        }
+        this.pos++; // '>'
+
+        const children = [];
+        let text = '';
+
+        for (;;) {
+            if (this.pos >= this.text.length) {
+                this.fail(`<${name}> is never closed`, name.length + 1, start);
+            }
+
+            if (this.text.startsWith('</', this.pos)) {
+                const closeStart = this.pos;
+                this.pos += 2;
+                const closeName = this.readName('a closing tag');
+                if (closeName !== name) {
+                    this.fail(`Expected </${name}> but found </${closeName}>`, closeName.length + 2, closeStart);
+                }
+                this.skipWhitespace();
+                if (this.text[this.pos] !== '>') {
+                    this.fail(`Expected > to end </${name}>`);
+                }
+                this.pos++;
+                break;
+            }
+
+            if (this.text.startsWith('<!--', this.pos)) {
+                this.skipPast('-->', 'Unterminated comment');
+            } else if (this.text.startsWith('<![CDATA[', this.pos)) {
+                const end = this.text.indexOf(']]>', this.pos);
+                if (end === -1) {
+                    this.fail('Unterminated CDATA section');
+                }
+                text += this.text.slice(this.pos + 9, end);
+                this.pos = end + 3;
+            } else if (this.text.startsWith('<?', this.pos)) {
+                this.skipPast('?>', 'Unterminated processing instruction');
+            } else if (this.text[this.pos] === '<') {
+                children.push(this.parseElement());
+            } else {
+                let end = this.text.indexOf('<', this.pos);
+                if (end === -1) end = this.text.length;
+                text += this.decodeEntities(this.text.slice(this.pos, end), this.pos);
+                this.pos = end;
+            }
+        }
+
+        return { name, value: this.buildValue(attributes, children, text) };
+    }
+
+    /**
+     * Parse the attributes of a start tag, stopping at '>' or '/>'
+     * @returns {Array} [name, value] pairs
+     */
+    parseAttributes() {
+        const attributes = [];
+        const seen = new Set();
+
+        for (;;) {
+            const before = this.pos;
+            this.skipWhitespace();
+
+            const char = this.text[this.pos];
+            if (char === '>' || this.text.startsWith('/>', this.pos)) {
+                return attributes;
+            }
+            if (this.pos >= this.text.length) {
+                this.fail('Unterminated start tag');
+            }
+            if (this.pos === before) {
+                this.fail('Expected whitespace before the attribute');
+            }
+
+            const nameStart = this.pos;
+            const name = this.readName('an attribute');
+            if (seen.has(name)) {
+                this.fail(`Duplicate attribute "${name}"`, name.length, nameStart);
+            }
+            seen.add(name);
+
+            this.skipWhitespace();
+            if (this.text[this.pos] !== '=') {
+                this.fail(`Expected = after attribute "${name}"`);
+            }
+            this.pos++;
+            this.skipWhitespace();
+
+            const quote = this.text[this.pos];
+            if (quote !== '"' && quote !== '\'') {
+                this.fail(`Expected a quoted value for attribute "${name}"`);
+            }
+            const end = this.text.indexOf(quote, this.pos + 1);
+            if (end === -1) {
+                this.fail('Unterminated attribute value');
+            }
+
+            const raw = this.text.slice(this.pos + 1, end);
+            const lt = raw.indexOf('<');
+            if (lt !== -1) {
+                this.fail('Attribute values cannot contain <', 1, this.pos + 1 + lt);
+            }
+            attributes.push([name, this.decodeEntities(raw, this.pos + 1)]);
+            this.pos = end + 1;
+        }
+    }
+
+    /**
+     * Build the JSON value of an element
+     * @param {Array} attributes - [name, value] pairs
+     * @param {Array} children - Child elements { name, value }
+     * @param {string} text - Text content
+     * @returns {*}
+     */
+    buildValue(attributes, children, text) {
+        const content = text.trim();
+        if (attributes.length === 0 && children.length === 0) {
+            return content === '' ? null : content;
+        }
+
+        const result = {};
+        attributes.forEach(([name, value]) => {
+            result[ATTRIBUTE_PREFIX + name] = value;
+        });
+        if (content !== '') {
+            result[TEXT_KEY] = content;
+        }
+
+        const groups = new Map();
+        children.forEach(({ name, value }) => {
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(value);
+        });
+        groups.forEach((values, name) => {
+            setOwnProperty(result, name, values.length === 1 ? values[0] : values);
+        });
+
+        return result;
+    }
+
+    /**
+     * Replace character and entity references
+     * @param {string} raw - Text or attribute value
+     * @param {number} offset - Position of the text, for errors
+     * @returns {string}
+     */
+    decodeEntities(raw, offset) {
+        return raw.replace(/&([^;\s&<]*);/g, (match, name, index) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                if (!Number.isNaN(code) && code <= 0x10FFFF) {
+                    return String.fromCodePoint(code);
+                }
+            } else if (Object.prototype.hasOwnProperty.call(ENTITIES, name)) {
+                return ENTITIES[name];
+            }
+            this.fail(`Unknown entity ${match}`, match.length, offset + index);
+        });
+    }
+
+    /**
+     * Convert an offset to a 1-based line and column
+     * @param {number} offset - Character offset
+     * @returns {Object} { line, column }
+     */
+    locate(offset) {
+        if (!this.lineStarts) {
+            this.lineStarts = [0];
+            for (let i = 0; i < this.text.length; i++) {
+                if (this.text[i] === '\n') this.lineStarts.push(i + 1);
+            }
+        }
+
+        // Binary search for the last line start at or before offset
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+    }
+
+    /**
+     * Stop parsing with an error at the given position
+     * @param {string} message - Error message
+     * @param {number} length - Length of the offending text
+     * @param {number} offset - Position (defaults to the current one)
+     */
+    fail(message, length = 1, offset = this.pos) {
+        const { line, column } = this.locate(offset);
+        const error = new SyntaxError(message);
+        error.location = {
+            message,
+            line,
+            column,
+            offset,
+            length: offset < this.text.length ? length : 0,
+            hint: null
+        };
+        throw error;
+    }
+}
+
+/**
+ * Parse XML text into JSON
+ * @param {string} str - XML text
+ * @returns {Object} { valid, data, error, location }
+ */
+export function parseXML(str) {
+    const parser = new XMLParser(str);
+
+    try {
+        const data = parser.parse();
+        return { valid: true, data, error: null };
+    } catch (e) {
+        return { valid: false, data: null, error: e.message, location: e.location || null };
+    }
+}
+
+/**
+ * Turn a JSON key into a valid XML name
+ * Invalid characters become underscores; names that cannot start a tag get a leading one.
+ * @param {string} key - JSON key
+ * @returns {string}
+ */
+function toXMLName(key) {
+    const name = Array.from(String(key), char => (NAME_CHAR.test(char) ? char : '_')).join('');
+    if (name === '') return '_';
+    return NAME_START.test(name[0]) ? name : `_${name}`;
+}
+
+/**
+ * Escape text content; characters XML 1.0 does not allow become U+FFFD
+ * @param {*} value - Scalar value
+ * @returns {string}
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\uFFFE\uFFFF]/g, '\uFFFD')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape an attribute value, keeping line breaks and tabs
+ * @param {*} value - Scalar value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+    return escapeText(value)
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '&#10;')
+        .replace(/\r/g, '&#13;')
+        .replace(/\t/g, '&#9;');
+}
+
+/**
+ * Write a value as an element
+ * @param {string} key - Element name (a JSON key)
+ * @param {*} value - Element value
+ * @param {number} depth - Nesting level, for indentation
+ * @returns {string[]} Lines
+ */
+function writeElement(key, value, depth) {
+    const pad = '  '.repeat(depth);
+    const tag = toXMLName(key);
+
+    if (value === null || value === undefined) {
+        return [`${pad}<${tag}/>`];
+    }
+
+    if (typeof value !== 'object') {
+        return [`${pad}<${tag}>${escapeText(value)}</${tag}>`];
+    }
+
+    let attributes = '';
+    let text = null;
+    const children = [];
+
+    if (Array.isArray(value)) {
+        value.forEach(item => children.push(...writeElement(ARRAY_ITEM_NAME, item, depth + 1)));
+    } else {
+        Object.entries(value).forEach(([name, item]) => {
+            if (name.startsWith(ATTRIBUTE_PREFIX) && (item === null || typeof item !== 'object')) {
+                if (item !== null && item !== undefined) {
+                    attributes += ` ${toXMLName(name.slice(ATTRIBUTE_PREFIX.length))}="${escapeAttribute(item)}"`;
+                }
+            } else if (name === TEXT_KEY && (item === null || typeof item !== 'object')) {
+                text = item;
+            } else if (Array.isArray(item)) {
+                // Arrays repeat the element, which is how XML lists read back in
+                item.forEach(entry => children.push(...writeElement(name, entry, depth + 1)));
+            } else {
+                children.push(...writeElement(name, item, depth + 1));
+            }
+        });
+    }
+
+    if (children.length === 0) {
+        return text === null || text === undefined
+            ? [`${pad}<${tag}${attributes}/>`]
+            : [`${pad}<${tag}${attributes}>${escapeText(text)}</${tag}>`];
+    }
+
+    return [
+        `${pad}<${tag}${attributes}>`,
+        ...(text === null || text === undefined ? [] : [`${pad}  ${escapeText(text)}`]),
+        ...children,
+        `${pad}</${tag}>`
+    ];
+}
+
+/**
+ * Convert a value to an XML document
+ * An object with a single non-array key becomes the root element; anything
+ * else is wrapped in a root element.
+ * @param {*} value - JSON value
+ * @param {Object} options
+ * @param {string} options.rootName - Name of the wrapping root element
+ * @returns {string} XML document
+ */
+export function stringifyXML(value, { rootName = DEFAULT_ROOT_NAME } = {}) {
+    let name = rootName;
+    let content = value;
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        const keys = Object.keys(value);
+        const [key] = keys;
+        if (keys.length === 1 && !key.startsWith(ATTRIBUTE_PREFIX) && key !== TEXT_KEY && !Array.isArray(value[key])) {
+            name = key;
+            content = value[key];
+        }
+    }
+
+    return ['<?xml version="1.0" encoding="UTF-8"?>', ...writeElement(name, content, 0)].join('\n') + '\n';
+}
@@ -0,0 +1,1142 @@
+/**
+ * YAML Module
+ * Parser for the block and flow YAML found in configs and manifests, and a YAML writer
+ */
+
+import { setOwnProperty } from './utils.js';
+
+// YAML 1.2 core schema scalars
+const NULL = /^(?:~|null|Null|NULL)?$/;
+const TRUE = /^(?:true|True|TRUE)$/;
+const FALSE = /^(?:false|False|FALSE)$/;
+const INTEGER = /^[-+]?[0-9]+$/;
+const OCTAL = /^0o[0-7]+$/;
+const HEX = /^0x[0-9a-fA-F]+$/;
+const FLOAT = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+
+// Plain strings that other YAML readers would not read back as strings
+const YAML_11_KEYWORDS = /^(?:y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF|[-+]?\.(?:inf|Inf|INF)|\.(?:nan|NaN|NAN)|<<)$/;
+const YAML_11_TIMESTAMP = /^\d{4}-\d\d?-\d\d?(?:$|[Tt\s])/;
+
+const DOUBLE_QUOTED_ESCAPES = {
+    0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+    ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+// Anchor, alias and tag names end at whitespace or a flow indicator
+const PROPERTY_NAME = /^[^\s,[\]{}]+/;
+
+/**
+ * Resolve an unquoted scalar to null, a boolean, a number or a string
+ * Integers beyond Number.MAX_SAFE_INTEGER stay strings so no digits are lost.
+ * @param {string} text - Plain scalar text
+ * @returns {*}
+ */
+function resolvePlain(text) {
+    if (NULL.test(text)) return null;
+    if (TRUE.test(text)) return true;
+    if (FALSE.test(text)) return false;
+
+    if (INTEGER.test(text)) {
+        const number = Number(text);
+        return Number.isSafeInteger(number) ? number : text;
+    }
+    if (OCTAL.test(text)) return parseInt(text.slice(2), 8);
+    if (HEX.test(text)) return parseInt(text.slice(2), 16);
+    if (FLOAT.test(text)) return Number(text);
+
+    return text;
+}
+
+/**
+ * Replace the escape sequences of a double-quoted scalar
+ * @param {string} raw - Text between the quotes
+ * @returns {string}
+ */
+function unescapeDoubleQuoted(raw) {
+    return raw.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[\s\S])/g, (match, escape) => {
+        if (escape.length > 1) {
+            return String.fromCodePoint(parseInt(escape.slice(1), 16));
+        }
+        return DOUBLE_QUOTED_ESCAPES[escape] ?? escape;
+    });
+}
+
+/**
+ * Fold the lines of a multi-line quoted or plain scalar
+ * Single line breaks become spaces; each empty line becomes a newline.
+ * @param {string[]} lines - Raw lines
+ * @returns {string}
+ */
+function foldLines(lines) {
+    if (lines.length === 1) return lines[0];
+
+    const last = lines.length - 1;
+    let result = lines[0].trimEnd();
+    let blanks = 0;
+
+    for (let i = 1; i <= last; i++) {
+        const line = i === last ? lines[i].trimStart() : lines[i].trim();
+        if (line === '' && i !== last) {
+            blanks++;
+            continue;
+        }
+        result += blanks ? '\n'.repeat(blanks) : ' ';
+        result += line;
+        blanks = 0;
+    }
+
+    return result;
+}
+
+/**
+ * Fold the lines of a `>` block scalar
+ * More-indented lines and empty lines keep their line breaks.
+ * @param {string[]} lines - Lines with the block indentation removed
+ * @returns {string}
+ */
+function foldBlockLines(lines) {
+    let result = lines[0] ?? '';
+
+    for (let i = 1; i < lines.length; i++) {
+        const previous = lines[i - 1];
+        const line = lines[i];
+
+        if (line === '') {
+            result += '\n';
+        } else if (previous === '') {
+            result += line;
+        } else {
+            result += (line[0] === ' ' || previous[0] === ' ' ? '\n' : ' ') + line;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Remove a trailing ` # comment` from unquoted text
+ * @param {string} text - Text after the indentation
+ * @returns {string}
+ */
+function stripComment(text) {
+    const index = text.search(/(?:^|\s)#/);
+    return (index === -1 ? text : text.slice(0, index)).trimEnd();
+}
+
+/**
+ * Whether a value is a mapping (a non-null, non-array object)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Line-based YAML parser
+ * Supports block mappings and sequences, flow collections, plain, quoted and
+ * block scalars, anchors, aliases, merge keys (<<) and multiple documents.
+ * Complex keys (?) are not supported and tags other than !!str, !!int and
+ * !!float are ignored.
+ */
+class YAMLParser {
+    constructor(text) {
+        this.text = text;
+        this.lines = [];
+        this.index = 0; // Next line to read
+        this.end = 0; // End of the current document (exclusive)
+        this.anchors = new Map();
+
+        let start = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+        while (start <= text.length) {
+            let end = text.indexOf('\n', start);
+            if (end === -1) end = text.length;
+            const lineEnd = text[end - 1] === '\r' ? end - 1 : end;
+            this.lines.push({ text: text.slice(start, lineEnd), start });
+            start = end + 1;
+        }
+    }
+
+    /**
+     * Parse every document in the stream
+     * @returns {Array} One value per document
+     */
+    parseStream() {
+        const documents = [];
+        let start = 0;
+        let hasContent = false;
+
+        const finishDocument = (end) => {
+            if (hasContent) {
+                documents.push(this.parseDocument(start, end));
+            }
+            hasContent = false;
+        };
+
+        this.lines.forEach((line, index) => {
+            if (/^---(?:\s|$)/.test(line.text)) {
+                finishDocument(index);
+                // Content after the marker ("--- |") belongs to the new document
+                line.text = '   ' + line.text.slice(3);
+                start = index;
+            } else if (/^\.\.\.(?:\s|$)/.test(line.text)) {
+                finishDocument(index);
+                line.text = '';
+                start = index + 1;
+            } else if (!hasContent && line.text.startsWith('%')) {
+                // Directives (%YAML, %TAG) only apply to tags, which are ignored
+                line.text = '';
+            }
+
+            if (this.isContent(index)) hasContent = true;
+        });
+        finishDocument(this.lines.length);
+
+        return documents;
+    }
+
+    /**
+     * Parse the document in lines [start, end)
+     * @param {number} start - First line
+     * @param {number} end - Line after the last
+     * @returns {*} Document value
+     */
+    parseDocument(start, end) {
+        this.index = start;
+        this.end = end;
+        this.anchors.clear();
+
+        const value = this.parseBlock(-1, false);
+
+        const next = this.nextContent(this.index);
+        if (next !== -1) {
+            this.fail('Unexpected content; check the indentation', next, this.indentOf(next));
+        }
+        return value;
+    }
+
+    /**
+     * Whether a line holds something other than whitespace or a comment
+     * @param {number} line - Line index
+     * @returns {boolean}
+     */
+    isContent(line) {
+        const text = this.lines[line].text.trim();
+        return text !== '' && !text.startsWith('#');
+    }
+
+    /**
+     * Find the next line with content in the current document
+     * @param {number} from - Line to start at
+     * @returns {number} Line index, or -1
+     */
+    nextContent(from) {
+        for (let line = from; line < this.end; line++) {
+            if (this.isContent(line)) return line;
+        }
+        return -1;
+    }
+
+    /**
+     * Count the spaces that indent a line
+     * @param {number} line - Line index
+     * @returns {number}
+     */
+    indentOf(line) {
+        const text = this.lines[line].text;
+        let indent = 0;
+        while (text[indent] === ' ') indent++;
+
+        if (text[indent] === '\t') {
+            this.fail('Tabs cannot be used for indentation', line, indent);
+        }
+        return indent;
+    }
+
+    /**
+     * Whether a line has a sequence entry ("- ") at a column
+     * @param {number} line - Line index
+     * @param {number} column - Column of the dash
+     * @returns {boolean}
+     */
+    isSequenceEntry(line, column) {
+        const text = this.lines[line].text;
+        return text[column] === '-' && (column + 1 === text.length || /\s/.test(text[column + 1]));
+    }
+
+    /**
+     * Find the colon that ends a mapping key starting at a column
+     * @param {string} text - Line text
+     * @param {number} column - Start of the key
+     * @returns {number} Index of the colon, or -1 when the text is not a key
+     */
+    findMappingColon(text, column) {
+        let i = column;
+        const quote = text[i];
+
+        if (quote === '"' || quote === '\'') {
+            for (i++; i < text.length; i++) {
+                if (quote === '"' && text[i] === '\\') {
+                    i++;
+                } else if (text[i] === quote) {
+                    if (quote === '\'' && text[i + 1] === '\'') {
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+            }
+            for (i++; text[i] === ' '; i++);
+            return text[i] === ':' && (i + 1 === text.length || /\s/.test(text[i + 1])) ? i : -1;
+        }
+
+        if (quote === '[' || quote === '{') return -1;
+
+        for (; i < text.length; i++) {
+            if (text[i] === ':' && (i + 1 === text.length || /\s/.test(text[i + 1]))) return i;
+            if (text[i] === '#' && i > column && /\s/.test(text[i - 1])) return -1;
+        }
+        return -1;
+    }
+
+    /**
+     * Parse the node on the following lines, if it is indented under its parent
+     * @param {number} parentIndent - Indentation of the parent node
+     * @param {boolean} allowSequenceAtParent - A mapping value may be a sequence at the key's indentation
+     * @returns {*} The node, or null when there is none
+     */
+    parseBlock(parentIndent, allowSequenceAtParent) {
+        const line = this.nextContent(this.index);
+        if (line === -1) return null;
+
+        const indent = this.indentOf(line);
+        if (indent > parentIndent || (allowSequenceAtParent && indent === parentIndent && this.isSequenceEntry(line, indent))) {
+            return this.parseNode(line, indent, parentIndent, 'block');
+        }
+        return null;
+    }
+
+    /**
+     * Parse the node that starts at a line and column
+     * @param {number} line - Line index
+     * @param {number} column - Column where the node starts
+     * @param {number} parentIndent - Indentation of the parent node
+     * @param {string} context - 'block' at the start of a line or after "- ", 'value' after "key: "
+     * @returns {*}
+     */
+    parseNode(line, column, parentIndent, context) {
+        const text = this.lines[line].text;
+        const char = text[column];
+
+        if (char === '&' || char === '!') {
+            return this.parseProperties(line, column, parentIndent, context);
+        }
+
+        if (char === '?' && (column + 1 === text.length || /\s/.test(text[column + 1]))) {
+            this.fail('Complex mapping keys (?) are not supported', line, column);
+        }
+
+        // "key: - a" is the plain string "- a"
+        if (context === 'block' && this.isSequenceEntry(line, column)) {
+            return this.parseSequence(line, column);
+        }
+
+        if (this.findMappingColon(text, column) !== -1) {
+            if (context !== 'block') {
+                this.fail('A nested mapping must start on a new line', line, column);
+            }
+            return this.parseMapping(line, column);
+        }
+
+        return this.parseScalar(line, column, parentIndent);
+    }
+
+    /**
+     * Parse an anchor (&name) and/or tag (!tag) and the node they apply to
+     * @param {number} line - Line index
+     * @param {number} column - Column of the first property
+     * @param {number} parentIndent - Indentation of the parent node
+     * @param {string} context - See parseNode
+     * @returns {*}
+     */
+    parseProperties(line, column, parentIndent, context) {
+        const text = this.lines[line].text;
+        let anchor = null;
+        let tag = null;
+        let pos = column;
+
+        while (text[pos] === '&' || text[pos] === '!') {
+            const name = PROPERTY_NAME.exec(text.slice(pos))[0];
+            if (text[pos] === '&') {
+                anchor = name.slice(1);
+            } else {
+                tag = name;
+            }
+            pos += name.length;
+            while (text[pos] === ' ') pos++;
+        }
+
+        let value;
+        if (pos >= text.length || text[pos] === '#') {
+            this.index = line + 1;
+            value = this.parseBlock(parentIndent, context === 'value');
+        } else {
+            value = this.parseNode(line, pos, parentIndent, context);
+        }
+
+        value = this.applyTag(tag, value);
+        if (anchor !== null) {
+            this.anchors.set(anchor, value);
+        }
+        return value;
+    }
+
+    /**
+     * Apply the standard scalar tags; other tags (e.g. !Ref) keep the value as is
+     * @param {string|null} tag - Tag
+     * @param {*} value - Parsed value
+     * @returns {*}
+     */
+    applyTag(tag, value) {
+        if (value !== null && typeof value === 'object') return value;
+
+        switch (tag) {
+            case '!!str':
+                return value === null ? '' : String(value);
+            case '!!int':
+            case '!!float':
+                return Number(value);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Parse a block sequence whose entries start at a column
+     * @param {number} line - Line of the first entry
+     * @param {number} column - Column of the dashes
+     * @returns {Array}
+     */
+    parseSequence(line, column) {
+        const items = [];
+
+        for (;;) {
+            const text = this.lines[line].text;
+            let pos = column + 1;
+            while (text[pos] === ' ') pos++;
+
+            if (pos >= text.length || text[pos] === '#') {
+                this.index = line + 1;
+                items.push(this.parseBlock(column, false));
+            } else {
+                // "- a: 1" starts a mapping at the column of "a"
+                items.push(this.parseNode(line, pos, column, 'block'));
+            }
+
+            const next = this.nextContent(this.index);
+            if (next === -1) break;
+
+            const indent = this.indentOf(next);
+            if (indent > column) {
+                this.fail('Bad indentation of a sequence entry', next, indent);
+            }
+            if (indent < column || !this.isSequenceEntry(next, column)) break;
+            line = next;
+        }
+
+        return items;
+    }
+
+    /**
+     * Parse a block mapping whose keys start at a column
+     * @param {number} line - Line of the first key
+     * @param {number} column - Column of the keys
+     * @returns {Object}
+     */
+    parseMapping(line, column) {
+        const result = {};
+        const merges = [];
+        const firstLine = line;
+
+        for (;;) {
+            const text = this.lines[line].text;
+            const colon = this.findMappingColon(text, column);
+            if (colon === -1) {
+                this.fail('Expected a mapping key (key: value)', line, column);
+            }
+
+            const rawKey = text.slice(column, colon).trimEnd();
+            const key = this.parseKey(rawKey);
+
+            let pos = colon + 1;
+            while (text[pos] === ' ' || text[pos] === '\t') pos++;
+
+            let value;
+            if (pos >= text.length || text[pos] === '#') {
+                this.index = line + 1;
+                value = this.parseBlock(column, true);
+            } else {
+                value = this.parseNode(line, pos, column, 'value');
+            }
+
+            if (rawKey === '<<') {
+                merges.push(value);
+            } else {
+                setOwnProperty(result, key, value);
+            }
+
+            const next = this.nextContent(this.index);
+            if (next === -1) break;
+
+            const indent = this.indentOf(next);
+            if (indent > column) {
+                this.fail('Bad indentation of a mapping entry', next, indent);
+            }
+            if (indent < column || this.isSequenceEntry(next, column)) break;
+            line = next;
+        }
+
+        if (merges.length === 0) return result;
+
+        // Keys written in the mapping win over merged ones; earlier merges win over later ones
+        const merged = {};
+        merges.flat().forEach(source => {
+            if (!isMapping(source)) {
+                this.fail('<< can only merge mappings', firstLine, column);
+            }
+            Object.keys(source).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(merged, key)) setOwnProperty(merged, key, source[key]);
+            });
+        });
+        return { ...merged, ...result };
+    }
+
+    /**
+     * Read a mapping key
+     * @param {string} raw - Key text, possibly quoted
+     * @returns {string}
+     */
+    parseKey(raw) {
+        if (raw[0] === '"') return unescapeDoubleQuoted(raw.slice(1, -1));
+        if (raw[0] === '\'') return raw.slice(1, -1).replace(/''/g, '\'');
+        return raw;
+    }
+
+    /**
+     * Parse a scalar, alias or flow collection
+     * @param {number} line - Line index
+     * @param {number} column - Column where it starts
+     * @param {number} parentIndent - Indentation of the parent node
+     * @returns {*}
+     */
+    parseScalar(line, column, parentIndent) {
+        const char = this.lines[line].text[column];
+
+        if (char === '*') return this.parseAlias(line, column);
+        if (char === '|' || char === '>') return this.parseBlockScalar(line, column, parentIndent);
+        if (char === '[' || char === '{') return this.parseFlowCollection(line, column);
+        if (char === '"' || char === '\'') return this.parseQuotedScalar(line, column);
+        return this.parsePlainScalar(line, column, parentIndent);
+    }
+
+    /**
+     * Parse an alias (*name) to a node anchored earlier in the document
+     * @param {number} line - Line index
+     * @param {number} column - Column of the asterisk
+     * @returns {*}
+     */
+    parseAlias(line, column) {
+        const text = this.lines[line].text;
+        const name = PROPERTY_NAME.exec(text.slice(column + 1))?.[0] || '';
+        if (!this.anchors.has(name)) {
+            this.fail(`Unknown alias *${name}`, line, column);
+        }
+
+        this.expectLineEnd(line, column + 1 + name.length);
+        this.index = line + 1;
+        return this.anchors.get(name);
+    }
+
+    /**
+     * Parse an unquoted scalar, which may continue on more-indented lines
+     * @param {number} line - Line index
+     * @param {number} column - Column where it starts
+     * @param {number} parentIndent - Indentation of the parent node
+     * @returns {*}
+     */
+    parsePlainScalar(line, column, parentIndent) {
+        const first = this.lines[line].text.slice(column);
+        const lines = [stripComment(first)];
+        let ended = lines[0] !== first.trimEnd(); // A comment ends the scalar
+        let last = line;
+        let kept = 1; // Lines up to the last non-blank one
+
+        for (let next = line + 1; !ended && next < this.end; next++) {
+            const text = this.lines[next].text;
+            if (text.trim() === '') {
+                lines.push('');
+                continue;
+            }
+
+            const indent = this.indentOf(next);
+            const content = text.slice(indent);
+            if (indent <= parentIndent || content.startsWith('#')) break;
+            if (this.findMappingColon(text, indent) !== -1) {
+                this.fail('Bad indentation of a mapping entry', next, indent);
+            }
+
+            const stripped = stripComment(content);
+            lines.push(stripped);
+            ended = stripped !== content.trimEnd();
+            last = next;
+            kept = lines.length;
+        }
+
+        this.index = last + 1;
+        return resolvePlain(foldLines(lines.slice(0, kept)).trim());
+    }
+
+    /**
+     * Parse a single- or double-quoted scalar, which may span lines
+     * @param {number} line - Line index
+     * @param {number} column - Column of the opening quote
+     * @returns {string}
+     */
+    parseQuotedScalar(line, column) {
+        const quote = this.lines[line].text[column];
+        const parts = [];
+        let current = line;
+        let pos = column + 1;
+
+        for (;;) {
+            const text = this.lines[current].text;
+            let i = pos;
+            while (i < text.length) {
+                if (quote === '"' && text[i] === '\\') {
+                    i += 2;
+                    continue;
+                }
+                if (text[i] === quote) {
+                    if (quote === '\'' && text[i + 1] === '\'') {
+                        i += 2;
+                        continue;
+                    }
+                    break;
+                }
+                i++;
+            }
+
+            if (i < text.length) {
+                parts.push(text.slice(pos, i));
+                this.expectLineEnd(current, i + 1);
+                break;
+            }
+
+            parts.push(text.slice(pos));
+            current++;
+            pos = 0;
+            if (current >= this.end) {
+                this.fail('Unterminated quoted string', line, column);
+            }
+        }
+
+        this.index = current + 1;
+        const folded = foldLines(parts);
+        return quote === '"' ? unescapeDoubleQuoted(folded) : folded.replace(/''/g, '\'');
+    }
+
+    /**
+     * Parse a literal (|) or folded (>) block scalar
+     * @param {number} line - Line of the header
+     * @param {number} column - Column of the indicator
+     * @param {number} parentIndent - Indentation of the parent node
+     * @returns {string}
+     */
+    parseBlockScalar(line, column, parentIndent) {
+        const header = stripComment(this.lines[line].text.slice(column));
+        const match = /^([|>])([1-9])?([+-])?([1-9])?$/.exec(header);
+        if (!match) {
+            this.fail('Invalid block scalar header', line, column);
+        }
+
+        const [, style, indentBefore, chomping = '', indentAfter] = match;
+        const indicator = indentBefore || indentAfter;
+        let contentIndent = indicator ? Math.max(parentIndent, 0) + Number(indicator) : null;
+
+        const lines = [];
+        let next = line + 1;
+        for (; next < this.end; next++) {
+            const text = this.lines[next].text;
+            if (text.trim() === '') {
+                lines.push('');
+                continue;
+            }
+
+            let indent = 0;
+            while (text[indent] === ' ') indent++;
+            if (contentIndent === null) {
+                if (indent <= parentIndent) break;
+                contentIndent = indent;
+            }
+            if (indent < contentIndent) break;
+            lines.push(text.slice(contentIndent));
+        }
+        this.index = next;
+
+        let end = lines.length;
+        while (end > 0 && lines[end - 1] === '') end--;
+        const body = lines.slice(0, end);
+        const trailing = lines.length - end;
+
+        let value = style === '|' ? body.join('\n') : foldBlockLines(body);
+        if (chomping === '+') {
+            value += '\n'.repeat(trailing + (body.length > 0 ? 1 : 0));
+        } else if (chomping === '' && body.length > 0) {
+            value += '\n';
+        }
+        return value;
+    }
+
+    /**
+     * Parse a flow collection ([a, b] or {a: 1}), which may span lines
+     * @param {number} line - Line index
+     * @param {number} column - Column of the opening bracket
+     * @returns {Array|Object}
+     */
+    parseFlowCollection(line, column) {
+        const lastLine = this.findFlowEnd(line, column);
+        const texts = [this.lines[line].text.slice(column)];
+        for (let i = line + 1; i <= lastLine; i++) {
+            texts.push(this.lines[i].text);
+        }
+
+        const flow = { text: texts.join('\n'), pos: 0, line, column };
+        const value = this.parseFlowValue(flow);
+
+        this.skipFlowSpace(flow);
+        const { line: endLine, column: endColumn } = this.locateFlow(flow, flow.pos);
+        this.expectLineEnd(endLine, endColumn);
+        this.index = endLine + 1;
+        return value;
+    }
+
+    /**
+     * Find the line that closes a flow collection
+     * @param {number} line - Line of the opening bracket
+     * @param {number} column - Column of the opening bracket
+     * @returns {number} Line index
+     */
+    findFlowEnd(line, column) {
+        let depth = 0;
+        let quote = null;
+
+        for (let current = line; current < this.end; current++) {
+            const text = this.lines[current].text;
+            for (let i = current === line ? column : 0; i < text.length; i++) {
+                const char = text[i];
+                if (quote) {
+                    if (quote === '"' && char === '\\') i++;
+                    else if (char === quote) quote = null;
+                } else if (char === '"' || char === '\'') {
+                    quote = char;
+                } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                    break;
+                } else if (char === '[' || char === '{') {
+                    depth++;
+                } else if (char === ']' || char === '}') {
+                    depth--;
+                    if (depth === 0) return current;
+                }
+            }
+        }
+
+        this.fail(`Unclosed ${this.lines[line].text[column]}`, line, column);
+    }
+
+    /**
+     * Skip whitespace, line breaks and comments inside a flow collection
+     * @param {Object} flow - Flow state { text, pos }
+     */
+    skipFlowSpace(flow) {
+        const text = flow.text;
+        while (flow.pos < text.length) {
+            const char = text[flow.pos];
+            if (/\s/.test(char)) {
+                flow.pos++;
+            } else if (char === '#') {
+                const end = text.indexOf('\n', flow.pos);
+                flow.pos = end === -1 ? text.length : end;
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Parse a value inside a flow collection
+     * @param {Object} flow - Flow state
+     * @returns {*}
+     */
+    parseFlowValue(flow) {
+        this.skipFlowSpace(flow);
+        const text = flow.text;
+        let anchor = null;
+        let tag = null;
+
+        while (text[flow.pos] === '&' || text[flow.pos] === '!') {
+            const name = PROPERTY_NAME.exec(text.slice(flow.pos))[0];
+            if (text[flow.pos] === '&') {
+                anchor = name.slice(1);
+            } else {
+                tag = name;
+            }
+            flow.pos += name.length;
+            this.skipFlowSpace(flow);
+        }
+
+        let value;
+        const char = text[flow.pos];
+        if (char === '[') {
+            value = this.parseFlowSequence(flow);
+        } else if (char === '{') {
+            value = this.parseFlowMapping(flow);
+        } else if (char === '*') {
+            const name = PROPERTY_NAME.exec(text.slice(flow.pos + 1))?.[0] || '';
+            if (!this.anchors.has(name)) {
+                this.failFlow(flow, `Unknown alias *${name}`);
+            }
+            flow.pos += name.length + 1;
+            value = this.anchors.get(name);
+        } else if (char === '"' || char === '\'') {
+            value = this.parseFlowQuoted(flow);
+        } else {
+            value = this.parseFlowPlain(flow);
+        }
+
+        value = this.applyTag(tag, value);
+        if (anchor !== null) {
+            this.anchors.set(anchor, value);
+        }
+        return value;
+    }
+
+    /**
+     * Parse a flow sequence [a, b, c]
+     * @param {Object} flow - Flow state at the opening bracket
+     * @returns {Array}
+     */
+    parseFlowSequence(flow) {
+        const items = [];
+        flow.pos++;
+
+        for (;;) {
+            this.skipFlowSpace(flow);
+            if (flow.text[flow.pos] === ']') {
+                flow.pos++;
+                return items;
+            }
+
+            let item = this.parseFlowValue(flow);
+            this.skipFlowSpace(flow);
+
+            // [key: value] is a sequence holding a single-pair mapping
+            if (flow.text[flow.pos] === ':') {
+                flow.pos++;
+                item = { [String(item)]: this.parseFlowEntryValue(flow) };
+                this.skipFlowSpace(flow);
+            }
+            items.push(item);
+
+            const char = flow.text[flow.pos];
+            if (char === ',') {
+                flow.pos++;
+            } else if (char !== ']') {
+                this.failFlow(flow, 'Expected , or ] in flow sequence');
+            }
+        }
+    }
+
+    /**
+     * Parse a flow mapping {a: 1, b: 2}
+     * @param {Object} flow - Flow state at the opening brace
+     * @returns {Object}
+     */
+    parseFlowMapping(flow) {
+        const result = {};
+        flow.pos++;
+
+        for (;;) {
+            this.skipFlowSpace(flow);
+            if (flow.text[flow.pos] === '}') {
+                flow.pos++;
+                return result;
+            }
+
+            const key = this.parseFlowValue(flow);
+            this.skipFlowSpace(flow);
+
+            let value = null;
+            if (flow.text[flow.pos] === ':') {
+                flow.pos++;
+                value = this.parseFlowEntryValue(flow);
+                this.skipFlowSpace(flow);
+            }
+            setOwnProperty(result, key === null ? '' : String(key), value);
+
+            const char = flow.text[flow.pos];
+            if (char === ',') {
+                flow.pos++;
+            } else if (char !== '}') {
+                this.failFlow(flow, 'Expected , or } in flow mapping');
+            }
+        }
+    }
+
+    /**
+     * Parse the value after a colon in a flow collection; it may be empty
+     * @param {Object} flow - Flow state after the colon
+     * @returns {*}
+     */
+    parseFlowEntryValue(flow) {
+        this.skipFlowSpace(flow);
+        const char = flow.text[flow.pos];
+        return char === ',' || char === ']' || char === '}' ? null : this.parseFlowValue(flow);
+    }
+
+    /**
+     * Parse a quoted scalar inside a flow collection
+     * @param {Object} flow - Flow state at the opening quote
+     * @returns {string}
+     */
+    parseFlowQuoted(flow) {
+        const text = flow.text;
+        const quote = text[flow.pos];
+        const start = flow.pos + 1;
+        let i = start;
+
+        while (i < text.length) {
+            if (quote === '"' && text[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (text[i] === quote) {
+                if (quote === '\'' && text[i + 1] === '\'') {
+                    i += 2;
+                    continue;
+                }
+                break;
+            }
+            i++;
+        }
+        if (i >= text.length) {
+            this.failFlow(flow, 'Unterminated quoted string');
+        }
+
+        flow.pos = i + 1;
+        const folded = foldLines(text.slice(start, i).split('\n'));
+        return quote === '"' ? unescapeDoubleQuoted(folded) : folded.replace(/''/g, '\'');
+    }
+
+    /**
+     * Parse an unquoted scalar inside a flow collection
+     * @param {Object} flow - Flow state
+     * @returns {*}
+     */
+    parseFlowPlain(flow) {
+        const text = flow.text;
+        const start = flow.pos;
+        let i = start;
+
+        while (i < text.length) {
+            const char = text[i];
+            if (char === ',' || char === '[' || char === ']' || char === '{' || char === '}') break;
+            if (char === ':' && (i + 1 === text.length || /[\s,[\]{}]/.test(text[i + 1]))) break;
+            if (char === '#' && i > start && /\s/.test(text[i - 1])) break;
+            i++;
+        }
+        if (i === start) {
+            this.failFlow(flow, `Unexpected ${text[i] ? `"${text[i]}"` : 'end of input'} in flow collection`);
+        }
+
+        flow.pos = i;
+        return resolvePlain(foldLines(text.slice(start, i).split('\n')).trim());
+    }
+
+    /**
+     * Convert a position in a flow collection to a line and column
+     * @param {Object} flow - Flow state
+     * @param {number} pos - Position in flow.text
+     * @returns {Object} { line, column }
+     */
+    locateFlow(flow, pos) {
+        const before = flow.text.slice(0, pos).split('\n');
+        const line = flow.line + before.length - 1;
+        const column = before.length === 1 ? flow.column + pos : before[before.length - 1].length;
+        return { line, column };
+    }
+
+    /**
+     * Stop parsing with an error at the current flow position
+     * @param {Object} flow - Flow state
+     * @param {string} message - Error message
+     */
+    failFlow(flow, message) {
+        const { line, column } = this.locateFlow(flow, flow.pos);
+        this.fail(message, line, column);
+    }
+
+    /**
+     * Require the rest of a line to be blank or a comment
+     * @param {number} line - Line index
+     * @param {number} column - Column after the node
+     */
+    expectLineEnd(line, column) {
+        const rest = this.lines[line].text.slice(column);
+        if (stripComment(rest) !== '' || (rest.trim().startsWith('#') && !/^\s/.test(rest))) {
+            this.fail(`Unexpected "${rest.trim()}" after the value`, line, column);
+        }
+    }
+
+    /**
+     * Stop parsing with an error at a line and column
+     * @param {string} message - Error message
+     * @param {number} line - 0-based line index
+     * @param {number} column - 0-based column
+     */
+    fail(message, line, column) {
+        const { start, text } = this.lines[line];
+        const error = new SyntaxError(message);
+        error.location = {
+            message,
+            line: line + 1,
+            column: column + 1,
+            offset: start + column,
+            length: column < text.length ? 1 : 0,
+            hint: null
+        };
+        throw error;
+    }
+}
+
+/**
+ * Parse YAML text
+ * A stream with several documents (separated by ---) becomes an array of documents.
+ * @param {string} str - YAML text
+ * @returns {Object} { valid, data, error, location, documentCount }
+ */
+export function parseYAML(str) {
+    const parser = new YAMLParser(str);
+
+    try {
+        const documents = parser.parseStream();
+        const data = documents.length === 1 ? documents[0] : documents.length === 0 ? null : documents;
+        return { valid: true, data, error: null, documentCount: documents.length };
+    } catch (e) {
+        return { valid: false, data: null, error: e.message, location: e.location || null };
+    }
+}
+
+/**
+ * Whether a string can be written without quotes and read back unchanged
+ * @param {string} str - String value or key
+ * @returns {boolean}
+ */
+function isPlainSafe(str) {
+    if (str === '' || str !== str.trim()) return false;
+    if (/[\x00-\x1f\x7f\x85\u2028\u2029]/.test(str)) return false;
+    if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(str) || str.startsWith('...')) return false;
+    if (/:(?:\s|$)|\s#/.test(str)) return false;
+    if (YAML_11_KEYWORDS.test(str) || YAML_11_TIMESTAMP.test(str)) return false;
+    return resolvePlain(str) === str;
+}
+
+/**
+ * Format a scalar for YAML output
+ * Multi-line strings become literal block scalars; the first element is the text
+ * after "key: " or "- ", any others are the block's lines.
+ * @param {*} value - Scalar value
+ * @param {string} indent - Indentation of block scalar lines
+ * @returns {string[]}
+ */
+function formatScalar(value, indent) {
+    if (value === null || value === undefined) return ['null'];
+    if (typeof value === 'boolean') return [String(value)];
+    if (typeof value === 'number') {
+        if (Number.isFinite(value)) return [String(value)];
+        return [Number.isNaN(value) ? '.nan' : value > 0 ? '.inf' : '-.inf'];
+    }
+
+    const str = String(value);
+    const literal = str.includes('\n') && !/^[\s]/.test(str) && !/\n\n$/.test(str) &&
+        !/(?:^|\n)[ \t]+(?:\n|$)/.test(str) && !/[\x00-\x08\x0b-\x1f\x7f]/.test(str);
+    if (literal) {
+        const body = str.endsWith('\n') ? str.slice(0, -1) : str;
+        return [str.endsWith('\n') ? '|' : '|-', ...body.split('\n').map(line => (line ? indent + line : ''))];
+    }
+
+    return [isPlainSafe(str) ? str : JSON.stringify(str)];
+}
+
+/**
+ * Whether a value is written as a nested block (a non-empty array or object)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isBlockCollection(value) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+/**
+ * Write a value as YAML lines for a block at an indentation
+ * @param {*} value - Value
+ * @param {number} depth - Indentation in spaces
+ * @returns {string[]}
+ */
+function writeBlock(value, depth) {
+    const pad = ' '.repeat(depth);
+
+    if (!isBlockCollection(value)) {
+        if (Array.isArray(value)) return [`${pad}[]`];
+        if (value !== null && typeof value === 'object') return [`${pad}{}`];
+        // Block scalar lines sit at the value's indentation, which is 0 only for a bare scalar document
+        const [first, ...rest] = formatScalar(value, depth > 0 ? pad : '  ');
+        return [pad + first, ...rest];
+    }
+
+    const lines = [];
+
+    if (Array.isArray(value)) {
+        value.forEach(item => {
+            if (isBlockCollection(item)) {
+                // Compact form: the first line of the item follows the dash
+                const [first, ...rest] = writeBlock(item, depth + 2);
+                lines.push(`${pad}- ${first.slice(depth + 2)}`, ...rest);
+            } else {
+                const [first, ...rest] = writeBlock(item, depth + 2);
+                lines.push(`${pad}- ${first.trimStart()}`, ...rest);
+            }
+        });
+        return lines;
+    }
+
+    Object.entries(value).forEach(([key, item]) => {
+        const name = isPlainSafe(key) ? key : JSON.stringify(key);
+        if (isBlockCollection(item)) {
+            lines.push(`${pad}${name}:`, ...writeBlock(item, depth + 2));
+        } else {
+            const [first, ...rest] = writeBlock(item, depth + 2);
+            lines.push(`${pad}${name}: ${first.trimStart()}`, ...rest);
+        }
+    });
+    return lines;
+}
+
+/**
+ * Convert a value to YAML text
+ * @param {*} value - JSON value
+ * @returns {string} YAML document
+ */
+export function stringifyYAML(value) {
+    return writeBlock(value, 0).join('\n') + '\n';
+}
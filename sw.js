@@ -0,0 +1,126 @@
+/**
+ * Service Worker
+ * Caches the app shell so JSON Analyser installs as a PWA and works offline
+ *
+ * Files are served from the cache first and refreshed in the background, so
+ * an update shows up on the next visit. Bump CACHE_VERSION when files are
+ * added or removed.
+ */
+
+const CACHE_VERSION = 'jsonanalyser-v19';
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './css/theme.css',
+    './css/main.css',
+    './css/components.css',
+    './js/polyfills.js',
+    './js/app.js',
+    './js/jsonParser.js',
+    './js/incrementalParser.js',
+    './js/ndjson.js',
+    './js/jsonDiagnostics.js',
+    './js/jsonSchema.js',
+    './js/schemaInference.js',
+    './js/jsonDiff.js',
+    './js/dataProfile.js',
+    './js/json5.js',
+    './js/csvImport.js',
+    './js/yaml.js',
+    './js/xml.js',
+    './js/documentClient.js',
+    './js/documentWorker.js',
+    './js/queryEngine.js',
+    './js/queryLanguages.js',
+    './js/queryFunctions.js',
+    './js/jsonPath.js',
+    './js/jq.js',
+    './js/queryAssist.js',
+    './js/compareView.js',
+    './js/queryBuilder.js',
+    './js/treeView.js',
+    './js/profileView.js',
+    './js/virtualList.js',
+    './js/results.js',
+    './js/resultsTable.js',
+    './js/xlsx.js',
+    './js/storage.js',
+    './js/workspace.js',
+    './js/documentStore.js',
+    './js/savedQueries.js',
+    './js/queryLibrary.js',
+    './js/queryHistory.js',
+    './js/utils.js',
+    './lib/jmespath/index.umd.min.js',
+    './lib/jmespath/index.esm.min.js',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './examples/users.json',
+    './examples/products.json',
+    './examples/orders.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left by earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    // Shared links carry the query in ?q=, so the app page matches regardless of search
+    const scope = new URL(self.registration.scope).pathname;
+    const isAppPage = request.mode === 'navigate' && (url.pathname === scope || url.pathname === `${scope}index.html`);
+
+    event.respondWith(serveFromCache(event, isAppPage ? './index.html' : request));
+});
+
+/**
+ * Answer from the cache and refresh the cached copy from the network
+ * @param {FetchEvent} event - Fetch being answered
+ * @param {Request|string} cacheKey - Cache entry for the request
+ * @returns {Promise<Response>}
+ */
+async function serveFromCache(event, cacheKey) {
+    const cache = await caches.open(CACHE_VERSION);
+    const cached = await cache.match(cacheKey);
+
+    const refresh = fetch(event.request)
+        .then(response => {
+            if (response.ok && response.type === 'basic') {
+                return cache.put(cacheKey, response.clone()).then(() => response);
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+
+    const response = await refresh;
+    if (response) {
+        return response;
+    }
+    return new Response('Offline and not cached', { status: 503, statusText: 'Offline' });
+}